@@ -0,0 +1,15 @@
+import fs from 'fs-extra';
+import { fileURLToPath } from 'url';
+
+// Copies the record definitions of src/config/recordSchema.json into the
+// actor's dataset schema, which publishes them; run after editing the record schema
+const recordSchemaFile = fileURLToPath(new URL('../src/config/recordSchema.json', import.meta.url));
+const datasetSchemaFile = fileURLToPath(new URL('../.actor/dataset_schema.json', import.meta.url));
+
+const recordSchema = await fs.readJson(recordSchemaFile);
+const datasetSchema = await fs.readJson(datasetSchemaFile);
+
+datasetSchema.fields.definitions = recordSchema.definitions;
+await fs.writeJson(datasetSchemaFile, datasetSchema, { spaces: 4 });
+
+console.log(`Updated ${datasetSchemaFile} from ${recordSchemaFile}`);
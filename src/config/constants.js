@@ -3,6 +3,7 @@ export const MEDIUM_CONSTANTS = {
   BASE_URL: 'https://medium.com',
   API_BASE: 'https://medium.com/_/api',
   GRAPHQL_ENDPOINT: 'https://medium.com/_/graphql',
+  IMAGE_BASE_URL: 'https://miro.medium.com/v2',
   
   // Rate limiting
   DEFAULT_REQUESTS_PER_SECOND: 1,
@@ -10,15 +11,106 @@ export const MEDIUM_CONSTANTS = {
   MIN_REQUEST_DELAY: 1000,
   MAX_REQUEST_DELAY: 3000,
   
+  // Adaptive rate limiter: requestsPerSecond is the ceiling. Throttling responses
+  // multiply the rate by the backoff factor (down to the minimum rate) and pause all
+  // fetches for Retry-After, or the default pause; every RECOVERY_SUCCESSES
+  // successful responses in a row raise it again by RECOVERY_STEP of the ceiling
+  THROTTLE_STATUS_CODES: [429, 503],
+  RATE_LIMIT_MIN_RATE: 0.05,
+  RATE_LIMIT_BURST: 1,
+  RATE_LIMIT_BACKOFF_FACTOR: 0.5,
+  RATE_LIMIT_RECOVERY_SUCCESSES: 20,
+  RATE_LIMIT_RECOVERY_STEP: 0.1,
+  RATE_LIMIT_DEFAULT_PAUSE: 30000,
+  RATE_LIMIT_MAX_PAUSE: 600000,
+  RATE_LIMIT_MAX_EVENTS: 50,
+  
+  // robots.txt: the product token matched against User-agent lines (groups for
+  // "*" apply otherwise), and how long fetching a robots.txt may take. A fetch
+  // that fails is retried with a doubling delay; a host whose robots.txt stays
+  // unreachable is checked again once the recheck interval has passed.
+  ROBOTS_USER_AGENT: 'medium-scraper',
+  ROBOTS_TIMEOUT: 15000,
+  ROBOTS_FETCH_RETRIES: 2,
+  ROBOTS_RETRY_DELAY: 2000,
+  ROBOTS_RECHECK_INTERVAL: 300000,
+  
   // Retry configuration
   MAX_RETRIES: 3,
   RETRY_DELAY_BASE: 1000,
   RETRY_DELAY_MULTIPLIER: 2,
   
+  // Retry policy per error class (utils/scrapeErrors.js): whether a failed page is
+  // retried, and how many times (null leaves the crawler's maxRequestRetries).
+  // Skipped pages are reported as skipped rather than failed.
+  RETRY_POLICY: {
+    NavigationTimeoutError: { retry: true, maxRetries: 3 },
+    BlockedError: { retry: true, maxRetries: null },
+    NotFoundError: { retry: false },
+    ParseFailureError: { retry: true, maxRetries: 2 },
+    PaywallSkippedError: { retry: false, skipped: true },
+    RobotsDisallowedError: { retry: false, skipped: true },
+    ValidationFailedError: { retry: true, maxRetries: 1 },
+    default: { retry: true, maxRetries: null }
+  },
+  BLOCKED_STATUS_CODES: [401, 403],
+  NOT_FOUND_STATUS_CODES: [404, 410],
+  
   // Pagination
   DEFAULT_MAX_POSTS: 50,
   INFINITE_SCROLL_DELAY: 2000,
   SCROLL_INCREMENT: 500,
+  MAX_SCROLLS_PER_PAGE: 10,
+  MAX_ARCHIVE_PAGES: 24,
+  DEFAULT_MAX_RESPONSES: 50,
+  DEFAULT_MAX_RESPONSE_DEPTH: 2,
+  MAX_RESPONSE_PAGES: 20,
+  TAG_FEED_VIEWS: ['recommended', 'latest', 'archive'],
+  
+  // First path segments on medium.com that are not publication slugs
+  RESERVED_PATHS: ['tag', 'tags', 'topic', 'topics', 'p', 'm', 'me', 'search', 'about', 'membership',
+    'plans', 'creators', 'policy', 'jobs-at-medium', 'sitemap', 'new-story', 'signin', 'list', 'lists',
+    'followers', 'following', 'archive', '_'],
+  
+  // Paragraph types of Medium's body model, kept verbatim in content.blocks
+  BLOCK_TYPES: ['H3', 'H4', 'P', 'BQ', 'PQ', 'PRE', 'IMG', 'OLI', 'ULI', 'IFRAME', 'MIXTAPE_EMBED'],
+  
+  // Width miro.medium.com images are resized to in HTML exports
+  DEFAULT_IMAGE_WIDTH: 1400,
+  
+  // Field delimiters accepted for CSV exports
+  CSV_DELIMITERS: [',', ';', '\t', '|'],
+  
+  // Size cap of one NDJSON part file (uncompressed)
+  NDJSON_MAX_PART_MB: 100,
+  
+  // Incremental runs: where seen posts are remembered and how articles are classified
+  DEFAULT_STATE_RECORD: 'medium-scraper-state/INCREMENTAL_STATE',
+  CHANGE_TYPES: {
+    NEW: 'new',
+    UPDATED: 'updated',
+    UNCHANGED: 'unchanged',
+    SKIPPED: 'unchanged-skipped'
+  },
+  
+  // Key-value store holding the progress of interrupted runs, one record per runId
+  CHECKPOINT_STORE: 'medium-scraper-checkpoints',
+
+  // Run log: default store name and level, entries buffered before a flush (or
+  // after the interval), entries per key-value store record, and JSONL file rotation
+  LOG_STORE_NAME: 'medium-scraper-logs',
+  LOG_LEVEL: 'info',
+  LOG_FLUSH_ENTRIES: 100,
+  LOG_FLUSH_INTERVAL_MS: 5000,
+  LOG_RECORD_MAX_ENTRIES: 1000,
+  LOG_FILE_MAX_MB: 10,
+  LOG_FILE_MAX_FILES: 5,
+  
+  // Selector health: where the fill-rate baseline is kept, and the drop in fill rate
+  // (0-1) over at least MIN_SAMPLES records that is reported as drift
+  SELECTOR_BASELINE_RECORD: 'medium-scraper-state/SELECTOR_BASELINE',
+  SELECTOR_DRIFT_THRESHOLD: 0.2,
+  SELECTOR_MIN_SAMPLES: 3,
   
   // Timeouts
   PAGE_TIMEOUT: 45000,
@@ -59,19 +151,67 @@ export const SELECTORS = {
     ARTICLE_TAGS: 'a[data-testid="tagLink"], div[data-testid="articleTags"] a, a[href*="/tag/"], .pw-post-tags a',
     ARTICLE_PUBLICATION: 'a[data-testid="publicationName"], div[data-testid="publicationTitle"], a[href*="/publication/"]',
     ARTICLE_IMAGE: 'img[data-testid="articleImage"], img[data-testid="postImage"], img[alt*="post"], .pw-post-image',
-    PREMIUM_INDICATORS: 'span[data-testid="memberOnlyBadge"], div[data-testid="premiumBadge"], span[aria-label*="member"], .pw-premium-badge'
+    PREMIUM_INDICATORS: 'span[data-testid="memberOnlyBadge"], div[data-testid="premiumBadge"], span[aria-label*="member"], .pw-premium-badge',
+    LOAD_MORE_BUTTON: 'button[data-testid="loadMore"], div[data-testid="loadMore"] button, button[aria-label="Show more"]',
+    PINNED_LABEL: '^pinned$'
   },
   
-  // Article selectors
-  ARTICLE_LINK: 'article a[href*="/@"], div[data-testid="articleLink"] a',
-  ARTICLE_TITLE: 'h1, h2[data-testid="articleTitle"]',
-  ARTICLE_SUBTITLE: 'h2[data-testid="articleSubtitle"], p[data-testid="articleSubtitle"]',
-  ARTICLE_CONTENT: 'article div[data-testid="articleContent"], div[data-testid="articleBody"]',
-  ARTICLE_DATE: 'time[data-testid="articleDate"], span[data-testid="publishDate"]',
-  ARTICLE_READING_TIME: 'span[data-testid="readingTime"], span[data-testid="readTime"]',
-  ARTICLE_CLAPS: 'button[data-testid="clapButton"], div[data-testid="clapCount"]',
-  ARTICLE_RESPONSES: 'a[data-testid="responsesLink"], button[data-testid="responsesButton"]',
-  ARTICLE_TAGS: 'a[data-testid="tagLink"], div[data-testid="articleTags"] a',
+  // Author /about page selectors, read when the Apollo user has no About section
+  AUTHOR_ABOUT: {
+    ABOUT: 'div[data-testid="aboutContent"], section[data-testid="userAbout"], div.pw-about',
+    MEMBER_SINCE: '^medium member since (.+)$',
+    TOP_WRITER: 'a[href*="top-writer"], span[data-testid="topWriterBadge"]',
+    BOOK_AUTHOR: 'span[data-testid="bookAuthorBadge"], a[href*="/book-author"]',
+    NEWSLETTER: 'a[data-testid="newsletterSubscribe"], a[href$="/subscribe"], button[data-testid="subscribeButton"]',
+    LISTS: 'a[data-testid="listLink"], a[href*="/list/"]'
+  },
+  
+  // Publication page selectors
+  PUBLICATION: {
+    NAME: 'h1[data-testid="publicationName"], a[data-testid="publicationName"], h2[data-testid="publicationName"], .pw-publication-name',
+    DESCRIPTION: 'p[data-testid="publicationDescription"], div[data-testid="publicationDescription"], .pw-publication-description',
+    LOGO: 'img[data-testid="publicationLogo"], img[data-testid="publicationImage"], img[alt*="logo"], .pw-publication-logo',
+    FOLLOWERS: 'a[data-testid="publicationFollowers"], a[href*="/followers"], span[data-testid="followerCount"], .pw-follower-count',
+    EDITORS: 'div[data-testid="publicationEditors"] a[href*="/@"], section[data-testid="editors"] a[href*="/@"], .pw-editors a[href*="/@"]',
+    ARCHIVE_LINKS: 'a[href*="/archive/"]'
+  },
+  
+  // Story page selectors
+  ARTICLE: {
+    TITLE: 'h1[data-testid="storyTitle"], h2[data-testid="articleTitle"], h1.pw-post-title, article h1',
+    SUBTITLE: 'h2.pw-subtitle-paragraph, h2[data-testid="articleSubtitle"], p[data-testid="articleSubtitle"]',
+    AUTHOR: 'a[data-testid="authorName"], [data-testid="authorName"] a, a[rel="author"]',
+    DATE: 'span[data-testid="storyPublishDate"], time[data-testid="articleDate"], span[data-testid="publishDate"], article time',
+    READ_TIME: 'span[data-testid="storyReadTime"], span[data-testid="readingTime"], span[data-testid="readTime"]',
+    CLAPS: 'div[data-testid="clapCount"], button[data-testid="clapCount"], button[data-testid="clapButton"]',
+    RESPONSES: 'button[data-testid="headerResponseButton"], a[data-testid="responsesLink"], button[data-testid="responsesButton"]',
+    TAGS: 'a[data-testid="tagLink"], div[data-testid="articleTags"] a, a[href*="/tag/"]',
+    PUBLICATION: 'a[data-testid="publicationName"], div[data-testid="publicationTitle"] a',
+    PUBLICATION_LOGO: 'img[data-testid="publicationPhoto"], img[data-testid="publicationLogo"]',
+    PUBLICATION_DESCRIPTION: 'p[data-testid="publicationDescription"], div[data-testid="publicationDescription"]',
+    PUBLICATION_FOLLOWERS: 'a[data-testid="publicationFollowers"], span[data-testid="publicationFollowerCount"]',
+    MAIN_IMAGE: 'img[data-testid="articleImage"], article figure img',
+    PREMIUM_INDICATORS: 'span[data-testid="memberOnlyBadge"], div[data-testid="premiumBadge"], div[data-testid="paywall"]',
+    SERIES_NAME: 'a[data-testid="seriesLink"], a[href*="/sequence/"]',
+    SERIES_PART: 'span[data-testid="seriesPart"]',
+    CONTENT: 'article div[data-testid="articleContent"], div[data-testid="articleBody"], article section'
+  },
+  
+  // Responses panel of a story and its /responses page. Replies are rendered
+  // inside the response they answer.
+  RESPONSES: {
+    OPEN_BUTTON: 'button[aria-label="responses"], button[data-testid="responsesButton"]',
+    CONTAINER: 'div[role="dialog"][aria-label*="esponses"], section[data-testid="responses"], div[data-testid="responsesSection"]',
+    RESPONSE: 'article[data-testid="response"], div[data-testid="responseCard"], div[data-testid="comment"]',
+    AUTHOR: 'a[data-testid="responseAuthor"], a[data-testid="authorName"], a[href*="/@"]',
+    TEXT: 'div[data-testid="responseBody"], pre',
+    DATE: 'a[data-testid="responseDate"], time',
+    CLAPS: 'div[data-testid="clapCount"], span[data-testid="responseClaps"]',
+    LINK: 'a[data-testid="responseDate"], a[href*="/p/"]',
+    // Button labels, as case-insensitive regular expressions
+    SEE_MORE: '^see more responses$',
+    SHOW_REPLIES: '^(show|see|view)? ?(all )?(\\d+ )?repl(y|ies)$'
+  },
   
   // Paywall and premium content
   PAYWALL_INDICATOR: 'div[data-testid="paywall"], div[data-testid="premiumContent"]',
@@ -79,18 +219,20 @@ export const SELECTORS = {
   CONTINUE_READING: 'button[data-testid="continueReading"], a[data-testid="continueReading"]',
   SUBSCRIPTION_PROMPT: 'div[data-testid="subscriptionPrompt"], div[data-testid="paywallPrompt"]',
   
-  // Comments and interactions
-  COMMENTS_SECTION: 'div[data-testid="commentsSection"], section[data-testid="responses"]',
-  COMMENT_COUNT: 'span[data-testid="commentCount"], div[data-testid="responseCount"]',
-  
   // Navigation and UI
   INFINITE_SCROLL_CONTAINER: 'div[data-testid="infiniteScroll"], main[data-testid="mainContent"]',
   LOADING_INDICATOR: 'div[data-testid="loading"], div[data-testid="spinner"]',
   ERROR_MESSAGE: 'div[data-testid="errorMessage"], div[data-testid="error"]',
   
-  // Publication info
-  PUBLICATION_NAME: 'a[data-testid="publicationName"], div[data-testid="publicationTitle"]',
-  PUBLICATION_LOGO: 'img[data-testid="publicationLogo"], div[data-testid="publicationImage"]',
+  // Pages served instead of the one requested: bot challenges, and Medium's
+  // not found and removed story pages. Texts are case-insensitive regular expressions.
+  ERROR_PAGE: {
+    CAPTCHA: 'iframe[src*="captcha"], iframe[src*="challenges.cloudflare.com"], #challenge-form, #cf-challenge-running, div.g-recaptcha, div.h-captcha',
+    BLOCKED_TITLE: '^(just a moment|attention required|access denied)',
+    HEADING: 'h1, h2',
+    NOT_FOUND: '^(page not found|404|this (post|story|page) (is unavailable|was (deleted|removed)|has been (deleted|removed)))',
+    DELETED: 'deleted|removed|unavailable'
+  }
 };
 
 export const GRAPHQL_QUERIES = {
@@ -159,6 +301,13 @@ export const ERROR_MESSAGES = {
   BROWSER_ERROR: 'Browser automation error',
   PROXY_ERROR: 'Proxy connection failed',
   CAPTCHA_DETECTED: 'CAPTCHA challenge detected',
+  BLOCKED: 'Blocked by Medium',
+  PAGE_NOT_FOUND: 'Page not found',
+  PAGE_DELETED: 'Page was deleted',
+  NOT_ARCHIVED: 'Not in the page archive',
+  PARSE_FAILURE: 'Failed to parse page',
+  PAYWALL_SKIPPED: 'Skipped premium content',
+  VALIDATION_FAILED: 'Record failed validation',
 };
 
 export const SUCCESS_MESSAGES = {
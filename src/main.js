@@ -1,8 +1,10 @@
 import { Actor } from 'apify';
 import { MediumScraper } from './scrapers/MediumScraper.js';
-import { createLogger } from './utils/logger.js';
+import { createLogger, configureRunLog, closeRunLog } from './utils/logger.js';
 import { exportData } from './utils/dataExporter.js';
+import { writeFailureReport } from './utils/failureReport.js';
 import { validateInput } from './utils/inputValidator.js';
+import { resolveRunId } from './utils/runCheckpoint.js';
 
 // Initialize logger
 const logger = createLogger({ actor: 'MediumScraperActor' });
@@ -10,11 +12,8 @@ const logger = createLogger({ actor: 'MediumScraperActor' });
 // Main Actor function
 Actor.main(async () => {
   try {
-    logger.info('🚀 Medium Scraper Actor starting...');
-    
     // Get input from Apify
     const input = await Actor.getInput();
-    logger.info('📋 Received input:', input);
     
     // Validate input
     const validationResult = validateInput(input);
@@ -22,9 +21,25 @@ Actor.main(async () => {
       throw new Error(`Invalid input: ${validationResult.errors.join(', ')}`);
     }
     
+    // Logs go to their own store and file, from the first line on; the default
+    // dataset only gets results
+    const runId = resolveRunId(input.runId);
+    await configureRunLog({
+      level: input.logLevel,
+      store: input.logStore,
+      storeName: input.logStoreName,
+      file: input.logFile,
+      fileMaxMb: input.logFileMaxMb,
+      runId
+    });
+    
+    logger.info('🚀 Medium Scraper Actor starting...');
+    logger.info('📋 Received input:', input);
+    
     // Create scraper instance with enhanced resource optimization
     const scraper = new MediumScraper({
       ...input,
+      runId,
       // Add resource optimization settings
       maxConcurrency: 1,
       maxRequestsPerCrawl: 3, // Reduced from 5 to 3 to match actual needs
@@ -54,15 +69,17 @@ Actor.main(async () => {
       }
     });
     
-    // Set up graceful shutdown
+    // Set up graceful shutdown; the run's dataset and checkpoint are kept so it can be resumed
     const gracefulShutdown = async (signal) => {
       logger.info(`Received ${signal}, shutting down gracefully...`);
-      await scraper.cleanup();
+      await scraper.shutdown(signal);
+      await closeRunLog();
       process.exit(0);
     };
     
     process.on('SIGINT', () => gracefulShutdown('SIGINT'));
     process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
+    Actor.on('migrating', () => gracefulShutdown('migrating'));
     
     // Start scraping
     logger.info('🔄 Starting scraping process...');
@@ -73,15 +90,79 @@ Actor.main(async () => {
     const endTime = Date.now();
     const duration = (endTime - startTime) / 1000;
     
+    // NDJSON runs stream articles to disk instead of returning them
+    const articlesCount = results.output ? results.output.totalRecords : results.articles.length;
+    
     logger.info(`✅ Scraping completed in ${duration}s`);
-    logger.info(`📊 Results: ${results.articles.length} articles extracted`);
+    logger.info(`📊 Results: ${articlesCount} articles extracted from ${results.authors.length} author(s), ${results.publications.length} publication(s) and ${results.tagFeeds.length} tag feed(s)`);
+    
+    if (results.skippedArticleUrls.length > 0) {
+      logger.warn(`⚠️ Skipped ${results.skippedArticleUrls.length} input URL(s) that are not article pages`);
+    }
+    
+    if (results.incremental) {
+      const { counts } = results.incremental;
+      logger.info(`🔁 Incremental run: ${counts.new} new, ${counts.updated} updated, ${counts.unchanged} unchanged and ${counts['unchanged-skipped']} skipped article(s)`);
+    }
+    
+    if (results.robots?.skipped.length > 0) {
+      logger.warn(`⚠️ Skipped ${results.robots.skipped.length} URL(s) disallowed by robots.txt`);
+    }
+    
+    if (results.rateLimit?.throttles > 0) {
+      logger.warn(`⚠️ Throttled ${results.rateLimit.throttles} time(s), request rate ended at ${results.rateLimit.currentRate}/s of ${results.rateLimit.maxRate}/s`);
+    }
+    
+    if (results.selectorHealth?.drift.length > 0) {
+      const fields = results.selectorHealth.drift.map(({ field, fillRate, baselineFillRate }) => `${field} (${baselineFillRate} -> ${fillRate})`);
+      logger.warn(`⚠️ Selector drift, fill rates dropped against the baseline: ${fields.join(', ')}`);
+    }
+    
+    if (results.failures?.entries.length > 0) {
+      const classes = Object.entries(results.failures.byClass).map(([errorClass, count]) => `${errorClass} ${count}`);
+      logger.warn(`⚠️ ${results.failures.failed} URL(s) failed and ${results.failures.skipped} were skipped: ${classes.join(', ')}`);
+    }
+    
+    const failedSources = [...results.authors, ...results.publications, ...results.tagFeeds].filter(source => source.status === 'failed');
+    if (failedSources.length > 0) {
+      logger.warn(`⚠️ ${failedSources.length} source(s) failed: ${failedSources.map(source => source.source.url).join(', ')}`);
+    }
     
     // Export results in requested format
-    if (results.articles.length > 0) {
-      const exportResult = await exportData(results, input.outputFormat || 'json');
+    if (results.output && articlesCount > 0) {
+      logger.info(`💾 Articles streamed to ${results.output.parts.length} NDJSON part(s), manifest ${results.output.manifest}`);
+      
+      const { articles, ...summary } = results;
+      await Actor.pushData({
+        type: 'final_results',
+        data: summary,
+        exportInfo: results.output,
+        metadata: {
+          scrapedAt: new Date().toISOString(),
+          duration,
+          articlesCount,
+          authorsCount: results.authors.length,
+          publicationsCount: results.publications.length,
+          tagFeedsCount: results.tagFeeds.length,
+          successRate: results.stats.successRate,
+          paywallRate: results.stats.paywallRate,
+          errorsCount: results.stats.errors
+        }
+      });
+    } else if (articlesCount > 0) {
+      const exportResult = await exportData(results, input.outputFormat || 'json', './output', {
+        imageWidth: input.htmlImageWidth,
+        csvColumns: input.csvColumns,
+        csvDelimiter: input.csvDelimiter,
+        csvBom: input.csvBom,
+        sqlitePath: input.sqlitePath
+      });
       
       if (exportResult.success) {
         logger.info(`💾 Data exported successfully to ${exportResult.filename}`);
+        if (exportResult.failuresFile) {
+          logger.info(`💾 Failures report written to ${exportResult.failuresFile}`);
+        }
         
         // Push results to Apify dataset
         await Actor.pushData({
@@ -92,6 +173,9 @@ Actor.main(async () => {
             scrapedAt: new Date().toISOString(),
             duration,
             articlesCount: results.articles.length,
+            authorsCount: results.authors.length,
+            publicationsCount: results.publications.length,
+            tagFeedsCount: results.tagFeeds.length,
             successRate: results.stats.successRate,
             paywallRate: results.stats.paywallRate,
             errorsCount: results.stats.errors
@@ -103,10 +187,22 @@ Actor.main(async () => {
     } else {
       logger.warn('⚠️ No articles found to export');
       
+      // A run that produced nothing is the one whose failures matter most
+      const failuresFile = results.failures
+        ? await writeFailureReport(results.failures, `./output/failures-${new Date().toISOString().replace(/[:.]/g, '-')}.json`)
+        : null;
+      
       await Actor.pushData({
         type: 'no_results',
-        message: 'No articles found for the specified author',
-        authorUrl: input.authorUrl,
+        message: 'No articles found for the specified authors, publications and tag feeds',
+        authorUrls: results.authors.map(author => author.source.url),
+        publicationUrls: results.publications.map(publication => publication.source.url),
+        tagFeeds: results.tagFeeds.map(tagFeed => tagFeed.source.url),
+        articleUrlsCount: (input.articleUrls || []).length,
+        skippedArticleUrls: results.skippedArticleUrls,
+        incremental: results.incremental,
+        failures: results.failures,
+        failuresFile,
         scrapedAt: new Date().toISOString(),
         duration
       });
@@ -129,5 +225,7 @@ Actor.main(async () => {
     });
     
     throw error;
+  } finally {
+    await closeRunLog();
   }
 });
\ No newline at end of file
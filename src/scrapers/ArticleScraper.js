@@ -1,13 +1,27 @@
 import { createLogger } from '../utils/logger.js';
 import { MEDIUM_CONSTANTS, SELECTORS, ERROR_MESSAGES } from '../config/constants.js';
-import { cleanText, extractReadingTime, formatDate, calculateReadTime } from '../utils/contentProcessor.js';
+import { cleanText, extractReadingTime, formatDate, calculateReadTime, extractPostIdFromUrl } from '../utils/contentProcessor.js';
+import { loadApolloGraph } from '../utils/apolloParser.js';
+import { blocksFromParagraphs, createBlock } from '../utils/contentBlocks.js';
+import { apolloSource, domSource, combineSources, matchSelectors, sourcesFromRecord } from '../utils/selectorHealth.js';
+import { ParseFailureError } from '../utils/scrapeErrors.js';
+import { ResponseScraper } from './ResponseScraper.js';
+
+const ARTICLE_FIELDS = ['title', 'subtitle', 'author', 'date', 'readTime', 'claps', 'responses', 'tags', 'mainImage'];
+const PUBLICATION_FIELDS = ['name', 'logo', 'description', 'followers'];
 
 export class ArticleScraper {
-  constructor(page, input = {}, paywallInfo = {}) {
+  constructor(page, input = {}, paywallInfo = {}, options = {}) {
     this.page = page;
     this.input = input;
     this.paywallInfo = paywallInfo;
+    this.politeness = { rateLimiter: options.rateLimiter || null, robots: options.robots || null };
     this.logger = createLogger({ scraper: 'ArticleScraper', url: page.url() });
+    this.graph = null;
+    this.post = null;
+    
+    // Where each extracted field came from, for the run's selector health report
+    this.fieldSources = [];
   }
 
   async scrapeArticle() {
@@ -21,7 +35,7 @@ export class ArticleScraper {
       const articleInfo = await this.extractArticleInfo();
       
       if (!articleInfo) {
-        throw new Error('Failed to extract article information');
+        throw new ParseFailureError(this.page.url(), 'Failed to extract article information');
       }
       
       // Extract content if requested
@@ -30,23 +44,24 @@ export class ArticleScraper {
         content = await this.extractArticleContent();
       }
       
-      // Extract comments if requested
-      let comments = null;
-      if (this.input.includeComments) {
-        comments = await this.extractArticleComments();
-      }
-      
       // Extract publication info if requested
       let publication = null;
       if (this.input.includePublication) {
         publication = await this.extractPublicationInfo();
       }
       
+      // Responses come last: opening them can navigate away from the story
+      let comments = null;
+      if (this.input.includeComments) {
+        comments = articleInfo.responses === 0 ? [] : await this.extractArticleComments(articleInfo);
+      }
+      
       return {
         ...articleInfo,
         content,
         comments,
-        publication,
+        // Without includePublication the name and URL of the post's publication are kept
+        publication: publication || (articleInfo.publication?.name ? articleInfo.publication : null),
         paywallInfo: this.paywallInfo,
         scrapedAt: new Date().toISOString()
       };
@@ -81,67 +96,19 @@ export class ArticleScraper {
 
   async extractArticleInfo() {
     try {
+      // Prefer the Apollo state Medium embeds in the page
+      this.graph = await loadApolloGraph(this.page);
+      this.post = this.graph?.getRootPost() || null;
+      
+      if (this.post) {
+        const info = ArticleScraper.articleInfoFromGraph(this.graph, this.post, this.page.url());
+        this.fieldSources.push({ scope: 'article', sources: sourcesFromRecord(info, ARTICLE_FIELDS, apolloSource('Post')) });
+        return info;
+      }
+      
+      this.logger.warn('No Apollo post found, falling back to DOM extraction');
+      
       const articleInfo = await this.page.evaluate((selectors) => {
-        // First try to extract data from Apollo state
-        let apolloData = null;
-        try {
-          // Extract Apollo state data
-          const apolloScript = document.querySelector('script:contains("__APOLLO_STATE__")');
-          if (apolloScript) {
-            const scriptContent = apolloScript.innerHTML;
-            const apolloStateMatch = scriptContent.match(/window\.__APOLLO_STATE__\s*=\s*(\{.*\})/s);
-            
-            if (apolloStateMatch && apolloStateMatch[1]) {
-              const apolloState = JSON.parse(apolloStateMatch[1]);
-              
-              // Find post reference in ROOT_QUERY
-              const rootQuery = apolloState.ROOT_QUERY;
-              const postKey = Object.keys(rootQuery).find(k => k.startsWith("post("));
-              
-              if (postKey && rootQuery[postKey].__ref) {
-                const postRef = rootQuery[postKey].__ref;
-                const post = apolloState[postRef];
-                
-                if (post) {
-                  // Extract post data
-                  apolloData = {
-                    title: post.title || '',
-                    subtitle: post.subtitle || '',
-                    author: post.creator?.name || '',
-                    authorUrl: post.creator?.username ? `https://medium.com/@${post.creator.username}` : '',
-                    date: post.firstPublishedAt || post.createdAt || '',
-                    readTime: post.readingTime || '',
-                    claps: post.clapCount || 0,
-                    responses: post.responseCount || 0,
-                    tags: (post.tags || []).map(tag => tag.name || '').filter(Boolean),
-                    publication: {
-                      name: post.collection?.name || '',
-                      url: post.collection?.slug ? `https://medium.com/${post.collection.slug}` : ''
-                    },
-                    mainImage: post.previewImage?.id ? `https://miro.medium.com/${post.previewImage.id}` : '',
-                    isPremium: post.isLocked || post.isMembers || false,
-                    url: window.location.href,
-                    series: post.sequence ? {
-                      name: post.sequence.title || '',
-                      url: post.sequence.slug ? `https://medium.com/sequence/${post.sequence.slug}` : '',
-                      part: post.sequenceIndex || ''
-                    } : null,
-                    // Store paragraph references for content extraction
-                    paragraphRefs: post.content?.bodyModel?.paragraphs || []
-                  };
-                  
-                  // Store the Apollo state for content extraction
-                  window.__EXTRACTED_APOLLO_STATE__ = apolloState;
-                  return apolloData;
-                }
-              }
-            }
-          }
-        } catch (apolloError) {
-          console.error('Error extracting Apollo data:', apolloError);
-        }
-        
-        // Fallback to DOM-based extraction if Apollo extraction fails
         const title = document.querySelector(selectors.ARTICLE.TITLE)?.textContent?.trim() || '';
         const subtitle = document.querySelector(selectors.ARTICLE.SUBTITLE)?.textContent?.trim() || '';
         const author = document.querySelector(selectors.ARTICLE.AUTHOR)?.textContent?.trim() || '';
@@ -201,22 +168,80 @@ export class ArticleScraper {
       }, SELECTORS);
       
       // Clean and validate data
-      return {
+      const info = {
+        postId: extractPostIdFromUrl(this.page.url()),
         ...articleInfo,
         title: cleanText(articleInfo.title),
         subtitle: cleanText(articleInfo.subtitle),
         author: cleanText(articleInfo.author),
         date: this.parseArticleDate(articleInfo.date),
+        latestPublishedAt: null,
         readTime: extractReadingTime(articleInfo.readTime),
         url: this.page.url()
       };
       
+      const matches = await matchSelectors(this.page, {
+        title: SELECTORS.ARTICLE.TITLE,
+        subtitle: SELECTORS.ARTICLE.SUBTITLE,
+        author: SELECTORS.ARTICLE.AUTHOR,
+        date: SELECTORS.ARTICLE.DATE,
+        readTime: SELECTORS.ARTICLE.READ_TIME,
+        claps: SELECTORS.ARTICLE.CLAPS,
+        responses: SELECTORS.ARTICLE.RESPONSES,
+        tags: SELECTORS.ARTICLE.TAGS,
+        mainImage: SELECTORS.ARTICLE.MAIN_IMAGE
+      });
+      this.fieldSources.push({ scope: 'article', sources: combineSources(info, matches) });
+      
+      return info;
+      
     } catch (error) {
       this.logger.error('Failed to extract article info', error);
       throw error;
     }
   }
 
+  static articleInfoFromGraph(graph, post, url) {
+    const creator = post.creatorId ? graph.getUser(post.creatorId) : null;
+    const collection = post.collectionId ? graph.getCollection(post.collectionId) : null;
+    
+    return {
+      postId: post.id,
+      title: cleanText(post.title),
+      subtitle: cleanText(post.subtitle),
+      author: cleanText(creator?.name || ''),
+      authorUrl: creator?.url || '',
+      date: post.firstPublishedAt,
+      latestPublishedAt: post.latestPublishedAt,
+      readTime: Math.ceil(post.readingTime),
+      claps: post.clapCount,
+      responses: post.responseCount,
+      tags: post.tags.map(tag => tag.name).filter(Boolean),
+      publication: {
+        name: collection?.name || '',
+        url: collection?.url || ''
+      },
+      mainImage: post.previewImage?.url || '',
+      isPremium: post.isLocked,
+      url: url || post.url,
+      series: post.sequence ? {
+        name: post.sequence.title,
+        url: post.sequence.url,
+        part: ''
+      } : null
+    };
+  }
+
+  static publicationInfoFromGraph(collection) {
+    return {
+      name: collection.name,
+      url: collection.url,
+      logo: collection.avatarUrl,
+      description: collection.description,
+      followers: collection.followerCount
+    };
+  }
+
   parseArticleDate(dateText) {
     try {
       if (!dateText) return null;
@@ -301,203 +326,25 @@ export class ArticleScraper {
       // Scroll through the article to load all content
       await this.scrollThroughArticle();
       
-      const content = await this.page.evaluate((selectors) => {
-        // First try to extract content from Apollo state
-        if (window.__EXTRACTED_APOLLO_STATE__) {
-          try {
-            const apolloState = window.__EXTRACTED_APOLLO_STATE__;
-            const content = [];
-            
-            // Find all paragraph references
-            const paragraphRefs = Object.keys(apolloState).filter(key => key.startsWith('Paragraph:'));
-            if (paragraphRefs.length > 0) {
-              // Process each paragraph
-              const processedParagraphs = paragraphRefs.map(ref => {
-                const paragraph = apolloState[ref];
-                if (!paragraph) return null;
-                
-                // Extract paragraph data based on type
-                const type = paragraph.type || '';
-                const text = paragraph.text || '';
-                
-                // Process based on paragraph type
-                switch (type) {
-                  case 'H1':
-                  case 'H2':
-                  case 'H3':
-                  case 'H4':
-                    return { type: 'heading', level: parseInt(type.substring(1), 10), text };
-                  case 'P':
-                    return { type: 'paragraph', text };
-                  case 'BQ':
-                    return { type: 'quote', text };
-                  case 'PRE':
-                    return { type: 'code', language: paragraph.codeBlockMetadata?.lang || 'unknown', code: text };
-                  case 'IMG':
-                    // Handle image - find image metadata
-                    let imageData = { type: 'image', alt: '', src: '' };
-                    if (paragraph.metadata && paragraph.metadata.__ref) {
-                      const imageRef = paragraph.metadata.__ref;
-                      const imageMetadata = apolloState[imageRef];
-                      if (imageMetadata) {
-                        imageData.alt = imageMetadata.alt || '';
-                        imageData.src = imageMetadata.id ? `https://miro.medium.com/${imageMetadata.id}` : '';
-                      }
-                    }
-                    return imageData;
-                  case 'OL':
-                  case 'UL':
-                    // Handle lists - need to extract items
-                    return { 
-                      type: 'list', 
-                      listType: type.toLowerCase(),
-                      items: paragraph.text ? paragraph.text.split('\n').filter(Boolean) : []
-                    };
-                  default:
-                    return { type: 'unknown', text };
-                }
-              }).filter(Boolean);
-              
-              // Organize content
-              let textContent = '';
-              const headings = [];
-              const paragraphs = [];
-              const lists = [];
-              const quotes = [];
-              const codeBlocks = [];
-              const images = [];
-              const links = [];
-              
-              // Process each paragraph
-              processedParagraphs.forEach(p => {
-                if (p.text) textContent += p.text + ' ';
-                
-                switch (p.type) {
-                  case 'heading':
-                    headings.push({ level: p.level, text: p.text });
-                    break;
-                  case 'paragraph':
-                    paragraphs.push(p.text);
-                    break;
-                  case 'quote':
-                    quotes.push({ text: p.text, author: '' });
-                    break;
-                  case 'code':
-                    codeBlocks.push({ language: p.language, code: p.code });
-                    break;
-                  case 'image':
-                    images.push({ src: p.src, alt: p.alt, caption: '' });
-                    break;
-                  case 'list':
-                    lists.push({ type: p.listType, items: p.items });
-                    break;
-                }
-              });
-              
-              // Add to content
-              content.push({
-                textContent,
-                headings,
-                paragraphs,
-                lists,
-                quotes,
-                codeBlocks,
-                images,
-                links,
-                wordCount: textContent.split(/\s+/).filter(word => word.length > 0).length
-              });
-              
-              return content;
-            }
-          } catch (apolloError) {
-            console.error('Error extracting content from Apollo state:', apolloError);
-          }
-        }
-        
-        // Fallback to DOM-based extraction if Apollo extraction fails
-        const contentElements = document.querySelectorAll(selectors.ARTICLE.CONTENT);
-        const content = [];
-        
-        contentElements.forEach(element => {
-          try {
-            // Extract text content
-            const textContent = element.textContent?.trim() || '';
-            
-            // Extract headings
-            const headings = Array.from(element.querySelectorAll('h1, h2, h3, h4, h5, h6'))
-              .map(h => ({
-                level: parseInt(h.tagName.substring(1), 10),
-                text: h.textContent?.trim() || ''
-              }));
-            
-            // Extract paragraphs
-            const paragraphs = Array.from(element.querySelectorAll('p'))
-              .map(p => p.textContent?.trim())
-              .filter(Boolean);
-            
-            // Extract lists
-            const lists = Array.from(element.querySelectorAll('ul, ol'))
-              .map(list => ({
-                type: list.tagName.toLowerCase(),
-                items: Array.from(list.querySelectorAll('li'))
-                  .map(li => li.textContent?.trim())
-                  .filter(Boolean)
-              }));
-            
-            // Extract quotes
-            const quotes = Array.from(element.querySelectorAll('blockquote'))
-              .map(blockquote => ({
-                text: blockquote.textContent?.trim() || '',
-                author: blockquote.querySelector('cite')?.textContent?.trim() || ''
-              }));
-            
-            // Extract code blocks
-            const codeBlocks = Array.from(element.querySelectorAll('pre, code'))
-              .map(code => ({
-                language: code.className?.match(/language-(\w+)/)?.[1] || 'unknown',
-                code: code.textContent?.trim() || ''
-              }));
-            
-            // Extract images
-            const images = Array.from(element.querySelectorAll('img'))
-              .map(img => ({
-                src: img.src || '',
-                alt: img.alt || '',
-                caption: img.getAttribute('data-caption') || ''
-              }));
-            
-            // Extract links
-            const links = Array.from(element.querySelectorAll('a[href]'))
-              .map(link => ({
-                text: link.textContent?.trim() || '',
-                url: link.href || '',
-                title: link.title || ''
-              }));
-            
-            content.push({
-              textContent,
-              headings,
-              paragraphs,
-              lists,
-              quotes,
-              codeBlocks,
-              images,
-              links,
-              wordCount: textContent.split(/\s+/).filter(word => word.length > 0).length
-            });
-            
-          } catch (error) {
-            console.error('Error extracting content element:', error);
-          }
-        });
-        
-        return content;
-      }, SELECTORS);
+      // Apollo paragraphs come in document order from the post's bodyModel
+      const paragraphs = this.graph && this.post ? this.graph.getParagraphs(this.post) : [];
+      const fromApollo = paragraphs.length > 0;
+      const blocks = fromApollo ? blocksFromParagraphs(paragraphs) : await this.extractBlocksFromDom();
+      
+      const { content: container } = fromApollo ? {} : await matchSelectors(this.page, { content: SELECTORS.ARTICLE.CONTENT });
+      this.fieldSources.push({
+        scope: 'content',
+        sources: { blocks: blocks.length === 0 ? null : (fromApollo ? apolloSource('Post') : domSource(container || 'article')) }
+      });
       
-      // Flatten and clean content
-      const flattenedContent = this.flattenContent(content);
+      if (blocks.length === 0) {
+        this.logger.warn('No article content found');
+        return null;
+      }
       
-      this.logger.info(`Extracted article content with ${flattenedContent.wordCount} words`);
+      const flattenedContent = this.flattenContent([ArticleScraper.contentFromBlocks(blocks)]);
+      
+      this.logger.info(`Extracted article content with ${blocks.length} blocks and ${flattenedContent.wordCount} words from ${fromApollo ? 'Apollo state' : 'DOM'}`);
       return flattenedContent;
       
     } catch (error) {
@@ -506,6 +353,208 @@ export class ArticleScraper {
     }
   }
 
+  async extractBlocksFromDom() {
+    // Walk the rendered article body in document order, mapping elements to Medium paragraph types
+    const rawBlocks = await this.page.evaluate((selectors) => {
+      const container = document.querySelector(selectors.ARTICLE.CONTENT) || document.querySelector('article');
+      if (!container) return [];
+      
+      const blocks = [];
+      const MARKUP_TAGS = { STRONG: 'STRONG', B: 'STRONG', EM: 'EM', I: 'EM', CODE: 'CODE', A: 'A' };
+      const HEADING_TYPES = { H1: 'H3', H2: 'H4', H3: 'H3', H4: 'H4', H5: 'H4', H6: 'H4' };
+      
+      // Collect text and inline markup offsets from an element's descendants; whitespace
+      // is collapsed while reading so the offsets match the final text
+      const readInline = (root, preserveWhitespace = false) => {
+        let text = '';
+        const markups = [];
+        
+        const append = (value) => {
+          if (preserveWhitespace) {
+            text += value;
+            return;
+          }
+          const collapsed = value.replace(/\s+/g, ' ');
+          text += /(^|\s)$/.test(text) ? collapsed.replace(/^ /, '') : collapsed;
+        };
+        
+        const visit = (node) => {
+          if (node.nodeType === 3) {
+            append(node.nodeValue);
+            return;
+          }
+          if (node.nodeType !== 1) return;
+          if (node.tagName === 'BR') {
+            append('\n');
+            return;
+          }
+          
+          const start = text.length;
+          node.childNodes.forEach(visit);
+          
+          const type = node !== root ? MARKUP_TAGS[node.tagName] : null;
+          if (type && text.length > start) {
+            const href = type === 'A' ? node.href || '' : null;
+            const userId = type === 'A' ? (href.match(/medium\.com\/u\/([a-f0-9]+)/) || [])[1] || null : null;
+            markups.push({ type, start, end: text.length, href, anchorType: userId ? 'USER' : 'LINK', userId });
+          }
+        };
+        
+        visit(root);
+        return { text, markups };
+      };
+      
+      const push = (type, element, extra = {}) => {
+        const inline = element ? readInline(element, type === 'PRE') : { text: '', markups: [] };
+        blocks.push({
+          type,
+          name: element?.id || '',
+          text: inline.text.replace(/\s+$/, ''),
+          markups: type === 'PRE' ? [] : inline.markups,
+          ...extra
+        });
+      };
+      
+      const largestSource = (img) => {
+        const sources = (img.getAttribute('srcset') || img.closest('picture')?.querySelector('source')?.getAttribute('srcset') || '')
+          .split(',')
+          .map(entry => entry.trim().split(/\s+/))
+          .filter(([url]) => url)
+          .sort((a, b) => (parseInt(b[1], 10) || 0) - (parseInt(a[1], 10) || 0));
+        return sources[0]?.[0] || img.src || '';
+      };
+      
+      const walk = (element) => {
+        const tag = element.tagName;
+        
+        if (HEADING_TYPES[tag]) {
+          push(HEADING_TYPES[tag], element);
+        } else if (tag === 'P') {
+          push('P', element);
+        } else if (tag === 'BLOCKQUOTE') {
+          const isPullQuote = /pullquote|pq/i.test(element.className || '') || element.getAttribute('data-type') === 'PQ';
+          push(isPullQuote ? 'PQ' : 'BQ', element);
+        } else if (tag === 'PRE') {
+          const language = element.getAttribute('data-code-block-lang') ||
+            ((element.className || '') + ' ' + (element.querySelector('code')?.className || '')).match(/language-([\w+#-]+)/)?.[1] || null;
+          push('PRE', element, { language });
+        } else if (tag === 'OL' || tag === 'UL') {
+          element.querySelectorAll(':scope > li').forEach(item => push(tag === 'OL' ? 'OLI' : 'ULI', item));
+        } else if (tag === 'FIGURE' || tag === 'IMG' || tag === 'IFRAME') {
+          const img = tag === 'IMG' ? element : element.querySelector('img');
+          const iframe = tag === 'IFRAME' ? element : element.querySelector('iframe');
+          const caption = tag === 'FIGURE' ? element.querySelector('figcaption') : null;
+          
+          if (iframe) {
+            push('IFRAME', caption, {
+              iframe: {
+                src: iframe.src || '',
+                title: iframe.title || '',
+                width: parseInt(iframe.getAttribute('width'), 10) || 0,
+                height: parseInt(iframe.getAttribute('height'), 10) || 0
+              }
+            });
+          } else if (img) {
+            const url = largestSource(img);
+            push('IMG', caption, {
+              image: {
+                id: (url.match(/\/([^/]+\*[^/?#]+)/) || [])[1] || '',
+                url,
+                width: parseInt(img.getAttribute('width'), 10) || 0,
+                height: parseInt(img.getAttribute('height'), 10) || 0,
+                alt: img.alt || ''
+              },
+              href: img.closest('a')?.href || null
+            });
+          }
+        } else if (element.children.length === 1 && element.children[0].tagName === 'A' &&
+                   element.children[0].querySelector('h2, h3')) {
+          // Link previews (mixtape embeds) render as a single card-like anchor
+          const link = element.children[0];
+          const thumbnail = link.querySelector('img, [style*="background-image"]');
+          push('MIXTAPE_EMBED', link, {
+            mixtape: {
+              href: link.href || '',
+              thumbnailUrl: thumbnail?.src || (thumbnail?.getAttribute('style')?.match(/url\(["']?([^"')]+)/) || [])[1] || ''
+            }
+          });
+        } else {
+          Array.from(element.children).forEach(walk);
+        }
+      };
+      
+      Array.from(container.children).forEach(walk);
+      return blocks;
+    }, SELECTORS);
+    
+    return rawBlocks
+      .filter(block => block.text || block.image || block.iframe || block.mixtape)
+      .map((block, index) => createBlock(block, index));
+  }
+
+  static contentFromBlocks(blocks) {
+    const content = {
+      textContent: '',
+      blocks,
+      headings: [],
+      paragraphs: [],
+      lists: [],
+      quotes: [],
+      codeBlocks: [],
+      images: [],
+      links: [],
+      wordCount: 0
+    };
+    let currentList = null;
+    
+    blocks.forEach(block => {
+      const { type, text } = block;
+      
+      if (text) content.textContent += text + ' ';
+      
+      // Consecutive list items form one list
+      const listType = type === 'OLI' ? 'ol' : type === 'ULI' ? 'ul' : null;
+      if (listType) {
+        if (!currentList || currentList.type !== listType) {
+          currentList = { type: listType, items: [] };
+          content.lists.push(currentList);
+        }
+        currentList.items.push(text);
+      } else {
+        currentList = null;
+      }
+      
+      switch (type) {
+        case 'H3':
+        case 'H4':
+          content.headings.push({ level: parseInt(type.substring(1), 10), text });
+          break;
+        case 'P':
+          content.paragraphs.push(text);
+          break;
+        case 'BQ':
+        case 'PQ':
+          content.quotes.push({ text, author: '' });
+          break;
+        case 'PRE':
+          content.codeBlocks.push({ language: block.language || 'unknown', code: text });
+          break;
+        case 'IMG':
+          content.images.push({ src: block.image?.url || '', alt: block.image?.alt || '', caption: text });
+          break;
+      }
+      
+      block.markups
+        .filter(markup => markup.type === 'A' && markup.anchorType !== 'USER' && markup.href)
+        .forEach(markup => {
+          content.links.push({ text: text.substring(markup.start, markup.end), url: markup.href, title: '' });
+        });
+    });
+    
+    content.wordCount = content.textContent.split(/\s+/).filter(word => word.length > 0).length;
+    return content;
+  }
+
   async scrollThroughArticle() {
     try {
       // Simulate reading behavior
@@ -545,35 +594,7 @@ export class ArticleScraper {
 
   flattenContent(contentArray) {
     try {
-      const flattened = {
-        textContent: '',
-        headings: [],
-        paragraphs: [],
-        lists: [],
-        quotes: [],
-        codeBlocks: [],
-        images: [],
-        links: [],
-        wordCount: 0
-      };
-      
-      contentArray.forEach(content => {
-        flattened.textContent += (content.textContent || '') + ' ';
-        flattened.headings.push(...(content.headings || []));
-        flattened.paragraphs.push(...(content.paragraphs || []));
-        flattened.lists.push(...(content.lists || []));
-        flattened.quotes.push(...(content.quotes || []));
-        flattened.codeBlocks.push(...(content.codeBlocks || []));
-        flattened.images.push(...(content.images || []));
-        flattened.links.push(...(content.links || []));
-        flattened.wordCount += content.wordCount || 0;
-      });
-      
-      // Clean text content
-      flattened.textContent = cleanText(flattened.textContent);
-      flattened.wordCount = flattened.textContent.split(/\s+/).filter(word => word.length > 0).length;
-      
-      return flattened;
+      return ArticleScraper.flattenContent(contentArray);
       
     } catch (error) {
       this.logger.error('Failed to flatten content', error);
@@ -581,67 +602,64 @@ export class ArticleScraper {
     }
   }
 
-  async extractArticleComments() {
-    try {
-      // Look for comments section
-      const hasComments = await this.page.evaluate((selectors) => {
-        return document.querySelector(selectors.ARTICLE.COMMENTS_SECTION) !== null;
-      }, SELECTORS);
-      
-      if (!hasComments) {
-        return [];
-      }
-      
-      // Scroll to comments section
-      await this.page.evaluate((selectors) => {
-        const commentsSection = document.querySelector(selectors.ARTICLE.COMMENTS_SECTION);
-        if (commentsSection) {
-          commentsSection.scrollIntoView({ behavior: 'smooth' });
-        }
-      }, SELECTORS);
-      
-      await this.page.waitForTimeout(2000); // Wait for comments to load
-      
-      const comments = await this.page.evaluate((selectors) => {
-        const comments = [];
-        const commentElements = document.querySelectorAll(selectors.ARTICLE.COMMENT);
-        
-        commentElements.forEach((element, index) => {
-          try {
-            const author = element.querySelector(selectors.ARTICLE.COMMENT_AUTHOR)?.textContent?.trim() || '';
-            const authorUrl = element.querySelector(selectors.ARTICLE.COMMENT_AUTHOR)?.href || '';
-            const content = element.querySelector(selectors.ARTICLE.COMMENT_CONTENT)?.textContent?.trim() || '';
-            const date = element.querySelector(selectors.ARTICLE.COMMENT_DATE)?.textContent?.trim() || '';
-            const claps = element.querySelector(selectors.ARTICLE.COMMENT_CLAPS)?.textContent?.trim() || '0';
-            
-            comments.push({
-              author,
-              authorUrl,
-              content,
-              date,
-              claps: parseInt(claps.replace(/[^\d]/g, ''), 10) || 0,
-              index
-            });
-            
-          } catch (error) {
-            console.error('Error extracting comment:', error);
-          }
-        });
-        
-        return comments;
-      }, SELECTORS);
-      
-      this.logger.info(`Extracted ${comments.length} comments from article`);
-      return comments;
-      
-    } catch (error) {
-      this.logger.warn('Failed to extract article comments', error);
-      return [];
-    }
+  static flattenContent(contentArray) {
+    const flattened = {
+      textContent: '',
+      blocks: [],
+      headings: [],
+      paragraphs: [],
+      lists: [],
+      quotes: [],
+      codeBlocks: [],
+      images: [],
+      links: [],
+      wordCount: 0
+    };
+    
+    contentArray.forEach(content => {
+      flattened.textContent += (content.textContent || '') + ' ';
+      (content.blocks || []).forEach(block => {
+        flattened.blocks.push({ ...block, index: flattened.blocks.length });
+      });
+      flattened.headings.push(...(content.headings || []));
+      flattened.paragraphs.push(...(content.paragraphs || []));
+      flattened.lists.push(...(content.lists || []));
+      flattened.quotes.push(...(content.quotes || []));
+      flattened.codeBlocks.push(...(content.codeBlocks || []));
+      flattened.images.push(...(content.images || []));
+      flattened.links.push(...(content.links || []));
+      flattened.wordCount += content.wordCount || 0;
+    });
+    
+    // Clean text content
+    flattened.textContent = cleanText(flattened.textContent);
+    flattened.wordCount = flattened.textContent.split(/\s+/).filter(word => word.length > 0).length;
+    
+    return flattened;
+  }
+
+  /**
+   * Responses to the article, threaded by parentId
+   * @param {Object} articleInfo - Article info, for its post id and URL
+   * @returns {Promise<Object[]|null>} - Responses, null when they could not be read
+   */
+  async extractArticleComments(articleInfo) {
+    const responseScraper = new ResponseScraper(this.page, this.input, articleInfo, this.politeness);
+    const responses = await responseScraper.scrapeResponses();
+    this.fieldSources.push(...responseScraper.fieldSources);
+    return responses;
   }
 
   async extractPublicationInfo() {
     try {
+      const collection = this.post?.collectionId ? this.graph.getCollection(this.post.collectionId) : null;
+      
+      if (collection) {
+        const info = ArticleScraper.publicationInfoFromGraph(collection);
+        this.fieldSources.push({ scope: 'publication', sources: sourcesFromRecord(info, PUBLICATION_FIELDS, apolloSource('Collection')) });
+        return info;
+      }
+      
       const publicationInfo = await this.page.evaluate((selectors) => {
         const publication = document.querySelector(selectors.ARTICLE.PUBLICATION);
         if (!publication) return null;
@@ -661,6 +679,17 @@ export class ArticleScraper {
         };
       }, SELECTORS);
       
+      // Stories outside a publication have no publication fields to report
+      if (publicationInfo) {
+        const matches = await matchSelectors(this.page, {
+          name: SELECTORS.ARTICLE.PUBLICATION,
+          logo: SELECTORS.ARTICLE.PUBLICATION_LOGO,
+          description: SELECTORS.ARTICLE.PUBLICATION_DESCRIPTION,
+          followers: SELECTORS.ARTICLE.PUBLICATION_FOLLOWERS
+        });
+        this.fieldSources.push({ scope: 'publication', sources: combineSources(publicationInfo, matches) });
+      }
+      
       return publicationInfo;
       
     } catch (error) {
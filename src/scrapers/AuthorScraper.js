@@ -1,12 +1,26 @@
 import { createLogger } from '../utils/logger.js';
 import { MEDIUM_CONSTANTS, SELECTORS, GRAPHQL_QUERIES } from '../config/constants.js';
-import { cleanText, extractReadingTime, formatDate, calculateReadTime } from '../utils/contentProcessor.js';
+import { cleanText, extractReadingTime, formatDate, calculateReadTime, extractPostIdFromUrl } from '../utils/contentProcessor.js';
+import { loadApolloGraph } from '../utils/apolloParser.js';
+import { apolloSource, domSource, combineSources, matchSelectors, sourcesFromRecord } from '../utils/selectorHealth.js';
+import { navigate } from '../utils/rateLimiter.js';
+import { ParseFailureError, rethrowUnlessSkippable } from '../utils/scrapeErrors.js';
+
+const LISTING_FIELDS = ['title', 'subtitle', 'url', 'date', 'readTime'];
+const PROFILE_FIELDS = ['about', 'badges', 'newsletter', 'pinnedPost', 'publications', 'lists'];
 
 export class AuthorScraper {
-  constructor(page, input = {}) {
+  constructor(page, input = {}, options = {}) {
     this.page = page;
     this.input = input;
+    this.politeness = { rateLimiter: options.rateLimiter || null, robots: options.robots || null };
     this.logger = createLogger({ scraper: 'AuthorScraper', url: page.url() });
+    this.graph = null;
+    this.user = null;
+    
+    // Where each extracted field came from, for the run's selector health report
+    this.fieldSources = [];
+    this.listingSelector = null;
   }
 
   async scrapeAuthor() {
@@ -20,7 +34,7 @@ export class AuthorScraper {
       const authorInfo = await this.extractAuthorInfo();
       
       if (!authorInfo) {
-        throw new Error('Failed to extract author information');
+        throw new ParseFailureError(this.page.url(), 'Failed to extract author information');
       }
       
       // Extract author articles with infinite scroll
@@ -29,8 +43,12 @@ export class AuthorScraper {
       // Filter articles based on input criteria
       const filteredArticles = this.filterArticles(articles);
       
+      // Read last: the About fallback navigates away from the profile
+      const profile = await this.extractAuthorProfile(authorInfo);
+      
       return {
         ...authorInfo,
+        ...profile,
         articles: filteredArticles,
         totalArticles: articles.length,
         filteredCount: filteredArticles.length,
@@ -68,6 +86,10 @@ export class AuthorScraper {
     }
   }
 
+  /**
+   * Header fields of the profile: the Apollo user, completed from the DOM
+   * @returns {Promise<Object|null>} - Author info, null when no name or profile could be read
+   */
   async extractAuthorInfo() {
     try {
       // Check if page is still open
@@ -75,8 +97,13 @@ export class AuthorScraper {
         throw new Error('Page has been closed');
       }
 
-      // Add wait for page stability
-      await this.page.waitForLoadState('networkidle', { timeout: 10000 });
+      // Add wait for page stability (Medium rarely goes fully idle, so a timeout is not fatal)
+      await this.page.waitForLoadState('networkidle', { timeout: 10000 }).catch(() => {});
+      
+      // Profile fields from the Apollo User entity take precedence over the DOM
+      this.graph = await loadApolloGraph(this.page);
+      this.user = this.graph?.getRootUser() || this.graph?.getUser(getUsernameFromUrl(this.page.url())) || null;
+      const apolloInfo = this.user ? AuthorScraper.authorInfoFromGraph(this.user) : {};
       
       const authorInfo = await this.page.evaluate((selectors) => {
         const name = document.querySelector(selectors.AUTHOR.NAME)?.textContent?.trim() || '';
@@ -112,7 +139,35 @@ export class AuthorScraper {
           publications,
           url: window.location.href
         };
-      }, SELECTORS);
+      }, SELECTORS).catch(error => {
+        if (!this.user) throw error;
+        this.logger.warn('DOM author extraction failed, using Apollo data only', error);
+        return { socialLinks: [], publications: [], url: this.page.url() };
+      });
+      
+      Object.entries(apolloInfo).forEach(([key, value]) => {
+        if (value !== '' && value !== null && value !== undefined) {
+          authorInfo[key] = value;
+        }
+      });
+      
+      const matches = await matchSelectors(this.page, {
+        name: SELECTORS.AUTHOR.NAME,
+        bio: SELECTORS.AUTHOR.BIO,
+        followers: SELECTORS.AUTHOR.FOLLOWERS,
+        following: SELECTORS.AUTHOR.FOLLOWING,
+        avatar: SELECTORS.AUTHOR.AVATAR,
+        username: SELECTORS.AUTHOR.USERNAME,
+        socialLinks: SELECTORS.AUTHOR.SOCIAL_LINKS,
+        publications: SELECTORS.AUTHOR.PUBLICATIONS
+      });
+      this.fieldSources.push({ scope: 'author', sources: combineSources(authorInfo, matches, apolloInfo, 'User') });
+      
+      // Neither the Apollo user nor the header gave a name: not a profile we can read
+      if (!cleanText(authorInfo.name)) {
+        this.logger.warn(`No author name found on ${this.page.url()}`);
+        return null;
+      }
       
       // Clean and validate data
       return {
@@ -125,21 +180,271 @@ export class AuthorScraper {
       
     } catch (error) {
       this.logger.error('Failed to extract author info', error);
-      // Return default/empty author info instead of throwing
+      // scrapeAuthor() fails the page with a ParseFailureError, retried by its policy
+      return null;
+    }
+  }
+
+  /**
+   * Profile fields beyond the header (About, badges, newsletter, pinned post,
+   * publications, Lists) from the Apollo user. Without an About section in the
+   * cache, and with includeAuthorAbout, the /about page fills the gaps.
+   * @param {Object} authorInfo - Header fields from extractAuthorInfo()
+   * @returns {Promise<Object>} - Profile fields, plus mediumMemberAt when only the About page has it
+   */
+  async extractAuthorProfile(authorInfo) {
+    // The live cache has grown while the posts were scrolled in
+    const graph = await loadApolloGraph(this.page).catch(() => null) || this.graph;
+    const user = graph ? (this.user ? graph.getUser(this.user.id) : graph.getRootUser()) : null;
+    const apolloProfile = graph && user ? graph.getUserProfile(user) : null;
+
+    let profile = AuthorScraper.profileFromGraph(apolloProfile, authorInfo);
+    let sources = sourcesFromRecord(profile, PROFILE_FIELDS, apolloSource('User'));
+
+    if (!profile.pinnedPost) {
+      profile.pinnedPost = await this.extractPinnedPost();
+      if (profile.pinnedPost) sources.pinnedPost = domSource('text:Pinned');
+    }
+
+    if (!profile.about && this.input.includeAuthorAbout) {
+      try {
+        await navigate(this.page, getAboutUrl(authorInfo.url || this.page.url()), {
+          waitUntil: 'domcontentloaded',
+          timeout: MEDIUM_CONSTANTS.NAVIGATION_TIMEOUT
+        }, this.politeness);
+        await this.page.waitForTimeout(1000 + Math.random() * 1000);
+
+        const about = await this.extractAboutPage(user);
+        profile = AuthorScraper.mergeProfiles(profile, about.profile);
+        sources = { ...about.sources, ...Object.fromEntries(Object.entries(sources).filter(([, source]) => source)) };
+      } catch (error) {
+        rethrowUnlessSkippable(error);
+        this.logger.warn('Failed to read the author About page', error);
+      }
+    }
+
+    if (profile.mediumMemberAt && authorInfo.mediumMemberAt) {
+      delete profile.mediumMemberAt;
+    }
+
+    this.fieldSources.push({ scope: 'profile', sources });
+    return profile;
+  }
+
+  /**
+   * Profile fields of an author's /about page: the Apollo user of that page,
+   * else its rendered About section, badges, newsletter link and Lists
+   * @param {ApolloUser|null} user - User read on the profile page
+   * @returns {Promise<{ profile: Object, sources: Object }>} - Profile fields and where they came from
+   */
+  async extractAboutPage(user = null) {
+    const graph = await loadApolloGraph(this.page);
+    const aboutUser = graph ? ((user && graph.getUser(user.id)) || graph.getRootUser()) : null;
+    const apolloProfile = aboutUser ? graph.getUserProfile(aboutUser) : null;
+
+    const dom = await this.page.evaluate((selectors) => {
+      const container = document.querySelector(selectors.AUTHOR_ABOUT.ABOUT);
+      const paragraphs = container
+        ? Array.from(container.querySelectorAll('p, h2, h3, li')).map(element => element.textContent?.trim()).filter(Boolean)
+        : [];
+
+      const memberSincePattern = new RegExp(selectors.AUTHOR_ABOUT.MEMBER_SINCE, 'i');
+      const memberSince = Array.from(document.querySelectorAll('p, span'))
+        .map(element => element.textContent?.trim().match(memberSincePattern))
+        .find(Boolean);
+
       return {
-        name: 'Unknown',
-        bio: '',
-        followers: 0,
-        following: 0,
-        avatar: '',
-        username: '',
-        socialLinks: [],
-        publications: [],
-        url: this.page.url()
+        about: paragraphs.length > 0 ? paragraphs.join('\n\n') : container?.textContent?.trim() || '',
+        memberSince: memberSince ? memberSince[1] : null,
+        topWriter: Array.from(document.querySelectorAll(selectors.AUTHOR_ABOUT.TOP_WRITER)).map(element => element.textContent?.trim() || ''),
+        bookAuthor: document.querySelector(selectors.AUTHOR_ABOUT.BOOK_AUTHOR) !== null,
+        newsletter: document.querySelector(selectors.AUTHOR_ABOUT.NEWSLETTER)?.href?.split('?')[0] || null,
+        lists: Array.from(document.querySelectorAll(selectors.AUTHOR_ABOUT.LISTS)).map(link => ({
+          name: link.textContent?.trim() || '',
+          url: link.href.split('?')[0]
+        })),
+        publications: Array.from(document.querySelectorAll(selectors.AUTHOR.PUBLICATIONS)).map(link => ({
+          name: link.textContent?.trim() || '',
+          url: link.href.split('?')[0],
+          role: link.querySelector(selectors.AUTHOR.PUBLICATION_ROLE)?.textContent?.trim() || 'writer'
+        }))
       };
+    }, SELECTORS);
+
+    const badges = [
+      ...(dom.memberSince ? [{ type: 'member', label: 'Medium member' }] : []),
+      ...dom.topWriter.filter(Boolean).map(label => ({
+        type: 'top_writer',
+        label: cleanText(label),
+        topic: cleanText(label.replace(/^top writer in\s*/i, ''))
+      })),
+      ...(dom.bookAuthor ? [{ type: 'book_author', label: 'Book author' }] : [])
+    ];
+
+    const lists = new Map();
+    dom.lists.forEach(list => {
+      if (!lists.has(list.url) && list.name) {
+        lists.set(list.url, {
+          id: (list.url.match(/-([a-f0-9]{8,16})\/?$/) || [])[1] || '',
+          name: cleanText(list.name),
+          description: '',
+          url: list.url,
+          itemCount: null
+        });
+      }
+    });
+
+    const domProfile = {
+      about: dom.about,
+      badges,
+      newsletter: dom.newsletter ? { id: '', name: '', description: '', url: dom.newsletter, subscribers: null } : null,
+      pinnedPost: null,
+      publications: dom.publications.filter(publication => publication.name).map(publication => ({ ...publication, name: cleanText(publication.name) })),
+      lists: Array.from(lists.values()),
+      mediumMemberAt: dom.memberSince ? formatDate(dom.memberSince) : null
+    };
+
+    const matches = await matchSelectors(this.page, {
+      about: SELECTORS.AUTHOR_ABOUT.ABOUT,
+      badges: SELECTORS.AUTHOR_ABOUT.TOP_WRITER,
+      newsletter: SELECTORS.AUTHOR_ABOUT.NEWSLETTER,
+      publications: SELECTORS.AUTHOR.PUBLICATIONS,
+      lists: SELECTORS.AUTHOR_ABOUT.LISTS
+    });
+
+    // The member-since line has no selector of its own
+    if (!matches.badges && badges.length > 0) matches.badges = 'text:Medium member since';
+
+    const apolloFields = AuthorScraper.profileFromGraph(apolloProfile);
+    const profile = AuthorScraper.mergeProfiles(apolloFields, domProfile);
+
+    return { profile, sources: combineSources(profile, matches, apolloFields, apolloProfile ? 'User' : null) };
+  }
+
+  /**
+   * Story card of the profile labelled "Pinned"
+   * @returns {Promise<{ postId: string|null, title: string, url: string }|null>}
+   */
+  async extractPinnedPost() {
+    const pinned = await this.page.evaluate((selectors) => {
+      const pattern = new RegExp(selectors.AUTHOR.PINNED_LABEL, 'i');
+      const label = Array.from(document.querySelectorAll('article span, article p, article div'))
+        .find(element => element.children.length === 0 && pattern.test(element.textContent?.trim() || ''));
+      const link = label?.closest('article')?.querySelector('a[href*="/@"], a[href*="/p/"]');
+
+      return link
+        ? { title: link.querySelector('h2, h3')?.textContent?.trim() || link.textContent?.trim() || '', url: link.href.split('?')[0] }
+        : null;
+    }, SELECTORS).catch(() => null);
+
+    return pinned ? { postId: extractPostIdFromUrl(pinned.url), title: cleanText(pinned.title), url: pinned.url } : null;
+  }
+
+  /**
+   * Profile fields from an Apollo profile, with the header's publications merged in
+   * @param {ApolloUserProfile|null} apolloProfile - From ApolloGraph.getUserProfile()
+   * @param {Object} authorInfo - Header fields, for their publications
+   * @returns {Object} - about, badges, newsletter, pinnedPost, publications, lists
+   */
+  static profileFromGraph(apolloProfile, authorInfo = {}) {
+    return {
+      about: apolloProfile?.about || '',
+      badges: apolloProfile?.badges || [],
+      newsletter: apolloProfile?.newsletter || null,
+      pinnedPost: apolloProfile?.pinnedPost || null,
+      publications: mergePublications(apolloProfile?.publications || [], authorInfo.publications || []),
+      lists: apolloProfile?.lists || []
+    };
+  }
+
+  /**
+   * Fill the empty fields of a profile from another one; publications are merged
+   */
+  static mergeProfiles(profile, fallback) {
+    const merged = { ...profile };
+
+    Object.entries(fallback).forEach(([key, value]) => {
+      if (key === 'publications') {
+        merged.publications = mergePublications(merged.publications || [], value);
+      } else if (isEmpty(merged[key]) && !isEmpty(value)) {
+        merged[key] = value;
+      }
+    });
+
+    return merged;
+  }
+
+  static authorInfoFromGraph(user) {
+    return {
+      userId: user.id,
+      name: user.name,
+      bio: user.bio,
+      followers: user.followerCount,
+      following: user.followingCount,
+      avatar: user.avatarUrl,
+      username: user.username,
+      mediumMemberAt: user.mediumMemberAt,
+      url: user.url
+    };
+  }
+
+  static articlesFromGraph(graph, posts) {
+    return posts.map((post, index) => {
+      const collection = post.collectionId ? graph.getCollection(post.collectionId) : null;
+      
+      return {
+        postId: post.id,
+        title: cleanText(post.title),
+        subtitle: cleanText(post.subtitle),
+        url: post.url,
+        date: post.firstPublishedAt,
+        latestPublishedAt: post.latestPublishedAt,
+        readTime: Math.ceil(post.readingTime),
+        claps: post.clapCount,
+        responses: post.responseCount,
+        tags: post.tags.map(tag => tag.name).filter(Boolean),
+        publication: {
+          name: collection?.name || '',
+          url: collection?.url || ''
+        },
+        image: post.previewImage?.url || '',
+        isPremium: post.isLocked,
+        index,
+        scrapedAt: new Date().toISOString()
+      };
+    }).filter(article => article.url);
+  }
+
+  async extractArticlesFromApollo() {
+    try {
+      // Re-read the graph: the live Apollo cache grows as more posts are loaded
+      const graph = await loadApolloGraph(this.page);
+      const user = graph ? (this.user ? graph.getUser(this.user.id) : graph.getRootUser()) : null;
+      
+      if (!graph || !user) {
+        return [];
+      }
+      
+      return AuthorScraper.articlesFromGraph(graph, graph.getUserPosts(user));
+    } catch (error) {
+      this.logger.warn('Failed to extract articles from Apollo state', error);
+      return [];
     }
   }
 
+  mergeArticles(apolloArticles, domArticles) {
+    // Apollo records are richer; DOM records only fill in posts the cache does not know
+    const knownIds = new Set(apolloArticles.map(article => article.postId));
+    const knownUrls = new Set(apolloArticles.map(article => article.url));
+    
+    const domOnly = domArticles.filter(article => {
+      const postId = extractPostIdFromUrl(article.url);
+      return !(postId && knownIds.has(postId)) && !knownUrls.has(article.url);
+    });
+    
+    return [...apolloArticles, ...domOnly];
+  }
+
   async extractAuthorArticles() {
     try {
       this.logger.info('Starting to extract author articles');
@@ -176,12 +481,16 @@ export class AuthorScraper {
         this.logger.info(`Scroll ${scrollCount + 1}: Looking for articles...`);
         
         // Extract current articles
-        const currentArticles = await this.extractArticlesFromCurrentView();
+        const currentArticles = this.mergeArticles(
+          await this.extractArticlesFromApollo(),
+          await this.extractArticlesFromCurrentView()
+        );
         this.logger.info(`Found ${currentArticles.length} articles in current view`);
         
         // Add new articles
         const newArticles = currentArticles.filter(article => 
-          !articles.some(existing => existing.url === article.url)
+          !articles.some(existing => existing.url === article.url ||
+            (article.postId && existing.postId === article.postId))
         );
         
         articles.push(...newArticles);
@@ -201,6 +510,13 @@ export class AuthorScraper {
       }
       
       this.logger.info(`Extracted ${articles.length} articles from author page`);
+      
+      // Cards the Apollo cache knew carry a post id; the rest were read from the DOM
+      articles.forEach(article => this.fieldSources.push({
+        scope: 'listing',
+        sources: sourcesFromRecord(article, LISTING_FIELDS, article.postId ? apolloSource('Post') : domSource(this.listingSelector))
+      }));
+      
       return articles;
       
     } catch (error) {
@@ -228,19 +544,23 @@ export class AuthorScraper {
         };
         
         // Try different approaches to find article elements
-        let articleElements = document.querySelectorAll(selectors.AUTHOR.ARTICLE_LINKS);
+        let linkSelector = selectors.AUTHOR.ARTICLE_LINKS;
+        let articleElements = document.querySelectorAll(linkSelector);
         
         // If no elements found, try alternative selectors
         if (articleElements.length === 0) {
-          articleElements = document.querySelectorAll('article a');
+          linkSelector = 'article a';
+          articleElements = document.querySelectorAll(linkSelector);
         }
         
         if (articleElements.length === 0) {
-          articleElements = document.querySelectorAll('article h2 a, article h3 a');
+          linkSelector = 'article h2 a, article h3 a';
+          articleElements = document.querySelectorAll(linkSelector);
         }
         
         if (articleElements.length === 0) {
-          articleElements = document.querySelectorAll('[data-testid*="post"] a, [data-testid*="article"] a');
+          linkSelector = '[data-testid*="post"] a, [data-testid*="article"] a';
+          articleElements = document.querySelectorAll(linkSelector);
         }
         
         // Process each article element
@@ -304,11 +624,15 @@ export class AuthorScraper {
         return {
           pageAnalysis,
           foundElements: articleElements.length,
+          linkSelector: articleElements.length > 0
+            ? linkSelector.split(',').map(part => part.trim()).find(part => articleElements[0].matches(part)) || linkSelector
+            : null,
           articles: articles
         };
         
       }, SELECTORS);
       
+      this.listingSelector = result.linkSelector || this.listingSelector;
       return result.articles;
       
     } catch (error) {
@@ -317,6 +641,78 @@ export class AuthorScraper {
     }
   }
 
+  async extractStoryLinks(options = {}) {
+    try {
+      const stories = await this.page.evaluate(({ selectors, hosts }) => {
+        const seen = new Set();
+        const stories = [];
+
+        // Story URLs end with the post id, e.g. /some-title-1a2b3c4d5e6f
+        Array.from(document.querySelectorAll('a[href]')).forEach((link, index) => {
+          let url;
+          try {
+            url = new URL(link.href);
+          } catch {
+            return;
+          }
+
+          if (hosts && !hosts.includes(url.hostname)) return;
+          if (!/-[a-f0-9]{8,12}$/.test(url.pathname)) return;
+
+          const cleanUrl = `${url.origin}${url.pathname}`;
+          if (seen.has(cleanUrl)) return;
+
+          const container = link.closest('article') || link.closest('div[data-testid]') || link.parentElement;
+          const title = container?.querySelector('h2, h3')?.textContent?.trim() || link.textContent?.trim() || '';
+          if (!title) return;
+          seen.add(cleanUrl);
+
+          stories.push({
+            title,
+            subtitle: container?.querySelector('h4, p')?.textContent?.trim() || '',
+            url: cleanUrl,
+            date: container?.querySelector('time')?.getAttribute('datetime') || container?.querySelector('time')?.textContent?.trim() || '',
+            readTime: container?.querySelector(selectors.AUTHOR.ARTICLE_READ_TIME)?.textContent?.trim() || '',
+            claps: 0,
+            responses: 0,
+            tags: [],
+            publication: {
+              name: '',
+              url: ''
+            },
+            image: container?.querySelector('img')?.src || '',
+            isPremium: Boolean(container?.querySelector(selectors.AUTHOR.PREMIUM_INDICATORS)),
+            index,
+            scrapedAt: new Date().toISOString()
+          });
+        });
+
+        return stories;
+      }, { selectors: SELECTORS, hosts: options.hosts || null });
+
+      // Tag feeds and archives embed the posts they list in the Apollo cache;
+      // their edit date lets incremental runs skip the ones that did not change
+      const graph = await loadApolloGraph(this.page).catch(() => null);
+
+      return stories.map(story => {
+        const postId = extractPostIdFromUrl(story.url) || null;
+        const post = postId && graph ? graph.getPost(postId) : null;
+
+        return {
+          ...story,
+          postId,
+          title: cleanText(story.title),
+          subtitle: cleanText(story.subtitle),
+          latestPublishedAt: post?.latestPublishedAt || null
+        };
+      });
+
+    } catch (error) {
+      this.logger.error('Failed to extract story links', error);
+      return [];
+    }
+  }
+
   async loadMoreArticles() {
     try {
       return await this.page.evaluate((selectors) => {
@@ -349,54 +745,7 @@ export class AuthorScraper {
 
   filterArticles(articles) {
     try {
-      let filtered = [...articles];
-      
-      // Filter by tags if specified
-      if (this.input.tags && this.input.tags.length > 0) {
-        filtered = filtered.filter(article => {
-          if (!article.tags || article.tags.length === 0) return false;
-          return this.input.tags.some(tag => 
-            article.tags.some(articleTag => 
-              articleTag.toLowerCase().includes(tag.toLowerCase()) ||
-              tag.toLowerCase().includes(articleTag.toLowerCase())
-            )
-          );
-        });
-      }
-      
-      // Filter by date range if specified
-      if (this.input.dateRange) {
-        filtered = filtered.filter(article => {
-          try {
-            const articleDate = new Date(article.date);
-            const startDate = this.input.dateRange.start ? new Date(this.input.dateRange.start) : null;
-            const endDate = this.input.dateRange.end ? new Date(this.input.dateRange.end) : null;
-            
-            if (startDate && articleDate < startDate) return false;
-            if (endDate && articleDate > endDate) return false;
-            return true;
-          } catch {
-            return true; // Include articles with invalid dates
-          }
-        });
-      }
-      
-      // Filter premium content if not allowed
-      if (!this.input.premiumContent) {
-        filtered = filtered.filter(article => !article.isPremium);
-      }
-      
-      // Sort articles
-      if (this.input.sortBy === 'popular') {
-        filtered.sort((a, b) => (b.claps + b.responses) - (a.claps + a.responses));
-      } else if (this.input.sortBy === 'oldest') {
-        filtered.sort((a, b) => new Date(a.date) - new Date(b.date));
-      } else { // latest
-        filtered.sort((a, b) => new Date(b.date) - new Date(a.date));
-      }
-      
-      // Limit to max posts
-      filtered = filtered.slice(0, this.input.maxPosts);
+      const filtered = AuthorScraper.filterArticles(articles, this.input);
       
       this.logger.info(`Filtered ${articles.length} articles to ${filtered.length} based on criteria`);
       return filtered;
@@ -406,4 +755,99 @@ export class AuthorScraper {
       return articles.slice(0, this.input.maxPosts); // Return unfiltered articles as fallback
     }
   }
-}
\ No newline at end of file
+
+  static filterArticles(articles, input) {
+    let filtered = [...articles];
+    
+    // Filter by tags if specified
+    if (input.tags && input.tags.length > 0) {
+      filtered = filtered.filter(article => {
+        if (!article.tags || article.tags.length === 0) return false;
+        return input.tags.some(tag => 
+          article.tags.some(articleTag => 
+            articleTag.toLowerCase().includes(tag.toLowerCase()) ||
+            tag.toLowerCase().includes(articleTag.toLowerCase())
+          )
+        );
+      });
+    }
+    
+    // Filter by date range if specified
+    if (input.dateRange) {
+      filtered = filtered.filter(article => {
+        try {
+          const articleDate = new Date(article.date);
+          const startDate = input.dateRange.start ? new Date(input.dateRange.start) : null;
+          const endDate = input.dateRange.end ? new Date(input.dateRange.end) : null;
+          
+          if (startDate && articleDate < startDate) return false;
+          if (endDate && articleDate > endDate) return false;
+          return true;
+        } catch {
+          return true; // Include articles with invalid dates
+        }
+      });
+    }
+    
+    // Filter premium content if not allowed
+    if (!input.premiumContent) {
+      filtered = filtered.filter(article => !article.isPremium);
+    }
+    
+    // Sort articles
+    if (input.sortBy === 'popular') {
+      filtered.sort((a, b) => (b.claps + b.responses) - (a.claps + a.responses));
+    } else if (input.sortBy === 'oldest') {
+      filtered.sort((a, b) => new Date(a.date) - new Date(b.date));
+    } else { // latest
+      filtered.sort((a, b) => new Date(b.date) - new Date(a.date));
+    }
+    
+    // Limit to max posts
+    return filtered.slice(0, input.maxPosts);
+  }
+}
+
+/**
+ * Extract the username from a profile URL (medium.com/@user or user.medium.com)
+ * @param {string} url - Profile URL
+ * @returns {string} - Username or ''
+ */
+export function getUsernameFromUrl(url) {
+  try {
+    const parsedUrl = new URL(url);
+    const fromPath = parsedUrl.pathname.match(/\/@([^/?#]+)/);
+    if (fromPath) return decodeURIComponent(fromPath[1]);
+    
+    const subdomain = parsedUrl.hostname.match(/^([^.]+)\.medium\.com$/);
+    return subdomain && subdomain[1] !== 'www' ? subdomain[1] : '';
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * URL of an author's About page
+ * @param {string} profileUrl - Profile URL (medium.com/@user or a custom domain)
+ * @returns {string} - About page URL
+ */
+export function getAboutUrl(profileUrl) {
+  const url = new URL(profileUrl);
+  const username = url.pathname.match(/^\/(@[^/]+)/)?.[1];
+
+  return username ? `${url.origin}/${username}/about` : `${url.origin}/about`;
+}
+
+// Same publication found twice keeps its first, most specific, role
+function mergePublications(primary, secondary) {
+  const byUrl = new Map();
+  [...primary, ...secondary].forEach(publication => {
+    const key = (publication.url || '').replace(/\/+$/, '');
+    if (key && !byUrl.has(key)) byUrl.set(key, publication);
+  });
+  return Array.from(byUrl.values());
+}
+
+function isEmpty(value) {
+  return value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+}
@@ -0,0 +1,246 @@
+import axios from 'axios';
+import * as cheerio from 'cheerio';
+import { createLogger } from '../utils/logger.js';
+import { MEDIUM_CONSTANTS } from '../config/constants.js';
+import { parseApolloState } from '../utils/apolloParser.js';
+import { blocksFromParagraphs } from '../utils/contentBlocks.js';
+import { apolloSource, sourcesFromRecord } from '../utils/selectorHealth.js';
+import { NotFoundError, errorForStatus, rethrowUnlessSkippable } from '../utils/scrapeErrors.js';
+import { getRandomUserAgent } from '../utils/userAgentManager.js';
+import { AuthorScraper, getAboutUrl, getUsernameFromUrl } from './AuthorScraper.js';
+import { ArticleScraper } from './ArticleScraper.js';
+
+/**
+ * Raised when a page cannot be scraped from its server-rendered HTML and needs
+ * the browser instead (no Apollo state, member-only post, data only loaded on scroll)
+ */
+export class HttpFallbackError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'HttpFallbackError';
+  }
+}
+
+/**
+ * Scrapes author and article pages without a browser: the page is fetched with
+ * a plain HTTP request and the records are built from the Apollo state Medium
+ * embeds in its server-rendered HTML, through the same graph helpers the
+ * browser scrapers use, so both modes produce the same records.
+ */
+export class HttpScraper {
+  constructor(input = {}, options = {}) {
+    this.input = input;
+    this.httpAgent = options.httpAgent || null;
+    this.archive = options.archive || null;
+    this.rateLimiter = options.rateLimiter || null;
+    this.robots = options.robots || null;
+    this.userAgent = options.userAgent || getRandomUserAgent();
+    this.logger = createLogger({ scraper: 'HttpScraper' });
+    
+    // Where each extracted field came from, for the run's selector health report
+    this.fieldSources = [];
+  }
+
+  /**
+   * Fetch a page and parse its embedded Apollo state
+   * @param {string} url - Page URL
+   * @returns {Promise<{ url: string, html: string, graph: import('../utils/apolloParser.js').ApolloGraph }>}
+   */
+  async fetchGraph(url) {
+    const response = this.archive?.replaying
+      ? await this.archive.readHttpResponse(url)
+      : await this.request(url);
+
+    if (this.archive?.recording) {
+      await this.archive.saveHttpResponse(url, response);
+    }
+
+    if (response.status >= 400) {
+      throw errorForStatus(response.status, url);
+    }
+
+    const html = String(response.data || '');
+    const finalUrl = response.finalUrl;
+
+    // The state is assigned in an inline script; only that script is handed to the parser
+    const $ = cheerio.load(html);
+    const stateScript = $('script:not([src])')
+      .toArray()
+      .map(element => $(element).html() || '')
+      .find(text => text.includes('window.__APOLLO_STATE__'));
+    const graph = stateScript ? parseApolloState(stateScript) : null;
+
+    if (!graph) {
+      throw new HttpFallbackError('No Apollo state in the server-rendered HTML');
+    }
+
+    return { url: finalUrl, html, graph };
+  }
+
+  /**
+   * @param {string} url - Page URL
+   * @returns {Promise<{ status: number, statusText: string, headers: Object, data: string, finalUrl: string }>}
+   */
+  async request(url) {
+    await this.robots?.assertAllowed(url);
+    await this.rateLimiter?.acquire('http');
+    const response = await axios.get(url, {
+      headers: {
+        'User-Agent': this.userAgent,
+        Accept: 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+        'Accept-Language': 'en-US,en;q=0.9'
+      },
+      timeout: MEDIUM_CONSTANTS.PAGE_TIMEOUT,
+      responseType: 'text',
+      maxRedirects: 5,
+      proxy: false,
+      httpAgent: this.httpAgent || undefined,
+      httpsAgent: this.httpAgent || undefined,
+      validateStatus: () => true
+    });
+
+    this.rateLimiter?.record({ status: response.status, headers: response.headers, url, kind: 'http' });
+
+    return {
+      status: response.status,
+      statusText: response.statusText,
+      headers: { ...response.headers },
+      data: response.data,
+      finalUrl: response.request?.res?.responseUrl || url
+    };
+  }
+
+  /**
+   * Build the author record from the author page's embedded state
+   * @param {string} url - Author profile URL
+   * @returns {Promise<Object>} - Author record, as AuthorScraper.scrapeAuthor
+   */
+  async scrapeAuthor(url) {
+    const { url: finalUrl, graph } = await this.fetchGraph(url);
+    const user = graph.getRootUser() || graph.getUser(getUsernameFromUrl(finalUrl));
+
+    if (!user) {
+      throw new HttpFallbackError('No Apollo user on the author page');
+    }
+
+    const articles = AuthorScraper.articlesFromGraph(graph, graph.getUserPosts(user));
+
+    // Later posts are only loaded by scrolling, which takes the browser
+    if (articles.length < this.input.maxPosts && graph.hasMoreUserPosts(user)) {
+      throw new HttpFallbackError(`Only ${articles.length} posts are server-rendered, maxPosts is ${this.input.maxPosts}`);
+    }
+
+    const filteredArticles = AuthorScraper.filterArticles(articles, this.input);
+    this.logger.info(`Built author ${user.username} with ${filteredArticles.length} articles from HTML`);
+
+    const authorInfo = AuthorScraper.authorInfoFromGraph(user);
+    this.observe('author', authorInfo, ['name', 'bio', 'followers', 'following', 'avatar', 'username'], 'User');
+    articles.forEach(article => this.observe('listing', article, ['title', 'subtitle', 'url', 'date', 'readTime'], 'Post'));
+
+    const profile = await this.buildAuthorProfile(graph, user, user.url || finalUrl);
+
+    return {
+      socialLinks: [],
+      ...authorInfo,
+      ...profile,
+      url: user.url || finalUrl,
+      articles: filteredArticles,
+      totalArticles: articles.length,
+      filteredCount: filteredArticles.length,
+      scrapedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Profile fields of the Apollo user, completed from the /about page's state
+   * when the profile page has no About section
+   */
+  async buildAuthorProfile(graph, user, profileUrl) {
+    let profile = AuthorScraper.profileFromGraph(graph.getUserProfile(user));
+
+    if (!profile.about && this.input.includeAuthorAbout) {
+      try {
+        const { graph: aboutGraph } = await this.fetchGraph(getAboutUrl(profileUrl));
+        const aboutUser = aboutGraph.getUser(user.id) || aboutGraph.getRootUser();
+        profile = AuthorScraper.mergeProfiles(profile, AuthorScraper.profileFromGraph(aboutGraph.getUserProfile(aboutUser)));
+      } catch (error) {
+        // A profile without an About page keeps the fields of the profile page
+        if (!(error instanceof NotFoundError)) rethrowUnlessSkippable(error);
+        this.logger.warn(`Could not read the About page of ${profileUrl}`, error);
+      }
+    }
+
+    this.observe('profile', profile, ['about', 'badges', 'newsletter', 'pinnedPost', 'publications', 'lists'], 'User');
+    return profile;
+  }
+
+  /**
+   * Edit date of a story, read from its page's embedded state without building
+   * the record; incremental runs use it for listings that show no date
+   * @param {string} url - Article URL
+   * @returns {Promise<string|null>} - latestPublishedAt of the post, null when the state has none
+   */
+  async fetchLatestPublishedAt(url) {
+    const { graph } = await this.fetchGraph(url);
+    return graph.getRootPost()?.latestPublishedAt ?? null;
+  }
+
+  /**
+   * Build the article record from the article page's embedded state
+   * @param {string} url - Article URL
+   * @returns {Promise<Object>} - Article record, as ArticleScraper.scrapeArticle
+   */
+  async scrapeArticle(url) {
+    const { url: finalUrl, graph } = await this.fetchGraph(url);
+    const post = graph.getRootPost();
+
+    if (!post) {
+      throw new HttpFallbackError('No Apollo post on the article page');
+    }
+
+    // Paywall handling and comments need the rendered page
+    if (post.isLocked) {
+      throw new HttpFallbackError('Member-only post');
+    }
+    if (this.input.includeComments) {
+      throw new HttpFallbackError('Comments are only rendered in the browser');
+    }
+
+    let content = null;
+    if (this.input.includeContent) {
+      const blocks = blocksFromParagraphs(graph.getParagraphs(post));
+      if (blocks.length === 0) {
+        throw new HttpFallbackError('No paragraphs in the Apollo post');
+      }
+      content = ArticleScraper.flattenContent([ArticleScraper.contentFromBlocks(blocks)]);
+      this.observe('content', { blocks }, ['blocks'], 'Post');
+    }
+
+    let publication = null;
+    if (this.input.includePublication && post.collectionId) {
+      const collection = graph.getCollection(post.collectionId);
+      publication = collection ? ArticleScraper.publicationInfoFromGraph(collection) : null;
+      if (publication) {
+        this.observe('publication', publication, ['name', 'logo', 'description', 'followers'], 'Collection');
+      }
+    }
+
+    const articleInfo = ArticleScraper.articleInfoFromGraph(graph, post, finalUrl);
+    this.observe('article', articleInfo, ['title', 'subtitle', 'author', 'date', 'readTime', 'claps', 'responses', 'tags', 'mainImage'], 'Post');
+
+    return {
+      ...articleInfo,
+      content,
+      comments: null,
+      publication: publication || (articleInfo.publication.name ? articleInfo.publication : null),
+      paywallInfo: { hasPaywall: false, paywallType: null, indicators: [], confidence: 0 },
+      scrapedAt: new Date().toISOString()
+    };
+  }
+
+  observe(scope, record, fields, typename) {
+    this.fieldSources.push({ scope, sources: sourcesFromRecord(record, fields, apolloSource(typename)) });
+  }
+}
+
+export default HttpScraper;
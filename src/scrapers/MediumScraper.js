@@ -1,21 +1,58 @@
 import { Actor } from 'apify';
-import { PlaywrightCrawler, Dataset } from 'crawlee';
+import { PlaywrightCrawler, BasicCrawler, Dataset } from 'crawlee';
 import { createLogger } from '../utils/logger.js';
 import { ProxyManager } from '../utils/proxyManager.js';
 import { StealthHelper } from '../utils/stealthHelper.js';
 import { PaywallDetector } from '../utils/paywallHandler.js';
 import { getRandomUserAgent, shouldRotateUserAgent } from '../utils/userAgentManager.js';
+import { loadUrlList } from '../utils/urlListLoader.js';
+import { NdjsonWriter } from '../utils/ndjsonWriter.js';
+import { IncrementalState } from '../utils/incrementalState.js';
+import { RunCheckpoint, resolveRunId } from '../utils/runCheckpoint.js';
+import { PageArchive } from '../utils/pageArchive.js';
+import { SelectorHealth } from '../utils/selectorHealth.js';
+import { RateLimiter, navigate } from '../utils/rateLimiter.js';
+import { RobotsPolicy } from '../utils/robotsPolicy.js';
+import { FailureReport } from '../utils/failureReport.js';
+import {
+  ScrapeError,
+  PaywallSkippedError,
+  RobotsDisallowedError,
+  ValidationFailedError,
+  classifyError,
+  detectErrorPage,
+  errorForStatus,
+  rethrowUnlessSkippable,
+  shouldRetry
+} from '../utils/scrapeErrors.js';
+import { validateRecord, getFieldKey, RECORD_SCHEMA } from '../utils/recordValidator.js';
 import { MEDIUM_CONSTANTS, SELECTORS, ERROR_MESSAGES } from '../config/constants.js';
 import { AuthorScraper } from './AuthorScraper.js';
 import { ArticleScraper } from './ArticleScraper.js';
+import { HttpScraper, HttpFallbackError } from './HttpScraper.js';
+import { PublicationScraper, getPublicationBaseUrl } from './PublicationScraper.js';
+import { TagScraper, normalizeTagSlug, getTagFeedUrl } from './TagScraper.js';
 
 export class MediumScraper {
   constructor(input = {}) {
     this.input = {
       authorUrl: input.authorUrl || '',
+      authorUrls: input.authorUrls || [],
+      authorUrlsFile: input.authorUrlsFile || null,
+      authorUrlsRecord: input.authorUrlsRecord || null,
+      publicationUrls: input.publicationUrls || [],
+      tagFeeds: input.tagFeeds || [],
+      articleUrls: input.articleUrls || [],
+      articleUrlsFile: input.articleUrlsFile || null,
+      articleUrlsRecord: input.articleUrlsRecord || null,
+      tagFeedViews: input.tagFeedViews || MEDIUM_CONSTANTS.TAG_FEED_VIEWS,
+      maxPostsPerTag: input.maxPostsPerTag || input.maxPosts || MEDIUM_CONSTANTS.DEFAULT_MAX_POSTS,
       maxPosts: input.maxPosts || MEDIUM_CONSTANTS.DEFAULT_MAX_POSTS,
       includeContent: input.includeContent !== false,
       includeComments: input.includeComments === true,
+      includeAuthorAbout: input.includeAuthorAbout !== false,
+      maxResponses: input.maxResponses || MEDIUM_CONSTANTS.DEFAULT_MAX_RESPONSES,
+      maxResponseDepth: input.maxResponseDepth || MEDIUM_CONSTANTS.DEFAULT_MAX_RESPONSE_DEPTH,
       includePublication: input.includePublication !== false,
       tags: input.tags || [],
       requestsPerSecond: input.requestsPerSecond || MEDIUM_CONSTANTS.DEFAULT_REQUESTS_PER_SECOND,
@@ -24,10 +61,18 @@ export class MediumScraper {
       premiumContent: input.premiumContent === true,
       dateRange: input.dateRange || null,
       sortBy: input.sortBy || 'latest',
+      incremental: input.incremental === true,
+      fetchMode: input.fetchMode || 'browser',
+      respectRobotsTxt: input.respectRobotsTxt !== false,
       ...input
     };
+    
+    // Replays are served from the page archive and never reach the network
+    if (this.input.replayFrom) {
+      this.input.useProxy = false;
+    }
 
-    this.logger = createLogger({ scraper: 'MediumScraper', authorUrl: this.input.authorUrl });
+    this.logger = createLogger({ scraper: 'MediumScraper' });
     this.proxyManager = new ProxyManager({ useRotatingProxies: this.input.useProxy });
     this.stealthHelper = new StealthHelper();
     this.paywallDetector = new PaywallDetector({ handlePaywallGracefully: true });
@@ -37,26 +82,155 @@ export class MediumScraper {
       successfulExtractions: 0,
       paywallHits: 0,
       errors: 0,
+      // Articles stored without their responses because these could not be read
+      responseFailures: 0,
       startTime: Date.now()
     };
 
+    // Per-source bookkeeping (one entry per author, publication or tag feed URL), keyed by normalized URL
+    this.sources = new Map();
+    this.authorUrls = [];
+    this.publicationUrls = [];
+    this.tagFeeds = [];
+    this.articleUrls = [];
+    this.skippedArticleUrls = [];
+
     this.crawler = null;
     this.dataset = null;
+    
+    // NDJSON runs stream articles to disk and keep only a small summary per article
+    this.ndjsonWriter = null;
+    this.articleSummaries = [];
+    
+    // Incremental runs skip posts that have not changed since they were last scraped
+    this.incrementalState = null;
+    
+    // Progress checkpointed after every page: discovered article requests keyed by
+    // normalized URL, and the URLs of the articles already done
+    this.checkpoint = null;
+    this.discoveredArticles = new Map();
+    this.completedArticles = new Set();
+    this.finished = false;
+    this.interrupted = false;
+    
+    // HTTP fetch mode: pages that needed the browser are opened in a lazily launched one
+    this.fallbackBrowser = null;
+    this.fetchStats = {
+      httpPages: 0,
+      browserPages: 0,
+      fallbackReasons: {}
+    };
+    
+    // Page archive written with recordTo or served with replayFrom
+    this.archive = null;
+    
+    // Token bucket every fetch of the run goes through; replays never reach Medium
+    this.rateLimiter = new RateLimiter({
+      requestsPerSecond: this.input.requestsPerSecond,
+      enabled: !this.input.replayFrom
+    });
+    
+    // robots.txt of every host the run visits, created once the archive is open
+    this.robotsPolicy = null;
+    
+    // Which selector or Apollo entity produced each field, compared with the last good run
+    this.selectorHealth = new SelectorHealth({
+      file: this.input.selectorBaselineFile,
+      record: this.input.selectorBaselineRecord
+    });
+    
+    // Author and article records checked against the record schema before they are stored
+    this.validationStats = {
+      records: 0,
+      invalidRecords: 0,
+      coerced: {},
+      invalid: {}
+    };
+    
+    // Every URL that failed for good or was skipped, with its error class and attempts
+    this.failures = new FailureReport();
   }
 
   async initialize() {
     try {
-      this.logger.logScrapingStart(this.input.authorUrl, this.input);
+      // Resolve the author list from inline input, file and key-value store references
+      this.authorUrls = await this.resolveAuthorUrls();
+      this.publicationUrls = this.resolvePublicationUrls();
+      this.tagFeeds = [...new Set(this.input.tagFeeds.map(normalizeTagSlug).filter(Boolean))];
+      this.articleUrls = await this.resolveArticleUrls();
+      
+      this.logger.logScrapingStart([
+        ...this.authorUrls,
+        ...this.publicationUrls,
+        ...this.tagFeeds.map(tag => getTagFeedUrl(tag)),
+        ...this.articleUrls
+      ], this.input);
       
       // Initialize proxy manager
       await this.proxyManager.initialize();
       
-      // Create dataset for storing results
-      this.dataset = await Dataset.open('medium-scraper-results');
+      // Progress of an interrupted run with the same runId, if any
+      this.checkpoint = new RunCheckpoint(resolveRunId(this.input.runId));
+      const saved = await this.checkpoint.load();
+      
+      // Create dataset for storing results; it is named after the run so it survives a restart
+      this.dataset = await Dataset.open(this.checkpoint.datasetName);
+      
+      if (this.input.outputFormat === 'ndjson') {
+        this.ndjsonWriter = new NdjsonWriter({
+          outputDir: './output',
+          gzip: this.input.ndjsonGzip,
+          maxPartMb: this.input.ndjsonMaxPartMb,
+          baseName: saved?.ndjson?.baseName,
+          parts: saved?.ndjson?.parts
+        });
+        
+        // One summary is kept per record written, in step with completedArticles
+        if (saved?.ndjson) {
+          await this.ndjsonWriter.recover((saved.articleSummaries || []).length);
+        }
+      }
+      
+      if (this.input.incremental) {
+        this.incrementalState = new IncrementalState({
+          file: this.input.stateFile,
+          record: this.input.stateRecord
+        });
+        await this.incrementalState.load();
+        
+        if (saved?.incremental) {
+          this.incrementalState.restore(saved.incremental);
+        }
+      }
       
       // Validate input
       this.validateInput();
       
+      this.authorUrls.forEach(url => this.registerSource('author', url));
+      this.publicationUrls.forEach(url => this.registerSource('publication', url));
+      this.tagFeeds.forEach(tag => this.registerSource('tag', getTagFeedUrl(tag)));
+      
+      if (saved) {
+        this.restoreCheckpoint(saved);
+      }
+      
+      await this.selectorHealth.loadBaseline();
+      
+      if (this.input.replayFrom || this.input.recordTo) {
+        this.archive = this.input.replayFrom
+          ? new PageArchive(this.input.replayFrom, 'replay')
+          : new PageArchive(this.input.recordTo, 'record');
+        await this.archive.open();
+      }
+      
+      this.robotsPolicy = new RobotsPolicy({
+        enabled: this.input.respectRobotsTxt,
+        rateLimiter: this.rateLimiter,
+        archive: this.archive,
+        httpAgent: this.proxyManager.createProxyAgent(this.proxyManager.getCurrentProxy())
+      });
+      this.robotsPolicy.skipped = saved?.robotsSkipped || [];
+      
       // Setup crawler
       await this.setupCrawler();
       
@@ -67,8 +241,119 @@ export class MediumScraper {
     }
   }
 
+  restoreCheckpoint(saved) {
+    this.stats = { ...this.stats, ...saved.stats };
+    saved.sources.forEach(source => this.sources.set(source.url, source));
+    saved.discoveredArticles.forEach(request => this.discoveredArticles.set(this.normalizeUrl(request.url), request));
+    saved.completedArticles.forEach(url => this.completedArticles.add(url));
+    this.articleSummaries = saved.articleSummaries || [];
+    this.selectorHealth.fields = saved.selectorHealth || {};
+    this.validationStats = saved.validationStats || this.validationStats;
+    this.failures.restore(saved.failures);
+  }
+
+  async saveCheckpoint(status = 'running') {
+    if (!this.checkpoint) return;
+    
+    try {
+      // State is taken before the output is flushed: NDJSON records written
+      // meanwhile are past the checkpoint, and dropped on resume
+      const state = {
+        status,
+        stats: { ...this.stats },
+        sources: Array.from(this.sources.values()),
+        discoveredArticles: Array.from(this.discoveredArticles.values()),
+        completedArticles: Array.from(this.completedArticles),
+        articleSummaries: [...this.articleSummaries],
+        ndjson: this.ndjsonWriter
+          ? { baseName: this.ndjsonWriter.baseName, parts: this.ndjsonWriter.getSummary().parts }
+          : null,
+        incremental: this.incrementalState ? this.incrementalState.getSummary() : null,
+        selectorHealth: this.selectorHealth.fields,
+        validationStats: this.validationStats,
+        robotsSkipped: this.robotsPolicy ? [...this.robotsPolicy.skipped] : [],
+        failures: this.failures.getReport().entries
+      };
+      
+      // Records the checkpoint counts must be on disk before it is saved
+      if (this.ndjsonWriter && !this.ndjsonWriter.closed) {
+        await this.ndjsonWriter.flush();
+      }
+      await this.checkpoint.save(state);
+    } catch (error) {
+      this.logger.warn('Failed to save run checkpoint', error);
+    }
+  }
+
+  async resolveAuthorUrls() {
+    const urls = await loadUrlList({
+      urls: [this.input.authorUrl, ...this.input.authorUrls].filter(Boolean),
+      file: this.input.authorUrlsFile,
+      record: this.input.authorUrlsRecord
+    });
+    
+    // Collapse variants of the same profile URL (trailing slash, query string)
+    const unique = new Map();
+    urls.forEach(url => {
+      const normalized = this.normalizeUrl(url);
+      if (!unique.has(normalized)) {
+        unique.set(normalized, url);
+      }
+    });
+    
+    return Array.from(unique.keys());
+  }
+
+  resolvePublicationUrls() {
+    const unique = new Set();
+    
+    this.input.publicationUrls.forEach(url => {
+      try {
+        unique.add(getPublicationBaseUrl(url.trim()));
+      } catch {
+        this.logger.warn(`Skipping invalid publication URL: ${url}`);
+      }
+    });
+    
+    return Array.from(unique);
+  }
+
+  async resolveArticleUrls() {
+    const urls = await loadUrlList({
+      urls: this.input.articleUrls,
+      file: this.input.articleUrlsFile,
+      record: this.input.articleUrlsRecord
+    });
+    
+    const unique = new Set();
+    
+    urls.forEach(url => {
+      const normalized = this.normalizeUrl(url);
+      
+      if (!this.isArticlePage(normalized)) {
+        this.logger.warn(`Skipping URL that does not look like an article: ${url}`);
+        this.skippedArticleUrls.push({ url, reason: 'not_an_article_url' });
+        return;
+      }
+      
+      unique.add(normalized);
+    });
+    
+    return Array.from(unique);
+  }
+
   validateInput() {
-    if (!this.input.authorUrl || !this.isValidMediumUrl(this.input.authorUrl)) {
+    const invalidUrls = this.authorUrls.filter(url => !this.isValidMediumUrl(url));
+    
+    invalidUrls.forEach(url => {
+      this.logger.warn(`Skipping invalid author URL: ${url}`);
+    });
+    
+    this.authorUrls = this.authorUrls.filter(url => this.isValidMediumUrl(url));
+    
+    const sourceCount = this.authorUrls.length + this.publicationUrls.length + this.tagFeeds.length + this.articleUrls.length;
+    
+    if (sourceCount === 0) {
       throw new Error(ERROR_MESSAGES.INVALID_URL);
     }
 
@@ -81,6 +366,127 @@ export class MediumScraper {
     }
   }
 
+  normalizeUrl(url) {
+    try {
+      const parsedUrl = new URL(url);
+      parsedUrl.hash = '';
+      parsedUrl.search = '';
+      return parsedUrl.toString().replace(/\/+$/, '');
+    } catch {
+      return url;
+    }
+  }
+
+  /**
+   * Rate limiter and robots.txt policy, handed to the scrapers for the
+   * navigations they make themselves
+   */
+  get politeness() {
+    return { rateLimiter: this.rateLimiter, robots: this.robotsPolicy };
+  }
+
+  /**
+   * Requests robots.txt allows; sources whose seed it disallows are marked skipped
+   * @param {Object[]} requests - Crawler requests
+   * @returns {Promise<Object[]>} - Allowed requests
+   */
+  async filterByRobots(requests) {
+    const allowed = await this.robotsPolicy.filterRequests(requests);
+    const disallowed = requests.filter(request => !allowed.includes(request));
+    
+    disallowed.forEach(request => this.skipDisallowed(request));
+    disallowed
+      .filter(request => !request.userData?.isArticle)
+      .forEach(request => {
+        const source = this.getSource(request);
+        if (source) {
+          source.status = 'skipped';
+          source.error = this.robotsPolicy.skipped.find(entry => entry.url === request.url)?.rule || 'Disallowed by robots.txt';
+        }
+      });
+    
+    return allowed;
+  }
+  
+  /**
+   * List a request robots.txt disallows in the failures report
+   * @param {Object} request - Crawler request
+   */
+  skipDisallowed(request) {
+    const entry = this.robotsPolicy.skipped.find(skipped => skipped.url === request.url);
+    
+    this.failures.skip(request.url, new RobotsDisallowedError(request.url, entry?.reason || 'disallowed'), {
+      ...this.describeRequest(request),
+      rule: entry?.rule || null
+    });
+  }
+  
+  /**
+   * List in the failures report the pages the scrapers open themselves (tag
+   * feed views, publication archive and about pages, /responses pages) that
+   * robots.txt disallowed; disallowed requests are listed as they are filtered
+   */
+  skipDisallowedPages() {
+    const reported = new Set(this.failures.getReport().entries.map(entry => entry.url));
+    
+    (this.robotsPolicy?.skipped || [])
+      .filter(entry => !reported.has(entry.url))
+      .forEach(entry => {
+        this.failures.skip(entry.url, new RobotsDisallowedError(entry.url, entry.reason || 'disallowed'), {
+          type: 'page',
+          source: entry.source || null,
+          rule: entry.rule || null
+        });
+      });
+  }
+  
+  /**
+   * Page type and source of a request, as stored in the failures report
+   * @param {Object} request - Crawler request
+   * @returns {{ type: string, source: Object|null }}
+   */
+  describeRequest(request) {
+    const { userData = {} } = request;
+    let type = 'article';
+    
+    if (userData.isTagFeed) {
+      type = 'tag';
+    } else if (userData.isPublication) {
+      type = 'publication';
+    } else if (userData.isAuthor || (!userData.isArticle && this.isAuthorPage(request.url))) {
+      type = 'author';
+    }
+    
+    return { type, source: userData.source || null };
+  }
+
+  registerSource(type, url) {
+    const key = this.normalizeUrl(url);
+    
+    if (!this.sources.has(key)) {
+      this.sources.set(key, {
+        type,
+        url: key,
+        status: 'pending',
+        error: null,
+        data: null,
+        stats: {
+          totalArticles: 0,
+          successfulExtractions: 0,
+          paywallHits: 0,
+          errors: 0
+        }
+      });
+    }
+    
+    return this.sources.get(key);
+  }
+
+  getSource(request) {
+    const source = request.userData?.source;
+    return source ? this.sources.get(this.normalizeUrl(source.url)) : null;
+  }
+
   isValidMediumUrl(url) {
     try {
       const parsedUrl = new URL(url);
@@ -90,8 +496,8 @@ export class MediumScraper {
     }
   }
 
-  async setupCrawler() {
-    const launchOptions = {
+  getLaunchOptions() {
+    return {
       headless: true, // Use headless mode to reduce CPU usage
       args: [
         '--no-sandbox',
@@ -131,6 +537,15 @@ export class MediumScraper {
       },
       ignoreHTTPSErrors: true
     };
+  }
+
+  async setupCrawler() {
+    if (this.input.fetchMode === 'http') {
+      this.setupHttpCrawler();
+      return;
+    }
+    
+    const launchOptions = this.getLaunchOptions();
 
     // Import playwright dynamically for ES modules
     const { chromium } = await import('playwright');
@@ -153,7 +568,7 @@ export class MediumScraper {
       maxRequestRetries: 8,           // Increase retries from 5 to 8
       maxConcurrency: 1,              // Keep concurrency at 1 to reduce CPU load
       
-      // Note: Custom retry strategy implemented in failedRequestHandler
+      // Retries are paced by the rate limiter, which pauses on 429 and 503 responses
       
       async requestHandler({ request, page, enqueueLinks, log }) {
         try {
@@ -161,77 +576,33 @@ export class MediumScraper {
           page.setDefaultTimeout(180000); // Increased from 120s to 180s
           
           await boundRequestHandler(request, page, enqueueLinks, log);
+          scraperInstance.failures.succeed(request.url);
         } catch (error) {
           scraperInstance.logger.error(`Request handler error for ${request.url}`, error);
           throw error;
-        }
-      },
-
-      failedRequestHandler: async ({ request, error }) => {
-        try {
-          // Use the stored scraper instance reference
-          if (scraperInstance && scraperInstance.logger) {
-            scraperInstance.logger.error(`Request failed: ${request.url}`, error);
-            scraperInstance.logger.error(`Error details: ${error.message || error}`);
-          } else {
-            console.error(`Request failed: ${request.url}`, error);
-            console.error(`Error details: ${error.message || error}`);
-          }
-          
-          // Implement exponential backoff for retries
-          const retryCount = request.retryCount || 0;
-          
-          // Check if we should retry based on error type
-          const isRetryableError = error.name === 'TimeoutError' || 
-                                  error.message.includes('Navigation') || 
-                                  error.message.includes('timeout');
-                                  
-          // Check if we should retry based on status code
-          const statusCode = error.statusCode || 0;
-          const retryableStatusCodes = [408, 429, 500, 502, 503, 504, 522, 524];
-          const isRetryableStatus = retryableStatusCodes.includes(statusCode);
-          
-          if ((isRetryableError || isRetryableStatus) && retryCount < 8) {
-            // Calculate exponential backoff delay with jitter
-            const baseDelay = 5000; // 5 seconds base
-            const maxDelay = 60000; // 60 seconds max
-            const jitterRatio = 0.2; // 20% jitter
-            
-            // Calculate delay with exponential backoff: baseDelay * 2^retryCount
-            let delay = Math.min(baseDelay * Math.pow(2, retryCount), maxDelay);
-            
-            // Add jitter: delay ± (delay * jitterRatio)
-            const jitter = delay * jitterRatio * (Math.random() - 0.5) * 2;
-            delay = Math.max(baseDelay, delay + jitter);
-            
-            if (scraperInstance && scraperInstance.logger) {
-              scraperInstance.logger.info(`Retrying request ${request.url} in ${Math.round(delay/1000)}s (attempt ${retryCount + 1}/8)`);
-            }
-            
-            // Update retry count
-            request.retryCount = retryCount + 1;
-            
-            // Schedule retry after delay
-            setTimeout(() => {
-              if (scraperInstance && scraperInstance.crawler) {
-                scraperInstance.crawler.addRequests([request]);
-              }
-            }, delay);
-          } else if (scraperInstance && scraperInstance.stats) {
-            scraperInstance.stats.errors++;
+        } finally {
+          // Failed attempts are archived too, they are what a bad run is debugged from
+          if (scraperInstance.archive?.recording) {
+            await scraperInstance.archive.savePage(request.url, page);
           }
-        } catch (handlerError) {
-          console.error('Error in failedRequestHandler:', handlerError);
         }
       },
 
-      maxRequestsPerMinute: this.input.requestsPerSecond * 60,
+      // The retry policy of the error's class decides whether the request is tried again
+      errorHandler: ({ request }, error) => this.handleRequestError(request, error),
+      
+      failedRequestHandler: ({ request }, error) => this.handleFailedRequest(request, error),
+
       maxConcurrency: 1, // Single concurrent request for stealth
       retryOnBlocked: true,
       
       preNavigationHooks: [
         async (crawlingContext, gotoOptions) => {
-          const { page } = crawlingContext;
+          const { page, request } = crawlingContext;
+          
+          this.failures.start(request.url);
+          await this.prepareArchivedPage(page, request);
+          await this.rateLimiter.acquire('navigation');
           
           // Apply stealth settings
           await this.stealthHelper.applyStealthToPage(page);
@@ -250,10 +621,212 @@ export class MediumScraper {
             await page.setUserAgent(newUserAgent);
           }
         }
+      ],
+      
+      postNavigationHooks: [
+        async ({ request, response }) => {
+          if (!response) return;
+          
+          const status = response.status();
+          if (this.rateLimiter.record({ status, headers: response.headers(), url: request.url, kind: 'navigation' })) {
+            throw errorForStatus(status, request.url);
+          }
+          this.checkResponse(response, request.url);
+        }
       ]
     });
   }
 
+  setupHttpCrawler() {
+    this.crawler = new BasicCrawler({
+      requestHandlerTimeoutSecs: 600,
+      maxRequestRetries: 8,
+      maxConcurrency: 1,
+      
+      requestHandler: async ({ request, log }) => {
+        this.failures.start(request.url);
+        
+        try {
+          await this.handleHttpRequest(request, log);
+          this.failures.succeed(request.url);
+        } catch (error) {
+          this.logger.error(`Request handler error for ${request.url}`, error);
+          throw error;
+        }
+      },
+      
+      errorHandler: ({ request }, error) => this.handleRequestError(request, error),
+      
+      failedRequestHandler: ({ request }, error) => this.handleFailedRequest(request, error)
+    });
+  }
+  
+  /**
+   * Fail a navigation whose response is a block or a not found page; throttling
+   * responses are handled by the rate limiter
+   * @param {Object} response - Playwright response
+   * @param {string} url - Requested URL
+   */
+  checkResponse(response, url) {
+    const status = response?.status();
+    
+    if (MEDIUM_CONSTANTS.BLOCKED_STATUS_CODES.includes(status) || MEDIUM_CONSTANTS.NOT_FOUND_STATUS_CODES.includes(status)) {
+      throw errorForStatus(status, url);
+    }
+  }
+
+  /**
+   * Handle a request in HTTP fetch mode. Author and article pages are built from
+   * the server-rendered HTML; publication and tag pages, and any page the HTML
+   * is not enough for, are opened in the browser and go through handleRequest.
+   */
+  async handleHttpRequest(request, log) {
+    const { url, userData } = request;
+    this.checkArchived(request);
+    // Same dispatch order as handleRequest
+    const isAuthor = !userData?.isTagFeed && !userData?.isPublication && (userData?.isAuthor || this.isAuthorPage(url));
+    const isArticle = !isAuthor && !userData?.isTagFeed && !userData?.isPublication && !this.isPublicationPage(url) &&
+      (userData?.isArticle || this.isArticlePage(url));
+    
+    if (isAuthor || isArticle) {
+      try {
+        const httpScraper = new HttpScraper(this.input, {
+          httpAgent: this.proxyManager.createProxyAgent(this.proxyManager.getCurrentProxy()),
+          archive: this.archive,
+          ...this.politeness
+        });
+        
+        if (isAuthor) {
+          const source = this.getSource(request) || this.registerSource('author', url);
+          await this.storeAuthor(await httpScraper.scrapeAuthor(url), source);
+        } else {
+          await this.storeArticle(await httpScraper.scrapeArticle(url), url, request);
+        }
+        
+        this.selectorHealth.observeAll(httpScraper.fieldSources);
+        this.fetchStats.httpPages++;
+        await this.saveCheckpoint();
+        return;
+      } catch (error) {
+        // Network and HTTP status errors go through the crawler's retries
+        if (!(error instanceof HttpFallbackError)) throw error;
+        
+        this.logger.info(`Falling back to the browser for ${url}: ${error.message}`);
+        this.fetchStats.fallbackReasons[error.message] = (this.fetchStats.fallbackReasons[error.message] || 0) + 1;
+      }
+    }
+    
+    this.fetchStats.browserPages++;
+    const page = await this.openFallbackPage();
+    
+    try {
+      await this.prepareArchivedPage(page, request);
+      const response = await navigate(page, url, { waitUntil: 'domcontentloaded', timeout: MEDIUM_CONSTANTS.NAVIGATION_TIMEOUT }, this.politeness);
+      this.checkResponse(response, url);
+      await this.handleRequest(request, page, null, log);
+    } finally {
+      if (this.archive?.recording) {
+        await this.archive.savePage(url, page);
+      }
+      await page.context().close().catch(() => {});
+    }
+  }
+
+  /**
+   * Hook a page up to the page archive before it navigates: capture its responses
+   * when recording, serve them from the archive when replaying
+   */
+  async prepareArchivedPage(page, request) {
+    if (!this.archive) return;
+    
+    if (this.archive.recording) {
+      this.archive.startRecording(page);
+      return;
+    }
+    
+    this.checkArchived(request);
+    await this.archive.routePage(page, request.url);
+  }
+  
+  checkArchived(request) {
+    // Retrying a page the archive does not hold cannot succeed
+    if (this.archive?.replaying && !this.archive.has(request.url)) {
+      request.noRetry = true;
+    }
+  }
+
+  async openFallbackPage() {
+    if (!this.fallbackBrowser) {
+      const { chromium } = await import('playwright');
+      const { headless, args } = this.getLaunchOptions();
+      this.fallbackBrowser = await chromium.launch({ headless, args });
+    }
+    
+    // Playwright takes proxy credentials separately from the server URL
+    const proxyUrl = this.proxyManager.getCurrentProxy();
+    const proxy = proxyUrl ? new URL(proxyUrl) : null;
+    const context = await this.fallbackBrowser.newContext({
+      userAgent: getRandomUserAgent(),
+      viewport: { width: 1024, height: 768 },
+      ignoreHTTPSErrors: true,
+      proxy: proxy
+        ? {
+          server: `${proxy.protocol}//${proxy.host}`,
+          username: decodeURIComponent(proxy.username),
+          password: decodeURIComponent(proxy.password)
+        }
+        : undefined
+    });
+    const page = await context.newPage();
+    
+    page.setDefaultTimeout(180000);
+    await this.stealthHelper.applyStealthToPage(page);
+    return page;
+  }
+
+  /**
+   * Called by the crawler before it retries a request. Errors whose class is not
+   * retried, or has used up the retries its policy allows, fail the request now.
+   */
+  handleRequestError(request, error) {
+    const failure = classifyError(error, request.url);
+    
+    if (!shouldRetry(failure, request.retryCount)) {
+      this.logger.info(`Not retrying ${request.url}: ${failure.name} after ${request.retryCount + 1} attempt(s)`);
+      request.noRetry = true;
+    }
+  }
+
+  /**
+   * Called once a request has failed for good: its retries were used up (the
+   * rate limiter already spaced them out after throttling responses) or its
+   * error class is not retried
+   */
+  async handleFailedRequest(request, error) {
+    try {
+      const failure = classifyError(error, request.url);
+      this.logger.error(`Request failed after ${request.retryCount} retries: ${request.url}`, error);
+      this.failures.fail(request.url, failure, {
+        ...this.describeRequest(request),
+        // Tag feed view, archive or /responses page the request failed on
+        ...(failure.url && failure.url !== request.url ? { page: failure.url } : {})
+      });
+      this.stats.errors++;
+      
+      // Record the failure against its author without stopping the rest of the batch
+      const source = this.getSource(request);
+      if (source) {
+        source.stats.errors++;
+        if (request.userData?.isAuthor || request.userData?.isPublication || request.userData?.isTagFeed) {
+          source.status = 'failed';
+          source.error = failure.message || String(failure);
+        }
+      }
+    } catch (handlerError) {
+      console.error('Error in failedRequestHandler:', handlerError);
+    }
+  }
+
   async handleRequest(request, page, enqueueLinks, log) {
     const url = request.url;
     
@@ -282,6 +855,10 @@ export class MediumScraper {
           // Continue even if page doesn't fully load
         }
         
+        // Challenge and not found pages can come with a 200
+        const errorPage = await detectErrorPage(page, url);
+        if (errorPage) throw errorPage;
+        
         // Simulate human behavior
         await this.stealthHelper.simulateHumanBehavior(page, {
           readingTime: 2000 + Math.random() * 3000,
@@ -291,10 +868,16 @@ export class MediumScraper {
         });
 
         // Determine page type and handle accordingly
-        if (this.isAuthorPage(url)) {
-          await this.handleAuthorPage(page, url);
-        } else if (this.isArticlePage(url)) {
-          await this.handleArticlePage(page, url);
+        if (request.userData?.isTagFeed) {
+          await this.handleTagPage(page, url, request);
+        } else if (request.userData?.isPublication) {
+          await this.handlePublicationPage(page, url, request);
+        } else if (request.userData?.isAuthor || this.isAuthorPage(url)) {
+          await this.handleAuthorPage(page, url, request);
+        } else if (this.isPublicationPage(url)) {
+          await this.handlePublicationPage(page, url, request);
+        } else if (request.userData?.isArticle || this.isArticlePage(url)) {
+          await this.handleArticlePage(page, url, request);
         } else {
           log.warning(`Unknown page type: ${url}`);
         }
@@ -305,10 +888,15 @@ export class MediumScraper {
           this.proxyManager.markProxySuccess(currentProxy);
         }
         
+        await this.saveCheckpoint();
+        
         // Success, exit retry loop
         break;
         
       } catch (error) {
+        // Typed errors are retried by the crawler, on a fresh navigation, as their retry policy says
+        if (error instanceof ScrapeError) throw error;
+        
         retryCount++;
         this.logger.warn(`Attempt ${retryCount} failed for ${url}: ${error.message}`);
         
@@ -334,59 +922,256 @@ export class MediumScraper {
   }
 
   isAuthorPage(url) {
-    return url.includes('/@') && !url.includes('/p/') && !url.match(/\/[a-f0-9]{12,}$/);
+    // Story URLs under a profile end in the post id (/@user/some-title-1a2b3c4d5e6f)
+    return url.includes('/@') && !url.includes('/p/') && !url.match(/\/[a-f0-9]{12,}$/) &&
+           !url.match(/\/@[^/]+\/[^/?#]*-[a-f0-9]{8,12}(?:[?#]|$)/);
+  }
+
+  isPublicationPage(url) {
+    try {
+      const parsedUrl = new URL(url);
+      const segments = parsedUrl.pathname.split('/').filter(Boolean);
+      
+      // medium.com/<publication> and medium.com/<publication>/archive[/yyyy[/mm]]
+      if (parsedUrl.hostname === 'medium.com' || parsedUrl.hostname === 'www.medium.com') {
+        return segments.length > 0 &&
+               !segments[0].startsWith('@') &&
+               !MEDIUM_CONSTANTS.RESERVED_PATHS.includes(segments[0]) &&
+               (segments.length === 1 || segments[1] === 'archive');
+      }
+      
+      // Custom domains can only be recognised by their landing and archive pages
+      return segments.length === 0 || segments[0] === 'archive';
+    } catch {
+      return false;
+    }
   }
 
   isArticlePage(url) {
     // Enhanced article detection for Medium's current structure
     return url.includes('/p/') || 
            url.match(/\/[a-f0-9]{12,}$/) || 
+           url.match(/-[a-f0-9]{8,12}(?:[?#]|$)/) || // Slug ending in the post id, also on custom domains
            url.includes('/story/') || 
            url.includes('medium.com/') && 
            (url.includes('-') || // Most Medium article URLs contain hyphens
             url.match(/[a-z0-9]+-[a-z0-9]+-[a-z0-9]+/)); // Pattern for slug with hyphens
   }
 
-  async handleAuthorPage(page, url) {
+  async handleAuthorPage(page, url, request) {
+    const source = this.getSource(request) || this.registerSource('author', url);
+    
     try {
-      const authorScraper = new AuthorScraper(page, this.input);
+      const authorScraper = new AuthorScraper(page, this.input, this.politeness);
       const authorData = await authorScraper.scrapeAuthor();
+      this.selectorHealth.observeAll(authorScraper.fieldSources);
       
       if (authorData) {
-        this.logger.logAuthorScraped(authorData);
+        await this.storeAuthor(authorData, source);
+      }
+    } catch (error) {
+      this.logger.error(`Failed to scrape author page: ${url}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Coerce a record to its schema; fields that still do not match are listed in
+   * its validationIssues and counted in the run's validation stats
+   * @param {string} kind - author or article
+   * @param {Object} data - Extracted record
+   * @returns {Object} - Record to store
+   */
+  validateRecord(kind, data) {
+    const { record, issues, coerced } = validateRecord(kind, data);
+    
+    // A record without its required fields is not stored; the page is retried as ValidationFailed
+    const required = RECORD_SCHEMA.definitions[kind].required || [];
+    const failed = issues.filter(issue => required.includes(issue.path));
+    if (failed.length > 0) {
+      throw new ValidationFailedError(record.url || data.url, kind, failed);
+    }
+    
+    const count = (counts, path) => {
+      const key = `${kind}.${getFieldKey(path)}`;
+      counts[key] = (counts[key] || 0) + 1;
+    };
+    
+    this.validationStats.records++;
+    coerced.forEach(path => count(this.validationStats.coerced, path));
+    issues.forEach(issue => count(this.validationStats.invalid, issue.path));
+    
+    if (issues.length > 0) {
+      this.validationStats.invalidRecords++;
+      this.logger.warn(`Invalid ${kind} record ${record.url}: ${issues.map(issue => `${issue.path} is not a ${issue.expected}`).join(', ')}`);
+    }
+    
+    return { ...record, validationIssues: issues };
+  }
+
+  async storeAuthor(authorData, source) {
+    authorData = this.validateRecord('author', authorData);
+    this.logger.logAuthorScraped(authorData);
+    
+    source.data = authorData;
+    source.status = 'completed';
+    source.error = null;
+    
+    // Store author data
+    await this.dataset.pushData({
+      type: 'author',
+      data: authorData,
+      source: { type: source.type, url: source.url },
+      scrapedAt: new Date().toISOString()
+    });
+    
+    // Enqueue article URLs for scraping, tagged with the author they came from
+    await this.enqueueArticles(authorData.articles, source);
+  }
+
+  async handlePublicationPage(page, url, request) {
+    const source = this.getSource(request) || this.registerSource('publication', getPublicationBaseUrl(url));
+    
+    try {
+      const publicationScraper = new PublicationScraper(page, this.input, source.url, this.politeness);
+      const publicationData = await publicationScraper.scrapePublication();
+      this.selectorHealth.observeAll(publicationScraper.fieldSources);
+      
+      if (publicationData) {
+        this.logger.info('Publication scraped successfully', {
+          publicationName: publicationData.name,
+          editorsCount: publicationData.editors.length,
+          articlesCount: publicationData.articles.length,
+          event: 'publication_scraped'
+        });
+        
+        source.data = publicationData;
+        source.status = 'completed';
+        source.error = null;
         
-        // Store author data
         await this.dataset.pushData({
-          type: 'author',
-          data: authorData,
+          type: 'publication',
+          data: publicationData,
+          source: { type: source.type, url: source.url },
           scrapedAt: new Date().toISOString()
         });
         
-        // Enqueue article URLs for scraping
-        if (authorData.articles && authorData.articles.length > 0) {
-          const articleUrls = authorData.articles.slice(0, this.input.maxPosts).map(article => article.url);
-          
-          for (const articleUrl of articleUrls) {
-            await this.crawler.addRequests([{
-              url: articleUrl,
-              userData: { isArticle: true }
-            }]);
-          }
-        }
+        // Publication stories go through the same article pipeline as author posts
+        await this.enqueueArticles(publicationData.articles, source);
       }
     } catch (error) {
-      this.logger.error(`Failed to scrape author page: ${url}`, error);
+      this.logger.error(`Failed to scrape publication page: ${url}`, error);
+      throw error;
+    }
+  }
+
+  async handleTagPage(page, url, request) {
+    const tag = request.userData?.tag || normalizeTagSlug(url);
+    const source = this.getSource(request) || this.registerSource('tag', getTagFeedUrl(tag));
+    
+    try {
+      const tagScraper = new TagScraper(page, this.input, tag, {
+        views: this.input.tagFeedViews,
+        maxPosts: this.input.maxPostsPerTag,
+        // Stream every discovered batch straight into the article queue
+        onArticles: (articles) => this.enqueueArticles(articles, source, this.input.maxPostsPerTag),
+        ...this.politeness
+      });
+      const tagData = await tagScraper.scrapeTagFeed();
+      this.selectorHealth.observeAll(tagScraper.fieldSources);
+      
+      this.logger.info('Tag feed scraped successfully', {
+        tag,
+        articlesCount: tagData.articles.length,
+        views: tagData.views,
+        event: 'tag_feed_scraped'
+      });
+      
+      source.data = tagData;
+      source.status = 'completed';
+      source.error = null;
+      
+      await this.dataset.pushData({
+        type: 'tag_feed',
+        data: tagData,
+        source: { type: source.type, url: source.url },
+        scrapedAt: new Date().toISOString()
+      });
+    } catch (error) {
+      this.logger.error(`Failed to scrape tag feed: ${url}`, error);
       throw error;
     }
   }
 
-  async handleArticlePage(page, url) {
+  async enqueueArticles(articles = [], source, limit = this.input.maxPosts) {
+    let candidates = articles.slice(0, limit);
+    
+    if (this.incrementalState) {
+      candidates = await this.incrementalState.completeListingDates(candidates, articleUrl => this.fetchLatestPublishedAt(articleUrl));
+      candidates = this.incrementalState.filterListing(candidates, source);
+      this.logger.info(`Incremental run: enqueueing ${candidates.length} of ${Math.min(articles.length, limit)} articles from ${source.url}`);
+    }
+    
+    // Articles finished before a restart are not scraped twice
+    const articleUrls = candidates
+      .map(article => article.url)
+      .filter(articleUrl => !this.completedArticles.has(this.normalizeUrl(articleUrl)));
+    
+    for (const articleUrl of articleUrls) {
+      const request = {
+        url: articleUrl,
+        userData: {
+          isArticle: true,
+          source: { type: source.type, url: source.url }
+        }
+      };
+      
+      if (!(await this.robotsPolicy.isAllowed(articleUrl, { source: request.userData.source }))) {
+        this.skipDisallowed(request);
+        continue;
+      }
+      
+      if (!this.discoveredArticles.has(this.normalizeUrl(articleUrl))) {
+        this.discoveredArticles.set(this.normalizeUrl(articleUrl), request);
+      }
+      await this.crawler.addRequests([request]);
+    }
+  }
+
+  /**
+   * Edit date of a known post its listing shows no date for, read over HTTP
+   * @param {string} url - Article URL
+   * @returns {Promise<string|null>} - latestPublishedAt, null when it could not be read
+   */
+  async fetchLatestPublishedAt(url) {
+    // Replays only have the pages the recording run fetched
+    if (this.archive?.replaying && !this.archive.has(url)) return null;
+    
+    const httpScraper = new HttpScraper(this.input, {
+      httpAgent: this.proxyManager.createProxyAgent(this.proxyManager.getCurrentProxy()),
+      archive: this.archive,
+      ...this.politeness
+    });
+    
+    try {
+      return await httpScraper.fetchLatestPublishedAt(url);
+    } catch (error) {
+      rethrowUnlessSkippable(error);
+      this.logger.warn(`Could not read the edit date of ${url}, skipping it as unchanged`, error);
+      return null;
+    }
+  }
+
+  async handleArticlePage(page, url, request) {
+    const source = this.getSource(request);
+    
     try {
       // Detect paywall before scraping
       const paywallInfo = await this.paywallDetector.detectPaywall(page);
       
       if (paywallInfo.hasPaywall) {
         this.stats.paywallHits++;
+        if (source) source.stats.paywallHits++;
         this.logger.logPaywallDetected(url);
         
         // Handle paywall
@@ -394,32 +1179,66 @@ export class MediumScraper {
         
         if (!paywallResult.success && !this.input.premiumContent) {
           this.logger.warn(`Skipping premium content: ${url}`);
+          this.failures.skip(url, new PaywallSkippedError(url, paywallInfo.type || null), this.describeRequest(request));
+          this.completedArticles.add(this.normalizeUrl(url));
           return;
         }
       }
       
-      const articleScraper = new ArticleScraper(page, this.input, paywallInfo);
+      const articleScraper = new ArticleScraper(page, this.input, paywallInfo, this.politeness);
       const articleData = await articleScraper.scrapeArticle();
+      this.selectorHealth.observeAll(articleScraper.fieldSources);
       
-      if (articleData) {
-        this.stats.successfulExtractions++;
-        this.logger.logArticleScraped(articleData);
-        
-        // Store article data
+      await this.storeArticle(articleData, url, request);
+      
+    } catch (error) {
+      this.logger.error(`Failed to scrape article page: ${url}`, error);
+      throw error;
+    }
+  }
+
+  async storeArticle(articleData, url, request) {
+    const source = this.getSource(request);
+    
+    if (articleData) {
+      articleData.source = source
+        ? { type: source.type, url: source.url }
+        : request?.userData?.source || null;
+      articleData = this.validateRecord('article', articleData);
+      
+      this.stats.successfulExtractions++;
+      if (source) source.stats.successfulExtractions++;
+      if (this.input.includeComments && articleData.comments === null) {
+        this.stats.responseFailures++;
+      }
+      this.logger.logArticleScraped(articleData);
+      
+      if (this.incrementalState) {
+        articleData.changeType = this.incrementalState.recordArticle(articleData);
+      }
+      
+      // Store article data
+      if (this.ndjsonWriter) {
+        await this.ndjsonWriter.write(articleData);
+        this.articleSummaries.push({
+          postId: articleData.postId || null,
+          url: articleData.url,
+          author: articleData.author,
+          authorUrl: articleData.authorUrl
+        });
+      } else {
         await this.dataset.pushData({
           type: 'article',
           data: articleData,
           scrapedAt: new Date().toISOString(),
-          paywallInfo
+          paywallInfo: articleData.paywallInfo
         });
       }
-      
-      this.stats.totalArticles++;
-      
-    } catch (error) {
-      this.logger.error(`Failed to scrape article page: ${url}`, error);
-      throw error;
     }
+    
+    this.stats.totalArticles++;
+    if (source) source.stats.totalArticles++;
+    this.completedArticles.add(this.normalizeUrl(url));
   }
 
   async scrape() {
@@ -428,17 +1247,62 @@ export class MediumScraper {
       
       this.logger.info('Starting Medium scraping process');
       
-      // Add initial request
-      await this.crawler.addRequests([{
-        url: this.input.authorUrl,
-        userData: { isAuthor: true }
-      }]);
+      // Add one initial request per author and per publication
+      const seeds = [
+        ...this.authorUrls.map(url => ({
+          url,
+          userData: {
+            isAuthor: true,
+            source: { type: 'author', url }
+          }
+        })),
+        ...this.publicationUrls.map(url => ({
+          url,
+          userData: {
+            isPublication: true,
+            source: { type: 'publication', url }
+          }
+        })),
+        ...this.tagFeeds.map(tag => ({
+          url: getTagFeedUrl(tag, this.input.tagFeedViews[0]),
+          userData: {
+            isTagFeed: true,
+            tag,
+            source: { type: 'tag', url: getTagFeedUrl(tag) }
+          }
+        })),
+        // Article URLs given directly go straight to the article pipeline
+        ...this.articleUrls.map(url => ({
+          url,
+          userData: {
+            isArticle: true,
+            source: { type: 'input', url: null }
+          }
+        }))
+      ];
+      
+      // A resumed run skips the sources and articles it finished before, and
+      // picks up the articles it had discovered but not scraped yet
+      const pendingSeeds = seeds.filter(request => request.userData.isArticle
+        ? !this.completedArticles.has(this.normalizeUrl(request.url))
+        : this.sources.get(this.normalizeUrl(request.userData.source.url))?.status !== 'completed');
+      const pendingArticles = Array.from(this.discoveredArticles.entries())
+        .filter(([key]) => !this.completedArticles.has(key))
+        .map(([, request]) => request);
+      
+      await this.crawler.addRequests(await this.filterByRobots([...pendingSeeds, ...pendingArticles]));
       
       // Run the crawler
       await this.crawler.run();
       
       // Get final results
       const results = await this.getResults();
+      results.runId = this.checkpoint.runId;
+      this.finished = !this.interrupted;
+      
+      if (this.ndjsonWriter) {
+        results.output = await this.finishNdjsonOutput(results);
+      }
       
       // Log completion
       this.logger.logScrapingComplete(results);
@@ -455,45 +1319,170 @@ export class MediumScraper {
 
   async getResults() {
     try {
-      const allData = await this.dataset.getData();
+      // NDJSON articles are already on disk; loading them back is what that mode avoids
+      const articles = this.ndjsonWriter
+        ? []
+        : this.dedupeArticles((await this.dataset.getData()).items
+          .filter(item => item.type === 'article')
+          .map(item => item.data));
       
-      const authorData = allData.items.find(item => item.type === 'author')?.data;
-      const articles = allData.items
-        .filter(item => item.type === 'article')
-        .map(item => item.data);
+      const authors = this.summarizeSources('author');
+      const publications = this.summarizeSources('publication');
+      const tagFeeds = this.summarizeSources('tag');
+      this.skipDisallowedPages();
       
       return {
-        author: authorData,
+        // Only set when the run scraped exactly one author profile
+        author: authors.length === 1 ? authors[0] : null,
+        authors,
+        articleAuthors: this.collectArticleAuthors(this.ndjsonWriter ? this.articleSummaries : articles),
+        publications,
+        tagFeeds,
         articles: articles,
+        skippedArticleUrls: this.skippedArticleUrls,
         stats: {
-          ...this.stats,
+          ...this.computeRates(this.stats),
           sessionDuration: Date.now() - this.stats.startTime,
-          paywallRate: this.stats.totalArticles > 0 ? (this.stats.paywallHits / this.stats.totalArticles * 100).toFixed(2) : 0,
-          successRate: this.stats.totalArticles > 0 ? (this.stats.successfulExtractions / this.stats.totalArticles * 100).toFixed(2) : 0
+          perAuthor: this.statsBySource(authors),
+          perPublication: this.statsBySource(publications),
+          perTag: this.statsBySource(tagFeeds)
         },
         proxyStats: this.proxyManager.getStats(),
+        fetchStats: this.input.fetchMode === 'http' ? this.fetchStats : null,
+        rateLimit: this.rateLimiter.getStats(),
+        robots: this.robotsPolicy ? await this.robotsPolicy.getSummary() : null,
+        archive: this.archive ? this.archive.getSummary() : null,
+        selectorHealth: this.selectorHealth.getReport(),
+        validation: this.validationStats,
+        failures: this.failures.getReport(),
         paywallStats: this.paywallDetector.getStats(),
+        incremental: this.incrementalState ? this.incrementalState.getSummary() : null,
         scrapedAt: new Date().toISOString()
       };
     } catch (error) {
       this.logger.error('Failed to get results', error);
       return {
         author: null,
+        authors: [],
+        publications: [],
+        tagFeeds: [],
+        articleAuthors: [],
         articles: [],
+        skippedArticleUrls: this.skippedArticleUrls,
         stats: this.stats,
         error: error.message
       };
     }
   }
 
+  async finishNdjsonOutput(results) {
+    const summary = await this.ndjsonWriter.close();
+    const { articles, ...manifest } = results;
+    const manifestFile = await this.ndjsonWriter.writeManifest(manifest);
+    
+    this.logger.info(`Streamed ${summary.totalRecords} articles to ${summary.parts.length} NDJSON part(s)`);
+    
+    return { ...summary, manifest: manifestFile.filename, outputDir: this.ndjsonWriter.outputDir };
+  }
+
+  dedupeArticles(articles) {
+    // An article stored right before a crash, but after the last checkpoint, is scraped again on resume
+    const byUrl = new Map();
+    articles.forEach(article => byUrl.set(this.normalizeUrl(article.url), article));
+    return Array.from(byUrl.values());
+  }
+
+  collectArticleAuthors(articles) {
+    // Authors as they appear on the scraped articles, whatever source the articles came from
+    const byUrl = new Map();
+    
+    articles.forEach(article => {
+      const key = article.authorUrl || article.author;
+      if (!key) return;
+      
+      const entry = byUrl.get(key) || { name: article.author || '', url: article.authorUrl || '', articlesCount: 0 };
+      entry.articlesCount++;
+      byUrl.set(key, entry);
+    });
+    
+    return Array.from(byUrl.values());
+  }
+
+  summarizeSources(type) {
+    return Array.from(this.sources.values())
+      .filter(source => source.type === type)
+      .map(source => ({
+        ...(source.data || { url: source.url }),
+        source: { type: source.type, url: source.url },
+        status: source.status,
+        error: source.error,
+        stats: this.computeRates(source.stats)
+      }));
+  }
+
+  statsBySource(summaries) {
+    return Object.fromEntries(summaries.map(summary => [summary.source.url, summary.stats]));
+  }
+
+  computeRates(stats) {
+    return {
+      ...stats,
+      paywallRate: stats.totalArticles > 0 ? (stats.paywallHits / stats.totalArticles * 100).toFixed(2) : 0,
+      successRate: stats.totalArticles > 0 ? (stats.successfulExtractions / stats.totalArticles * 100).toFixed(2) : 0
+    };
+  }
+
+  /**
+   * Stop on a signal or migration without losing the run: the crawler is torn
+   * down and progress checkpointed, but nothing is dropped
+   * @param {string} reason - Signal or event name
+   */
+  async shutdown(reason) {
+    this.interrupted = true;
+    this.logger.info(`Stopping on ${reason}`);
+    await this.cleanup();
+  }
+
   async cleanup() {
     try {
       if (this.crawler) {
-        await this.crawler.teardown();
+        // A failing teardown must not keep the progress below from being saved
+        await this.crawler.teardown().catch(error => this.logger.warn('Crawler teardown failed', error));
       }
       
-      if (this.dataset) {
-        await this.dataset.drop();
+      if (this.fallbackBrowser) {
+        await this.fallbackBrowser.close().catch(error => this.logger.warn('Closing the fallback browser failed', error));
+        this.fallbackBrowser = null;
+      }
+      
+      if (this.archive) {
+        const { mode, dir, recorded, replayed, missing } = this.archive.getSummary();
+        this.logger.info(mode === 'record'
+          ? `Recorded ${recorded} pages to ${dir}`
+          : `Replayed ${replayed} pages from ${dir}, ${missing} not in the archive`);
+      }
+      
+      // Flush whatever was streamed before a failure
+      if (this.ndjsonWriter) {
+        await this.ndjsonWriter.close();
+      }
+      
+      // Remember what this run scraped, also when it failed part way
+      if (this.incrementalState) {
+        await this.incrementalState.save();
+      }
+      
+      if (this.finished) {
+        await this.selectorHealth.saveBaseline().catch(error => this.logger.warn('Failed to save the selector baseline', error));
+
+        if (this.dataset) {
+          await this.dataset.drop();
+        }
+        await this.checkpoint.clear();
+      } else if (this.checkpoint) {
+        // Keep the dataset and checkpoint so a restart with the same runId resumes the run
+        await this.saveCheckpoint('interrupted');
+        this.logger.info(`Run ${this.checkpoint.runId} did not finish; restart with runId "${this.checkpoint.runId}" to resume it`);
       }
       
       this.logger.info('Cleanup completed');
@@ -0,0 +1,270 @@
+import { createLogger } from '../utils/logger.js';
+import { MEDIUM_CONSTANTS, SELECTORS } from '../config/constants.js';
+import { cleanText, parseCount } from '../utils/contentProcessor.js';
+import { loadApolloGraph } from '../utils/apolloParser.js';
+import { apolloSource, domSource, matchSelectors, sourcesFromRecord } from '../utils/selectorHealth.js';
+import { navigate } from '../utils/rateLimiter.js';
+import { rethrowUnlessSkippable } from '../utils/scrapeErrors.js';
+import { AuthorScraper } from './AuthorScraper.js';
+
+export class PublicationScraper extends AuthorScraper {
+  constructor(page, input = {}, publicationUrl = null, options = {}) {
+    super(page, input, options);
+    this.baseUrl = getPublicationBaseUrl(publicationUrl || page.url());
+    this.logger = createLogger({ scraper: 'PublicationScraper', url: this.baseUrl });
+    this.collection = null;
+  }
+
+  async scrapePublication() {
+    try {
+      this.logger.info('Starting publication scraping');
+
+      // Masthead is read from the landing page the crawler navigated to
+      await this.waitForAuthorPage();
+      const masthead = await this.extractMasthead();
+
+      // Editors are listed on the publication's about page
+      const editors = await this.extractEditors();
+
+      // Walk the archive for the publication's stories
+      const articles = await this.walkArchive(masthead);
+      const filteredArticles = this.filterArticles(articles);
+
+      return {
+        ...masthead,
+        editors,
+        articles: filteredArticles,
+        totalArticles: articles.length,
+        filteredCount: filteredArticles.length,
+        scrapedAt: new Date().toISOString()
+      };
+
+    } catch (error) {
+      this.logger.error('Publication scraping failed', error);
+      throw error;
+    }
+  }
+
+  async extractMasthead() {
+    try {
+      // The Collection entity carries the masthead when Medium embeds its Apollo state
+      this.graph = await loadApolloGraph(this.page);
+      const slugOrDomain = this.baseUrl.startsWith(MEDIUM_CONSTANTS.BASE_URL)
+        ? this.baseUrl.split('/').pop()
+        : new URL(this.baseUrl).hostname;
+      this.collection = this.graph?.getRootCollection() || this.graph?.getCollection(slugOrDomain) || null;
+      
+      if (this.collection) {
+        const masthead = {
+          publicationId: this.collection.id,
+          name: cleanText(this.collection.name),
+          description: cleanText(this.collection.description),
+          logo: this.collection.avatarUrl,
+          followers: this.collection.followerCount,
+          url: this.baseUrl
+        };
+        this.fieldSources.push({
+          scope: 'publication',
+          sources: sourcesFromRecord(masthead, ['name', 'description', 'logo', 'followers'], apolloSource('Collection'))
+        });
+        return masthead;
+      }
+
+      const masthead = await this.page.evaluate((selectors) => {
+        const meta = (name) => document.querySelector(`meta[property="${name}"], meta[name="${name}"]`)?.content || '';
+
+        const name = document.querySelector(selectors.PUBLICATION.NAME)?.textContent?.trim() || meta('og:site_name') || meta('og:title');
+        const description = document.querySelector(selectors.PUBLICATION.DESCRIPTION)?.textContent?.trim() || meta('description');
+        const logo = document.querySelector(selectors.PUBLICATION.LOGO)?.src || meta('og:image');
+        const followers = document.querySelector(selectors.PUBLICATION.FOLLOWERS)?.textContent?.trim() || '0';
+
+        return { name, description, logo, followers };
+      }, SELECTORS);
+
+      // Name, description and logo fall back to meta tags when no selector matches
+      const matches = await matchSelectors(this.page, {
+        name: SELECTORS.PUBLICATION.NAME,
+        description: SELECTORS.PUBLICATION.DESCRIPTION,
+        logo: SELECTORS.PUBLICATION.LOGO,
+        followers: SELECTORS.PUBLICATION.FOLLOWERS
+      });
+      this.fieldSources.push({
+        scope: 'publication',
+        sources: {
+          name: masthead.name ? domSource(matches.name || 'meta') : null,
+          description: masthead.description ? domSource(matches.description || 'meta') : null,
+          logo: masthead.logo ? domSource(matches.logo || 'meta') : null,
+          followers: domSource(matches.followers)
+        }
+      });
+
+      return {
+        name: cleanText(masthead.name),
+        description: cleanText(masthead.description),
+        logo: masthead.logo,
+        followers: parseCount(masthead.followers),
+        url: this.baseUrl
+      };
+
+    } catch (error) {
+      this.logger.error('Failed to extract publication masthead', error);
+      return {
+        name: 'Unknown',
+        description: '',
+        logo: '',
+        followers: 0,
+        url: this.baseUrl
+      };
+    }
+  }
+
+  async extractEditors() {
+    try {
+      const apolloEditors = (this.collection?.editorIds || [])
+        .map(id => this.graph.getUser(id))
+        .filter(Boolean)
+        .map(user => ({ name: user.name, url: user.url, username: user.username }));
+
+      if (apolloEditors.length > 0) {
+        return apolloEditors;
+      }
+
+      await navigate(this.page, `${this.baseUrl}/about`, {
+        waitUntil: 'domcontentloaded',
+        timeout: MEDIUM_CONSTANTS.NAVIGATION_TIMEOUT
+      }, this.politeness);
+      await this.page.waitForTimeout(1000 + Math.random() * 1000);
+
+      const editors = await this.page.evaluate((selectors) => {
+        let links = Array.from(document.querySelectorAll(selectors.PUBLICATION.EDITORS));
+
+        // Fall back to the profile links that follow an "Editors" heading
+        if (links.length === 0) {
+          const heading = Array.from(document.querySelectorAll('h2, h3, h4, p, span'))
+            .find(element => /^editors?$/i.test(element.textContent?.trim() || ''));
+          const section = heading?.closest('section') || heading?.parentElement?.parentElement;
+          links = section ? Array.from(section.querySelectorAll('a[href*="/@"]')) : [];
+        }
+
+        return links.map(link => ({
+          name: link.textContent?.trim() || '',
+          url: link.href.split('?')[0],
+          username: (link.href.match(/\/@([^/?#]+)/) || [])[1] || ''
+        }));
+      }, SELECTORS);
+
+      // The same editor is usually linked twice (avatar and name)
+      const unique = new Map();
+      editors.forEach(editor => {
+        const existing = unique.get(editor.url);
+        if (!existing || (!existing.name && editor.name)) {
+          unique.set(editor.url, { ...editor, name: cleanText(editor.name) });
+        }
+      });
+
+      return Array.from(unique.values());
+
+    } catch (error) {
+      rethrowUnlessSkippable(error);
+      this.logger.warn('Failed to extract publication editors', error);
+      return [];
+    }
+  }
+
+  async walkArchive(masthead = {}) {
+    const articles = [];
+    const visited = new Set();
+    const queue = [`${this.baseUrl}/archive`];
+
+    while (queue.length > 0 && visited.size < MEDIUM_CONSTANTS.MAX_ARCHIVE_PAGES && articles.length < this.input.maxPosts) {
+      const archiveUrl = queue.shift();
+      if (visited.has(archiveUrl)) continue;
+      visited.add(archiveUrl);
+
+      try {
+        this.logger.info(`Walking archive page: ${archiveUrl}`);
+        await navigate(this.page, archiveUrl, {
+          waitUntil: 'domcontentloaded',
+          timeout: MEDIUM_CONSTANTS.NAVIGATION_TIMEOUT
+        }, this.politeness);
+        await this.page.waitForTimeout(1000 + Math.random() * 1000);
+
+        let hasMore = true;
+        let scrollCount = 0;
+
+        while (hasMore && scrollCount < MEDIUM_CONSTANTS.MAX_SCROLLS_PER_PAGE && articles.length < this.input.maxPosts) {
+          const stories = await this.extractArchiveStories(masthead);
+          const newStories = stories.filter(story => !articles.some(existing => existing.url === story.url));
+          articles.push(...newStories);
+
+          // Stop scrolling once the page stops yielding new stories
+          if (newStories.length === 0 && scrollCount > 0) break;
+
+          hasMore = await this.loadMoreArticles();
+          scrollCount++;
+          await this.page.waitForTimeout(1000 + Math.random() * 2000);
+        }
+
+        // Year and month archive pages, newest first
+        const subPages = await this.extractArchiveLinks();
+        subPages
+          .filter(url => !visited.has(url) && !queue.includes(url))
+          .forEach(url => queue.push(url));
+        queue.sort((a, b) => b.localeCompare(a));
+
+      } catch (error) {
+        rethrowUnlessSkippable(error);
+        this.logger.warn(`Failed to walk archive page: ${archiveUrl}`, error);
+      }
+    }
+
+    this.logger.info(`Extracted ${articles.length} articles from ${visited.size} archive pages`);
+    return articles;
+  }
+
+  async extractArchiveStories(masthead = {}) {
+    const stories = await this.extractStoryLinks({
+      hosts: [new URL(this.baseUrl).hostname, 'medium.com']
+    });
+
+    return stories.map(story => ({
+      ...story,
+      publication: {
+        name: masthead.name || '',
+        url: this.baseUrl
+      }
+    }));
+  }
+
+  async extractArchiveLinks() {
+    try {
+      return await this.page.evaluate(({ selectors, baseUrl }) => {
+        return Array.from(document.querySelectorAll(selectors.PUBLICATION.ARCHIVE_LINKS))
+          .map(link => link.href.split(/[?#]/)[0].replace(/\/+$/, ''))
+          .filter(href => href.startsWith(`${baseUrl}/archive/`) && /\/archive\/\d{4}(\/\d{2})?$/.test(href));
+      }, { selectors: SELECTORS, baseUrl: this.baseUrl });
+    } catch (error) {
+      this.logger.warn('Failed to extract archive links', error);
+      return [];
+    }
+  }
+}
+
+/**
+ * Reduce any URL within a publication to the publication's base URL:
+ * https://medium.com/<slug> on medium.com, the origin on custom domains
+ * @param {string} url - Publication, archive or article URL
+ * @returns {string} - Publication base URL
+ */
+export function getPublicationBaseUrl(url) {
+  const parsedUrl = new URL(url);
+
+  if (parsedUrl.hostname === 'medium.com' || parsedUrl.hostname === 'www.medium.com') {
+    const slug = parsedUrl.pathname.split('/').filter(Boolean)[0] || '';
+    return `https://medium.com/${slug}`;
+  }
+
+  return parsedUrl.origin;
+}
+
+export default PublicationScraper;
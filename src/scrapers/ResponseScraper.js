@@ -0,0 +1,258 @@
+import { createLogger } from '../utils/logger.js';
+import { MEDIUM_CONSTANTS, SELECTORS } from '../config/constants.js';
+import { cleanText, parseCount } from '../utils/contentProcessor.js';
+import { loadApolloGraph } from '../utils/apolloParser.js';
+import { navigate } from '../utils/rateLimiter.js';
+import { rethrowUnlessSkippable } from '../utils/scrapeErrors.js';
+import { apolloSource, combineSources, matchSelectors, sourcesFromRecord } from '../utils/selectorHealth.js';
+
+const RESPONSE_FIELDS = ['postId', 'author', 'text', 'claps', 'date'];
+
+/**
+ * Scrapes the responses of a story. Responses are posts themselves and can be
+ * answered in turn, so every response carries its own post id, the id of the
+ * post it answers (parentId, the story's id for direct responses) and its depth
+ * in the thread. The responses panel is opened on the story page, or the
+ * /responses page when the story has no panel button, and paginated with
+ * "See more responses" until maxResponses is reached. Replies are expanded down
+ * to maxResponseDepth.
+ */
+export class ResponseScraper {
+  /**
+   * @param {Object} page - Playwright page showing the story
+   * @param {Object} input - Actor input (maxResponses, maxResponseDepth)
+   * @param {{ postId: string, url: string }} post - Story the responses belong to
+   * @param {Object} options - rateLimiter and robots of the run, for the /responses navigation
+   */
+  constructor(page, input = {}, post = {}, options = {}) {
+    this.page = page;
+    this.input = input;
+    this.postId = post.postId || null;
+    this.postUrl = post.url || page.url();
+    this.maxResponses = input.maxResponses || MEDIUM_CONSTANTS.DEFAULT_MAX_RESPONSES;
+    this.maxDepth = input.maxResponseDepth || MEDIUM_CONSTANTS.DEFAULT_MAX_RESPONSE_DEPTH;
+    this.politeness = { rateLimiter: options.rateLimiter || null, robots: options.robots || null };
+    this.logger = createLogger({ scraper: 'ResponseScraper', url: this.postUrl });
+
+    // Where each extracted field came from, for the run's selector health report
+    this.fieldSources = [];
+  }
+
+  /**
+   * @returns {Promise<Object[]|null>} - Responses, null when they could not be read
+   */
+  async scrapeResponses() {
+    try {
+      await this.openResponses();
+
+      let responses = [];
+      for (let page = 0; page < MEDIUM_CONSTANTS.MAX_RESPONSE_PAGES; page++) {
+        await this.expandReplies();
+        responses = await this.extractResponses();
+
+        if (responses.length >= this.maxResponses || !(await this.loadMoreResponses())) {
+          break;
+        }
+        await this.page.waitForTimeout(1000 + Math.random() * 1000);
+      }
+
+      responses = responses.slice(0, this.maxResponses).map((response, index) => ({ ...response, index }));
+      this.logger.info(`Extracted ${responses.length} responses`);
+      return responses;
+
+    } catch (error) {
+      rethrowUnlessSkippable(error);
+      // null, not []: the story may well have responses
+      this.logger.warn('Failed to extract responses', error);
+      return null;
+    }
+  }
+
+  /**
+   * Open the responses panel, or navigate to the story's /responses page
+   */
+  async openResponses() {
+    const opened = await this.page.evaluate((selectors) => {
+      const button = document.querySelector(selectors.RESPONSES.OPEN_BUTTON);
+      if (!button) return false;
+
+      button.click();
+      return true;
+    }, SELECTORS);
+
+    if (!opened) {
+      await navigate(this.page, getResponsesUrl(this.postUrl, this.postId), {
+        waitUntil: 'domcontentloaded',
+        timeout: MEDIUM_CONSTANTS.NAVIGATION_TIMEOUT
+      }, this.politeness);
+    }
+
+    // A story without responses renders no response cards
+    await this.page.waitForSelector(SELECTORS.RESPONSES.RESPONSE, { timeout: 10000 }).catch(() => {});
+  }
+
+  /**
+   * Responses loaded so far: from the Apollo cache, which holds every loaded
+   * response as a Post with its parent, else from the rendered cards
+   * @returns {Promise<Object[]>} - Responses, parents before their replies
+   */
+  async extractResponses() {
+    const graph = await loadApolloGraph(this.page);
+    const threaded = this.postId && graph ? graph.getResponses(this.postId, this.maxDepth) : [];
+
+    if (threaded.length > 0) {
+      const responses = threaded.map(({ post, depth }) => ResponseScraper.responseFromGraph(graph, post, depth));
+      this.fieldSources = responses.map(response => ({
+        scope: 'responses',
+        sources: sourcesFromRecord(response, RESPONSE_FIELDS, apolloSource('Post'))
+      }));
+      return responses;
+    }
+
+    return this.extractResponsesFromDom();
+  }
+
+  static responseFromGraph(graph, post, depth) {
+    const creator = post.creatorId ? graph.getUser(post.creatorId) : null;
+
+    return {
+      postId: post.id,
+      parentId: post.inResponseToPostId,
+      depth,
+      author: cleanText(creator?.name || ''),
+      authorUrl: creator?.url || '',
+      text: graph.getParagraphs(post).map(paragraph => paragraph.text).filter(Boolean).join('\n'),
+      claps: post.clapCount,
+      date: post.firstPublishedAt
+    };
+  }
+
+  async extractResponsesFromDom() {
+    const cards = await this.page.evaluate(({ selectors, postId, maxDepth }) => {
+      const postIdOf = (element) => {
+        const href = element?.querySelector(selectors.RESPONSES.LINK)?.getAttribute('href') || '';
+        const match = href.match(/\/p\/([a-f0-9]{8,12})/) || href.match(/[/-]([a-f0-9]{8,12})(?:[/?#]|$)/);
+        return match ? match[1] : null;
+      };
+
+      return Array.from(document.querySelectorAll(selectors.RESPONSES.RESPONSE)).map(element => {
+        // Replies are nested in the card they answer: skip matches inside them
+        const own = (selector) => Array.from(element.querySelectorAll(selector))
+          .find(node => node.closest(selectors.RESPONSES.RESPONSE) === element);
+        const parent = element.parentElement?.closest(selectors.RESPONSES.RESPONSE) || null;
+
+        let depth = 1;
+        for (let ancestor = parent; ancestor; ancestor = ancestor.parentElement?.closest(selectors.RESPONSES.RESPONSE)) {
+          depth++;
+        }
+
+        const author = own(selectors.RESPONSES.AUTHOR);
+        const date = own(selectors.RESPONSES.DATE);
+
+        return {
+          postId: postIdOf(element),
+          parentId: parent ? postIdOf(parent) : postId,
+          depth,
+          author: author?.textContent?.trim() || '',
+          authorUrl: author?.href?.split('?')[0] || '',
+          text: own(selectors.RESPONSES.TEXT)?.innerText?.trim() || own(selectors.RESPONSES.TEXT)?.textContent?.trim() || '',
+          claps: own(selectors.RESPONSES.CLAPS)?.textContent?.trim() || '0',
+          date: date?.getAttribute('datetime') || date?.textContent?.trim() || null
+        };
+      }).filter(response => response.depth <= maxDepth);
+    }, { selectors: SELECTORS, postId: this.postId, maxDepth: this.maxDepth });
+
+    const responses = cards.map(card => ({
+      ...card,
+      author: cleanText(card.author),
+      claps: parseCount(card.claps)
+    }));
+
+    const matches = await matchSelectors(this.page, {
+      postId: SELECTORS.RESPONSES.LINK,
+      author: SELECTORS.RESPONSES.AUTHOR,
+      text: SELECTORS.RESPONSES.TEXT,
+      claps: SELECTORS.RESPONSES.CLAPS,
+      date: SELECTORS.RESPONSES.DATE
+    });
+    this.fieldSources = responses.map(response => ({ scope: 'responses', sources: combineSources(response, matches) }));
+
+    return responses;
+  }
+
+  /**
+   * Click the reply toggles of responses above maxResponseDepth
+   * @returns {Promise<number>} - Toggles clicked
+   */
+  async expandReplies() {
+    let clicked = 0;
+
+    // Opened replies can carry toggles of their own, one level per round
+    for (let round = 1; round < this.maxDepth; round++) {
+      const count = await this.page.evaluate(({ selectors, maxDepth }) => {
+        const pattern = new RegExp(selectors.RESPONSES.SHOW_REPLIES, 'i');
+
+        const toggles = Array.from(document.querySelectorAll('button, a[role="button"]')).filter(button => {
+          if (!pattern.test(button.textContent?.trim() || '') || button.dataset.repliesOpened) return false;
+
+          let depth = 0;
+          for (let card = button.closest(selectors.RESPONSES.RESPONSE); card; card = card.parentElement?.closest(selectors.RESPONSES.RESPONSE)) {
+            depth++;
+          }
+          return depth > 0 && depth < maxDepth;
+        });
+
+        toggles.forEach(button => {
+          button.dataset.repliesOpened = 'true';
+          button.click();
+        });
+        return toggles.length;
+      }, { selectors: SELECTORS, maxDepth: this.maxDepth }).catch(() => 0);
+
+      if (count === 0) break;
+      clicked += count;
+      await this.page.waitForTimeout(1000 + Math.random() * 500);
+    }
+
+    return clicked;
+  }
+
+  /**
+   * Click "See more responses"
+   * @returns {Promise<boolean>} - False once every response is loaded
+   */
+  async loadMoreResponses() {
+    try {
+      return await this.page.evaluate((selectors) => {
+        const pattern = new RegExp(selectors.RESPONSES.SEE_MORE, 'i');
+        const button = Array.from(document.querySelectorAll('button'))
+          .find(element => pattern.test(element.textContent?.trim() || '') && !element.disabled);
+
+        if (!button) return false;
+
+        button.click();
+        return true;
+      }, SELECTORS);
+    } catch (error) {
+      this.logger.warn('Failed to load more responses', error);
+      return false;
+    }
+  }
+}
+
+/**
+ * URL of a story's responses page
+ * @param {string} postUrl - Story URL
+ * @param {string|null} postId - Story post id
+ * @returns {string} - Responses URL
+ */
+export function getResponsesUrl(postUrl, postId = null) {
+  if (postId) {
+    return `${MEDIUM_CONSTANTS.BASE_URL}/p/${postId}/responses/show`;
+  }
+
+  const url = new URL(postUrl);
+  return `${url.origin}${url.pathname.replace(/\/+$/, '')}/responses`;
+}
+
+export default ResponseScraper;
@@ -0,0 +1,126 @@
+import { createLogger } from '../utils/logger.js';
+import { MEDIUM_CONSTANTS } from '../config/constants.js';
+import { navigate } from '../utils/rateLimiter.js';
+import { rethrowUnlessSkippable } from '../utils/scrapeErrors.js';
+import { AuthorScraper } from './AuthorScraper.js';
+
+export class TagScraper extends AuthorScraper {
+  constructor(page, input = {}, tag, options = {}) {
+    super(page, input, options);
+    this.tag = normalizeTagSlug(tag);
+    this.views = options.views || MEDIUM_CONSTANTS.TAG_FEED_VIEWS;
+    this.maxPosts = options.maxPosts || input.maxPostsPerTag || MEDIUM_CONSTANTS.DEFAULT_MAX_POSTS;
+    this.onArticles = options.onArticles || (async () => {});
+    this.logger = createLogger({ scraper: 'TagScraper', tag: this.tag });
+  }
+
+  async scrapeTagFeed() {
+    const articles = [];
+    const perView = {};
+
+    try {
+      this.logger.info(`Starting tag feed scraping for "${this.tag}"`);
+
+      for (const view of this.views) {
+        if (articles.length >= this.maxPosts) break;
+
+        perView[view] = await this.scrapeView(view, articles);
+      }
+
+      this.logger.info(`Discovered ${articles.length} articles for tag "${this.tag}"`);
+
+      return {
+        tag: this.tag,
+        url: getTagFeedUrl(this.tag),
+        views: perView,
+        articles,
+        totalArticles: articles.length,
+        scrapedAt: new Date().toISOString()
+      };
+
+    } catch (error) {
+      this.logger.error('Tag feed scraping failed', error);
+      throw error;
+    }
+  }
+
+  async scrapeView(view, articles) {
+    const viewUrl = getTagFeedUrl(this.tag, view);
+    let discovered = 0;
+
+    try {
+      if (this.page.url().replace(/\/+$/, '') !== viewUrl) {
+        await navigate(this.page, viewUrl, {
+          waitUntil: 'domcontentloaded',
+          timeout: MEDIUM_CONSTANTS.NAVIGATION_TIMEOUT
+        }, this.politeness);
+      }
+      await this.page.waitForTimeout(1000 + Math.random() * 1000);
+
+      let hasMore = true;
+      let scrollCount = 0;
+
+      while (hasMore && scrollCount < MEDIUM_CONSTANTS.MAX_SCROLLS_PER_PAGE && articles.length < this.maxPosts) {
+        const stories = await this.extractStoryLinks();
+        const newStories = stories
+          .filter(story => !articles.some(existing => existing.url === story.url))
+          .filter(story => this.input.premiumContent || !story.isPremium)
+          .slice(0, this.maxPosts - articles.length);
+
+        if (newStories.length > 0) {
+          articles.push(...newStories);
+          discovered += newStories.length;
+
+          // Hand each batch to the article pipeline as soon as it is found
+          await this.onArticles(newStories, view);
+        } else if (scrollCount > 0) {
+          break;
+        }
+
+        hasMore = await this.loadMoreArticles();
+        scrollCount++;
+        await this.page.waitForTimeout(1000 + Math.random() * 2000);
+      }
+
+    } catch (error) {
+      // A view robots.txt disallows is skipped and the other views are still read
+      rethrowUnlessSkippable(error);
+      this.logger.warn(`Failed to scrape "${view}" view for tag "${this.tag}"`, error);
+    }
+
+    this.logger.info(`Found ${discovered} new articles in the "${view}" view`);
+    return discovered;
+  }
+}
+
+/**
+ * Normalize a tag name or tag URL into Medium's tag slug
+ * @param {string} tag - Tag name ("Machine Learning"), slug or medium.com/tag/<slug> URL
+ * @returns {string} - Tag slug ("machine-learning")
+ */
+export function normalizeTagSlug(tag) {
+  if (!tag || typeof tag !== 'string') {
+    return '';
+  }
+
+  const fromUrl = tag.match(/\/tag\/([^/?#]+)/);
+  const slug = fromUrl ? decodeURIComponent(fromUrl[1]) : tag;
+
+  return slug
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, '-');
+}
+
+/**
+ * Build the URL of a tag feed view
+ * @param {string} tag - Tag slug
+ * @param {string} view - Feed view (recommended, latest or archive); omit for the tag landing page
+ * @returns {string} - Tag feed URL
+ */
+export function getTagFeedUrl(tag, view = null) {
+  const base = `${MEDIUM_CONSTANTS.BASE_URL}/tag/${encodeURIComponent(tag)}`;
+  return view ? `${base}/${view}` : base;
+}
+
+export default TagScraper;
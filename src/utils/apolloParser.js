@@ -0,0 +1,812 @@
+import { MEDIUM_CONSTANTS } from '../config/constants.js';
+
+/**
+ * @typedef {Object} ApolloImage
+ * @property {string} id - Medium image id (e.g. "1*abc.png")
+ * @property {string} url - Full miro.medium.com URL
+ * @property {number} width - Original width in pixels (0 when unknown)
+ * @property {number} height - Original height in pixels (0 when unknown)
+ * @property {string} alt - Alt text
+ */
+
+/**
+ * @typedef {Object} ApolloTag
+ * @property {string} slug - Normalized tag slug
+ * @property {string} name - Display title
+ */
+
+/**
+ * @typedef {Object} ApolloSequence
+ * @property {string} id - Sequence id
+ * @property {string} slug - Sequence slug
+ * @property {string} title - Sequence title
+ * @property {string} url - Sequence URL
+ */
+
+/**
+ * @typedef {Object} ApolloUser
+ * @property {string} id - User id
+ * @property {string} name - Display name
+ * @property {string} username - Username without "@"
+ * @property {string} bio - Short bio
+ * @property {string} avatarUrl - Avatar image URL
+ * @property {number} followerCount - Followers
+ * @property {number} followingCount - Followed users
+ * @property {string|null} mediumMemberAt - ISO date the user became a member
+ * @property {string} url - Profile URL
+ */
+
+/**
+ * @typedef {Object} ApolloUserProfile
+ * @property {string} about - Long-form About section, paragraphs separated by blank lines
+ * @property {{ type: string, label: string, topic?: string }[]} badges - Membership, top writer and book author badges
+ * @property {{ id: string, name: string, description: string, url: string, subscribers: number|null }|null} newsletter -
+ *   Newsletter readers can subscribe to, null when the user has none
+ * @property {{ postId: string, title: string, url: string }|null} pinnedPost - Post pinned to the profile
+ * @property {{ name: string, url: string, role: string }[]} publications - Publications the user owns, edits or writes for
+ * @property {{ id: string, name: string, description: string, url: string, itemCount: number|null }[]} lists - Public lists
+ */
+
+/**
+ * @typedef {Object} ApolloCollection
+ * @property {string} id - Collection id
+ * @property {string} name - Publication name
+ * @property {string} slug - Publication slug
+ * @property {string} description - Publication description
+ * @property {string|null} domain - Custom domain, if any
+ * @property {number} followerCount - Followers
+ * @property {string} avatarUrl - Logo URL
+ * @property {string|null} creatorId - Id of the creating user
+ * @property {string[]} editorIds - Ids of the editors
+ * @property {string} url - Publication URL
+ */
+
+/**
+ * @typedef {Object} ApolloMarkup
+ * @property {string} type - STRONG, EM, CODE or A
+ * @property {number} start - Start offset in the paragraph text
+ * @property {number} end - End offset in the paragraph text
+ * @property {string|null} href - Link target for A markups
+ * @property {string|null} anchorType - LINK or USER for A markups
+ * @property {string|null} userId - Mentioned user id for USER anchors
+ */
+
+/**
+ * @typedef {Object} ApolloParagraph
+ * @property {string} id - Paragraph id
+ * @property {string} name - Paragraph name (stable anchor)
+ * @property {string} type - Medium paragraph type (P, H3, H4, BQ, PQ, PRE, IMG, OLI, ULI, IFRAME, MIXTAPE_EMBED...)
+ * @property {string} text - Plain text
+ * @property {ApolloMarkup[]} markups - Inline markups
+ * @property {string|null} layout - Image layout
+ * @property {string|null} href - Paragraph level link (images)
+ * @property {ApolloImage|null} image - Image metadata for IMG paragraphs
+ * @property {Object|null} codeBlockMetadata - { lang, mode } for PRE paragraphs
+ * @property {Object|null} iframe - { src, title, width, height } for IFRAME paragraphs
+ * @property {Object|null} mixtape - { href, thumbnailImageId } for MIXTAPE_EMBED paragraphs
+ */
+
+/**
+ * @typedef {Object} ApolloPost
+ * @property {string} id - Post id
+ * @property {string} title - Title
+ * @property {string} subtitle - Subtitle
+ * @property {string} url - Canonical Medium URL
+ * @property {string} slug - Unique slug
+ * @property {string|null} creatorId - Author user id
+ * @property {string|null} collectionId - Publication id
+ * @property {string|null} firstPublishedAt - ISO publication date
+ * @property {string|null} latestPublishedAt - ISO date of the latest edit
+ * @property {number} readingTime - Reading time in minutes (fractional)
+ * @property {number} clapCount - Claps
+ * @property {number} responseCount - Responses
+ * @property {ApolloTag[]} tags - Tags
+ * @property {boolean} isLocked - Member-only post
+ * @property {ApolloImage|null} previewImage - Preview image
+ * @property {ApolloSequence|null} sequence - Series the post belongs to
+ * @property {string|null} inResponseToPostId - Parent post id when the post is a response
+ */
+
+/**
+ * Extract the JSON object assigned to window.__APOLLO_STATE__ from raw page HTML
+ * @param {string} html - Page HTML
+ * @returns {Object|null} - Apollo state, or null when the page has none
+ */
+export function extractApolloState(html) {
+  if (!html || typeof html !== 'string') {
+    return null;
+  }
+
+  const marker = html.search(/window\.__APOLLO_STATE__\s*=\s*\{/);
+  if (marker === -1) {
+    return null;
+  }
+
+  const start = html.indexOf('{', marker);
+  const json = readBalancedObject(html, start);
+  if (!json) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(json);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read a balanced {...} JSON object starting at the given index,
+ * skipping braces that appear inside strings
+ * @param {string} text - Source text
+ * @param {number} start - Index of the opening brace
+ * @returns {string|null} - Object source, or null when unterminated
+ */
+function readBalancedObject(text, start) {
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+
+    if (inString) {
+      if (escaped) {
+        escaped = false;
+      } else if (char === '\\') {
+        escaped = true;
+      } else if (char === '"') {
+        inString = false;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inString = true;
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}') {
+      depth--;
+      if (depth === 0) {
+        return text.substring(start, i + 1);
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build an ApolloGraph from raw page HTML or an already extracted state object
+ * @param {string|Object} htmlOrState - Page HTML or Apollo state
+ * @returns {ApolloGraph|null} - Graph, or null when no state is available
+ */
+export function parseApolloState(htmlOrState) {
+  const state = typeof htmlOrState === 'string' ? extractApolloState(htmlOrState) : htmlOrState;
+
+  if (!state || typeof state !== 'object' || Object.keys(state).length === 0) {
+    return null;
+  }
+
+  return new ApolloGraph(state);
+}
+
+/**
+ * Load the Apollo graph of a Playwright page: the live Apollo cache when the client
+ * is running, otherwise the state embedded in the page HTML
+ * @param {Object} page - Playwright page
+ * @returns {Promise<ApolloGraph|null>} - Graph, or null when the page has no state
+ */
+export async function loadApolloGraph(page) {
+  try {
+    const liveState = await page.evaluate(() => {
+      try {
+        return window.__APOLLO_CLIENT__?.cache?.extract?.() || window.__APOLLO_STATE__ || null;
+      } catch {
+        return null;
+      }
+    });
+
+    const graph = parseApolloState(liveState);
+    if (graph) {
+      return graph;
+    }
+  } catch {
+    // Fall back to parsing the HTML below
+  }
+
+  return parseApolloState(await page.content());
+}
+
+/**
+ * Convert Medium's millisecond timestamps (or date strings) to ISO strings
+ * @param {number|string} value - Timestamp
+ * @returns {string|null} - ISO date or null
+ */
+export function toIsoDate(value) {
+  if (value === null || value === undefined || value === '' || value === 0) {
+    return null;
+  }
+
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Build a miro.medium.com URL for an image id
+ * @param {string} imageId - Medium image id
+ * @returns {string} - Image URL ('' when no id)
+ */
+export function getImageUrl(imageId) {
+  return imageId ? `${MEDIUM_CONSTANTS.IMAGE_BASE_URL}/${imageId}` : '';
+}
+
+/**
+ * Normalized, ref-resolving view over a Medium Apollo cache
+ */
+export class ApolloGraph {
+  constructor(state) {
+    this.state = state;
+  }
+
+  /**
+   * Look up an entity by cache key or {__ref} link
+   * @param {string|Object} keyOrRef - Cache key or reference
+   * @returns {Object|null} - Raw entity
+   */
+  get(keyOrRef) {
+    if (!keyOrRef) return null;
+
+    if (typeof keyOrRef === 'string') {
+      return this.state[keyOrRef] || null;
+    }
+
+    if (keyOrRef.__ref) {
+      return this.state[keyOrRef.__ref] || null;
+    }
+
+    return keyOrRef;
+  }
+
+  /**
+   * Read a field that may be stored under a parameterized key, e.g. content({"postMeteringOptions":{}})
+   * @param {Object} entity - Raw entity
+   * @param {string} name - Field name without arguments
+   * @returns {*} - Field value, refs resolved one level
+   */
+  getField(entity, name) {
+    if (!entity) return undefined;
+
+    if (entity[name] !== undefined) {
+      return this.deref(entity[name]);
+    }
+
+    const key = Object.keys(entity).find(k => k.startsWith(`${name}(`));
+    return key ? this.deref(entity[key]) : undefined;
+  }
+
+  /**
+   * Resolve a single {__ref} link; other values are returned unchanged
+   * @param {*} value - Possibly a reference
+   * @returns {*} - Resolved value
+   */
+  deref(value) {
+    if (value && typeof value === 'object' && value.__ref) {
+      return this.state[value.__ref] || null;
+    }
+    return value;
+  }
+
+  /**
+   * Recursively resolve all {__ref} links below a value
+   * @param {*} value - Value to resolve
+   * @param {number} maxDepth - Maximum nesting to resolve
+   * @param {Set} seen - Keys on the current path (cycle guard)
+   * @returns {*} - Denormalized value
+   */
+  resolve(value, maxDepth = 5, seen = new Set()) {
+    if (value === null || typeof value !== 'object' || maxDepth < 0) {
+      return value;
+    }
+
+    if (value.__ref) {
+      if (seen.has(value.__ref)) return { __ref: value.__ref };
+      const next = new Set(seen).add(value.__ref);
+      return this.resolve(this.state[value.__ref] || null, maxDepth - 1, next);
+    }
+
+    if (Array.isArray(value)) {
+      return value.map(item => this.resolve(item, maxDepth, seen));
+    }
+
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, this.resolve(item, maxDepth, seen)])
+    );
+  }
+
+  /**
+   * All raw entities of a GraphQL type
+   * @param {string} typename - e.g. "Post"
+   * @returns {Object[]} - Raw entities
+   */
+  getEntitiesByType(typename) {
+    return Object.entries(this.state)
+      .filter(([key, entity]) => entity?.__typename === typename || key.startsWith(`${typename}:`))
+      .map(([, entity]) => entity);
+  }
+
+  /**
+   * Find the entity a ROOT_QUERY field points at
+   * @param {string[]} fieldNames - Candidate root fields, e.g. ["postResult", "post"]
+   * @returns {Object|null} - Raw entity
+   */
+  getRootEntity(fieldNames) {
+    const rootQuery = this.state.ROOT_QUERY || {};
+
+    for (const name of fieldNames) {
+      const key = Object.keys(rootQuery).find(k => k === name || k.startsWith(`${name}(`));
+      const entity = key ? this.deref(rootQuery[key]) : null;
+      if (entity && typeof entity === 'object' && !Array.isArray(entity)) {
+        return entity;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * @param {string} id - Post id
+   * @returns {ApolloPost|null} - Normalized post
+   */
+  getPost(id) {
+    return this.normalizePost(this.get(`Post:${id}`));
+  }
+
+  /**
+   * The post a story page was rendered for
+   * @returns {ApolloPost|null} - Normalized post
+   */
+  getRootPost() {
+    const entity = this.getRootEntity(['postResult', 'post']);
+    if (entity) {
+      return this.normalizePost(entity);
+    }
+
+    // Without a root field, the post carrying a body is the page's post
+    const withBody = this.getEntitiesByType('Post').find(post => this.getField(post, 'content'));
+    return this.normalizePost(withBody || null);
+  }
+
+  /**
+   * @param {string} idOrUsername - User id or username
+   * @returns {ApolloUser|null} - Normalized user
+   */
+  getUser(idOrUsername) {
+    const byId = this.get(`User:${idOrUsername}`);
+    if (byId) {
+      return this.normalizeUser(byId);
+    }
+
+    const username = String(idOrUsername || '').replace(/^@/, '').toLowerCase();
+    const byUsername = this.getEntitiesByType('User').find(user => (user.username || '').toLowerCase() === username);
+    return this.normalizeUser(byUsername || null);
+  }
+
+  /**
+   * The user a profile page was rendered for
+   * @returns {ApolloUser|null} - Normalized user
+   */
+  getRootUser() {
+    return this.normalizeUser(this.getRootEntity(['userResult', 'user']));
+  }
+
+  /**
+   * @param {string} idOrSlug - Collection id or slug
+   * @returns {ApolloCollection|null} - Normalized collection
+   */
+  getCollection(idOrSlug) {
+    const byId = this.get(`Collection:${idOrSlug}`);
+    if (byId) {
+      return this.normalizeCollection(byId);
+    }
+
+    const slug = String(idOrSlug || '').toLowerCase();
+    const bySlug = this.getEntitiesByType('Collection')
+      .find(collection => (collection.slug || '').toLowerCase() === slug || (collection.domain || '').toLowerCase() === slug);
+    return this.normalizeCollection(bySlug || null);
+  }
+
+  /**
+   * The publication a publication page was rendered for
+   * @returns {ApolloCollection|null} - Normalized collection
+   */
+  getRootCollection() {
+    return this.normalizeCollection(this.getRootEntity(['collectionByDomainOrSlug', 'collection']));
+  }
+
+  /**
+   * Paragraphs of a post's body, in document order
+   * @param {ApolloPost|Object} post - Normalized post or raw Post entity
+   * @returns {ApolloParagraph[]} - Normalized paragraphs
+   */
+  getParagraphs(post) {
+    const entity = post?.__typename ? post : this.get(`Post:${post?.id}`);
+    const content = this.getField(entity, 'content');
+    const bodyModel = this.deref(content?.bodyModel);
+    const paragraphs = bodyModel?.paragraphs || [];
+
+    return paragraphs
+      .map(paragraph => this.normalizeParagraph(this.deref(paragraph)))
+      .filter(Boolean);
+  }
+
+  /**
+   * Posts written by a user, in cache order
+   * @param {ApolloUser} user - Normalized user
+   * @returns {ApolloPost[]} - Normalized posts
+   */
+  getUserPosts(user) {
+    if (!user) return [];
+
+    const userEntity = this.get(`User:${user.id}`);
+    const connection = this.getField(userEntity, 'homepagePostsConnection');
+    const connected = (connection?.posts || []).map(ref => this.normalizePost(this.deref(ref))).filter(Boolean);
+
+    if (connected.length > 0) {
+      return connected;
+    }
+
+    return this.getEntitiesByType('Post')
+      .filter(post => this.deref(post.creator)?.id === user.id)
+      .map(post => this.normalizePost(post))
+      .filter(post => post && !post.inResponseToPostId);
+  }
+
+  /**
+   * Whether the user's post list continues beyond the posts in the cache. Unknown
+   * (no connection entity) counts as more, since the cache may hold any subset.
+   * @param {ApolloUser} user - User
+   * @returns {boolean} - True when more posts can be loaded
+   */
+  hasMoreUserPosts(user) {
+    if (!user) return false;
+
+    const connection = this.getField(this.get(`User:${user.id}`), 'homepagePostsConnection');
+    if (!connection) return true;
+
+    return Boolean(this.deref(connection.pagingInfo)?.next);
+  }
+
+  /**
+   * Profile fields beyond the header: About section, badges, newsletter, pinned
+   * post, publications and Lists. Publications are derived from the collections
+   * in the cache (created, edited or published in by the user), Lists from its
+   * public catalogs.
+   * @param {ApolloUser} user - Normalized user
+   * @returns {ApolloUserProfile|null} - Profile fields
+   */
+  getUserProfile(user) {
+    const entity = user ? this.get(`User:${user.id}`) : null;
+    if (!entity) return null;
+
+    return {
+      about: this.getRichText(this.getField(entity, 'about')),
+      badges: this.getUserBadges(entity),
+      newsletter: this.getNewsletter(entity, user),
+      pinnedPost: this.getPinnedPost(entity, user),
+      publications: this.getUserPublications(user),
+      lists: this.getUserLists(user)
+    };
+  }
+
+  /**
+   * Plain text of a rich text field: a string, a RichText body or a post holding one
+   * @param {*} value - Field value
+   * @returns {string} - Paragraphs separated by blank lines
+   */
+  getRichText(value) {
+    if (!value) return '';
+    if (typeof value === 'string') return value.trim();
+
+    const paragraphs = value.__typename === 'Post'
+      ? this.getParagraphs(value)
+      : (this.deref(value.bodyModel) || value).paragraphs?.map(ref => this.normalizeParagraph(this.deref(ref))) || [];
+
+    return paragraphs.filter(Boolean).map(paragraph => paragraph.text).filter(Boolean).join('\n\n');
+  }
+
+  getUserBadges(entity) {
+    const badges = [];
+    const tier = this.deref(entity.membership)?.tier || null;
+
+    if (tier === 'FRIEND') {
+      badges.push({ type: 'friend', label: 'Friend of Medium' });
+    } else if (tier || entity.mediumMemberAt) {
+      badges.push({ type: 'member', label: 'Medium member' });
+    }
+
+    (entity.topWriterInTopics || [])
+      .map(topic => this.deref(topic))
+      .filter(Boolean)
+      .forEach(topic => {
+        const name = topic.displayTitle || topic.name || topic.slug || topic.id || '';
+        badges.push({ type: 'top_writer', label: `Top writer in ${name}`, topic: name });
+      });
+
+    if (this.deref(entity.verifications)?.isBookAuthor || entity.isBookAuthor) {
+      badges.push({ type: 'book_author', label: 'Book author' });
+    }
+
+    return badges;
+  }
+
+  getNewsletter(entity, user) {
+    const newsletter = this.deref(this.getField(entity, 'newsletterV3'));
+    if (!newsletter?.id) return null;
+
+    return {
+      id: newsletter.id,
+      name: newsletter.name || newsletter.title || '',
+      description: newsletter.description || '',
+      url: user.url ? `${user.url}/subscribe` : '',
+      subscribers: newsletter.subscribersCount ?? newsletter.subscriberCount ?? null
+    };
+  }
+
+  getPinnedPost(entity, user) {
+    const pinned = this.deref(entity.pinnedPost || entity.featuredPost) ||
+      (entity.pinnedPostId ? this.get(`Post:${entity.pinnedPostId}`) : null) ||
+      this.getEntitiesByType('Post').find(post => post.pinnedAt > 0 && this.deref(post.creator)?.id === user.id);
+    const post = this.normalizePost(pinned);
+
+    return post ? { postId: post.id, title: post.title, url: post.url } : null;
+  }
+
+  getUserPublications(user) {
+    const roles = new Map();
+    const addRole = (collection, role) => {
+      if (collection?.url && !roles.has(collection.id)) {
+        roles.set(collection.id, { name: collection.name, url: collection.url, role });
+      }
+    };
+
+    const collections = this.getEntitiesByType('Collection').map(entity => this.normalizeCollection(entity)).filter(Boolean);
+    collections.filter(collection => collection.creatorId === user.id).forEach(collection => addRole(collection, 'owner'));
+    collections.filter(collection => collection.editorIds.includes(user.id)).forEach(collection => addRole(collection, 'editor'));
+    this.getUserPosts(user)
+      .filter(post => post.collectionId)
+      .forEach(post => addRole(this.getCollection(post.collectionId), 'writer'));
+
+    return Array.from(roles.values());
+  }
+
+  getUserLists(user) {
+    return this.getEntitiesByType('Catalog')
+      .filter(catalog => this.deref(catalog.creator)?.id === user.id && catalog.visibility !== 'PRIVATE')
+      .map(catalog => ({
+        id: catalog.id,
+        name: catalog.name || '',
+        description: catalog.description || '',
+        url: user.url ? `${user.url}/list/${catalog.slug || catalog.id}` : '',
+        itemCount: this.deref(catalog.itemsConnection)?.paging?.count ?? catalog.postItemsCount ?? null
+      }));
+  }
+
+  /**
+   * Posts published in a collection, in cache order
+   * @param {ApolloCollection} collection - Normalized collection
+   * @returns {ApolloPost[]} - Normalized posts
+   */
+  getCollectionPosts(collection) {
+    if (!collection) return [];
+
+    return this.getEntitiesByType('Post')
+      .filter(post => this.deref(post.collection)?.id === collection.id)
+      .map(post => this.normalizePost(post))
+      .filter(Boolean);
+  }
+
+  /**
+   * Responses to a post and the replies to them, which are posts themselves.
+   * Threads are walked breadth first: every direct response (depth 1) comes
+   * before the first reply (depth 2), each level in cache order.
+   * @param {string} postId - Id of the post responded to
+   * @param {number} maxDepth - Deepest level to include
+   * @returns {{ post: ApolloPost, depth: number }[]} - Responses with their depth
+   */
+  getResponses(postId, maxDepth = Infinity) {
+    const byParent = new Map();
+    this.getEntitiesByType('Post')
+      .map(post => this.normalizePost(post))
+      .filter(post => post?.inResponseToPostId)
+      .forEach(post => {
+        if (!byParent.has(post.inResponseToPostId)) byParent.set(post.inResponseToPostId, []);
+        byParent.get(post.inResponseToPostId).push(post);
+      });
+
+    const responses = [];
+    let level = byParent.get(postId) || [];
+
+    for (let depth = 1; depth <= maxDepth && level.length > 0; depth++) {
+      level.forEach(post => responses.push({ post, depth }));
+      level = level.flatMap(post => byParent.get(post.id) || []);
+    }
+
+    return responses;
+  }
+
+  /**
+   * @param {Object|string} refOrEntity - ImageMetadata reference, entity or id
+   * @returns {ApolloImage|null} - Normalized image
+   */
+  getImage(refOrEntity) {
+    const entity = typeof refOrEntity === 'string'
+      ? this.get(`ImageMetadata:${refOrEntity}`) || { id: refOrEntity }
+      : this.deref(refOrEntity);
+
+    if (!entity?.id) return null;
+
+    return {
+      id: entity.id,
+      url: getImageUrl(entity.id),
+      width: entity.originalWidth || 0,
+      height: entity.originalHeight || 0,
+      alt: entity.alt || ''
+    };
+  }
+
+  /**
+   * @param {ApolloPost|Object} post - Normalized post or raw Post entity
+   * @returns {ApolloTag[]} - Normalized tags
+   */
+  getTags(post) {
+    const entity = post?.__typename ? post : this.get(`Post:${post?.id}`);
+
+    return (entity?.tags || [])
+      .map(ref => this.deref(ref))
+      .filter(Boolean)
+      .map(tag => ({
+        slug: tag.normalizedTagSlug || tag.id || '',
+        name: tag.displayTitle || tag.name || tag.id || ''
+      }));
+  }
+
+  /**
+   * @param {ApolloPost|Object} post - Normalized post or raw Post entity
+   * @returns {ApolloSequence|null} - Normalized sequence
+   */
+  getSequence(post) {
+    const entity = post?.__typename ? post : this.get(`Post:${post?.id}`);
+    const sequence = this.deref(entity?.sequence);
+
+    if (!sequence) return null;
+
+    const slug = sequence.slug || '';
+    return {
+      id: sequence.sequenceId || sequence.id || '',
+      slug,
+      title: sequence.title || '',
+      url: slug ? `${MEDIUM_CONSTANTS.BASE_URL}/sequence/${slug}` : ''
+    };
+  }
+
+  normalizePost(entity) {
+    if (!entity?.id) return null;
+
+    const creator = this.deref(entity.creator);
+    const collection = this.deref(entity.collection);
+    const inResponseTo = this.deref(entity.inResponseToPostResult);
+    const responses = this.deref(entity.postResponses);
+
+    return {
+      id: entity.id,
+      title: entity.title || '',
+      subtitle: entity.extendedPreviewContent?.subtitle || entity.previewContent?.subtitle || entity.subtitle || '',
+      url: entity.mediumUrl || (entity.uniqueSlug ? `${MEDIUM_CONSTANTS.BASE_URL}/p/${entity.id}` : ''),
+      slug: entity.uniqueSlug || '',
+      creatorId: creator?.id || null,
+      collectionId: collection?.id || null,
+      firstPublishedAt: toIsoDate(entity.firstPublishedAt || entity.createdAt),
+      latestPublishedAt: toIsoDate(entity.latestPublishedAt || entity.updatedAt),
+      readingTime: entity.readingTime || 0,
+      clapCount: entity.clapCount || 0,
+      responseCount: responses?.count || entity.responsesCount || entity.responseCount || 0,
+      tags: this.getTags(entity),
+      isLocked: Boolean(entity.isLocked || entity.visibility === 'LOCKED'),
+      previewImage: this.getImage(entity.previewImage),
+      sequence: this.getSequence(entity),
+      inResponseToPostId: inResponseTo?.id || entity.inResponseToPostId || null
+    };
+  }
+
+  normalizeUser(entity) {
+    if (!entity?.id) return null;
+
+    const username = entity.username || '';
+    return {
+      id: entity.id,
+      name: entity.name || '',
+      username,
+      bio: entity.bio || '',
+      avatarUrl: getImageUrl(entity.imageId),
+      followerCount: entity.socialStats?.followerCount || 0,
+      followingCount: entity.socialStats?.followingCount || 0,
+      mediumMemberAt: toIsoDate(entity.mediumMemberAt),
+      url: username ? `${MEDIUM_CONSTANTS.BASE_URL}/@${username}` : ''
+    };
+  }
+
+  normalizeCollection(entity) {
+    if (!entity?.id) return null;
+
+    const slug = entity.slug || '';
+    const avatar = this.getImage(entity.avatar) || this.getImage(entity.logo);
+    const editors = (entity.editors || [])
+      .map(editor => this.deref(editor?.user || editor))
+      .filter(Boolean);
+
+    return {
+      id: entity.id,
+      name: entity.name || '',
+      slug,
+      description: entity.description || entity.shortDescription || '',
+      domain: entity.domain || entity.customDomain || null,
+      followerCount: entity.subscriberCount || entity.followerCount || 0,
+      avatarUrl: avatar?.url || '',
+      creatorId: this.deref(entity.creator)?.id || null,
+      editorIds: editors.map(editor => editor.id),
+      url: entity.domain ? `https://${entity.domain}` : (slug ? `${MEDIUM_CONSTANTS.BASE_URL}/${slug}` : '')
+    };
+  }
+
+  normalizeParagraph(entity) {
+    if (!entity) return null;
+
+    const iframe = entity.iframe ? this.deref(entity.iframe) : null;
+    const mediaResource = iframe ? this.deref(iframe.mediaResource) : null;
+
+    return {
+      id: entity.id || '',
+      name: entity.name || '',
+      type: entity.type || 'P',
+      text: entity.text || '',
+      markups: (entity.markups || []).map(markup => ({
+        type: markup.type,
+        start: markup.start,
+        end: markup.end,
+        href: markup.href || null,
+        anchorType: markup.anchorType || null,
+        userId: markup.userId || null
+      })),
+      layout: entity.layout || null,
+      href: entity.href || null,
+      image: entity.metadata ? this.getImage(entity.metadata) : null,
+      codeBlockMetadata: entity.codeBlockMetadata
+        ? { lang: entity.codeBlockMetadata.lang || null, mode: entity.codeBlockMetadata.mode || null }
+        : null,
+      iframe: mediaResource || iframe
+        ? {
+          src: mediaResource?.iframeSrc || mediaResource?.href || '',
+          title: mediaResource?.title || '',
+          width: mediaResource?.iframeWidth || 0,
+          height: mediaResource?.iframeHeight || 0
+        }
+        : null,
+      mixtape: entity.mixtapeMetadata
+        ? {
+          href: entity.mixtapeMetadata.href || '',
+          thumbnailImageId: entity.mixtapeMetadata.thumbnailImageId || null
+        }
+        : null
+    };
+  }
+}
+
+export default {
+  extractApolloState,
+  parseApolloState,
+  loadApolloGraph,
+  toIsoDate,
+  getImageUrl,
+  ApolloGraph
+};
@@ -0,0 +1,184 @@
+import { MEDIUM_CONSTANTS } from '../config/constants.js';
+import { getImageUrl } from './apolloParser.js';
+
+/**
+ * @typedef {Object} ContentMarkup
+ * @property {string} type - STRONG (bold), EM (italic), CODE (inline code) or A (link / user mention)
+ * @property {number} start - Start offset in the block text
+ * @property {number} end - End offset in the block text (exclusive)
+ * @property {string|null} href - Link target for A markups
+ * @property {string|null} anchorType - LINK or USER for A markups
+ * @property {string|null} userId - Mentioned user id for USER anchors
+ */
+
+/**
+ * @typedef {Object} ContentBlock
+ * @property {number} index - Position in reading order
+ * @property {string} name - Medium paragraph name (stable anchor), '' when unknown
+ * @property {string} type - Medium paragraph type, one of MEDIUM_CONSTANTS.BLOCK_TYPES
+ * @property {string} text - Plain text (caption for IMG, code for PRE)
+ * @property {ContentMarkup[]} markups - Inline markups, sorted by start offset
+ * @property {{ id: string, url: string, width: number, height: number, alt: string }|null} image - IMG only
+ * @property {string|null} href - Link wrapping an IMG block
+ * @property {string|null} layout - Image layout (e.g. INSET_CENTER, FULL_WIDTH)
+ * @property {string|null} language - Code language for PRE blocks
+ * @property {{ src: string, title: string, width: number, height: number }|null} iframe - IFRAME only
+ * @property {{ href: string, thumbnailUrl: string }|null} mixtape - MIXTAPE_EMBED only
+ */
+
+const MARKUP_TYPES = ['STRONG', 'EM', 'CODE', 'A'];
+
+/**
+ * Build a user mention URL from a Medium user id
+ * @param {string} userId - Medium user id
+ * @returns {string} - Profile URL
+ */
+export function getUserMentionUrl(userId) {
+  return `${MEDIUM_CONSTANTS.BASE_URL}/u/${userId}`;
+}
+
+/**
+ * Normalize inline markups: drop unknown types and empty ranges, resolve user
+ * mentions to profile URLs and sort by position
+ * @param {Object[]} markups - Raw markups
+ * @param {number} textLength - Length of the block text
+ * @returns {ContentMarkup[]} - Normalized markups
+ */
+export function normalizeMarkups(markups = [], textLength = Infinity) {
+  return markups
+    .filter(markup => MARKUP_TYPES.includes(markup.type))
+    .map(markup => {
+      const isUser = markup.anchorType === 'USER' || Boolean(markup.userId);
+      const start = Math.max(0, markup.start || 0);
+      const end = Math.min(textLength, markup.end || 0);
+
+      return {
+        type: markup.type,
+        start,
+        end,
+        href: markup.type === 'A'
+          ? markup.href || (markup.userId ? getUserMentionUrl(markup.userId) : null)
+          : null,
+        anchorType: markup.type === 'A' ? (isUser ? 'USER' : 'LINK') : null,
+        userId: markup.type === 'A' ? markup.userId || null : null
+      };
+    })
+    .filter(markup => markup.end > markup.start)
+    .sort((a, b) => a.start - b.start || b.end - a.end);
+}
+
+/**
+ * Create a block with every field present, so consumers never need to
+ * guess which keys a given type carries
+ * @param {Object} fields - Block fields
+ * @param {number} index - Position in reading order
+ * @returns {ContentBlock} - Block
+ */
+export function createBlock(fields, index) {
+  const text = fields.text || '';
+
+  return {
+    index,
+    name: fields.name || '',
+    type: MEDIUM_CONSTANTS.BLOCK_TYPES.includes(fields.type) ? fields.type : 'P',
+    text,
+    markups: normalizeMarkups(fields.markups, text.length),
+    image: fields.image || null,
+    href: fields.href || null,
+    layout: fields.layout || null,
+    language: fields.language || null,
+    iframe: fields.iframe || null,
+    mixtape: fields.mixtape || null
+  };
+}
+
+/**
+ * Convert Apollo bodyModel paragraphs into content blocks
+ * @param {import('./apolloParser.js').ApolloParagraph[]} paragraphs - Paragraphs in document order
+ * @returns {ContentBlock[]} - Blocks in reading order
+ */
+export function blocksFromParagraphs(paragraphs = []) {
+  return paragraphs.map((paragraph, index) => createBlock({
+    ...paragraph,
+    // H1/H2 only appear in very old posts; Medium renders them like H3/H4
+    type: { H1: 'H3', H2: 'H4' }[paragraph.type] || paragraph.type,
+    language: paragraph.codeBlockMetadata?.lang,
+    mixtape: paragraph.mixtape
+      ? {
+        href: paragraph.mixtape.href,
+        thumbnailUrl: getImageUrl(paragraph.mixtape.thumbnailImageId)
+      }
+      : null
+  }, index));
+}
+
+/**
+ * Render a block's text with its inline markups. Overlapping markups are split
+ * into properly nested runs: at every markup boundary the open markups that no
+ * longer apply are closed and the new ones opened, outermost first.
+ * @param {string} text - Block text
+ * @param {ContentMarkup[]} markups - Markups over the text
+ * @param {Object} renderer - Output callbacks
+ * @param {function(string, ContentMarkup[]): string} renderer.text - Render a text run given the open markups
+ * @param {function(ContentMarkup): string} renderer.open - Render the start of a markup
+ * @param {function(ContentMarkup): string} renderer.close - Render the end of a markup
+ * @returns {string} - Rendered text
+ */
+export function renderInline(text, markups, renderer) {
+  const ordered = markups
+    .map((markup, order) => ({ markup, order }))
+    .sort((a, b) => a.markup.start - b.markup.start || b.markup.end - a.markup.end || a.order - b.order)
+    .map(({ markup }) => markup);
+  const boundaries = [...new Set([0, text.length, ...ordered.flatMap(markup => [markup.start, markup.end])])]
+    .filter(offset => offset >= 0 && offset <= text.length)
+    .sort((a, b) => a - b);
+
+  const stack = [];
+  let output = '';
+
+  for (let i = 0; i < boundaries.length - 1; i++) {
+    const [start, end] = [boundaries[i], boundaries[i + 1]];
+    const active = ordered.filter(markup => markup.start <= start && markup.end >= end);
+
+    let common = 0;
+    while (common < stack.length && common < active.length && stack[common] === active[common]) {
+      common++;
+    }
+    while (stack.length > common) {
+      output += renderer.close(stack.pop());
+    }
+    active.slice(common).forEach(markup => {
+      output += renderer.open(markup);
+      stack.push(markup);
+    });
+
+    output += renderer.text(text.slice(start, end), stack);
+  }
+
+  while (stack.length > 0) {
+    output += renderer.close(stack.pop());
+  }
+
+  return output;
+}
+
+/**
+ * Plain text of a block list, one block per line
+ * @param {ContentBlock[]} blocks - Blocks
+ * @returns {string} - Text
+ */
+export function blocksToText(blocks = []) {
+  return blocks
+    .map(block => block.text)
+    .filter(Boolean)
+    .join('\n');
+}
+
+export default {
+  getUserMentionUrl,
+  normalizeMarkups,
+  createBlock,
+  blocksFromParagraphs,
+  renderInline,
+  blocksToText
+};
@@ -48,6 +48,31 @@ export function extractReadingTime(text) {
   return 0;
 }
 
+/**
+ * Parse an abbreviated count such as "1.2K followers" or "3M" into a number
+ * @param {string|number} text - Text containing a count
+ * @returns {number} - Parsed count (0 when none found)
+ */
+export function parseCount(text) {
+  if (typeof text === 'number') {
+    return Number.isFinite(text) ? text : 0;
+  }
+  
+  if (!text || typeof text !== 'string') {
+    return 0;
+  }
+  
+  // The suffix must end the word, so "6 min read" is not read as 6 million
+  const match = text.replace(/,/g, '').match(/(\d+(?:\.\d+)?)\s*([KMB](?![a-z]))?/i);
+  if (!match) {
+    return 0;
+  }
+  
+  const multipliers = { K: 1e3, M: 1e6, B: 1e9 };
+  const multiplier = match[2] ? multipliers[match[2].toUpperCase()] : 1;
+  return Math.round(parseFloat(match[1]) * multiplier);
+}
+
 /**
  * Format date string to ISO format
  * @param {string|Date} date - Date string or Date object
@@ -155,6 +180,26 @@ export function extractDomain(url) {
   }
 }
 
+/**
+ * Extract Medium's post id from an article URL
+ * (the hex suffix of the slug, or the id in /p/<id>)
+ * @param {string} url - Article URL
+ * @returns {string|null} - Post id or null
+ */
+export function extractPostIdFromUrl(url) {
+  if (!url || typeof url !== 'string') {
+    return null;
+  }
+  
+  try {
+    const { pathname } = new URL(url);
+    const match = pathname.match(/\/p\/([a-f0-9]{8,12})(?:\/|$)/) || pathname.match(/-([a-f0-9]{8,12})\/?$/);
+    return match ? match[1] : null;
+  } catch (error) {
+    return null;
+  }
+}
+
 /**
  * Sanitize filename by removing invalid characters
  * @param {string} filename - Original filename
@@ -1,35 +1,118 @@
 import fs from 'fs-extra';
 import path from 'path';
+import ExcelJS from 'exceljs';
+import { stringify } from 'csv-stringify/sync';
 import { createLogger } from './logger.js';
 import { sanitizeFilename } from './contentProcessor.js';
+import { articleToMarkdown, escapeMarkdown } from './markdownSerializer.js';
+import { articleToHtml, buildHtmlIndex } from './htmlSerializer.js';
+import { exportToSqlite } from './sqliteExporter.js';
+import { writeFailureReport } from './failureReport.js';
 
 const logger = createLogger({ util: 'DataExporter' });
 
+/**
+ * Export data in specified format, with the run's failures report written next
+ * to the export
+ * @param {Object} data - Data to export
+ * @param {string} format - Export format (json, csv, xlsx, markdown, html, sqlite)
+ * @param {string} outputDir - Output directory
+ * @param {Object} options - Format options, see exportRecords()
+ * @returns {Object} - Export result, with the report file as failuresFile
+ */
+export async function exportData(data, format = 'json', outputDir = './output', options = {}) {
+  const result = await exportRecords(data, format, outputDir, options);
+  
+  if (result.success && data.failures) {
+    try {
+      result.failuresFile = await writeFailureReport(data.failures, getFailureReportPath(result));
+    } catch (error) {
+      logger.warn('Failed to write the failures report', error);
+    }
+  }
+  
+  return result;
+}
+
+/**
+ * Where the failures report of an export goes: inside the directory of CSV,
+ * Markdown and HTML exports, next to the file of the others. SQLite databases
+ * are shared by runs, so their reports are named after the run.
+ * @param {Object} result - Export result
+ * @returns {string} - Report file
+ */
+function getFailureReportPath(result) {
+  if (result.files) {
+    return path.join(result.filepath, 'failures.json');
+  }
+  
+  const { dir, name } = path.parse(result.filepath);
+  return result.format === 'sqlite'
+    ? path.join(dir, `${name}-run-${result.runId}.failures.json`)
+    : path.join(dir, `${name}.failures.json`);
+}
+
 /**
  * Export data in specified format
  * @param {Object} data - Data to export
- * @param {string} format - Export format (json, csv, xlsx)
+ * @param {string} format - Export format (json, csv, xlsx, markdown, html, sqlite)
  * @param {string} outputDir - Output directory
+ * @param {Object} options - Format options
+ * @param {number} options.imageWidth - Image width for HTML exports
+ * @param {string[]} options.csvColumns - Article columns for CSV exports
+ * @param {string} options.csvDelimiter - CSV field delimiter
+ * @param {boolean} options.csvBom - Prefix CSV files with a UTF-8 BOM
+ * @param {string} options.sqlitePath - Database file for SQLite exports (defaults to <outputDir>/medium.sqlite)
  * @returns {Object} - Export result
  */
-export async function exportData(data, format = 'json', outputDir = './output') {
+async function exportRecords(data, format = 'json', outputDir = './output', options = {}) {
   try {
     // Ensure output directory exists
     await fs.ensureDir(outputDir);
     
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const authorName = data.author?.name || 'unknown-author';
-    const sanitizedAuthor = sanitizeFilename(authorName);
+    const sanitizedAuthor = sanitizeFilename(getExportBaseName(data));
+    
+    // SQLite exports go to one long-lived database so that later runs upsert into it
+    if (format.toLowerCase() === 'sqlite') {
+      const filepath = options.sqlitePath || path.join(outputDir, 'medium.sqlite');
+      const summary = await exportToSqlite(data, filepath);
+      const { size } = await fs.stat(filepath);
+      
+      logger.info(`Data exported successfully to ${filepath}`);
+      
+      return {
+        success: true,
+        filename: path.basename(filepath),
+        filepath,
+        size,
+        format: 'sqlite',
+        ...summary
+      };
+    }
+    
+    // CSV, Markdown and HTML are written as a directory of files rather than a single file
+    const directoryExporters = { csv: exportToCSV, markdown: exportToMarkdown, html: exportToHtml };
+    if (directoryExporters[format.toLowerCase()]) {
+      const dirname = `${sanitizedAuthor}-${timestamp}`;
+      const files = await directoryExporters[format.toLowerCase()](data, path.join(outputDir, dirname), options);
+      
+      logger.info(`Data exported successfully to ${dirname} (${files.length} files)`);
+      
+      return {
+        success: true,
+        filename: dirname,
+        filepath: path.join(outputDir, dirname),
+        files,
+        size: files.reduce((sum, file) => sum + file.size, 0),
+        format: format.toLowerCase()
+      };
+    }
     
     let filename;
     let content;
     
     switch (format.toLowerCase()) {
-      case 'csv':
-        filename = `${sanitizedAuthor}-${timestamp}.csv`;
-        content = await exportToCSV(data);
-        break;
-        
       case 'xlsx':
         filename = `${sanitizedAuthor}-${timestamp}.xlsx`;
         content = await exportToXLSX(data);
@@ -48,7 +131,7 @@ export async function exportData(data, format = 'json', outputDir = './output')
       // For XLSX, content is a buffer
       await fs.writeFile(filepath, content);
     } else {
-      // For JSON and CSV, content is a string
+      // For JSON, content is a string
       await fs.writeFile(filepath, content, 'utf8');
     }
     
@@ -71,6 +154,36 @@ export async function exportData(data, format = 'json', outputDir = './output')
   }
 }
 
+/**
+ * Build the base file name for an export: the author name for single-author runs,
+ * a batch label when several authors were scraped together, and the article
+ * author for runs over an article list
+ * @param {Object} data - Data to export
+ * @returns {string} - Base file name
+ */
+function getExportBaseName(data) {
+  const authors = data.authors || [];
+  const articleAuthors = data.articleAuthors || [];
+  
+  if (authors.length > 1) {
+    return `batch-${authors.length}-authors`;
+  }
+  
+  if (data.author?.name) {
+    return data.author.name;
+  }
+  
+  if (articleAuthors.length === 1 && articleAuthors[0].name) {
+    return articleAuthors[0].name;
+  }
+  
+  if (articleAuthors.length > 1) {
+    return `articles-${articleAuthors.length}-authors`;
+  }
+  
+  return 'unknown-author';
+}
+
 /**
  * Export data to JSON format
  * @param {Object} data - Data to export
@@ -86,119 +199,166 @@ async function exportToJSON(data) {
 }
 
 /**
- * Export data to CSV format
+ * Export data to Markdown: one document per article plus an index.md
+ * linking them
  * @param {Object} data - Data to export
- * @returns {string} - CSV content
+ * @param {string} dirPath - Directory to write into
+ * @returns {Object[]} - Written files ({ filename, size })
  */
-async function exportToCSV(data) {
+async function exportToMarkdown(data, dirPath) {
   try {
-    const { author, articles, stats, scrapedAt } = data;
+    await fs.ensureDir(dirPath);
     
-    if (!articles || articles.length === 0) {
-      return 'No articles found';
+    const articles = data.articles || [];
+    const files = [];
+    const indexLines = [
+      `# Medium Articles - ${escapeMarkdown(getExportBaseName(data))}`,
+      '',
+      `Scraped at ${data.scrapedAt || new Date().toISOString()} · ${articles.length} articles`,
+      ''
+    ];
+    
+    for (const [index, article] of articles.entries()) {
+      const slug = sanitizeFilename(article.title || article.postId || 'untitled').substring(0, 80);
+      const filename = `${String(index + 1).padStart(3, '0')}-${slug}.md`;
+      const markdown = articleToMarkdown(article);
+      
+      await fs.writeFile(path.join(dirPath, filename), markdown, 'utf8');
+      files.push({ filename, size: Buffer.byteLength(markdown) });
+      
+      const details = [article.author, article.date?.substring(0, 10), article.readTime ? `${article.readTime} min read` : '']
+        .filter(Boolean)
+        .join(', ');
+      indexLines.push(`${index + 1}. [${escapeMarkdown(article.title || 'Untitled')}](${encodeURI(filename)})${details ? ` — ${escapeMarkdown(details)}` : ''}`);
     }
     
-    // Define CSV headers
-    const headers = [
-      'Article Title',
-      'Article Subtitle',
-      'Article URL',
-      'Author Name',
-      'Author URL',
-      'Publication Date',
-      'Reading Time (minutes)',
-      'Claps',
-      'Responses',
-      'Tags',
-      'Publication Name',
-      'Publication URL',
-      'Main Image URL',
-      'Is Premium',
-      'Series Name',
-      'Series Part',
-      'Word Count',
-      'Keywords',
-      'Hashtags',
-      'Mentions',
-      'Content Summary',
-      'Comments Count',
-      'Paywall Type',
-      'Scraped At'
-    ];
+    const index = indexLines.join('\n') + '\n';
+    await fs.writeFile(path.join(dirPath, 'index.md'), index, 'utf8');
+    files.unshift({ filename: 'index.md', size: Buffer.byteLength(index) });
+    
+    return files;
+    
+  } catch (error) {
+    logger.error('Failed to convert data to Markdown', error);
+    throw error;
+  }
+}
+
+/**
+ * Export data to HTML: one sanitized, self-contained document per article plus
+ * an index.html linking them
+ * @param {Object} data - Data to export
+ * @param {string} dirPath - Directory to write into
+ * @param {Object} options - Options passed to the HTML serializer
+ * @returns {Object[]} - Written files ({ filename, size })
+ */
+async function exportToHtml(data, dirPath, options = {}) {
+  try {
+    await fs.ensureDir(dirPath);
+    
+    const articles = data.articles || [];
+    const files = [];
+    const entries = [];
     
-    // Convert articles to CSV rows
-    const rows = articles.map(article => {
-      const tags = Array.isArray(article.tags) ? article.tags.join('; ') : '';
-      const keywords = Array.isArray(article.keywords) ? article.keywords.join('; ') : '';
-      const hashtags = Array.isArray(article.hashtags) ? article.hashtags.join('; ') : '';
-      const mentions = Array.isArray(article.mentions) ? article.mentions.join('; ') : '';
-      const paywallType = article.paywallInfo?.type || 'none';
-      const contentSummary = article.content?.textContent ? 
-        article.content.textContent.substring(0, 200) + '...' : '';
-      const commentsCount = article.comments ? article.comments.length : 0;
+    for (const [index, article] of articles.entries()) {
+      const slug = sanitizeFilename(article.title || article.postId || 'untitled').substring(0, 80);
+      const filename = `${String(index + 1).padStart(3, '0')}-${slug}.html`;
+      const html = articleToHtml(article, options);
       
-      return [
-        `"${escapeCSV(article.title || '')}"`,
-        `"${escapeCSV(article.subtitle || '')}"`,
-        `"${escapeCSV(article.url || '')}"`,
-        `"${escapeCSV(article.author || '')}"`,
-        `"${escapeCSV(article.authorUrl || '')}"`,
-        `"${escapeCSV(article.date || '')}"`,
-        article.readTime || 0,
-        article.claps || 0,
-        article.responses || 0,
-        `"${escapeCSV(tags)}"`,
-        `"${escapeCSV(article.publication?.name || '')}"`,
-        `"${escapeCSV(article.publication?.url || '')}"`,
-        `"${escapeCSV(article.mainImage || '')}"`,
-        article.isPremium ? 'Yes' : 'No',
-        `"${escapeCSV(article.series?.name || '')}"`,
-        `"${escapeCSV(article.series?.part || '')}"`,
-        article.content?.wordCount || 0,
-        `"${escapeCSV(keywords)}"`,
-        `"${escapeCSV(hashtags)}"`,
-        `"${escapeCSV(mentions)}"`,
-        `"${escapeCSV(contentSummary)}"`,
-        commentsCount,
-        paywallType,
-        `"${escapeCSV(scrapedAt || '')}"`
-      ].join(',');
-    });
+      await fs.writeFile(path.join(dirPath, filename), html, 'utf8');
+      files.push({ filename, size: Buffer.byteLength(html) });
+      entries.push({ article, filename });
+    }
     
-    // Add statistics row
-    const statsRow = [
-      'STATISTICS',
-      '',
-      '',
-      `"${escapeCSV(author?.name || 'Unknown')}"`,
-      `"${escapeCSV(author?.url || '')}"`,
-      '',
-      '',
-      '',
-      '',
-      '',
-      '',
-      '',
-      '',
-      '',
-      '',
-      '',
-      stats?.totalArticles || 0,
-      '',
-      '',
-      '',
-      `"Total Articles: ${stats?.totalArticles || 0}, Success Rate: ${stats?.successRate || 0}%, Paywall Rate: ${stats?.paywallRate || 0}%"`,
-      stats?.errors || 0,
-      `"Session Duration: ${stats?.sessionDuration || 0}ms"`,
-      `"${escapeCSV(scrapedAt || '')}"`
-    ].join(',');
-    
-    // Combine headers and rows
-    return [
-      headers.join(','),
-      ...rows,
-      statsRow
-    ].join('\n');
+    const index = buildHtmlIndex(`Medium Articles - ${getExportBaseName(data)}`, entries);
+    await fs.writeFile(path.join(dirPath, 'index.html'), index, 'utf8');
+    files.unshift({ filename: 'index.html', size: Buffer.byteLength(index) });
+    
+    return files;
+    
+  } catch (error) {
+    logger.error('Failed to convert data to HTML', error);
+    throw error;
+  }
+}
+
+/**
+ * Export data to RFC 4180 CSV files: articles.csv with the selected columns plus
+ * normalized tags.csv, comments.csv, images.csv and links.csv keyed by post ID
+ * @param {Object} data - Data to export
+ * @param {string} dirPath - Directory to write into
+ * @param {Object} options - CSV options
+ * @param {string[]} options.csvColumns - Article columns as (dotted) field paths
+ * @param {string} options.csvDelimiter - Field delimiter
+ * @param {boolean} options.csvBom - Prefix files with a UTF-8 BOM (for Excel)
+ * @returns {Object[]} - Written files ({ filename, size })
+ */
+async function exportToCSV(data, dirPath, options = {}) {
+  try {
+    await fs.ensureDir(dirPath);
+    
+    const articles = data.articles || [];
+    const articleKey = (article) => ({ postId: article.postId || '', articleUrl: article.url || '' });
+    const columns = options.csvColumns?.length > 0
+      ? options.csvColumns.map(path => ({ key: path, header: path }))
+      : DEFAULT_CSV_COLUMNS;
+    
+    const tables = {
+      'articles.csv': {
+        columns,
+        rows: articles
+      },
+      'tags.csv': {
+        columns: ['postId', 'articleUrl', 'tag'],
+        rows: articles.flatMap(article => (article.tags || []).map(tag => ({ ...articleKey(article), tag })))
+      },
+      'comments.csv': {
+        columns: ['postId', 'articleUrl', 'position', 'responseId', 'parentId', 'depth', 'author', 'authorUrl', 'date', 'claps', 'text'],
+        rows: articles.flatMap(article => (article.comments || []).map((comment, index) => ({
+          ...comment,
+          ...articleKey(article),
+          responseId: comment.postId || '',
+          position: index + 1
+        })))
+      },
+      'images.csv': {
+        columns: ['postId', 'articleUrl', 'position', 'src', 'alt', 'caption', 'width', 'height'],
+        rows: articles.flatMap(article => getArticleImages(article).map((image, index) => ({
+          ...articleKey(article),
+          ...image,
+          position: index + 1
+        })))
+      },
+      'links.csv': {
+        columns: ['postId', 'articleUrl', 'position', 'text', 'url'],
+        rows: articles.flatMap(article => (article.content?.links || []).map((link, index) => ({
+          ...articleKey(article),
+          ...link,
+          position: index + 1
+        })))
+      }
+    };
+    
+    const files = [];
+    for (const [filename, table] of Object.entries(tables)) {
+      const tableColumns = table.columns.map(column => typeof column === 'string' ? { key: column, header: column } : column);
+      const content = stringify(
+        table.rows.map(row => tableColumns.map(column => toCsvValue(getPath(row, column.key)))),
+        {
+          header: true,
+          columns: tableColumns.map(column => column.header),
+          delimiter: options.csvDelimiter || ',',
+          bom: Boolean(options.csvBom),
+          record_delimiter: 'windows',
+          cast: { boolean: value => String(value) }
+        }
+      );
+      
+      await fs.writeFile(path.join(dirPath, filename), content, 'utf8');
+      files.push({ filename, size: Buffer.byteLength(content) });
+    }
+    
+    return files;
     
   } catch (error) {
     logger.error('Failed to convert data to CSV', error);
@@ -206,92 +366,197 @@ async function exportToCSV(data) {
   }
 }
 
+// Default articles.csv columns; each article row carries its own scrapedAt
+const DEFAULT_CSV_COLUMNS = [
+  { key: 'postId', header: 'Post ID' },
+  { key: 'title', header: 'Article Title' },
+  { key: 'subtitle', header: 'Article Subtitle' },
+  { key: 'url', header: 'Article URL' },
+  { key: 'author', header: 'Author Name' },
+  { key: 'authorUrl', header: 'Author URL' },
+  { key: 'date', header: 'Publication Date' },
+  { key: 'readTime', header: 'Reading Time (minutes)' },
+  { key: 'claps', header: 'Claps' },
+  { key: 'responses', header: 'Responses' },
+  { key: 'tags', header: 'Tags' },
+  { key: 'publication.name', header: 'Publication Name' },
+  { key: 'publication.url', header: 'Publication URL' },
+  { key: 'mainImage', header: 'Main Image URL' },
+  { key: 'isPremium', header: 'Is Premium' },
+  { key: 'series.name', header: 'Series Name' },
+  { key: 'content.wordCount', header: 'Word Count' },
+  { key: 'paywallInfo.type', header: 'Paywall Type' },
+  { key: 'source.type', header: 'Source Type' },
+  { key: 'source.url', header: 'Source URL' },
+  { key: 'scrapedAt', header: 'Scraped At' }
+];
+
+/**
+ * Read a dotted path ("publication.name") from an object
+ * @param {Object} object - Source object
+ * @param {string} path - Dotted path
+ * @returns {*} - Value or undefined
+ */
+function getPath(object, path) {
+  return path.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), object);
+}
+
+/**
+ * Convert a value to a CSV field: arrays are joined with "; ", objects are JSON
+ * @param {*} value - Value
+ * @returns {string|number|boolean} - Field value
+ */
+function toCsvValue(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  
+  if (Array.isArray(value)) {
+    return value.map(item => (item && typeof item === 'object' ? JSON.stringify(item) : item)).join('; ');
+  }
+  
+  return typeof value === 'object' ? JSON.stringify(value) : value;
+}
+
 /**
- * Export data to XLSX format
+ * Export data to an XLSX workbook with Articles, Author, Tags, Comments, Images
+ * and Run Stats sheets
  * @param {Object} data - Data to export
  * @returns {Buffer} - XLSX buffer
  */
 async function exportToXLSX(data) {
   try {
-    // For now, we'll create a simple XLSX-like format using a library
-    // In a real implementation, you would use a proper XLSX library like 'xlsx'
+    const articles = data.articles || [];
+    const authors = data.authors?.length > 0 ? data.authors : (data.author ? [data.author] : []);
     
-    // For this implementation, we'll create an HTML table that can be opened in Excel
-    const { author, articles, stats, scrapedAt } = data;
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = 'Medium Scraper';
+    workbook.created = toDate(data.scrapedAt) || new Date();
     
-    if (!articles || articles.length === 0) {
-      return Buffer.from('<html><body><p>No articles found</p></body></html>');
-    }
+    addWorksheet(workbook, 'Articles', [
+      { header: 'Post ID', key: 'postId', width: 14 },
+      { header: 'Title', key: 'title', width: 50 },
+      { header: 'Subtitle', key: 'subtitle', width: 40 },
+      { header: 'URL', key: 'url', type: 'url', width: 40 },
+      { header: 'Author', key: 'author', width: 24 },
+      { header: 'Author URL', key: 'authorUrl', type: 'url', width: 30 },
+      { header: 'Published', key: 'date', type: 'date' },
+      { header: 'Updated', key: 'latestPublishedAt', type: 'date' },
+      { header: 'Reading Time (minutes)', key: 'readTime', type: 'number' },
+      { header: 'Claps', key: 'claps', type: 'number' },
+      { header: 'Responses', key: 'responses', type: 'number' },
+      { header: 'Tags', key: 'tags', width: 30 },
+      { header: 'Publication', key: 'publicationName', width: 24 },
+      { header: 'Publication URL', key: 'publicationUrl', type: 'url', width: 30 },
+      { header: 'Is Premium', key: 'isPremium', type: 'boolean' },
+      { header: 'Series', key: 'series', width: 24 },
+      { header: 'Word Count', key: 'wordCount', type: 'number' },
+      { header: 'Comments Count', key: 'commentsCount', type: 'number' },
+      { header: 'Paywall Type', key: 'paywallType' },
+      { header: 'Source Type', key: 'sourceType' },
+      { header: 'Source URL', key: 'sourceUrl', type: 'url', width: 30 },
+      { header: 'Scraped At', key: 'scrapedAt', type: 'date' }
+    ], articles.map(article => ({
+      ...article,
+      tags: Array.isArray(article.tags) ? article.tags.join('; ') : '',
+      publicationName: article.publication?.name,
+      publicationUrl: article.publication?.url,
+      series: article.series?.name,
+      wordCount: article.content?.wordCount,
+      commentsCount: article.comments?.length || 0,
+      paywallType: article.paywallInfo?.type || 'none',
+      sourceType: article.source?.type,
+      sourceUrl: article.source?.url
+    })));
     
-    // Create HTML table
-    let html = `
-      <html>
-      <head>
-        <meta charset="utf-8">
-        <title>Medium Articles - ${author?.name || 'Unknown Author'}</title>
-        <style>
-          table { border-collapse: collapse; width: 100%; }
-          th, td { border: 1px solid #ddd; padding: 8px; text-align: left; }
-          th { background-color: #f2f2f2; font-weight: bold; }
-          .stats { background-color: #e6f3ff; }
-        </style>
-      </head>
-      <body>
-        <h1>Medium Articles - ${author?.name || 'Unknown Author'}</h1>
-        <p><strong>Scraped At:</strong> ${new Date(scrapedAt).toLocaleString()}</p>
-        <p><strong>Total Articles:</strong> ${stats?.totalArticles || 0}</p>
-        <p><strong>Success Rate:</strong> ${stats?.successRate || 0}%</p>
-        <p><strong>Paywall Rate:</strong> ${stats?.paywallRate || 0}%</p>
-        
-        <table>
-          <thead>
-            <tr>
-              <th>Title</th>
-              <th>Author</th>
-              <th>Date</th>
-              <th>Reading Time</th>
-              <th>Claps</th>
-              <th>Responses</th>
-              <th>Tags</th>
-              <th>Publication</th>
-              <th>Premium</th>
-              <th>Word Count</th>
-              <th>URL</th>
-            </tr>
-          </thead>
-          <tbody>
-    `;
-    
-    // Add article rows
-    articles.forEach(article => {
-      const tags = Array.isArray(article.tags) ? article.tags.join(', ') : '';
-      const isPremium = article.isPremium ? 'Yes' : 'No';
-      
-      html += `
-        <tr>
-          <td>${escapeHTML(article.title || '')}</td>
-          <td>${escapeHTML(article.author || '')}</td>
-          <td>${escapeHTML(article.date || '')}</td>
-          <td>${article.readTime || 0}</td>
-          <td>${article.claps || 0}</td>
-          <td>${article.responses || 0}</td>
-          <td>${escapeHTML(tags)}</td>
-          <td>${escapeHTML(article.publication?.name || '')}</td>
-          <td>${isPremium}</td>
-          <td>${article.content?.wordCount || 0}</td>
-          <td>${escapeHTML(article.url || '')}</td>
-        </tr>
-      `;
-    });
+    addWorksheet(workbook, 'Author', [
+      { header: 'Name', key: 'name', width: 24 },
+      { header: 'Username', key: 'username', width: 18 },
+      { header: 'User ID', key: 'userId', width: 14 },
+      { header: 'Profile URL', key: 'url', type: 'url', width: 30 },
+      { header: 'Bio', key: 'bio', width: 50 },
+      { header: 'Followers', key: 'followers', type: 'number' },
+      { header: 'Following', key: 'following', type: 'number' },
+      { header: 'Member Since', key: 'mediumMemberAt', type: 'date' },
+      { header: 'Badges', key: 'badges', width: 30 },
+      { header: 'About', key: 'about', width: 60 },
+      { header: 'Newsletter', key: 'newsletterUrl', type: 'url', width: 30 },
+      { header: 'Pinned Post', key: 'pinnedPostUrl', type: 'url', width: 40 },
+      { header: 'Publications', key: 'publications', width: 30 },
+      { header: 'Lists', key: 'lists', type: 'number' },
+      { header: 'Articles Found', key: 'totalArticles', type: 'number' },
+      { header: 'Status', key: 'status' },
+      { header: 'Error', key: 'error', width: 30 },
+      { header: 'Avatar URL', key: 'avatar', type: 'url', width: 30 }
+    ], authors.map(author => ({
+      ...author,
+      url: author.url || author.source?.url,
+      badges: (author.badges || []).map(badge => badge.label).join('; '),
+      newsletterUrl: author.newsletter?.url,
+      pinnedPostUrl: author.pinnedPost?.url,
+      publications: (author.publications || []).map(publication => publication.name).join('; '),
+      lists: author.lists?.length || 0
+    })));
+    
+    addWorksheet(workbook, 'Tags', [
+      { header: 'Post ID', key: 'postId', width: 14 },
+      { header: 'Article Title', key: 'title', width: 50 },
+      { header: 'Article URL', key: 'url', type: 'url', width: 40 },
+      { header: 'Tag', key: 'tag', width: 24 }
+    ], articles.flatMap(article => (article.tags || []).map(tag => ({
+      postId: article.postId,
+      title: article.title,
+      url: article.url,
+      tag
+    }))));
+    
+    addWorksheet(workbook, 'Comments', [
+      { header: 'Post ID', key: 'postId', width: 14 },
+      { header: 'Article URL', key: 'articleUrl', type: 'url', width: 40 },
+      { header: 'Response ID', key: 'responseId', width: 14 },
+      { header: 'Parent ID', key: 'parentId', width: 14 },
+      { header: 'Depth', key: 'depth', type: 'number' },
+      { header: 'Author', key: 'author', width: 24 },
+      { header: 'Author URL', key: 'authorUrl', type: 'url', width: 30 },
+      { header: 'Date', key: 'date', type: 'date' },
+      { header: 'Claps', key: 'claps', type: 'number' },
+      { header: 'Text', key: 'text', width: 60 }
+    ], articles.flatMap(article => (article.comments || []).map(comment => ({
+      ...comment,
+      postId: article.postId,
+      articleUrl: article.url,
+      responseId: comment.postId
+    }))));
+    
+    addWorksheet(workbook, 'Images', [
+      { header: 'Post ID', key: 'postId', width: 14 },
+      { header: 'Article URL', key: 'articleUrl', type: 'url', width: 40 },
+      { header: 'Position', key: 'position', type: 'number' },
+      { header: 'Image URL', key: 'src', type: 'url', width: 50 },
+      { header: 'Alt Text', key: 'alt', width: 30 },
+      { header: 'Caption', key: 'caption', width: 40 },
+      { header: 'Width', key: 'width', type: 'number' },
+      { header: 'Height', key: 'height', type: 'number' }
+    ], articles.flatMap(article => getArticleImages(article).map((image, index) => ({
+      ...image,
+      postId: article.postId,
+      articleUrl: article.url,
+      position: index + 1
+    }))));
     
-    html += `
-          </tbody>
-        </table>
-      </body>
-      </html>
-    `;
+    addWorksheet(workbook, 'Run Stats', [
+      { header: 'Metric', key: 'metric', width: 40 },
+      { header: 'Value', key: 'value', width: 30 }
+    ], [
+      { metric: 'scrapedAt', value: toDate(data.scrapedAt) },
+      { metric: 'totalAuthors', value: authors.length },
+      { metric: 'exportedArticles', value: articles.length },
+      ...flattenStats(data.stats, 'stats'),
+      ...flattenStats(data.paywallStats, 'paywallStats'),
+      ...flattenStats(data.proxyStats, 'proxyStats')
+    ]);
     
-    return Buffer.from(html, 'utf8');
+    return Buffer.from(await workbook.xlsx.writeBuffer());
     
   } catch (error) {
     logger.error('Failed to convert data to XLSX', error);
@@ -300,31 +565,137 @@ async function exportToXLSX(data) {
 }
 
 /**
- * Escape CSV special characters
- * @param {string} text - Text to escape
- * @returns {string} - Escaped text
+ * Add a worksheet with a bold, frozen header row, an autofilter and cells typed
+ * by column: dates as dates, numbers as numbers, URLs as hyperlinks
+ * @param {ExcelJS.Workbook} workbook - Workbook
+ * @param {string} name - Sheet name
+ * @param {Object[]} columns - Column definitions ({ header, key, type, width })
+ * @param {Object[]} rows - Row objects keyed by column key
+ * @returns {ExcelJS.Worksheet} - Worksheet
+ */
+function addWorksheet(workbook, name, columns, rows) {
+  const sheet = workbook.addWorksheet(name, {
+    views: [{ state: 'frozen', ySplit: 1 }]
+  });
+  
+  sheet.columns = columns.map(({ header, key, width }) => ({
+    header,
+    key,
+    width: width || Math.max(12, header.length + 2)
+  }));
+  sheet.getRow(1).font = { bold: true };
+  
+  rows.forEach(row => {
+    const values = {};
+    columns.forEach(({ key, type }) => {
+      values[key] = toCellValue(row[key], type);
+    });
+    
+    sheet.addRow(values).eachCell(cell => {
+      if (cell.value instanceof Date) {
+        cell.numFmt = 'yyyy-mm-dd hh:mm:ss';
+      } else if (cell.value?.hyperlink) {
+        cell.font = { color: { argb: 'FF0563C1' }, underline: true };
+      }
+    });
+  });
+  
+  sheet.autoFilter = {
+    from: { row: 1, column: 1 },
+    to: { row: 1, column: columns.length }
+  };
+  
+  return sheet;
+}
+
+/**
+ * Convert a value to a typed cell value
+ * @param {*} value - Raw value
+ * @param {string} type - Column type (date, number, boolean, url or text)
+ * @returns {*} - Cell value
+ */
+function toCellValue(value, type) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  
+  switch (type) {
+    case 'date':
+      // Dates Medium shows without a year ("Jan 3") stay text rather than guessing one
+      return toDate(value) || String(value);
+    case 'number': {
+      const number = Number(value);
+      return Number.isFinite(number) ? number : null;
+    }
+    case 'boolean':
+      return Boolean(value);
+    case 'url':
+      return /^https?:\/\//.test(value) ? { text: value, hyperlink: value } : String(value);
+    default:
+      return value instanceof Date || typeof value === 'number' ? value : String(value);
+  }
+}
+
+/**
+ * @param {*} value - Date string with a year, timestamp or Date
+ * @returns {Date|null} - Valid date or null
+ */
+function toDate(value) {
+  if (!value || (typeof value === 'string' && !/\d{4}/.test(value))) return null;
+  
+  const date = value instanceof Date ? value : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Images of an article, from content blocks when available
+ * @param {Object} article - Article record
+ * @returns {Object[]} - Images ({ src, alt, caption, width, height })
  */
-function escapeCSV(text) {
-  if (!text) return '';
+function getArticleImages(article) {
+  const blocks = article.content?.blocks || [];
+  
+  if (blocks.length > 0) {
+    return blocks
+      .filter(block => block.type === 'IMG' && block.image?.url)
+      .map(block => ({
+        src: block.image.url,
+        alt: block.image.alt,
+        caption: block.text,
+        width: block.image.width,
+        height: block.image.height
+      }));
+  }
   
-  // Replace quotes with double quotes
-  return text.replace(/"/g, '""');
+  return article.content?.images || [];
 }
 
 /**
- * Escape HTML special characters
- * @param {string} text - Text to escape
- * @returns {string} - Escaped text
+ * Flatten nested stats into metric/value rows (per-source stats keep their URL in the metric name)
+ * @param {Object} stats - Stats object
+ * @param {string} prefix - Metric name prefix
+ * @returns {Object[]} - Rows ({ metric, value })
  */
-function escapeHTML(text) {
-  if (!text) return '';
+function flattenStats(stats, prefix) {
+  if (!stats || typeof stats !== 'object') {
+    return [];
+  }
   
-  return text
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-    .replace(/'/g, '&#39;');
+  return Object.entries(stats).flatMap(([key, value]) => {
+    const metric = `${prefix}.${key}`;
+    
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      return flattenStats(value, metric);
+    }
+    
+    const number = Number(value);
+    return [{
+      metric,
+      value: typeof value === 'boolean' || value === null || value === '' || !Number.isFinite(number)
+        ? (Array.isArray(value) ? value.join(', ') : value)
+        : number
+    }];
+  });
 }
 
 /**
@@ -340,6 +711,7 @@ export function getExportStats(format, data) {
   return {
     format: format.toLowerCase(),
     totalArticles: articles.length,
+    totalAuthors: (data.authors || []).length || (data.articleAuthors || []).length,
     authorName: author.name || 'Unknown',
     hasAuthorData: !!author.name,
     hasContentData: articles.some(a => a.content),
@@ -0,0 +1,133 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { getRetryPolicy } from './scrapeErrors.js';
+
+/**
+ * Per-URL record of the pages a run did not scrape: every URL that failed once
+ * its retries were used up, or that was skipped (member-only story, robots.txt),
+ * with its error class, number of attempts, last message and timing. Attempts
+ * are counted from start(); a page that succeeds after failed attempts is
+ * dropped from the report.
+ */
+export class FailureReport {
+  /**
+   * @param {Object} options
+   * @param {Function} options.now - Clock, for tests
+   */
+  constructor(options = {}) {
+    this.now = options.now || Date.now;
+
+    // URL -> { startedAt, attemptStartedAt, attempts } of pages being tried
+    this.pending = new Map();
+    // URL -> report entry
+    this.entries = new Map();
+  }
+
+  /**
+   * Count an attempt at a page; the first one starts its timing
+   * @param {string} url - Page URL
+   */
+  start(url) {
+    const now = this.now();
+    const attempt = this.pending.get(url) || { startedAt: now, attempts: 0 };
+
+    attempt.attempts++;
+    attempt.attemptStartedAt = now;
+    this.pending.set(url, attempt);
+  }
+
+  /**
+   * Forget the attempts at a page that was scraped
+   * @param {string} url - Page URL
+   */
+  succeed(url) {
+    this.pending.delete(url);
+  }
+
+  /**
+   * Record a page that failed for good
+   * @param {string} url - Page URL
+   * @param {Error} error - Typed error of the last attempt (classifyError())
+   * @param {Object} details - Extra fields stored with the entry (type, source...)
+   * @returns {Object} - Report entry
+   */
+  fail(url, error, details = {}) {
+    return this.add(url, error, 'failed', details);
+  }
+
+  /**
+   * Record a page that was deliberately not scraped
+   * @param {string} url - Page URL
+   * @param {Error} error - PaywallSkippedError or RobotsDisallowedError
+   * @param {Object} details - Extra fields stored with the entry (type, source...)
+   * @returns {Object} - Report entry
+   */
+  skip(url, error, details = {}) {
+    return this.add(url, error, 'skipped', details);
+  }
+
+  add(url, error, outcome, details) {
+    const now = this.now();
+    const attempt = this.pending.get(url);
+    this.pending.delete(url);
+
+    const entry = {
+      url,
+      outcome,
+      errorClass: error?.name || 'Error',
+      statusCode: error?.statusCode ?? null,
+      message: error?.message || String(error),
+      retryable: getRetryPolicy(error).retry,
+      // Pages skipped before they were fetched (robots.txt) have no attempts
+      attempts: attempt?.attempts || 0,
+      startedAt: attempt ? new Date(attempt.startedAt).toISOString() : null,
+      failedAt: new Date(now).toISOString(),
+      durationMs: attempt ? now - attempt.startedAt : null,
+      lastAttemptMs: attempt ? now - attempt.attemptStartedAt : null,
+      ...details
+    };
+
+    this.entries.set(url, entry);
+    return entry;
+  }
+
+  /**
+   * Entries saved by an interrupted run
+   * @param {Object[]} entries - Entries from getReport()
+   */
+  restore(entries = []) {
+    entries.forEach(entry => this.entries.set(entry.url, entry));
+  }
+
+  /**
+   * @returns {{ failed: number, skipped: number, byClass: Object<string, number>, entries: Object[] }}
+   */
+  getReport() {
+    const entries = Array.from(this.entries.values());
+    const byClass = {};
+    entries.forEach(entry => {
+      byClass[entry.errorClass] = (byClass[entry.errorClass] || 0) + 1;
+    });
+
+    return {
+      failed: entries.filter(entry => entry.outcome === 'failed').length,
+      skipped: entries.filter(entry => entry.outcome === 'skipped').length,
+      byClass,
+      entries
+    };
+  }
+}
+
+/**
+ * Write a failures report as JSON
+ * @param {Object} report - Report from FailureReport.getReport()
+ * @param {string} filepath - File to write
+ * @returns {Promise<string>} - The file written
+ */
+export async function writeFailureReport(report, filepath) {
+  await fs.ensureDir(path.dirname(filepath));
+  await fs.writeJson(filepath, { generatedAt: new Date().toISOString(), ...report }, { spaces: 2 });
+  return filepath;
+}
+
+export default FailureReport;
@@ -0,0 +1,308 @@
+import * as cheerio from 'cheerio';
+import { MEDIUM_CONSTANTS } from '../config/constants.js';
+import { renderInline } from './contentBlocks.js';
+
+// Tags (and their attributes) allowed in exported article HTML
+const ALLOWED_TAGS = {
+  article: [], header: [], footer: [], section: [], aside: ['class'],
+  h1: [], h2: [], h3: [], h4: [], p: ['class'], br: [],
+  blockquote: ['class'], pre: [], code: ['class'],
+  ol: [], ul: [], li: [],
+  figure: [], figcaption: [], img: ['src', 'alt', 'width', 'height', 'loading'],
+  a: ['href', 'title', 'rel'], strong: [], em: [], time: ['datetime']
+};
+
+// Tags removed together with their content
+const DROPPED_TAGS = ['script', 'style', 'noscript', 'template', 'iframe', 'object', 'embed', 'form', 'svg', 'button'];
+
+const URL_ATTRIBUTES = ['href', 'src'];
+const TRACKING_PARAMS = /^(source|utm_[a-z]+|gi|sk|sharedId|_branch_match_id)$/i;
+
+/**
+ * Escape HTML special characters
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+export function escapeHTML(text) {
+  if (!text) return '';
+
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Keep only http(s) and mailto URLs and drop Medium's tracking parameters
+ * @param {string} url - URL
+ * @returns {string} - Safe URL ('' when not allowed)
+ */
+export function sanitizeUrl(url) {
+  try {
+    const parsed = new URL(url);
+    if (!['http:', 'https:', 'mailto:'].includes(parsed.protocol)) {
+      return '';
+    }
+
+    [...parsed.searchParams.keys()]
+      .filter(key => TRACKING_PARAMS.test(key))
+      .forEach(key => parsed.searchParams.delete(key));
+
+    return parsed.toString();
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Rewrite a miro.medium.com image URL to a given width; other URLs are returned unchanged
+ * @param {string} url - Image URL (any miro size variant)
+ * @param {number} width - Target width in pixels
+ * @returns {string} - Resized image URL
+ */
+export function resizeImageUrl(url, width = MEDIUM_CONSTANTS.DEFAULT_IMAGE_WIDTH) {
+  if (!url || !/^https?:\/\/miro\.medium\.com\//.test(url)) {
+    return url || '';
+  }
+
+  // The image id is the last path segment: .../v2/resize:fit:700/1*abc.png, .../max/700/1*abc.png
+  const imageId = url.split(/[?#]/)[0].split('/').pop();
+  return `${MEDIUM_CONSTANTS.IMAGE_BASE_URL}/resize:fit:${width}/${imageId}`;
+}
+
+/**
+ * Allow-list sanitizer: drops disallowed tags (unwrapping harmless ones),
+ * attributes, unsafe URLs and event handlers
+ * @param {string} html - HTML fragment
+ * @returns {string} - Sanitized HTML fragment
+ */
+export function sanitizeHtml(html) {
+  const $ = cheerio.load(`<body>${html || ''}</body>`);
+
+  $('body').find(DROPPED_TAGS.join(',')).remove();
+
+  // Deepest elements first, so unwrapping never skips a descendant
+  $('body *').get().reverse().forEach(element => {
+    const tag = element.tagName.toLowerCase();
+    const allowed = ALLOWED_TAGS[tag];
+
+    if (!allowed) {
+      $(element).replaceWith($(element).contents());
+      return;
+    }
+
+    Object.keys(element.attribs).forEach(name => {
+      if (!allowed.includes(name)) {
+        $(element).removeAttr(name);
+      } else if (URL_ATTRIBUTES.includes(name)) {
+        const url = sanitizeUrl(element.attribs[name]);
+        url ? $(element).attr(name, url) : $(element).removeAttr(name);
+      }
+    });
+
+    if (tag === 'a' && $(element).attr('href')) {
+      $(element).attr('rel', 'noopener noreferrer nofollow');
+    } else if (tag === 'img' && !$(element).attr('src')) {
+      $(element).remove();
+    }
+  });
+
+  return $('body').html();
+}
+
+/**
+ * Render a block's text and inline markups as HTML
+ * @param {string} text - Block text
+ * @param {import('./contentBlocks.js').ContentMarkup[]} markups - Inline markups
+ * @param {Object} options - Options
+ * @param {boolean} options.links - Render A markups as links
+ * @returns {string} - HTML
+ */
+export function renderInlineHtml(text, markups = [], { links = true } = {}) {
+  const tags = { STRONG: 'strong', EM: 'em', CODE: 'code', A: 'a' };
+
+  return renderInline(text, markups.filter(markup => links || markup.type !== 'A'), {
+    text: (run) => escapeHTML(run).replace(/\n/g, '<br>'),
+    open: (markup) => markup.type === 'A'
+      ? `<a href="${escapeHTML(markup.href || '')}">`
+      : `<${tags[markup.type]}>`,
+    close: (markup) => `</${tags[markup.type]}>`
+  });
+}
+
+/**
+ * Serialize content blocks to semantic HTML. Embeds (IFRAME) become links, so the
+ * output loads no third-party frames.
+ * @param {import('./contentBlocks.js').ContentBlock[]} blocks - Blocks in reading order
+ * @param {Object} options - Options
+ * @param {number} options.imageWidth - Width miro.medium.com images are resized to
+ * @returns {string} - Sanitized HTML fragment
+ */
+export function blocksToHtml(blocks = [], { imageWidth = MEDIUM_CONSTANTS.DEFAULT_IMAGE_WIDTH } = {}) {
+  const parts = [];
+
+  blocks.forEach((block, index) => {
+    const inline = () => renderInlineHtml(block.text, block.markups);
+    const listTag = { OLI: 'ol', ULI: 'ul' }[block.type];
+
+    if (listTag) {
+      if (blocks[index - 1]?.type !== block.type) parts.push(`<${listTag}>`);
+      parts.push(`<li>${inline()}</li>`);
+      if (blocks[index + 1]?.type !== block.type) parts.push(`</${listTag}>`);
+      return;
+    }
+
+    switch (block.type) {
+      case 'H3':
+        parts.push(`<h2>${inline()}</h2>`);
+        break;
+      case 'H4':
+        parts.push(`<h3>${inline()}</h3>`);
+        break;
+      case 'BQ':
+        parts.push(`<blockquote>${inline()}</blockquote>`);
+        break;
+      case 'PQ':
+        parts.push(`<blockquote class="pullquote">${inline()}</blockquote>`);
+        break;
+      case 'PRE': {
+        const language = block.language ? ` class="language-${escapeHTML(block.language)}"` : '';
+        parts.push(`<pre><code${language}>${escapeHTML(block.text)}</code></pre>`);
+        break;
+      }
+      case 'IMG': {
+        if (!block.image?.url) break;
+        const size = block.image.width && block.image.height
+          ? ` width="${block.image.width}" height="${block.image.height}"`
+          : '';
+        let image = `<img src="${escapeHTML(resizeImageUrl(block.image.url, imageWidth))}" alt="${escapeHTML(block.image.alt)}"${size} loading="lazy">`;
+        if (block.href) image = `<a href="${escapeHTML(block.href)}">${image}</a>`;
+        parts.push(`<figure>${image}${block.text ? `<figcaption>${inline()}</figcaption>` : ''}</figure>`);
+        break;
+      }
+      case 'IFRAME':
+        if (!block.iframe?.src) break;
+        parts.push(`<p class="embed"><a href="${escapeHTML(block.iframe.src)}">${escapeHTML(block.iframe.title || block.text || 'Embedded content')}</a></p>`);
+        break;
+      case 'MIXTAPE_EMBED':
+        parts.push(block.mixtape?.href
+          ? `<aside class="embed"><a href="${escapeHTML(block.mixtape.href)}">${renderInlineHtml(block.text, block.markups, { links: false })}</a></aside>`
+          : `<p>${inline()}</p>`);
+        break;
+      case 'P':
+      default:
+        if (block.text) parts.push(`<p>${inline()}</p>`);
+        break;
+    }
+  });
+
+  return sanitizeHtml(parts.join('\n'));
+}
+
+const DOCUMENT_STYLE = `body{max-width:720px;margin:2rem auto;padding:0 1rem;font:18px/1.6 Georgia,serif;color:#242424}
+img{max-width:100%;height:auto}figure{margin:2rem 0}figcaption{font-size:.85em;color:#6b6b6b;text-align:center}
+pre{background:#f2f2f2;padding:1rem;overflow:auto;font-size:.8em}code{font-family:Menlo,Consolas,monospace}
+blockquote{border-left:3px solid #242424;margin-left:0;padding-left:1.25rem;font-style:italic}
+blockquote.pullquote{border:0;font-size:1.4em;text-align:center}.subtitle,.byline{color:#6b6b6b}
+aside.embed{border:1px solid #e6e6e6;padding:1rem}`;
+
+/**
+ * Wrap a body in a self-contained HTML document (inline styles, no scripts)
+ * @param {string} title - Document title
+ * @param {string} body - Sanitized body HTML
+ * @param {string} canonicalUrl - Canonical URL, if any
+ * @returns {string} - HTML document
+ */
+function wrapDocument(title, body, canonicalUrl = '') {
+  const canonical = sanitizeUrl(canonicalUrl);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHTML(title)}</title>
+${canonical ? `<link rel="canonical" href="${escapeHTML(canonical)}">\n` : ''}<style>${DOCUMENT_STYLE}</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+/**
+ * Render an article record as a self-contained HTML document. A leading
+ * title/subtitle block that repeats the header is dropped.
+ * @param {Object} article - Article record
+ * @param {Object} options - Options
+ * @param {number} options.imageWidth - Width miro.medium.com images are resized to
+ * @returns {string} - HTML document
+ */
+export function articleToHtml(article, options = {}) {
+  let blocks = article.content?.blocks || [];
+
+  if (blocks[0]?.type === 'H3' && blocks[0].text.trim() === (article.title || '').trim()) {
+    blocks = blocks.slice(1);
+    if (blocks[0]?.type === 'H4' && article.subtitle && blocks[0].text.trim() === article.subtitle.trim()) {
+      blocks = blocks.slice(1);
+    }
+  }
+
+  const body = blocks.length > 0
+    ? blocksToHtml(blocks, options)
+    : (article.content?.paragraphs || []).map(paragraph => `<p>${escapeHTML(paragraph)}</p>`).join('\n');
+
+  const byline = [
+    article.author
+      ? (article.authorUrl ? `<a href="${escapeHTML(article.authorUrl)}">${escapeHTML(article.author)}</a>` : escapeHTML(article.author))
+      : '',
+    article.date ? `<time datetime="${escapeHTML(article.date)}">${escapeHTML(article.date.substring(0, 10))}</time>` : '',
+    article.readTime ? `${article.readTime} min read` : ''
+  ].filter(Boolean).join(' · ');
+
+  const header = sanitizeHtml([
+    '<header>',
+    `<h1>${escapeHTML(article.title || 'Untitled')}</h1>`,
+    article.subtitle ? `<p class="subtitle">${escapeHTML(article.subtitle)}</p>` : '',
+    byline ? `<p class="byline">${byline}</p>` : '',
+    '</header>'
+  ].filter(Boolean).join('\n'));
+
+  const canonicalUrl = sanitizeUrl(article.url);
+  const footer = canonicalUrl
+    ? sanitizeHtml(`<footer><p>Originally published at <a href="${escapeHTML(canonicalUrl)}">${escapeHTML(canonicalUrl)}</a></p></footer>`)
+    : '';
+
+  return wrapDocument(article.title || 'Untitled', `<article>\n${header}\n${body || ''}\n${footer}\n</article>`, article.url);
+}
+
+/**
+ * Render the index page of an HTML export
+ * @param {string} title - Index title
+ * @param {{ article: Object, filename: string }[]} entries - Exported articles and their file names
+ * @returns {string} - HTML document
+ */
+export function buildHtmlIndex(title, entries = []) {
+  const items = entries.map(({ article, filename }) => {
+    const details = [article.author, article.date?.substring(0, 10), article.readTime ? `${article.readTime} min read` : '']
+      .filter(Boolean)
+      .join(' · ');
+    return `<li><a href="${escapeHTML(encodeURI(filename))}">${escapeHTML(article.title || 'Untitled')}</a>${details ? ` <span class="byline">${escapeHTML(details)}</span>` : ''}</li>`;
+  });
+
+  return wrapDocument(title, `<h1>${escapeHTML(title)}</h1>\n<ol>\n${items.join('\n')}\n</ol>`);
+}
+
+export default {
+  escapeHTML,
+  sanitizeUrl,
+  resizeImageUrl,
+  sanitizeHtml,
+  renderInlineHtml,
+  blocksToHtml,
+  articleToHtml,
+  buildHtmlIndex
+};
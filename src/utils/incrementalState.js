@@ -0,0 +1,212 @@
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+import { Actor } from 'apify';
+import { createLogger } from './logger.js';
+import { extractPostIdFromUrl } from './contentProcessor.js';
+import { parseRecordReference } from './urlListLoader.js';
+import { MEDIUM_CONSTANTS } from '../config/constants.js';
+
+const logger = createLogger({ util: 'IncrementalState' });
+
+const { CHANGE_TYPES } = MEDIUM_CONSTANTS;
+
+/**
+ * Hash of the parts of an article that make it "changed" for incremental runs:
+ * title, subtitle, tags and content blocks (text and markups). Counters such as
+ * claps are left out on purpose, they change on every run.
+ * @param {Object} article - Article record
+ * @returns {string} - SHA-256 hex digest
+ */
+export function hashArticleContent(article) {
+  const blocks = article.content?.blocks || [];
+  const body = blocks.length > 0
+    ? blocks.map(block => ({ type: block.type, text: block.text, markups: block.markups }))
+    : article.content?.textContent || '';
+
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify({
+      title: article.title || '',
+      subtitle: article.subtitle || '',
+      tags: article.tags || [],
+      body
+    }))
+    .digest('hex');
+}
+
+/**
+ * Persistent record of the posts seen by previous runs, stored in a key-value
+ * store record or a local JSON file. Listings are filtered against it before
+ * articles are enqueued, and every scraped article is classified as new or
+ * updated and written back.
+ */
+export class IncrementalState {
+  constructor(options = {}) {
+    this.file = options.file || null;
+    this.record = options.record || MEDIUM_CONSTANTS.DEFAULT_STATE_RECORD;
+
+    this.posts = {};
+    this.counts = { [CHANGE_TYPES.NEW]: 0, [CHANGE_TYPES.UPDATED]: 0, [CHANGE_TYPES.UNCHANGED]: 0, [CHANGE_TYPES.SKIPPED]: 0 };
+    this.skipped = [];
+  }
+
+  get location() {
+    return this.file ? `file ${this.file}` : `key-value store record ${this.record}`;
+  }
+
+  async load() {
+    let state = null;
+
+    if (this.file) {
+      state = await fs.pathExists(this.file) ? await fs.readJson(this.file) : null;
+    } else {
+      const { storeName, key } = parseRecordReference(this.record);
+      const store = await Actor.openKeyValueStore(storeName);
+      state = await store.getValue(key);
+    }
+
+    this.posts = state?.posts || {};
+    logger.info(`Loaded incremental state with ${Object.keys(this.posts).length} known posts from ${this.location}`);
+  }
+
+  async save() {
+    const state = {
+      updatedAt: new Date().toISOString(),
+      posts: this.posts
+    };
+
+    if (this.file) {
+      await fs.ensureDir(path.dirname(this.file));
+      await fs.writeJson(this.file, state);
+    } else {
+      const { storeName, key } = parseRecordReference(this.record);
+      const store = await Actor.openKeyValueStore(storeName);
+      await store.setValue(key, state);
+    }
+
+    logger.info(`Saved incremental state with ${Object.keys(this.posts).length} known posts to ${this.location}`);
+  }
+
+  /**
+   * Fill in the latestPublishedAt of the known posts a listing shows no date
+   * for (listings read from rendered cards), so filterListing() can tell
+   * whether they were edited. Other entries are returned as they are.
+   * @param {Object[]} articles - Listing entries
+   * @param {Function} lookup - async (url) => latestPublishedAt, or null when it could not be read
+   * @returns {Promise<Object[]>} - Listing entries
+   */
+  async completeListingDates(articles, lookup) {
+    const completed = [];
+
+    for (const article of articles) {
+      if (article.latestPublishedAt || !this.posts[getPostKey(article)]) {
+        completed.push(article);
+        continue;
+      }
+
+      const latestPublishedAt = await lookup(article.url);
+      completed.push(latestPublishedAt ? { ...article, latestPublishedAt } : article);
+    }
+
+    return completed;
+  }
+
+  /**
+   * Split a listing into the articles worth scraping and the ones that can be
+   * skipped. A known post is skipped when the listing carries its latestPublishedAt
+   * and it matches the stored one. An entry still without a date after
+   * completeListingDates() is skipped on its post id alone.
+   * @param {Object[]} articles - Listing entries ({ postId, url, latestPublishedAt, ... })
+   * @param {Object} source - Source the listing came from
+   * @returns {Object[]} - Articles to enqueue
+   */
+  filterListing(articles, source) {
+    return articles.filter(article => {
+      const known = this.posts[getPostKey(article)];
+
+      if (!known || (article.latestPublishedAt && known.latestPublishedAt !== toTimestamp(article.latestPublishedAt))) {
+        return true;
+      }
+
+      this.counts[CHANGE_TYPES.SKIPPED]++;
+      this.skipped.push({
+        postId: article.postId || known.postId || null,
+        url: article.url,
+        title: article.title || '',
+        latestPublishedAt: known.latestPublishedAt,
+        lastScrapedAt: known.lastScrapedAt,
+        changeType: CHANGE_TYPES.SKIPPED,
+        source: source ? { type: source.type, url: source.url } : null
+      });
+      return false;
+    });
+  }
+
+  /**
+   * Classify a scraped article against the stored state and remember it
+   * @param {Object} article - Scraped article record
+   * @returns {string} - Change type (new, updated or unchanged)
+   */
+  recordArticle(article) {
+    const key = getPostKey(article);
+    const known = this.posts[key];
+    const contentHash = hashArticleContent(article);
+    const latestPublishedAt = toTimestamp(article.latestPublishedAt);
+
+    let changeType = CHANGE_TYPES.NEW;
+    if (known) {
+      const republished = latestPublishedAt && known.latestPublishedAt && latestPublishedAt !== known.latestPublishedAt;
+      changeType = republished || known.contentHash !== contentHash ? CHANGE_TYPES.UPDATED : CHANGE_TYPES.UNCHANGED;
+    }
+
+    this.posts[key] = {
+      postId: article.postId || null,
+      url: article.url,
+      latestPublishedAt: latestPublishedAt || known?.latestPublishedAt || null,
+      contentHash,
+      lastScrapedAt: new Date().toISOString()
+    };
+    this.counts[changeType]++;
+
+    return changeType;
+  }
+
+  /**
+   * Carry over the counts and skipped articles of an interrupted run being resumed
+   * @param {Object} summary - Summary saved by getSummary()
+   */
+  restore(summary) {
+    Object.assign(this.counts, summary.counts);
+    this.skipped = [...summary.skippedArticles];
+  }
+
+  getSummary() {
+    return {
+      location: this.location,
+      knownPosts: Object.keys(this.posts).length,
+      counts: { ...this.counts },
+      skippedArticles: this.skipped
+    };
+  }
+}
+
+/**
+ * State key of an article: the Medium post id, or its URL when none is known
+ */
+function getPostKey(article) {
+  return article.postId || extractPostIdFromUrl(article.url) || article.url;
+}
+
+/**
+ * Apollo timestamps are epoch milliseconds, DOM dates are strings; store both
+ * as ISO strings so runs using either source compare equal
+ */
+function toTimestamp(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const date = new Date(typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : value);
+  return Number.isNaN(date.getTime()) ? String(value) : date.toISOString();
+}
+
+export default IncrementalState;
@@ -13,17 +13,99 @@ export function validateInput(input) {
     return { isValid: false, errors };
   }
   
-  // Validate authorUrl
-  if (!input.authorUrl || typeof input.authorUrl !== 'string') {
-    errors.push('Author URL is required and must be a string');
-  } else {
-    try {
-      const url = new URL(input.authorUrl);
-      if (!url.hostname.includes('medium.com')) {
-        errors.push('URL must be a valid Medium URL (contain medium.com)');
-      }
-    } catch (error) {
-      errors.push('Author URL must be a valid URL format');
+  // At least one source is required: authors, publications, tag feeds or article URLs
+  const sourceFields = [
+    'authorUrl', 'authorUrls', 'authorUrlsFile', 'authorUrlsRecord',
+    'publicationUrls', 'tagFeeds',
+    'articleUrls', 'articleUrlsFile', 'articleUrlsRecord'
+  ];
+  const hasSource = sourceFields.some(field => {
+    const value = input[field];
+    return Array.isArray(value) ? value.length > 0 : Boolean(value);
+  });
+  
+  if (!hasSource) {
+    errors.push(`At least one of ${sourceFields.join(', ')} is required`);
+  }
+  
+  if (input.authorUrl !== undefined && input.authorUrl !== '') {
+    errors.push(...validateMediumUrl(input.authorUrl, 'Author URL'));
+  }
+  
+  if (input.authorUrls !== undefined) {
+    if (!Array.isArray(input.authorUrls)) {
+      errors.push('authorUrls must be an array');
+    } else {
+      input.authorUrls.forEach((url, index) => {
+        errors.push(...validateMediumUrl(url, `authorUrls[${index}]`));
+      });
+    }
+  }
+  
+  // Validate publicationUrls (custom-domain publications are allowed)
+  if (input.publicationUrls !== undefined) {
+    if (!Array.isArray(input.publicationUrls)) {
+      errors.push('publicationUrls must be an array');
+    } else {
+      input.publicationUrls.forEach((url, index) => {
+        if (!isValidHttpUrl(url)) {
+          errors.push(`publicationUrls[${index}] must be a valid http(s) URL`);
+        }
+      });
+    }
+  }
+  
+  // Validate tag feeds
+  if (input.tagFeeds !== undefined) {
+    if (!Array.isArray(input.tagFeeds)) {
+      errors.push('tagFeeds must be an array');
+    } else if (input.tagFeeds.some(tag => typeof tag !== 'string' || tag.trim() === '')) {
+      errors.push('All tagFeeds must be non-empty strings');
+    }
+  }
+  
+  if (input.tagFeedViews !== undefined) {
+    const validViews = MEDIUM_CONSTANTS.TAG_FEED_VIEWS;
+    if (!Array.isArray(input.tagFeedViews) || input.tagFeedViews.length === 0 ||
+        input.tagFeedViews.some(view => !validViews.includes(view))) {
+      errors.push(`tagFeedViews must be a non-empty array of: ${validViews.join(', ')}`);
+    }
+  }
+  
+  if (input.maxPostsPerTag !== undefined) {
+    if (typeof input.maxPostsPerTag !== 'number' || input.maxPostsPerTag < 1 || input.maxPostsPerTag > 1000) {
+      errors.push('maxPostsPerTag must be a number between 1 and 1000');
+    }
+  }
+  
+  if (input.maxResponses !== undefined) {
+    if (!Number.isInteger(input.maxResponses) || input.maxResponses < 1 || input.maxResponses > 1000) {
+      errors.push('maxResponses must be an integer between 1 and 1000');
+    }
+  }
+  
+  if (input.maxResponseDepth !== undefined) {
+    if (!Number.isInteger(input.maxResponseDepth) || input.maxResponseDepth < 1 || input.maxResponseDepth > 10) {
+      errors.push('maxResponseDepth must be an integer between 1 and 10');
+    }
+  }
+  
+  // Validate articleUrls (custom-domain articles are allowed)
+  if (input.articleUrls !== undefined) {
+    if (!Array.isArray(input.articleUrls)) {
+      errors.push('articleUrls must be an array');
+    } else {
+      input.articleUrls.forEach((url, index) => {
+        if (!isValidHttpUrl(url)) {
+          errors.push(`articleUrls[${index}] must be a valid http(s) URL`);
+        }
+      });
+    }
+  }
+  
+  for (const field of ['authorUrlsFile', 'authorUrlsRecord', 'articleUrlsFile', 'articleUrlsRecord']) {
+    if (input[field] !== undefined && (typeof input[field] !== 'string' || input[field].trim() === '')) {
+      errors.push(`${field} must be a non-empty string`);
     }
   }
   
@@ -44,12 +126,94 @@ export function validateInput(input) {
   
   // Validate outputFormat
   if (input.outputFormat !== undefined) {
-    const validFormats = ['json', 'csv', 'xlsx'];
+    const validFormats = ['json', 'ndjson', 'csv', 'xlsx', 'markdown', 'html', 'sqlite'];
     if (!validFormats.includes(input.outputFormat)) {
       errors.push(`outputFormat must be one of: ${validFormats.join(', ')}`);
     }
   }
   
+  if (input.htmlImageWidth !== undefined) {
+    if (!Number.isInteger(input.htmlImageWidth) || input.htmlImageWidth < 100 || input.htmlImageWidth > 4000) {
+      errors.push('htmlImageWidth must be an integer between 100 and 4000');
+    }
+  }
+  
+  if (input.ndjsonMaxPartMb !== undefined) {
+    if (typeof input.ndjsonMaxPartMb !== 'number' || input.ndjsonMaxPartMb < 1 || input.ndjsonMaxPartMb > 2048) {
+      errors.push('ndjsonMaxPartMb must be a number between 1 and 2048');
+    }
+  }
+  
+  if (input.sqlitePath !== undefined) {
+    if (typeof input.sqlitePath !== 'string' || input.sqlitePath.trim() === '') {
+      errors.push('sqlitePath must be a non-empty file path');
+    }
+  }
+  
+  if (input.fetchMode !== undefined && !['browser', 'http'].includes(input.fetchMode)) {
+    errors.push('fetchMode must be one of: browser, http');
+  }
+  
+  for (const field of ['recordTo', 'replayFrom']) {
+    if (input[field] !== undefined && (typeof input[field] !== 'string' || input[field].trim() === '')) {
+      errors.push(`${field} must be a non-empty directory path`);
+    }
+  }
+  
+  if (input.recordTo && input.replayFrom) {
+    errors.push('recordTo and replayFrom cannot be used together');
+  }
+  
+  if (input.runId !== undefined) {
+    if (typeof input.runId !== 'string' || !/^[a-zA-Z0-9-]{1,40}$/.test(input.runId)) {
+      errors.push('runId must be 1-40 letters, digits or dashes');
+    }
+  }
+  
+  for (const field of ['stateRecord', 'stateFile', 'selectorBaselineRecord', 'selectorBaselineFile']) {
+    if (input[field] !== undefined && (typeof input[field] !== 'string' || input[field].trim() === '')) {
+      errors.push(`${field} must be a non-empty string`);
+    }
+  }
+  
+  if (input.logStore !== undefined && !['none', 'dataset', 'keyValueStore'].includes(input.logStore)) {
+    errors.push('logStore must be one of: none, dataset, keyValueStore');
+  }
+  
+  if (input.logLevel !== undefined && !['error', 'warn', 'info', 'debug'].includes(input.logLevel)) {
+    errors.push('logLevel must be one of: error, warn, info, debug');
+  }
+  
+  if (input.logStoreName !== undefined) {
+    if (typeof input.logStoreName !== 'string' || !/^[a-zA-Z0-9-]{1,63}$/.test(input.logStoreName)) {
+      errors.push('logStoreName must be 1-63 letters, digits or dashes');
+    }
+  }
+  
+  if (input.logFile !== undefined && (typeof input.logFile !== 'string' || input.logFile.trim() === '')) {
+    errors.push('logFile must be a non-empty file path');
+  }
+  
+  if (input.logFileMaxMb !== undefined) {
+    if (typeof input.logFileMaxMb !== 'number' || input.logFileMaxMb < 1 || input.logFileMaxMb > 1024) {
+      errors.push('logFileMaxMb must be a number between 1 and 1024');
+    }
+  }
+  
+  if (input.csvColumns !== undefined) {
+    if (!Array.isArray(input.csvColumns) ||
+        input.csvColumns.some(column => typeof column !== 'string' || column.trim() === '')) {
+      errors.push('csvColumns must be an array of non-empty field paths');
+    }
+  }
+  
+  if (input.csvDelimiter !== undefined) {
+    const validDelimiters = MEDIUM_CONSTANTS.CSV_DELIMITERS;
+    if (!validDelimiters.includes(input.csvDelimiter)) {
+      errors.push(`csvDelimiter must be one of: ${validDelimiters.map(delimiter => JSON.stringify(delimiter)).join(', ')}`);
+    }
+  }
+  
   // Validate sortBy
   if (input.sortBy !== undefined) {
     const validSortOptions = ['latest', 'popular', 'oldest'];
@@ -89,7 +253,7 @@ export function validateInput(input) {
   }
   
   // Validate boolean fields
-  const booleanFields = ['includeContent', 'includeComments', 'includePublication', 'useProxy', 'premiumContent'];
+  const booleanFields = ['includeContent', 'includeComments', 'includePublication', 'includeAuthorAbout', 'useProxy', 'premiumContent', 'csvBom', 'ndjsonGzip', 'incremental', 'respectRobotsTxt'];
   for (const field of booleanFields) {
     if (input[field] !== undefined && typeof input[field] !== 'boolean') {
       errors.push(`${field} must be a boolean value`);
@@ -102,6 +266,47 @@ export function validateInput(input) {
   };
 }
 
+/**
+ * Validates a single Medium URL
+ * @param {string} url - URL to validate
+ * @param {string} label - Field name used in error messages
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+export function validateMediumUrl(url, label = 'URL') {
+  if (!url || typeof url !== 'string') {
+    return [`${label} is required and must be a string`];
+  }
+  
+  try {
+    const parsed = new URL(url);
+    if (!parsed.hostname.includes('medium.com')) {
+      return [`${label} must be a valid Medium URL (contain medium.com)`];
+    }
+  } catch (error) {
+    return [`${label} must be a valid URL format`];
+  }
+  
+  return [];
+}
+
+/**
+ * Validates that a string is an absolute http(s) URL
+ * @param {string} url - URL to validate
+ * @returns {boolean} True if valid
+ */
+function isValidHttpUrl(url) {
+  if (!url || typeof url !== 'string') {
+    return false;
+  }
+  
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === 'http:' || parsed.protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
 /**
  * Validates if a string is a valid date
  * @param {string} dateString - Date string to validate
@@ -125,6 +330,13 @@ export function sanitizeInput(input) {
     sanitized.authorUrl = sanitized.authorUrl.trim();
   }
   
+  // Sanitize authorUrls
+  if (sanitized.authorUrls && Array.isArray(sanitized.authorUrls)) {
+    sanitized.authorUrls = sanitized.authorUrls
+      .map(url => url.trim())
+      .filter(url => url.length > 0);
+  }
+  
   // Sanitize tags
   if (sanitized.tags && Array.isArray(sanitized.tags)) {
     sanitized.tags = sanitized.tags
@@ -1,7 +1,7 @@
 import winston from 'winston';
 import fs from 'fs-extra';
 import path from 'path';
-import { Actor } from 'apify';
+import { createRunLog } from './runLog.js';
 
 // Create logs directory
 const logsDir = path.join(process.cwd(), 'logs');
@@ -46,6 +46,55 @@ const logger = winston.createLogger({
   ]
 });
 
+// Structured run log, set up from the input by configureRunLog()
+let runLog = null;
+// Level of LOG_LEVEL, put back once the run log is closed
+const baseLevel = logger.level;
+
+/**
+ * Route the entries of every ScrapingLogger to the run log sinks of the input
+ * (named dataset or key-value store, rotating JSONL file), keeping them out of
+ * the results dataset. The input level also applies to the console and the
+ * files under logs/. Replaces the run log configured before, closing it.
+ * @param {Object} options - See createRunLog()
+ * @returns {Promise<Object>} - The run log
+ */
+export async function configureRunLog(options = {}) {
+  await closeRunLog();
+
+  if (options.level) {
+    logger.level = options.level;
+  }
+
+  runLog = createRunLog({
+    ...options,
+    onError: (error, sink) => logger.warn(`Run log sink ${sink.constructor.name} failed: ${error.message}`)
+  });
+  return runLog;
+}
+
+/**
+ * Write the entries the run log still holds
+ * @returns {Promise<void>}
+ */
+export async function closeRunLog() {
+  logger.level = baseLevel;
+
+  if (runLog) {
+    const closing = runLog;
+    runLog = null;
+    await closing.close();
+  }
+}
+
+function serializeError(error) {
+  return {
+    message: error.message,
+    stack: error.stack,
+    name: error.name
+  };
+}
+
 export class ScrapingLogger {
   constructor(context = {}) {
     this.context = context;
@@ -67,18 +116,14 @@ export class ScrapingLogger {
       level,
       message,
       ...this.context,
-      ...meta,
-      stats: this.stats
+      // An Error spreads to nothing; callers often pass the one they caught
+      ...(meta instanceof Error ? { error: serializeError(meta) } : meta),
+      // Copied: the entry may be written after the counters have moved on
+      stats: { ...this.stats }
     };
 
     logger.log(level, message, logEntry);
-    
-    // Also log to Apify dataset if available
-    try {
-      Actor.pushData(logEntry);
-    } catch (error) {
-      // Ignore if Actor is not available
-    }
+    runLog?.write(logEntry);
   }
 
   info(message, meta = {}) {
@@ -94,11 +139,7 @@ export class ScrapingLogger {
     this.stats.errors++;
     const errorMeta = {
       ...meta,
-      error: error ? {
-        message: error.message,
-        stack: error.stack,
-        name: error.name
-      } : null
+      error: error ? serializeError(error) : null
     };
     this.log('error', message, errorMeta);
   }
@@ -108,9 +149,11 @@ export class ScrapingLogger {
   }
 
   // Specific logging methods for scraping events
-  logScrapingStart(authorUrl, options = {}) {
+  logScrapingStart(authorUrls, options = {}) {
+    const urls = [].concat(authorUrls || []);
     this.info('Medium scraping started', {
-      authorUrl,
+      authorUrls: urls,
+      authorCount: urls.length,
       options,
       event: 'scraping_start'
     });
@@ -131,7 +174,7 @@ export class ScrapingLogger {
     this.info('Article scraped', {
       title: articleData.title,
       url: articleData.url,
-      readingTime: articleData.readingTime,
+      readTime: articleData.readTime,
       claps: articleData.claps,
       isPremium: articleData.isPremium,
       event: 'article_scraped'
@@ -238,5 +281,7 @@ export function createLogger(context = {}) {
 export default {
   logger,
   ScrapingLogger,
-  createLogger
+  createLogger,
+  configureRunLog,
+  closeRunLog
 };
\ No newline at end of file
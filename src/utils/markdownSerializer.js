@@ -0,0 +1,241 @@
+import { renderInline } from './contentBlocks.js';
+
+const EMPHASIS = { STRONG: '**', EM: '*' };
+
+/**
+ * Escape characters that Markdown would otherwise treat as formatting
+ * @param {string} text - Plain text
+ * @returns {string} - Escaped text
+ */
+export function escapeMarkdown(text) {
+  return (text || '').replace(/([\\`*_[\]<>])/g, '\\$1');
+}
+
+/**
+ * Escape a line start that would turn a paragraph into a heading, list or quote
+ * @param {string} line - Rendered line
+ * @returns {string} - Safe line
+ */
+function escapeLineStart(line) {
+  return line
+    .replace(/^(\s*)([#>+-])/, '$1\\$2')
+    .replace(/^(\s*\d+)\./, '$1\\.');
+}
+
+/**
+ * Make bold/italic ranges representable in Markdown: a range that starts inside
+ * another one and outlives it is clipped to start where the other ends (crossing
+ * delimiters would otherwise produce runs like "****"), and whitespace at the
+ * edges moves outside the range ("** bold**" is not emphasis)
+ * @param {string} text - Block text
+ * @param {import('./contentBlocks.js').ContentMarkup[]} markups - Markups
+ * @returns {import('./contentBlocks.js').ContentMarkup[]} - Adjusted markups
+ */
+function tightenEmphasis(text, markups) {
+  const sorted = [...markups].sort((a, b) => a.start - b.start || b.end - a.end);
+
+  return sorted
+    .map((markup, index) => {
+      if (!EMPHASIS[markup.type]) return markup;
+
+      let { start, end } = markup;
+      sorted.slice(0, index)
+        .filter(other => EMPHASIS[other.type] && other.start <= start && other.end > start && other.end < end)
+        .forEach(other => { start = Math.max(start, other.end); });
+
+      while (start < end && /\s/.test(text[start])) start++;
+      while (end > start && /\s/.test(text[end - 1])) end--;
+      return { ...markup, start, end };
+    })
+    .filter(markup => markup.end > markup.start);
+}
+
+/**
+ * Render a block's text and inline markups (bold, italic, code, links) as Markdown
+ * @param {string} text - Block text
+ * @param {import('./contentBlocks.js').ContentMarkup[]} markups - Inline markups
+ * @param {Object} options - Options
+ * @param {boolean} options.links - Render A markups as links (false inside link-only blocks)
+ * @returns {string} - Markdown
+ */
+export function renderInlineMarkdown(text, markups = [], { links = true } = {}) {
+  const usable = tightenEmphasis(text, markups.filter(markup => links || markup.type !== 'A'));
+
+  const codeFence = (markup) => {
+    const code = text.slice(markup.start, markup.end);
+    const longestRun = Math.max(0, ...(code.match(/`+/g) || []).map(run => run.length));
+    return '`'.repeat(longestRun + 1);
+  };
+
+  return renderInline(text, usable, {
+    text: (run, open) => open.some(markup => markup.type === 'CODE') ? run : escapeMarkdown(run).replace(/\n/g, '  \n'),
+    open: (markup) => {
+      if (markup.type === 'CODE') {
+        const fence = codeFence(markup);
+        return fence.length > 1 ? `${fence} ` : fence;
+      }
+      return markup.type === 'A' ? '[' : EMPHASIS[markup.type];
+    },
+    close: (markup) => {
+      if (markup.type === 'CODE') {
+        const fence = codeFence(markup);
+        return fence.length > 1 ? ` ${fence}` : fence;
+      }
+      return markup.type === 'A' ? `](${markup.href || ''})` : EMPHASIS[markup.type];
+    }
+  });
+}
+
+/**
+ * Serialize content blocks to Markdown. Consecutive OLI/ULI blocks form one list
+ * (Medium has no nested lists); BQ and PQ both become blockquotes.
+ * @param {import('./contentBlocks.js').ContentBlock[]} blocks - Blocks in reading order
+ * @returns {string} - Markdown document body
+ */
+export function blocksToMarkdown(blocks = []) {
+  const parts = [];
+  let listNumber = 0;
+
+  blocks.forEach((block, index) => {
+    const inline = () => renderInlineMarkdown(block.text, block.markups);
+    const isListItem = block.type === 'OLI' || block.type === 'ULI';
+    const continuesList = isListItem && blocks[index - 1]?.type === block.type;
+
+    listNumber = block.type === 'OLI' ? (continuesList ? listNumber + 1 : 1) : 0;
+
+    let markdown;
+    switch (block.type) {
+      case 'H3':
+        markdown = `## ${inline()}`;
+        break;
+      case 'H4':
+        markdown = `### ${inline()}`;
+        break;
+      case 'BQ':
+      case 'PQ':
+        markdown = inline().split('\n').map(line => `> ${line}`).join('\n');
+        break;
+      case 'PRE': {
+        const longestRun = Math.max(2, ...(block.text.match(/`+/g) || []).map(run => run.length));
+        const fence = '`'.repeat(longestRun + 1);
+        markdown = `${fence}${block.language || ''}\n${block.text}\n${fence}`;
+        break;
+      }
+      case 'OLI':
+        markdown = `${listNumber}. ${inline()}`;
+        break;
+      case 'ULI':
+        markdown = `- ${inline()}`;
+        break;
+      case 'IMG': {
+        if (!block.image?.url) return;
+        const image = `![${escapeMarkdown(block.image.alt)}](${block.image.url})`;
+        markdown = block.href ? `[${image}](${block.href})` : image;
+        if (block.text) {
+          markdown += `\n\n*${renderInlineMarkdown(block.text, block.markups.filter(markup => markup.type !== 'EM'))}*`;
+        }
+        break;
+      }
+      case 'IFRAME':
+        if (!block.iframe?.src) return;
+        markdown = `[${escapeMarkdown(block.iframe.title || block.text || 'Embedded content')}](${block.iframe.src})`;
+        break;
+      case 'MIXTAPE_EMBED':
+        markdown = block.mixtape?.href
+          ? `> [${renderInlineMarkdown(block.text, block.markups, { links: false })}](${block.mixtape.href})`
+          : escapeLineStart(inline());
+        break;
+      case 'P':
+      default:
+        if (!block.text) return;
+        markdown = escapeLineStart(inline());
+        break;
+    }
+
+    // List items of the same list are separated by a single newline
+    if (continuesList && parts.length > 0) {
+      parts[parts.length - 1] += `\n${markdown}`;
+    } else {
+      parts.push(markdown);
+    }
+  });
+
+  return parts.join('\n\n');
+}
+
+/**
+ * Render a value as a YAML scalar; strings are double-quoted JSON strings,
+ * which are valid YAML
+ * @param {*} value - Value
+ * @returns {string} - YAML scalar
+ */
+function toYamlScalar(value) {
+  if (typeof value === 'number' || typeof value === 'boolean') {
+    return String(value);
+  }
+  return JSON.stringify(String(value));
+}
+
+/**
+ * Build YAML front matter for an article
+ * @param {Object} article - Article record
+ * @returns {string} - Front matter including the --- fences
+ */
+export function buildFrontMatter(article) {
+  const fields = {
+    title: article.title,
+    subtitle: article.subtitle,
+    author: article.author,
+    date: article.date,
+    tags: article.tags,
+    canonicalUrl: article.url,
+    readTime: article.readTime
+  };
+
+  const lines = Object.entries(fields)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '' &&
+      !(Array.isArray(value) && value.length === 0))
+    .map(([key, value]) => Array.isArray(value)
+      ? `${key}:\n${value.map(item => `  - ${toYamlScalar(item)}`).join('\n')}`
+      : `${key}: ${toYamlScalar(value)}`);
+
+  return ['---', ...lines, '---'].join('\n');
+}
+
+/**
+ * Serialize an article record to a Markdown document with YAML front matter.
+ * A leading title/subtitle block that repeats the front matter is dropped.
+ * @param {Object} article - Article record
+ * @returns {string} - Markdown document
+ */
+export function articleToMarkdown(article) {
+  let blocks = article.content?.blocks || [];
+
+  if (blocks[0]?.type === 'H3' && blocks[0].text.trim() === (article.title || '').trim()) {
+    blocks = blocks.slice(1);
+    if (blocks[0]?.type === 'H4' && article.subtitle && blocks[0].text.trim() === article.subtitle.trim()) {
+      blocks = blocks.slice(1);
+    }
+  }
+
+  const body = blocks.length > 0
+    ? blocksToMarkdown(blocks)
+    : (article.content?.paragraphs || []).map(paragraph => escapeLineStart(escapeMarkdown(paragraph))).join('\n\n');
+
+  return [
+    buildFrontMatter(article),
+    '',
+    `# ${escapeMarkdown(article.title || 'Untitled')}`,
+    '',
+    body || `[Read on Medium](${article.url || ''})`,
+    ''
+  ].join('\n');
+}
+
+export default {
+  escapeMarkdown,
+  renderInlineMarkdown,
+  blocksToMarkdown,
+  buildFrontMatter,
+  articleToMarkdown
+};
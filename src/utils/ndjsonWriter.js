@@ -0,0 +1,209 @@
+import fs from 'fs-extra';
+import path from 'path';
+import zlib from 'zlib';
+import { once } from 'events';
+import { createLogger } from './logger.js';
+import { MEDIUM_CONSTANTS } from '../config/constants.js';
+
+const logger = createLogger({ util: 'NdjsonWriter' });
+
+/**
+ * Streams records to newline-delimited JSON files as they are produced, so a run
+ * never holds its whole output in memory. Output rotates into numbered part files
+ * once a part reaches the size cap (measured on uncompressed bytes), optionally
+ * gzipped, and the run summary goes to a separate manifest.
+ */
+export class NdjsonWriter {
+  constructor(options = {}) {
+    this.outputDir = options.outputDir || './output';
+    this.baseName = options.baseName || `articles-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+    this.gzip = options.gzip === true;
+    this.maxPartBytes = (options.maxPartMb || MEDIUM_CONSTANTS.NDJSON_MAX_PART_MB) * 1024 * 1024;
+
+    // Parts already written by an interrupted run being resumed; numbering continues after them
+    this.parts = (options.parts || []).map(({ filename, records, bytes }) => ({ filename, records, bytes }));
+    this.current = null;
+    this.totalRecords = this.parts.reduce((sum, part) => sum + part.records, 0);
+    this.closed = false;
+  }
+
+  get extension() {
+    return this.gzip ? '.ndjson.gz' : '.ndjson';
+  }
+
+  async openPart() {
+    await fs.ensureDir(this.outputDir);
+
+    const filename = `${this.baseName}.part-${String(this.parts.length + 1).padStart(4, '0')}${this.extension}`;
+    const file = fs.createWriteStream(path.join(this.outputDir, filename));
+    const stream = this.gzip ? zlib.createGzip() : file;
+    if (this.gzip) stream.pipe(file);
+
+    this.current = { filename, file, stream, records: 0, bytes: 0 };
+    this.parts.push(this.current);
+    logger.info(`Writing NDJSON part ${filename}`);
+  }
+
+  async closePart() {
+    if (!this.current) return;
+
+    const { file, stream } = this.current;
+    stream.end();
+    await once(file, 'finish');
+    this.current = null;
+  }
+
+  /**
+   * Append one record as a JSON line
+   * @param {Object} record - Record to write
+   */
+  async write(record) {
+    if (this.closed) {
+      throw new Error('NDJSON writer is already closed');
+    }
+
+    const line = `${JSON.stringify(record)}\n`;
+    const bytes = Buffer.byteLength(line);
+
+    // Rotate before overflowing the cap; a single oversized record still gets its own part
+    if (this.current && this.current.records > 0 && this.current.bytes + bytes > this.maxPartBytes) {
+      await this.closePart();
+    }
+    if (!this.current) {
+      await this.openPart();
+    }
+
+    if (!this.current.stream.write(line)) {
+      await once(this.current.stream, 'drain');
+    }
+
+    this.current.records++;
+    this.current.bytes += bytes;
+    this.totalRecords++;
+  }
+
+  /**
+   * Hand every record written so far to the file, without closing the part.
+   * A gzipped part is sync-flushed: its content can be read back although it
+   * has no gzip trailer until it is closed.
+   */
+  async flush() {
+    if (!this.current) return;
+
+    const { file, stream } = this.current;
+    if (this.gzip) {
+      await new Promise(resolve => stream.flush(zlib.constants.Z_SYNC_FLUSH, resolve));
+    }
+    // An empty write calls back once everything queued before it is written
+    await new Promise((resolve, reject) => file.write('', error => (error ? reject(error) : resolve())));
+  }
+
+  /**
+   * Bring the parts of an interrupted run back in line with its checkpoint
+   * before writing on. Records written after the last checkpoint are dropped,
+   * as their articles are scraped again: the last part is rewritten with the
+   * first records it should hold (a complete gzip file again when the crash
+   * cut its trailer), and parts opened after the checkpoint are removed.
+   * @param {number} records - Records the checkpoint counted as written
+   * @returns {Promise<{ records: number, dropped: number, missing: number }>}
+   */
+  async recover(records) {
+    const last = this.parts[this.parts.length - 1];
+    const earlier = this.parts.slice(0, -1).reduce((sum, part) => sum + part.records, 0);
+    const result = { records: earlier, dropped: 0, missing: 0 };
+
+    if (last) {
+      const keep = Math.max(records - earlier, 0);
+      const lines = await this.readPartLines(last.filename);
+      const kept = lines.slice(0, keep);
+      const text = kept.join('');
+
+      await fs.writeFile(path.join(this.outputDir, last.filename), this.gzip ? zlib.gzipSync(text) : text);
+      last.records = kept.length;
+      last.bytes = Buffer.byteLength(text);
+
+      result.records += kept.length;
+      result.dropped = Math.max(lines.length - keep, 0);
+      result.missing = keep - kept.length;
+    }
+
+    // Parts a rotation opened after the checkpoint
+    for (let index = this.parts.length + 1; ; index++) {
+      const filename = `${this.baseName}.part-${String(index).padStart(4, '0')}${this.extension}`;
+      if (!(await fs.pathExists(path.join(this.outputDir, filename)))) break;
+      await fs.remove(path.join(this.outputDir, filename));
+    }
+
+    this.totalRecords = this.parts.reduce((sum, part) => sum + part.records, 0);
+
+    if (result.dropped > 0 || result.missing > 0) {
+      logger.warn(`Recovered NDJSON output: ${result.dropped} record(s) written after the checkpoint dropped` +
+        (result.missing > 0 ? `, ${result.missing} counted record(s) missing from ${last.filename}` : ''));
+    }
+    return result;
+  }
+
+  /**
+   * Complete lines of a part; a line cut off by a crash is left out
+   * @param {string} filename - Part file name
+   * @returns {Promise<string[]>} - Lines, with their newline
+   */
+  async readPartLines(filename) {
+    const filepath = path.join(this.outputDir, filename);
+    if (!(await fs.pathExists(filepath))) return [];
+
+    const content = await fs.readFile(filepath);
+    // Sync flush on read: a part cut off before its gzip trailer still decompresses
+    const text = (this.gzip ? zlib.gunzipSync(content, { finishFlush: zlib.constants.Z_SYNC_FLUSH }) : content).toString('utf8');
+
+    return (text.match(/[^\n]*\n/g) || []).filter(line => {
+      try {
+        JSON.parse(line);
+        return true;
+      } catch {
+        return false;
+      }
+    });
+  }
+
+  /**
+   * Flush and close the current part
+   * @returns {Object} - Written parts ({ filename, records, bytes }) and totals
+   */
+  async close() {
+    if (!this.closed) {
+      await this.closePart();
+      this.closed = true;
+    }
+
+    return this.getSummary();
+  }
+
+  /**
+   * Write the run summary next to the parts
+   * @param {Object} summary - Run summary (results without the articles)
+   * @returns {Object} - Manifest file info ({ filename, filepath })
+   */
+  async writeManifest(summary) {
+    await fs.ensureDir(this.outputDir);
+
+    const filename = `${this.baseName}.manifest.json`;
+    const filepath = path.join(this.outputDir, filename);
+    await fs.writeFile(filepath, JSON.stringify({ ...this.getSummary(), ...summary }, null, 2), 'utf8');
+
+    logger.info(`NDJSON manifest written to ${filename}`);
+    return { filename, filepath };
+  }
+
+  getSummary() {
+    return {
+      format: 'ndjson',
+      gzip: this.gzip,
+      maxPartBytes: this.maxPartBytes,
+      totalRecords: this.totalRecords,
+      parts: this.parts.map(({ filename, records, bytes }) => ({ filename, records, bytes }))
+    };
+  }
+}
+
+export default NdjsonWriter;
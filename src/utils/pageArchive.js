@@ -0,0 +1,333 @@
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import path from 'path';
+import { createLogger } from './logger.js';
+import { NotFoundError } from './scrapeErrors.js';
+
+const logger = createLogger({ util: 'PageArchive' });
+
+const ARCHIVE_VERSION = 1;
+const HAR_CREATOR = { name: 'medium-scraper', version: String(ARCHIVE_VERSION) };
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// Bodies are stored decoded, so headers describing the wire encoding would corrupt replays
+const DROPPED_RESPONSE_HEADERS = ['content-encoding', 'content-length', 'transfer-encoding'];
+
+/**
+ * Directory of the pages a run navigated, written with recordTo and served back
+ * with replayFrom. Every page is archived under its request URL:
+ *
+ *   index.json               URL -> files, final URL and capture time
+ *   pages/<name>.html        final HTML of the page
+ *   har/<name>.har           every response the page used, bodies base64 encoded
+ *   screenshots/<name>.png   full-page screenshot (browser pages only)
+ *
+ * Replays route the page's requests through its HAR with Playwright, and abort
+ * anything the archive does not hold, so a replay never touches the network.
+ */
+export class PageArchive {
+  /**
+   * @param {string} dir - Archive directory
+   * @param {string} mode - 'record' or 'replay'
+   */
+  constructor(dir, mode) {
+    this.dir = path.resolve(dir);
+    this.mode = mode;
+    this.index = { version: ARCHIVE_VERSION, pages: {} };
+    this.recorders = new WeakMap();
+    this.counts = { recorded: 0, replayed: 0, missing: 0 };
+  }
+
+  get recording() {
+    return this.mode === 'record';
+  }
+
+  get replaying() {
+    return this.mode === 'replay';
+  }
+
+  get indexFile() {
+    return path.join(this.dir, 'index.json');
+  }
+
+  async open() {
+    const exists = await fs.pathExists(this.indexFile);
+
+    if (this.replaying && !exists) {
+      throw new Error(`No page archive found in ${this.dir}`);
+    }
+
+    // Recording into an existing archive adds to it; pages captured again are replaced
+    if (exists) {
+      this.index = await fs.readJson(this.indexFile);
+    }
+
+    if (this.recording) {
+      await Promise.all(['pages', 'har', 'screenshots'].map(sub => fs.ensureDir(path.join(this.dir, sub))));
+    }
+
+    logger.info(`${this.replaying ? 'Replaying from' : 'Recording to'} page archive ${this.dir} ` +
+      `(${Object.keys(this.index.pages).length} pages archived)`);
+  }
+
+  has(url) {
+    return Boolean(this.index.pages[url]);
+  }
+
+  /**
+   * Start capturing the responses of a browser page; they are written by savePage()
+   * @param {Object} page - Playwright page
+   */
+  startRecording(page) {
+    if (this.recorders.has(page)) return;
+
+    const recorder = { entries: [], pending: new Set() };
+    recorder.listener = (response) => {
+      const capture = harEntryFromResponse(response)
+        .then(entry => recorder.entries.push(entry))
+        .catch(error => logger.debug(`Could not capture response ${response.url()}: ${error.message}`))
+        .finally(() => recorder.pending.delete(capture));
+      recorder.pending.add(capture);
+    };
+
+    page.on('response', recorder.listener);
+    this.recorders.set(page, recorder);
+  }
+
+  /**
+   * Write a browser page's HTML, captured responses and screenshot
+   * @param {string} url - Request URL the page is archived under
+   * @param {Object} page - Playwright page passed to startRecording()
+   */
+  async savePage(url, page) {
+    const recorder = this.recorders.get(page);
+    if (!recorder) return;
+
+    this.recorders.delete(page);
+    page.off('response', recorder.listener);
+    await Promise.allSettled(Array.from(recorder.pending));
+
+    const name = getArchiveName(url);
+    const html = await page.content().catch(() => '');
+    await page.screenshot({ path: path.join(this.dir, 'screenshots', `${name}.png`), fullPage: true })
+      .catch(error => logger.warn(`Could not take a screenshot of ${url}: ${error.message}`));
+
+    await this.writePage(url, name, {
+      finalUrl: page.url(),
+      html,
+      entries: recorder.entries,
+      screenshot: `screenshots/${name}.png`
+    });
+  }
+
+  /**
+   * Archive a page fetched without a browser
+   * @param {string} url - Requested URL
+   * @param {{ status: number, headers: Object, data: string, finalUrl: string }} response - Fetched response
+   */
+  async saveHttpResponse(url, response) {
+    const entries = [];
+    let requestUrl = url;
+
+    // Redirects axios followed are recorded as 3xx entries, so both replay paths follow them
+    if (response.finalUrl && response.finalUrl !== url) {
+      entries.push(createHarEntry({
+        url,
+        status: 302,
+        statusText: 'Found',
+        headers: { location: response.finalUrl },
+        body: Buffer.alloc(0)
+      }));
+      requestUrl = response.finalUrl;
+    }
+
+    entries.push(createHarEntry({
+      url: requestUrl,
+      status: response.status,
+      statusText: response.statusText || '',
+      headers: response.headers,
+      body: Buffer.from(String(response.data ?? ''))
+    }));
+
+    await this.writePage(url, getArchiveName(url), {
+      finalUrl: requestUrl,
+      html: String(response.data ?? ''),
+      entries,
+      screenshot: null
+    });
+  }
+
+  async writePage(url, name, { finalUrl, html, entries, screenshot }) {
+    const har = { log: { version: '1.2', creator: HAR_CREATOR, pages: [], entries } };
+
+    await fs.writeFile(path.join(this.dir, 'pages', `${name}.html`), html);
+    await fs.writeJson(path.join(this.dir, 'har', `${name}.har`), har);
+
+    this.index.pages[url] = {
+      url,
+      finalUrl,
+      html: `pages/${name}.html`,
+      har: `har/${name}.har`,
+      screenshot,
+      responses: entries.length,
+      capturedAt: new Date().toISOString()
+    };
+    this.index.updatedAt = new Date().toISOString();
+    await fs.writeJson(this.indexFile, this.index, { spaces: 2 });
+
+    this.counts.recorded++;
+    logger.debug(`Archived ${url} with ${entries.length} responses`);
+  }
+
+  /**
+   * Serve a browser page's requests from the archived HAR of the given URL
+   * @param {Object} page - Playwright page, before navigation
+   * @param {string} url - Request URL the page was archived under
+   */
+  async routePage(page, url) {
+    const entry = this.getEntry(url);
+    await page.routeFromHAR(path.join(this.dir, entry.har), { notFound: 'abort' });
+    this.counts.replayed++;
+  }
+
+  /**
+   * Read an archived page back as an HTTP response, following archived redirects
+   * @param {string} url - Requested URL
+   * @returns {Promise<{ status: number, statusText: string, headers: Object, data: string, finalUrl: string }>}
+   */
+  async readHttpResponse(url) {
+    const entry = this.getEntry(url);
+    const har = await fs.readJson(path.join(this.dir, entry.har));
+    const seen = new Set();
+    let currentUrl = url;
+
+    while (!seen.has(currentUrl)) {
+      seen.add(currentUrl);
+      const harEntry = har.log.entries.find(item => item.request.method === 'GET' && item.request.url === currentUrl);
+
+      if (!harEntry) break;
+
+      const headers = Object.fromEntries(harEntry.response.headers.map(({ name, value }) => [name.toLowerCase(), value]));
+      if (REDIRECT_STATUSES.includes(harEntry.response.status) && headers.location) {
+        currentUrl = new URL(headers.location, currentUrl).toString();
+        continue;
+      }
+
+      this.counts.replayed++;
+      return {
+        status: harEntry.response.status,
+        statusText: harEntry.response.statusText,
+        headers,
+        data: Buffer.from(harEntry.response.content.text || '', harEntry.response.content.encoding === 'base64' ? 'base64' : 'utf8').toString(),
+        finalUrl: currentUrl
+      };
+    }
+
+    throw new NotFoundError(currentUrl, { reason: 'not_archived' });
+  }
+
+  getEntry(url) {
+    const entry = this.index.pages[url];
+
+    if (!entry) {
+      this.counts.missing++;
+      throw new NotFoundError(url, { reason: 'not_archived' });
+    }
+
+    return entry;
+  }
+
+  getSummary() {
+    return {
+      mode: this.mode,
+      dir: this.dir,
+      pages: Object.keys(this.index.pages).length,
+      ...this.counts
+    };
+  }
+}
+
+/**
+ * File name a URL is archived under: a readable slug of its path plus a hash of
+ * the full URL, so recording the same URL again replaces its files
+ * @param {string} url - Request URL
+ * @returns {string} - File name without extension
+ */
+export function getArchiveName(url) {
+  const hash = crypto.createHash('sha1').update(url).digest('hex').slice(0, 12);
+  let slug = '';
+
+  try {
+    const { hostname, pathname } = new URL(url);
+    slug = `${hostname}${pathname}`.replace(/[^a-zA-Z0-9@.-]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 80);
+  } catch {
+    // Hash only
+  }
+
+  return slug ? `${slug}-${hash}` : hash;
+}
+
+async function harEntryFromResponse(response) {
+  const request = response.request();
+  // Redirect responses have no body
+  const body = await response.body().catch(() => Buffer.alloc(0));
+  const postData = request.postData();
+
+  return createHarEntry({
+    method: request.method(),
+    url: request.url(),
+    requestHeaders: await request.allHeaders(),
+    postData,
+    postMimeType: request.headers()['content-type'],
+    status: response.status(),
+    statusText: response.statusText(),
+    headers: await response.allHeaders(),
+    body
+  });
+}
+
+function createHarEntry({ method = 'GET', url, requestHeaders = {}, postData = null, postMimeType = '', status, statusText, headers, body }) {
+  const responseHeaders = Object.entries(headers || {})
+    .filter(([name]) => !DROPPED_RESPONSE_HEADERS.includes(name.toLowerCase()));
+  const location = responseHeaders.find(([name]) => name.toLowerCase() === 'location');
+
+  return {
+    startedDateTime: new Date().toISOString(),
+    time: 0,
+    request: {
+      method,
+      url,
+      httpVersion: 'HTTP/1.1',
+      cookies: [],
+      headers: toHarHeaders(Object.entries(requestHeaders)),
+      queryString: [],
+      ...(postData !== null ? { postData: { mimeType: postMimeType || '', text: postData } } : {}),
+      headersSize: -1,
+      bodySize: postData !== null ? Buffer.byteLength(postData) : 0
+    },
+    response: {
+      status,
+      statusText: statusText || '',
+      httpVersion: 'HTTP/1.1',
+      cookies: [],
+      headers: toHarHeaders(responseHeaders),
+      content: {
+        size: body.length,
+        mimeType: headers?.['content-type'] || '',
+        text: body.toString('base64'),
+        encoding: 'base64'
+      },
+      redirectURL: location ? location[1] : '',
+      headersSize: -1,
+      bodySize: body.length
+    },
+    cache: {},
+    timings: { send: 0, wait: 0, receive: 0 }
+  };
+}
+
+function toHarHeaders(entries) {
+  return entries.map(([name, value]) => ({ name, value: String(value) }));
+}
+
+export default PageArchive;
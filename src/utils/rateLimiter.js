@@ -0,0 +1,246 @@
+import { createLogger } from './logger.js';
+import { errorForStatus } from './scrapeErrors.js';
+import { MEDIUM_CONSTANTS } from '../config/constants.js';
+
+const logger = createLogger({ util: 'RateLimiter' });
+
+/**
+ * Delay a Retry-After header asks for, given in seconds or as an HTTP date
+ * @param {string|number|null} value - Header value
+ * @param {number} now - Current time in ms
+ * @returns {number|null} - Delay in ms, null when the header is missing or invalid
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value === null || value === undefined || value === '') return null;
+
+  const text = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    return Math.round(parseFloat(text) * 1000);
+  }
+
+  const date = Date.parse(text);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Token bucket shared by every fetch of a run: crawler navigations, in-page
+ * navigations of the scrapers, HTTP-mode requests and robots.txt files all take
+ * a token first. Images are never fetched, only their URLs collected, and the
+ * subresources a browser page loads itself do not go through it.
+ * Tokens refill at the current rate, which starts at requestsPerSecond. A 429 or
+ * 503 response lowers the rate and pauses the bucket for the Retry-After delay;
+ * a long enough run of successful responses raises it again, never above the
+ * configured rate.
+ */
+export class RateLimiter {
+  /**
+   * @param {Object} options
+   * @param {number} options.requestsPerSecond - Highest rate
+   * @param {number} [options.minRate] - Lowest rate throttling can bring it to
+   * @param {number} [options.burst] - Bucket size
+   * @param {boolean} [options.enabled] - False to hand out tokens without waiting (replays)
+   * @param {Function} [options.now] - Clock, for tests
+   * @param {Function} [options.sleep] - Timer, for tests
+   */
+  constructor(options = {}) {
+    this.maxRate = options.requestsPerSecond || MEDIUM_CONSTANTS.DEFAULT_REQUESTS_PER_SECOND;
+    this.minRate = Math.min(options.minRate ?? MEDIUM_CONSTANTS.RATE_LIMIT_MIN_RATE, this.maxRate);
+    this.burst = options.burst ?? MEDIUM_CONSTANTS.RATE_LIMIT_BURST;
+    this.enabled = options.enabled !== false;
+    this.now = options.now || Date.now;
+    this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+
+    this.rate = this.maxRate;
+    this.tokens = this.burst;
+    this.updatedAt = this.now();
+    this.pausedUntil = 0;
+    this.successStreak = 0;
+    this.consecutiveThrottles = 0;
+
+    // Waiters are served one at a time, in arrival order
+    this.queue = Promise.resolve();
+
+    this.stats = {
+      requests: {},
+      waitMs: 0,
+      throttles: 0,
+      recoveries: 0,
+      throttleEvents: []
+    };
+  }
+
+  /**
+   * Wait for a token
+   * @param {string} kind - What the token is for (navigation, http...), counted in the stats
+   * @returns {Promise<number>} - Time waited in ms
+   */
+  async acquire(kind = 'navigation') {
+    this.stats.requests[kind] = (this.stats.requests[kind] || 0) + 1;
+
+    if (!this.enabled) return 0;
+
+    const turn = this.queue.then(() => this.takeToken());
+    this.queue = turn.catch(() => {});
+    return turn;
+  }
+
+  async takeToken() {
+    let waited = 0;
+
+    for (;;) {
+      const now = this.now();
+      let wait;
+
+      if (now < this.pausedUntil) {
+        wait = this.pausedUntil - now;
+      } else {
+        this.refill(now);
+        if (this.tokens >= 1) {
+          this.tokens -= 1;
+          this.stats.waitMs += waited;
+          return waited;
+        }
+        wait = Math.ceil((1 - this.tokens) / this.rate * 1000);
+      }
+
+      await this.sleep(wait);
+      waited += wait;
+    }
+  }
+
+  refill(now) {
+    // Time spent paused does not earn tokens
+    const from = Math.max(this.updatedAt, this.pausedUntil);
+    if (now > from) {
+      this.tokens = Math.min(this.burst, this.tokens + (now - from) / 1000 * this.rate);
+    }
+    this.updatedAt = now;
+  }
+
+  /**
+   * Adjust the rate to a response
+   * @param {Object} response
+   * @param {number} response.status - HTTP status
+   * @param {Object} [response.headers] - Response headers, lower-cased
+   * @param {string} [response.url] - Requested URL
+   * @param {string} [response.kind] - What was fetched
+   * @returns {boolean} - True when the response was a throttling one
+   */
+  record({ status, headers = {}, url = null, kind = 'navigation' }) {
+    if (!this.enabled || !status) return false;
+
+    if (MEDIUM_CONSTANTS.THROTTLE_STATUS_CODES.includes(status)) {
+      this.throttle({ status, retryAfter: parseRetryAfter(headers['retry-after'], this.now()), url, kind });
+      return true;
+    }
+
+    if (status < 400) {
+      this.recordSuccess();
+    }
+    return false;
+  }
+
+  throttle({ status, retryAfter, url, kind }) {
+    const now = this.now();
+    this.refill(now);
+
+    this.rate = Math.max(this.minRate, round(this.rate * MEDIUM_CONSTANTS.RATE_LIMIT_BACKOFF_FACTOR));
+    this.consecutiveThrottles++;
+    this.successStreak = 0;
+    this.tokens = 0;
+
+    // Without Retry-After, repeated throttling doubles the pause
+    const pause = Math.min(
+      retryAfter ?? MEDIUM_CONSTANTS.RATE_LIMIT_DEFAULT_PAUSE * 2 ** (this.consecutiveThrottles - 1),
+      MEDIUM_CONSTANTS.RATE_LIMIT_MAX_PAUSE
+    );
+    this.pausedUntil = Math.max(this.pausedUntil, now + pause);
+
+    this.stats.throttles++;
+    this.stats.throttleEvents.push({
+      at: new Date(now).toISOString(),
+      kind,
+      url,
+      status,
+      retryAfterMs: retryAfter,
+      pauseMs: pause,
+      rate: round(this.rate)
+    });
+    this.stats.throttleEvents = this.stats.throttleEvents.slice(-MEDIUM_CONSTANTS.RATE_LIMIT_MAX_EVENTS);
+
+    logger.warn(`Throttled with ${status} on ${url || kind}: pausing ${Math.round(pause / 1000)}s, rate lowered to ${round(this.rate)}/s`);
+  }
+
+  recordSuccess() {
+    this.consecutiveThrottles = 0;
+    this.successStreak++;
+
+    if (this.rate >= this.maxRate || this.successStreak < MEDIUM_CONSTANTS.RATE_LIMIT_RECOVERY_SUCCESSES) return;
+
+    this.successStreak = 0;
+    this.rate = Math.min(this.maxRate, round(this.rate + this.maxRate * MEDIUM_CONSTANTS.RATE_LIMIT_RECOVERY_STEP));
+    this.stats.recoveries++;
+    logger.info(`Rate raised to ${round(this.rate)}/s`);
+  }
+
+  /**
+   * Cap the rate at one request per delay, for a robots.txt Crawl-delay. The
+   * bucket is shared, so the strictest delay of any host applies to the run.
+   * @param {number} seconds - Crawl-delay
+   */
+  applyCrawlDelay(seconds) {
+    if (!(seconds > 0) || 1 / seconds >= this.maxRate) return;
+
+    this.maxRate = 1 / seconds;
+    this.rate = Math.min(this.rate, this.maxRate);
+    this.minRate = Math.min(this.minRate, this.maxRate);
+    this.stats.crawlDelay = seconds;
+    logger.info(`Crawl-delay of ${seconds}s: rate capped at ${round(this.maxRate)}/s`);
+  }
+
+  getStats() {
+    const now = this.now();
+
+    return {
+      enabled: this.enabled,
+      currentRate: round(this.rate),
+      maxRate: round(this.maxRate),
+      minRate: round(this.minRate),
+      pausedUntil: this.pausedUntil > now ? new Date(this.pausedUntil).toISOString() : null,
+      ...this.stats
+    };
+  }
+}
+
+/**
+ * Navigate a page once robots.txt allows it and the rate limiter hands out a
+ * token, and report the response back to the limiter. Throttling responses are
+ * raised as errors carrying the status code, so the request goes through the
+ * crawler's retries.
+ * @param {Object} page - Playwright page
+ * @param {string} url - URL to open
+ * @param {Object} options - page.goto() options
+ * @param {{ rateLimiter?: RateLimiter, robots?: import('./robotsPolicy.js').RobotsPolicy }} politeness -
+ *   Run's rate limiter and robots.txt policy; without them the page navigates right away
+ * @returns {Promise<Object|null>} - Navigation response
+ */
+export async function navigate(page, url, options = {}, { rateLimiter = null, robots = null } = {}) {
+  await robots?.assertAllowed(url);
+  await rateLimiter?.acquire('navigation');
+  const response = await page.goto(url, options);
+
+  if (rateLimiter && response) {
+    const status = response.status();
+    if (rateLimiter.record({ status, headers: response.headers(), url, kind: 'navigation' })) {
+      throw errorForStatus(status, url);
+    }
+  }
+
+  return response;
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+export default RateLimiter;
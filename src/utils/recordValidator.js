@@ -0,0 +1,204 @@
+import fs from 'fs-extra';
+import { fileURLToPath } from 'url';
+import { extractReadingTime, formatDate, parseCount } from './contentProcessor.js';
+
+/**
+ * JSON Schema of the author, article and comment records, also published as the
+ * actor's dataset schema (.actor/dataset_schema.json)
+ */
+export const RECORD_SCHEMA = fs.readJsonSync(fileURLToPath(new URL('../config/recordSchema.json', import.meta.url)));
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/;
+
+/**
+ * Validate a record against its schema definition, coercing what can be coerced:
+ * counts and reading times given as text ("1.2K", "6 min read"), dates given as
+ * text or timestamps, numbers where text is expected, and empty or missing
+ * fields that have a default. The input record is not modified.
+ *
+ * @param {string} kind - Schema definition: author, article or comment
+ * @param {Object} record - Extracted record
+ * @returns {{ record: Object, issues: { path: string, expected: string, value: * }[], coerced: string[] }}
+ *   The coerced record, the fields that still do not match, and the paths of the coerced fields
+ */
+export function validateRecord(kind, record) {
+  const schema = RECORD_SCHEMA.definitions[kind];
+
+  if (!schema) {
+    throw new Error(`No record schema for ${kind}`);
+  }
+
+  const context = { issues: [], coerced: [] };
+  return { record: validateValue(record, schema, '', context), ...context };
+}
+
+/**
+ * Path of a field with its array indexes dropped ("comments[3].date" -> "comments[].date"),
+ * for counting issues per field
+ * @param {string} path - Field path
+ * @returns {string}
+ */
+export function getFieldKey(path) {
+  return path.replace(/\[\d+\]/g, '[]');
+}
+
+function resolve(schema) {
+  return schema.$ref ? RECORD_SCHEMA.definitions[schema.$ref.replace('#/definitions/', '')] : schema;
+}
+
+function validateValue(value, schema, path, context) {
+  schema = resolve(schema);
+  const types = [].concat(schema.type || []);
+
+  if (types.length > 0 && !matchesType(value, types, schema)) {
+    const coerced = coerce(value, types, schema);
+
+    if (coerced === undefined) {
+      context.issues.push({ path, expected: describe(types, schema), value });
+      return types.includes('null') ? null : value;
+    }
+
+    // Empty values replaced by null or the default are not worth reporting
+    if (value !== null && value !== '') {
+      context.coerced.push(path);
+    }
+    value = coerced;
+  }
+
+  if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+    context.issues.push({ path, expected: `number >= ${schema.minimum}`, value });
+  }
+
+  if (schema.enum && value !== null && !schema.enum.includes(value)) {
+    context.issues.push({ path, expected: `one of ${schema.enum.join(', ')}`, value });
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    return value.map((item, index) => validateValue(item, schema.items, `${path}[${index}]`, context));
+  }
+
+  if (isObject(value) && schema.properties) {
+    return validateObject(value, schema, path, context);
+  }
+
+  return value;
+}
+
+function validateObject(value, schema, path, context) {
+  const result = { ...value };
+
+  Object.entries(schema.properties).forEach(([key, propertySchema]) => {
+    const propertyPath = path ? `${path}.${key}` : key;
+    const property = resolve(propertySchema);
+
+    if (result[key] === undefined) {
+      if (property.default !== undefined) {
+        result[key] = structuredClone(property.default);
+      } else if (schema.required?.includes(key)) {
+        context.issues.push({ path: propertyPath, expected: `${describe([].concat(property.type || []), property)} (required)`, value: null });
+      }
+      return;
+    }
+
+    result[key] = validateValue(result[key], propertySchema, propertyPath, context);
+  });
+
+  return result;
+}
+
+function matchesType(value, types, schema) {
+  return types.some(type => {
+    switch (type) {
+      case 'null': return value === null;
+      case 'string': return typeof value === 'string' && matchesFormat(value, schema.format);
+      case 'integer': return Number.isInteger(value);
+      case 'number': return typeof value === 'number' && Number.isFinite(value);
+      case 'boolean': return typeof value === 'boolean';
+      case 'array': return Array.isArray(value);
+      case 'object': return isObject(value);
+      default: return true;
+    }
+  });
+}
+
+function matchesFormat(value, format) {
+  if (format === 'date-time') {
+    return ISO_DATE_PATTERN.test(value) && !Number.isNaN(Date.parse(value));
+  }
+
+  if (format === 'uri') {
+    try {
+      new URL(value);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Value converted to one of the schema types, or undefined when it cannot be
+ */
+function coerce(value, types, schema) {
+  if (value === null || value === undefined || value === '') {
+    if (types.includes('null')) return null;
+    if (schema.default !== undefined) return structuredClone(schema.default);
+    return undefined;
+  }
+
+  if ((types.includes('integer') || types.includes('number')) && typeof value === 'string' && /\d/.test(value)) {
+    const count = /\d\s*(min|hr|hour)/i.test(value) ? extractReadingTime(value) : parseCount(value);
+    return types.includes('integer') ? Math.round(count) : count;
+  }
+
+  if (types.includes('string') && schema.format === 'date-time') {
+    return toIsoDate(value) ?? undefined;
+  }
+
+  if (types.includes('string') && !schema.format && (typeof value === 'number' || typeof value === 'boolean')) {
+    return String(value);
+  }
+
+  if (types.includes('boolean') && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+
+  return undefined;
+}
+
+/**
+ * ISO date of a timestamp or a date as Medium prints it. Dates of the current
+ * year are printed without one ("Mar 3"), so the latest past occurrence is used.
+ */
+function toIsoDate(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? new Date(value).toISOString() : null;
+  }
+
+  if (typeof value !== 'string') return null;
+
+  const withoutYear = value.trim().match(/^([A-Za-z]{3,9}\.?\s+\d{1,2})$/);
+  if (withoutYear) {
+    const now = new Date();
+    const thisYear = formatDate(`${withoutYear[1]}, ${now.getFullYear()}`);
+    return thisYear && Date.parse(thisYear) > now.getTime()
+      ? formatDate(`${withoutYear[1]}, ${now.getFullYear() - 1}`)
+      : thisYear;
+  }
+
+  return formatDate(value);
+}
+
+function describe(types, schema) {
+  return types
+    .map(type => (type === 'string' && schema.format ? `${schema.format} string` : type))
+    .join(' or ') || 'any';
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+export default validateRecord;
@@ -0,0 +1,306 @@
+import axios from 'axios';
+import { createLogger } from './logger.js';
+import { RobotsDisallowedError } from './scrapeErrors.js';
+import { MEDIUM_CONSTANTS } from '../config/constants.js';
+
+const logger = createLogger({ util: 'RobotsPolicy' });
+
+/**
+ * Parse a robots.txt file into its groups (RFC 9309). Consecutive User-agent
+ * lines share the rules that follow them; Crawl-delay is kept per group.
+ * @param {string} text - robots.txt content
+ * @returns {{ agents: string[], rules: { allow: boolean, path: string }[], crawlDelay: number|null }[]}
+ */
+export function parseRobotsTxt(text = '') {
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  String(text).split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const match = line.match(/^([A-Za-z-]+)\s*:\s*(.*)$/);
+    if (!match) return;
+
+    const field = match[1].toLowerCase();
+    const value = match[2].trim();
+
+    if (field === 'user-agent') {
+      if (!lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      return;
+    }
+
+    lastWasAgent = false;
+    if (!current) return;
+
+    if (field === 'allow' || field === 'disallow') {
+      // An empty Disallow allows everything
+      if (value) current.rules.push({ allow: field === 'allow', path: value });
+    } else if (field === 'crawl-delay') {
+      const delay = parseFloat(value);
+      if (Number.isFinite(delay) && delay >= 0) current.crawlDelay = delay;
+    }
+  });
+
+  return groups;
+}
+
+/**
+ * Rules and Crawl-delay that apply to a user agent: those of the groups naming
+ * it, else those of the "*" groups
+ * @param {Object[]} groups - Parsed groups
+ * @param {string} userAgent - Product token
+ * @returns {{ rules: { allow: boolean, path: string }[], crawlDelay: number|null }}
+ */
+export function selectGroup(groups, userAgent = MEDIUM_CONSTANTS.ROBOTS_USER_AGENT) {
+  const token = userAgent.toLowerCase();
+  const named = groups.filter(group => group.agents.some(agent => agent !== '*' && token.includes(agent)));
+  const selected = named.length > 0 ? named : groups.filter(group => group.agents.includes('*'));
+
+  return {
+    rules: selected.flatMap(group => group.rules),
+    crawlDelay: selected.map(group => group.crawlDelay).find(delay => delay !== null) ?? null
+  };
+}
+
+/**
+ * Rule deciding a path: the longest matching one, Allow winning ties
+ * @param {{ allow: boolean, path: string }[]} rules - Group rules
+ * @param {string} path - URL path with its query string
+ * @returns {{ allow: boolean, path: string }|null} - Deciding rule, null when none matches
+ */
+export function matchRule(rules, path) {
+  return rules
+    .filter(rule => patternToRegExp(rule.path).test(path))
+    .reduce((best, rule) => {
+      if (!best || rule.path.length > best.path.length) return rule;
+      if (rule.path.length === best.path.length && rule.allow) return rule;
+      return best;
+    }, null);
+}
+
+/**
+ * A robots.txt that could not be fetched: network error, server error or throttled
+ */
+function isUnreachable(status) {
+  return status === null || status >= 500 || MEDIUM_CONSTANTS.THROTTLE_STATUS_CODES.includes(status);
+}
+
+function patternToRegExp(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+/**
+ * robots.txt compliance for a run. Each host's robots.txt is fetched once, on
+ * the first URL of that host, and URLs it disallows are skipped before they are
+ * enqueued. As RFC 9309 asks, a robots.txt that is missing (4xx) allows
+ * everything, and one that cannot be fetched (5xx, 429, network error) after
+ * its retries disallows everything on its host, until it is fetched again
+ * ROBOTS_RECHECK_INTERVAL later. A Crawl-delay caps the rate limiter.
+ */
+export class RobotsPolicy {
+  /**
+   * @param {Object} options
+   * @param {boolean} [options.enabled] - False to allow everything
+   * @param {import('./rateLimiter.js').RateLimiter} [options.rateLimiter] - Paces robots.txt fetches and takes Crawl-delay
+   * @param {Object} [options.archive] - Page archive robots.txt files are recorded to or replayed from
+   * @param {Object} [options.httpAgent] - Proxy agent
+   * @param {string} [options.userAgent] - Product token matched against User-agent lines
+   * @param {Function} [options.now] - Clock, for tests
+   * @param {Function} [options.sleep] - Timer, for tests
+   */
+  constructor(options = {}) {
+    this.enabled = options.enabled !== false;
+    this.rateLimiter = options.rateLimiter || null;
+    this.archive = options.archive || null;
+    this.httpAgent = options.httpAgent || null;
+    this.userAgent = options.userAgent || MEDIUM_CONSTANTS.ROBOTS_USER_AGENT;
+    this.now = options.now || Date.now;
+    this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+
+    // origin -> Promise of { robotsUrl, status, rules, crawlDelay, disallowAll }
+    this.hosts = new Map();
+    // origin -> time after which an unreachable robots.txt is fetched again
+    this.recheckAt = new Map();
+    this.skipped = [];
+  }
+
+  /**
+   * Whether a URL may be fetched
+   * @param {string} url - URL
+   * @returns {Promise<{ allowed: boolean, reason: string|null, rule: string|null }>}
+   */
+  async check(url) {
+    if (!this.enabled) return { allowed: true, reason: null, rule: null };
+
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return { allowed: true, reason: null, rule: null };
+    }
+
+    const host = await this.getHost(parsed.origin);
+    const path = `${parsed.pathname}${parsed.search}`;
+
+    if (path === '/robots.txt') return { allowed: true, reason: null, rule: null };
+
+    if (host.disallowAll) {
+      return { allowed: false, reason: 'robots_unreachable', rule: null };
+    }
+
+    const rule = matchRule(host.rules, path);
+    return rule && !rule.allow
+      ? { allowed: false, reason: 'disallowed', rule: `Disallow: ${rule.path}` }
+      : { allowed: true, reason: null, rule: rule ? `Allow: ${rule.path}` : null };
+  }
+
+  /**
+   * Check a URL, recording it among the skipped URLs when it is not allowed
+   * @param {string} url - URL
+   * @param {Object} details - Extra fields stored with the skipped URL (source...)
+   * @returns {Promise<boolean>} - True when the URL may be fetched
+   */
+  async isAllowed(url, details = {}) {
+    const { allowed, reason, rule } = await this.check(url);
+
+    if (!allowed && !this.skipped.some(entry => entry.url === url)) {
+      this.skipped.push({ url, reason, rule, ...details });
+      logger.info(`Skipping ${url}: ${rule || reason}`);
+    }
+
+    return allowed;
+  }
+
+  /**
+   * Throw when a URL may not be fetched, for navigations the scrapers make themselves
+   * @param {string} url - URL
+   */
+  async assertAllowed(url) {
+    if (!(await this.isAllowed(url))) {
+      const entry = this.skipped.find(skipped => skipped.url === url);
+      throw new RobotsDisallowedError(url, entry?.reason || 'disallowed');
+    }
+  }
+
+  /**
+   * Requests whose URL may be fetched, the others are recorded as skipped
+   * @param {{ url: string, userData?: Object }[]} requests - Crawler requests
+   * @returns {Promise<Object[]>} - Allowed requests
+   */
+  async filterRequests(requests) {
+    const allowed = [];
+
+    for (const request of requests) {
+      if (await this.isAllowed(request.url, { source: request.userData?.source || null })) {
+        allowed.push(request);
+      }
+    }
+
+    return allowed;
+  }
+
+  getHost(origin) {
+    if (!this.hosts.has(origin) || this.recheckAt.get(origin) <= this.now()) {
+      this.recheckAt.delete(origin);
+      this.hosts.set(origin, this.loadHost(origin));
+    }
+    return this.hosts.get(origin);
+  }
+
+  async loadHost(origin) {
+    const robotsUrl = `${origin}/robots.txt`;
+    let status = null;
+    let text = '';
+
+    for (let attempt = 0; attempt <= MEDIUM_CONSTANTS.ROBOTS_FETCH_RETRIES; attempt++) {
+      if (attempt > 0) {
+        await this.sleep(MEDIUM_CONSTANTS.ROBOTS_RETRY_DELAY * 2 ** (attempt - 1));
+      }
+
+      status = null;
+      text = '';
+      try {
+        const response = await this.fetchRobotsTxt(robotsUrl);
+        status = response?.status ?? null;
+        text = String(response?.data ?? '');
+      } catch (error) {
+        logger.warn(`Could not fetch ${robotsUrl} (attempt ${attempt + 1})`, error);
+      }
+
+      if (!isUnreachable(status)) break;
+    }
+
+    // Replays without an archived robots.txt never reached the host
+    if (status === 'not_archived') {
+      return { robotsUrl, status, rules: [], crawlDelay: null, disallowAll: false };
+    }
+
+    const unreachable = isUnreachable(status);
+    const { rules, crawlDelay } = status >= 200 && status < 300
+      ? selectGroup(parseRobotsTxt(text), this.userAgent)
+      : { rules: [], crawlDelay: null };
+
+    if (unreachable) {
+      this.recheckAt.set(origin, this.now() + MEDIUM_CONSTANTS.ROBOTS_RECHECK_INTERVAL);
+      logger.warn(`${robotsUrl} is unreachable (${status ?? 'network error'}), nothing on ${origin} will be fetched until it is checked again`);
+    } else if (crawlDelay) {
+      this.rateLimiter?.applyCrawlDelay(crawlDelay);
+    }
+
+    return { robotsUrl, status, rules, crawlDelay, disallowAll: unreachable };
+  }
+
+  async fetchRobotsTxt(robotsUrl) {
+    if (this.archive?.replaying) {
+      return this.archive.has(robotsUrl) ? this.archive.readHttpResponse(robotsUrl) : { status: 'not_archived' };
+    }
+
+    await this.rateLimiter?.acquire('robots');
+    const response = await axios.get(robotsUrl, {
+      headers: { 'User-Agent': this.userAgent, Accept: 'text/plain,*/*;q=0.8' },
+      timeout: MEDIUM_CONSTANTS.ROBOTS_TIMEOUT,
+      responseType: 'text',
+      maxRedirects: 5,
+      proxy: false,
+      httpAgent: this.httpAgent || undefined,
+      httpsAgent: this.httpAgent || undefined,
+      validateStatus: () => true
+    });
+    this.rateLimiter?.record({ status: response.status, headers: response.headers, url: robotsUrl, kind: 'robots' });
+
+    const result = {
+      status: response.status,
+      statusText: response.statusText,
+      headers: { ...response.headers },
+      data: response.data,
+      finalUrl: response.request?.res?.responseUrl || robotsUrl
+    };
+
+    if (this.archive?.recording) {
+      await this.archive.saveHttpResponse(robotsUrl, result);
+    }
+
+    return result;
+  }
+
+  async getSummary() {
+    const hosts = await Promise.all(Array.from(this.hosts.entries()).map(async ([origin, host]) => {
+      const { robotsUrl, status, crawlDelay, disallowAll } = await host;
+      return { origin, robotsUrl, status, crawlDelay, disallowAll };
+    }));
+
+    return { enabled: this.enabled, hosts, skipped: this.skipped };
+  }
+}
+
+export default RobotsPolicy;
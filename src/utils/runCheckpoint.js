@@ -0,0 +1,72 @@
+import { Actor } from 'apify';
+import { createLogger } from './logger.js';
+import { MEDIUM_CONSTANTS } from '../config/constants.js';
+
+const logger = createLogger({ util: 'RunCheckpoint' });
+
+/**
+ * Resolve the id a run checkpoints under: the runId input, else the Apify run id
+ * (which survives migrations and restarts on the platform), else a fresh local id
+ * @param {string} runId - runId input
+ * @returns {string} - Run id, lowercase
+ */
+export function resolveRunId(runId) {
+  const id = runId || Actor.getEnv().actorRunId || `local-${Date.now().toString(36)}`;
+  return String(id).toLowerCase();
+}
+
+/**
+ * Progress of one run, persisted to a key-value store record so that a run that
+ * was interrupted (SIGTERM, migration, crash) can be restarted with the same
+ * runId and carry on: which sources were finished, the articles discovered on
+ * them, which of those were completed, and the run stats. Records themselves
+ * stay in the run's named dataset, which outlives the process.
+ */
+export class RunCheckpoint {
+  constructor(runId) {
+    this.runId = runId;
+    this.key = `run-${runId}`;
+  }
+
+  get datasetName() {
+    return `medium-scraper-results-${this.runId}`;
+  }
+
+  async openStore() {
+    return Actor.openKeyValueStore(MEDIUM_CONSTANTS.CHECKPOINT_STORE);
+  }
+
+  /**
+   * @returns {Promise<Object|null>} - Saved checkpoint, null for a fresh run
+   */
+  async load() {
+    const store = await this.openStore();
+    const checkpoint = await store.getValue(this.key);
+
+    if (checkpoint) {
+      logger.info(`Resuming run ${this.runId} from checkpoint of ${checkpoint.updatedAt} ` +
+        `(${checkpoint.completedArticles.length} articles done, ${checkpoint.discoveredArticles.length} discovered)`);
+    }
+
+    return checkpoint || null;
+  }
+
+  /**
+   * @param {Object} state - Serializable run state
+   */
+  async save(state) {
+    const store = await this.openStore();
+    await store.setValue(this.key, {
+      runId: this.runId,
+      updatedAt: new Date().toISOString(),
+      ...state
+    });
+  }
+
+  async clear() {
+    const store = await this.openStore();
+    await store.setValue(this.key, null);
+  }
+}
+
+export default RunCheckpoint;
@@ -0,0 +1,258 @@
+import { Actor } from 'apify';
+import fs from 'fs-extra';
+import path from 'path';
+import { MEDIUM_CONSTANTS } from '../config/constants.js';
+
+// Winston's npm levels, most severe first
+export const LOG_LEVELS = ['error', 'warn', 'info', 'http', 'verbose', 'debug', 'silly'];
+
+/**
+ * Appends entries to a named dataset, one item per entry
+ */
+export class DatasetLogSink {
+  constructor(storeName) {
+    this.storeName = storeName;
+    this.dataset = null;
+  }
+
+  async write(entries) {
+    this.dataset = this.dataset || await Actor.openDataset(this.storeName);
+    await this.dataset.pushData(entries);
+  }
+}
+
+/**
+ * Keeps entries in a named key-value store as numbered records
+ * (LOG-<runId>-0001...) of up to LOG_RECORD_MAX_ENTRIES entries; the last
+ * record is rewritten as it fills up. A resumed run starts after the records
+ * it already wrote.
+ */
+export class KeyValueStoreLogSink {
+  constructor(storeName, runId, options = {}) {
+    this.storeName = storeName;
+    this.prefix = `LOG-${runId || 'run'}`;
+    this.maxEntries = options.maxEntries || MEDIUM_CONSTANTS.LOG_RECORD_MAX_ENTRIES;
+    this.store = null;
+    this.part = 1;
+    this.current = [];
+  }
+
+  get key() {
+    return `${this.prefix}-${String(this.part).padStart(4, '0')}`;
+  }
+
+  async write(entries) {
+    if (!this.store) {
+      this.store = await Actor.openKeyValueStore(this.storeName);
+      while (await this.store.getValue(this.key) !== null) {
+        this.part++;
+      }
+    }
+
+    let pending = entries;
+    while (pending.length > 0) {
+      if (this.current.length >= this.maxEntries) {
+        this.part++;
+        this.current = [];
+      }
+
+      const room = this.maxEntries - this.current.length;
+      this.current.push(...pending.slice(0, room));
+      pending = pending.slice(room);
+      await this.store.setValue(this.key, this.current);
+    }
+  }
+}
+
+/**
+ * Appends entries to a JSONL file, one entry per line. Once the file reaches
+ * the size cap it is rotated like winston's file transport does it: file.1 is
+ * the newest old file, and only maxFiles files are kept in all.
+ */
+export class JsonlFileLogSink {
+  constructor(filepath, options = {}) {
+    this.filepath = filepath;
+    this.maxBytes = (options.maxMb || MEDIUM_CONSTANTS.LOG_FILE_MAX_MB) * 1024 * 1024;
+    this.maxFiles = options.maxFiles || MEDIUM_CONSTANTS.LOG_FILE_MAX_FILES;
+    this.bytes = null;
+  }
+
+  async rotate() {
+    await fs.remove(`${this.filepath}.${this.maxFiles - 1}`);
+    for (let index = this.maxFiles - 2; index >= 1; index--) {
+      if (await fs.pathExists(`${this.filepath}.${index}`)) {
+        await fs.move(`${this.filepath}.${index}`, `${this.filepath}.${index + 1}`);
+      }
+    }
+    if (this.maxFiles > 1) {
+      await fs.move(this.filepath, `${this.filepath}.1`);
+    } else {
+      await fs.remove(this.filepath);
+    }
+    this.bytes = 0;
+  }
+
+  async write(entries) {
+    if (this.bytes === null) {
+      await fs.ensureDir(path.dirname(this.filepath));
+      // A restarted run keeps appending to the file it left
+      this.bytes = (await fs.pathExists(this.filepath)) ? (await fs.stat(this.filepath)).size : 0;
+    }
+
+    let chunk = '';
+    let chunkBytes = 0;
+    for (const entry of entries) {
+      const line = `${JSON.stringify(entry)}\n`;
+      const bytes = Buffer.byteLength(line);
+
+      // Rotate before overflowing the cap; a single oversized line still gets a file
+      const size = this.bytes + chunkBytes;
+      if (size > 0 && size + bytes > this.maxBytes) {
+        if (chunk) {
+          await fs.appendFile(this.filepath, chunk, 'utf8');
+        }
+        await this.rotate();
+        chunk = '';
+        chunkBytes = 0;
+      }
+      chunk += line;
+      chunkBytes += bytes;
+    }
+
+    if (chunk) {
+      await fs.appendFile(this.filepath, chunk, 'utf8');
+      this.bytes += chunkBytes;
+    }
+  }
+}
+
+/**
+ * Structured log of a run, kept apart from the results dataset. Entries at or
+ * above the configured level are buffered and written to every sink in
+ * batches, once LOG_FLUSH_ENTRIES are waiting or LOG_FLUSH_INTERVAL_MS after
+ * the first one. A sink that fails is reported through onError and does not
+ * stop the others, nor the run.
+ */
+export class RunLog {
+  /**
+   * @param {Object} options
+   * @param {string} options.level - Lowest level written (error, warn, info, debug)
+   * @param {Object[]} options.sinks - Sinks with an async write(entries)
+   * @param {string|null} options.runId - Added to every entry
+   * @param {number} options.flushEntries - Entries that trigger a flush
+   * @param {number} options.flushIntervalMs - Longest an entry waits to be flushed
+   * @param {Function} options.onError - Called with (error, sink) when a sink write fails
+   */
+  constructor(options = {}) {
+    this.level = options.level || MEDIUM_CONSTANTS.LOG_LEVEL;
+    this.sinks = options.sinks || [];
+    this.runId = options.runId || null;
+    this.flushEntries = options.flushEntries || MEDIUM_CONSTANTS.LOG_FLUSH_ENTRIES;
+    this.flushIntervalMs = options.flushIntervalMs ?? MEDIUM_CONSTANTS.LOG_FLUSH_INTERVAL_MS;
+    this.onError = options.onError || (() => {});
+
+    this.buffer = [];
+    this.timer = null;
+    this.flushing = Promise.resolve();
+  }
+
+  /**
+   * @param {string} level - Entry level
+   * @returns {boolean} - Whether entries of this level are written
+   */
+  accepts(level) {
+    const index = LOG_LEVELS.indexOf(level);
+    return index !== -1 && index <= LOG_LEVELS.indexOf(this.level);
+  }
+
+  /**
+   * Queue an entry; entries below the level are ignored
+   * @param {Object} entry - Log entry, with its level
+   */
+  write(entry) {
+    if (this.sinks.length === 0 || !this.accepts(entry.level)) {
+      return;
+    }
+
+    this.buffer.push(this.runId ? { runId: this.runId, ...entry } : entry);
+
+    if (this.buffer.length >= this.flushEntries) {
+      this.flush();
+    } else if (!this.timer) {
+      this.timer = setTimeout(() => this.flush(), this.flushIntervalMs);
+      // Waiting entries must not keep the process alive; close() writes them
+      this.timer.unref?.();
+    }
+  }
+
+  /**
+   * Write the buffered entries to every sink. Flushes run one after the other,
+   * so entries keep their order.
+   * @returns {Promise<void>}
+   */
+  flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    const entries = this.buffer;
+    this.buffer = [];
+    if (entries.length === 0) {
+      return this.flushing;
+    }
+
+    this.flushing = this.flushing.then(async () => {
+      const results = await Promise.allSettled(this.sinks.map(sink => sink.write(entries)));
+      results.forEach((result, index) => {
+        if (result.status === 'rejected') {
+          this.onError(result.reason, this.sinks[index]);
+        }
+      });
+    });
+
+    return this.flushing;
+  }
+
+  /**
+   * Flush what is left; entries written afterwards still reach the sinks
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await this.flush();
+  }
+}
+
+/**
+ * Build the run log of a run's input
+ * @param {Object} options
+ * @param {string} options.level - logLevel input
+ * @param {string} options.store - logStore input: none, dataset or keyValueStore
+ * @param {string} options.storeName - logStoreName input
+ * @param {string} options.file - logFile input: JSONL file path
+ * @param {number} options.fileMaxMb - logFileMaxMb input
+ * @param {string} options.runId - Run id the entries are tagged with
+ * @param {Function} options.onError - Called when a sink write fails
+ * @returns {RunLog}
+ */
+export function createRunLog(options = {}) {
+  const storeName = options.storeName || MEDIUM_CONSTANTS.LOG_STORE_NAME;
+  const sinks = [];
+
+  if (options.store === 'dataset') {
+    sinks.push(new DatasetLogSink(storeName));
+  } else if (options.store === 'keyValueStore') {
+    sinks.push(new KeyValueStoreLogSink(storeName, options.runId));
+  }
+
+  if (options.file) {
+    sinks.push(new JsonlFileLogSink(options.file, { maxMb: options.fileMaxMb }));
+  }
+
+  return new RunLog({
+    level: options.level,
+    sinks,
+    runId: options.runId,
+    onError: options.onError
+  });
+}
+
+export default RunLog;
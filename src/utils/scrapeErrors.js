@@ -0,0 +1,244 @@
+import { MEDIUM_CONSTANTS, SELECTORS, ERROR_MESSAGES } from '../config/constants.js';
+
+/**
+ * Base of the errors a page can fail with. The class decides whether the page
+ * is retried (MEDIUM_CONSTANTS.RETRY_POLICY) and is what the failures report
+ * groups by.
+ */
+export class ScrapeError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} options
+   * @param {string|null} options.url - Page URL
+   * @param {number|null} options.statusCode - HTTP status of the response, when there was one
+   * @param {Error} options.cause - Error this one was classified from
+   */
+  constructor(message, { url = null, statusCode = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'ScrapeError';
+    this.url = url;
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Navigation or request that did not finish in time
+ */
+export class NavigationTimeoutError extends ScrapeError {
+  constructor(url, options = {}) {
+    super(`${ERROR_MESSAGES.TIMEOUT_ERROR}: ${url}`, { url, ...options });
+    this.name = 'NavigationTimeoutError';
+  }
+}
+
+/**
+ * Medium refused the request: a 401/403, a throttling response (429/503) or a
+ * bot challenge page served in place of the one requested
+ */
+export class BlockedError extends ScrapeError {
+  /**
+   * @param {string} url - Page URL
+   * @param {Object} options - statusCode, captcha (a challenge page was served), throttled (429/503)
+   */
+  constructor(url, { captcha = false, throttled = false, ...options } = {}) {
+    const reason = captcha
+      ? ERROR_MESSAGES.CAPTCHA_DETECTED
+      : throttled ? ERROR_MESSAGES.RATE_LIMITED : ERROR_MESSAGES.BLOCKED;
+    super(`${reason}${options.statusCode ? ` (status ${options.statusCode})` : ''}: ${url}`, { url, ...options });
+    this.name = 'BlockedError';
+    this.captcha = captcha;
+    this.throttled = throttled;
+  }
+}
+
+/**
+ * Page that does not exist (404), was deleted (410, or Medium's removed story
+ * page), or is missing from the archive a run replays
+ */
+export class NotFoundError extends ScrapeError {
+  /**
+   * @param {string} url - Page URL
+   * @param {Object} options - statusCode, reason (not_found, deleted or not_archived)
+   */
+  constructor(url, { reason = 'not_found', ...options } = {}) {
+    const messages = {
+      not_found: ERROR_MESSAGES.PAGE_NOT_FOUND,
+      deleted: ERROR_MESSAGES.PAGE_DELETED,
+      not_archived: ERROR_MESSAGES.NOT_ARCHIVED
+    };
+    super(`${messages[reason] || ERROR_MESSAGES.PAGE_NOT_FOUND}: ${url}`, { url, ...options });
+    this.name = 'NotFoundError';
+    this.reason = reason;
+  }
+}
+
+/**
+ * Page loaded, but the record could not be extracted from it
+ */
+export class ParseFailureError extends ScrapeError {
+  constructor(url, message = ERROR_MESSAGES.PARSE_FAILURE, options = {}) {
+    super(`${message}: ${url}`, { url, ...options });
+    this.name = 'ParseFailureError';
+  }
+}
+
+/**
+ * Member-only story skipped because premiumContent is off and the paywall
+ * could not be handled
+ */
+export class PaywallSkippedError extends ScrapeError {
+  constructor(url, paywallType = null) {
+    super(`${ERROR_MESSAGES.PAYWALL_SKIPPED}: ${url}`, { url });
+    this.name = 'PaywallSkippedError';
+    this.paywallType = paywallType;
+  }
+}
+
+/**
+ * Raised when robots.txt does not allow a URL to be fetched
+ */
+export class RobotsDisallowedError extends ScrapeError {
+  constructor(url, reason) {
+    super(`Disallowed by robots.txt (${reason}): ${url}`, { url });
+    this.name = 'RobotsDisallowedError';
+    this.reason = reason;
+  }
+}
+
+/**
+ * Extracted record whose required fields do not match the record schema
+ */
+export class ValidationFailedError extends ScrapeError {
+  /**
+   * @param {string} url - Page URL
+   * @param {string} kind - Record kind (author, article)
+   * @param {{ path: string, expected: string, value: * }[]} issues - Failed fields, from validateRecord()
+   */
+  constructor(url, kind, issues = []) {
+    super(`${ERROR_MESSAGES.VALIDATION_FAILED} (${kind}: ${issues.map(issue => issue.path).join(', ')}): ${url}`, { url });
+    this.name = 'ValidationFailedError';
+    this.kind = kind;
+    this.issues = issues;
+  }
+}
+
+/**
+ * Typed error of an HTTP status, or a plain error carrying the status for the
+ * ones the retry policy has no class for (5xx other than 503...)
+ * @param {number} status - HTTP status
+ * @param {string} url - Requested URL
+ * @returns {Error}
+ */
+export function errorForStatus(status, url) {
+  if (MEDIUM_CONSTANTS.NOT_FOUND_STATUS_CODES.includes(status)) {
+    return new NotFoundError(url, { statusCode: status, reason: status === 410 ? 'deleted' : 'not_found' });
+  }
+
+  if (MEDIUM_CONSTANTS.BLOCKED_STATUS_CODES.includes(status) || MEDIUM_CONSTANTS.THROTTLE_STATUS_CODES.includes(status)) {
+    return new BlockedError(url, { statusCode: status, throttled: MEDIUM_CONSTANTS.THROTTLE_STATUS_CODES.includes(status) });
+  }
+
+  const error = new Error(`Request failed with status ${status}: ${url}`);
+  error.statusCode = status;
+  return error;
+}
+
+/**
+ * Typed error for whatever a page failed with: typed errors are returned as
+ * they are, HTTP statuses and timeouts (Playwright, axios, Crawlee) are mapped
+ * to their class, anything else is returned unchanged
+ * @param {Error} error - Error thrown while handling the page
+ * @param {string} url - Page URL
+ * @returns {Error}
+ */
+export function classifyError(error, url) {
+  if (error instanceof ScrapeError || !(error instanceof Error)) {
+    return error;
+  }
+
+  // Crawlee's retryOnBlocked check only puts the status in its message
+  const status = error.statusCode || error.response?.status ||
+    Number(error.message?.match(/received (\d{3}) status code/)?.[1]) || null;
+  if (status) {
+    const typed = errorForStatus(status, url);
+    if (typed instanceof ScrapeError) {
+      typed.cause = error;
+      return typed;
+    }
+  }
+
+  if (error.name === 'TimeoutError' || ['ECONNABORTED', 'ETIMEDOUT'].includes(error.code) ||
+      /timeout .*exceeded|timed out/i.test(error.message)) {
+    return new NavigationTimeoutError(url, { cause: error });
+  }
+
+  return error;
+}
+
+/**
+ * @param {Error} error - Typed or plain error
+ * @returns {{ retry: boolean, maxRetries?: number|null, skipped?: boolean }} - Retry policy of its class
+ */
+export function getRetryPolicy(error) {
+  return MEDIUM_CONSTANTS.RETRY_POLICY[error?.name] || MEDIUM_CONSTANTS.RETRY_POLICY.default;
+}
+
+/**
+ * Whether a page that failed with this error should be tried again
+ * @param {Error} error - Error of the failed attempt
+ * @param {number} retryCount - Retries already made
+ * @returns {boolean}
+ */
+export function shouldRetry(error, retryCount = 0) {
+  const { retry, maxRetries = null } = getRetryPolicy(error);
+  return retry && (maxRetries === null || retryCount < maxRetries);
+}
+
+/**
+ * For the catches around a page's best-effort sub-pages (About page, tag views,
+ * archive pages, responses): typed errors such as a throttled or blocked
+ * sub-page are thrown on, so the page goes through the crawler's retries. A
+ * sub-page robots.txt disallows, and untyped errors, are left to the caller to
+ * skip.
+ * @param {Error} error - Error caught around the sub-page
+ * @throws {ScrapeError} - The error itself, unless it may be skipped
+ */
+export function rethrowUnlessSkippable(error) {
+  if (error instanceof ScrapeError && !(error instanceof RobotsDisallowedError)) {
+    throw error;
+  }
+}
+
+/**
+ * Recognise a page served in place of the one requested: a bot challenge, or
+ * Medium's not found and removed story pages, which can come with a 200
+ * @param {Object} page - Playwright page
+ * @param {string} url - Requested URL
+ * @returns {Promise<ScrapeError|null>} - BlockedError or NotFoundError, null for a regular page
+ */
+export async function detectErrorPage(page, url) {
+  const state = await page.evaluate((selectors) => {
+    const headings = Array.from(document.querySelectorAll(selectors.ERROR_PAGE.HEADING))
+      .map(element => element.textContent?.trim() || '');
+
+    return {
+      captcha: document.querySelector(selectors.ERROR_PAGE.CAPTCHA) !== null ||
+        new RegExp(selectors.ERROR_PAGE.BLOCKED_TITLE, 'i').test(document.title.trim()),
+      notFound: headings.find(text => new RegExp(selectors.ERROR_PAGE.NOT_FOUND, 'i').test(text)) || null
+    };
+  }, SELECTORS).catch(() => null);
+
+  if (state?.captcha) {
+    return new BlockedError(url, { captcha: true });
+  }
+
+  if (state?.notFound) {
+    return new NotFoundError(url, {
+      reason: new RegExp(SELECTORS.ERROR_PAGE.DELETED, 'i').test(state.notFound) ? 'deleted' : 'not_found'
+    });
+  }
+
+  return null;
+}
+
+export default classifyError;
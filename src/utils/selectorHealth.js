@@ -0,0 +1,219 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { Actor } from 'apify';
+import { createLogger } from './logger.js';
+import { parseRecordReference } from './urlListLoader.js';
+import { MEDIUM_CONSTANTS } from '../config/constants.js';
+
+const logger = createLogger({ util: 'SelectorHealth' });
+
+/**
+ * Source label of a field read from the Apollo state
+ * @param {string} typename - Apollo entity type (Post, User, Collection...)
+ * @returns {string} - e.g. "apollo:Post"
+ */
+export function apolloSource(typename) {
+  return `apollo:${typename}`;
+}
+
+/**
+ * Source label of a field read from the DOM
+ * @param {string|null} selector - Selector that matched, null when none did
+ * @returns {string|null} - e.g. 'dom:h1[data-testid="storyTitle"]'
+ */
+export function domSource(selector) {
+  return selector ? `dom:${selector}` : null;
+}
+
+/**
+ * Map every field of a record built from one source to that source, or to null
+ * where the record left the field empty
+ * @param {Object} record - Extracted record
+ * @param {string[]} fields - Fields to report
+ * @param {string} source - Source label
+ * @returns {Object<string, string|null>} - Field sources
+ */
+export function sourcesFromRecord(record, fields, source) {
+  return Object.fromEntries(fields.map(field => [field, isFilled(record?.[field]) ? source : null]));
+}
+
+/**
+ * Field sources of a record whose DOM values may have been overridden by Apollo
+ * values: Apollo where it supplied the field, else the selector that matched
+ * @param {Object} record - Final record
+ * @param {Object<string, string|null>} matches - Matched selector per field, from matchSelectors()
+ * @param {Object} apolloRecord - Values taken from the Apollo state, if any
+ * @param {string} typename - Apollo entity type the values came from
+ * @returns {Object<string, string|null>} - Field sources
+ */
+export function combineSources(record, matches, apolloRecord = {}, typename = null) {
+  return Object.fromEntries(Object.keys(matches).map(field => [
+    field,
+    typename && isFilled(apolloRecord?.[field])
+      ? apolloSource(typename)
+      : (isFilled(record?.[field]) ? domSource(matches[field]) : null)
+  ]));
+}
+
+/**
+ * Find which alternative of each comma-separated selector list matches on the
+ * page: the one matching the element document.querySelector(list) returns
+ * @param {Object} page - Playwright page
+ * @param {Object<string, string>} selectorLists - Selector list per field
+ * @returns {Promise<Object<string, string|null>>} - Matched selector per field
+ */
+export async function matchSelectors(page, selectorLists) {
+  try {
+    return await page.evaluate((lists) => Object.fromEntries(Object.entries(lists).map(([field, list]) => {
+      const element = document.querySelector(list);
+      if (!element) return [field, null];
+
+      const selector = list.split(',').map(part => part.trim()).find(part => element.matches(part));
+      return [field, selector || list];
+    })), selectorLists);
+  } catch {
+    return Object.fromEntries(Object.keys(selectorLists).map(field => [field, null]));
+  }
+}
+
+function isFilled(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  return value !== '' && value !== null && value !== undefined;
+}
+
+/**
+ * Run-wide record of where every extracted field came from: which Apollo entity
+ * or which alternative of a SELECTORS list produced it, and how often it came
+ * back empty. Fill rates are compared with a baseline saved by an earlier run,
+ * so a Medium markup change shows up as drift instead of silently empty fields.
+ */
+export class SelectorHealth {
+  constructor(options = {}) {
+    this.file = options.file || null;
+    this.record = options.record || MEDIUM_CONSTANTS.SELECTOR_BASELINE_RECORD;
+    this.threshold = options.threshold ?? MEDIUM_CONSTANTS.SELECTOR_DRIFT_THRESHOLD;
+    this.minSamples = options.minSamples ?? MEDIUM_CONSTANTS.SELECTOR_MIN_SAMPLES;
+
+    // "scope.field" -> { attempts, filled, sources: { label: count } }
+    this.fields = {};
+    this.baseline = null;
+  }
+
+  get location() {
+    return this.file ? `file ${this.file}` : `key-value store record ${this.record}`;
+  }
+
+  /**
+   * Count one extracted record
+   * @param {string} scope - Record kind (author, listing, article, content, responses, profile, publication)
+   * @param {Object<string, string|null>} sources - Source label per field, null when it came back empty
+   */
+  observe(scope, sources) {
+    Object.entries(sources).forEach(([field, source]) => {
+      const key = `${scope}.${field}`;
+      const stats = this.fields[key] || (this.fields[key] = { attempts: 0, filled: 0, sources: {} });
+
+      stats.attempts++;
+      if (source) {
+        stats.filled++;
+        stats.sources[source] = (stats.sources[source] || 0) + 1;
+      }
+    });
+  }
+
+  /**
+   * Count the observations a scraper collected in its fieldSources
+   * @param {{ scope: string, sources: Object }[]} observations - Observations
+   */
+  observeAll(observations = []) {
+    observations.forEach(({ scope, sources }) => this.observe(scope, sources));
+  }
+
+  async loadBaseline() {
+    try {
+      if (this.file) {
+        this.baseline = await fs.pathExists(this.file) ? await fs.readJson(this.file) : null;
+      } else {
+        const { storeName, key } = parseRecordReference(this.record);
+        const store = await Actor.openKeyValueStore(storeName);
+        this.baseline = await store.getValue(key);
+      }
+    } catch (error) {
+      logger.warn(`Could not load the selector baseline from ${this.location}`, error);
+      this.baseline = null;
+    }
+  }
+
+  /**
+   * Store this run's fill rates as the new baseline. A run that drifted is not
+   * saved, so a breakage does not become the expected state of the next run.
+   */
+  async saveBaseline() {
+    const report = this.getReport();
+
+    if (report.drift.length > 0) {
+      logger.warn(`Selector baseline not updated: ${report.drift.length} fields drifted`);
+      return;
+    }
+
+    const fillRates = Object.fromEntries(Object.entries(report.fields)
+      .filter(([, stats]) => stats.attempts >= this.minSamples)
+      .map(([field, stats]) => [field, stats.fillRate]));
+
+    if (Object.keys(fillRates).length === 0) return;
+
+    // Fields this run saw too rarely keep their previous rate
+    const state = {
+      updatedAt: new Date().toISOString(),
+      fillRates: { ...this.baseline?.fillRates, ...fillRates }
+    };
+
+    if (this.file) {
+      await fs.ensureDir(path.dirname(this.file));
+      await fs.writeJson(this.file, state, { spaces: 2 });
+    } else {
+      const { storeName, key } = parseRecordReference(this.record);
+      const store = await Actor.openKeyValueStore(storeName);
+      await store.setValue(key, state);
+    }
+
+    logger.info(`Saved selector baseline with ${Object.keys(fillRates).length} fields to ${this.location}`);
+  }
+
+  getReport() {
+    const fields = Object.fromEntries(Object.entries(this.fields)
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([field, stats]) => [field, {
+        ...stats,
+        fillRate: round(stats.filled / stats.attempts)
+      }]));
+
+    const emptyFields = Object.entries(fields)
+      .filter(([, stats]) => stats.filled === 0)
+      .map(([field]) => field);
+
+    const baselineRates = this.baseline?.fillRates || {};
+    const drift = Object.entries(fields)
+      .filter(([field, stats]) => stats.attempts >= this.minSamples && baselineRates[field] !== undefined)
+      .map(([field, stats]) => ({
+        field,
+        fillRate: stats.fillRate,
+        baselineFillRate: baselineRates[field],
+        drop: round(baselineRates[field] - stats.fillRate)
+      }))
+      .filter(entry => entry.drop >= this.threshold);
+
+    return {
+      fields,
+      emptyFields,
+      drift,
+      baseline: this.baseline ? { location: this.location, updatedAt: this.baseline.updatedAt } : null
+    };
+  }
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+export default SelectorHealth;
@@ -0,0 +1,443 @@
+import fs from 'fs-extra';
+import path from 'path';
+import initSqlJs from 'sql.js';
+import { createLogger } from './logger.js';
+import { extractPostIdFromUrl } from './contentProcessor.js';
+
+const logger = createLogger({ util: 'SqliteExporter' });
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS runs (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  scraped_at TEXT NOT NULL,
+  total_articles INTEGER,
+  successful_extractions INTEGER,
+  paywall_hits INTEGER,
+  errors INTEGER,
+  success_rate REAL,
+  paywall_rate REAL,
+  session_duration_ms INTEGER,
+  stats_json TEXT
+);
+
+CREATE TABLE IF NOT EXISTS authors (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  url TEXT NOT NULL UNIQUE,
+  user_id TEXT,
+  username TEXT,
+  name TEXT,
+  bio TEXT,
+  followers INTEGER,
+  following INTEGER,
+  avatar_url TEXT,
+  medium_member_at TEXT,
+  about TEXT,
+  badges_json TEXT,
+  newsletter_url TEXT,
+  pinned_post_url TEXT,
+  run_id INTEGER REFERENCES runs(id)
+);
+
+CREATE TABLE IF NOT EXISTS publications (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  url TEXT NOT NULL UNIQUE,
+  publication_id TEXT,
+  name TEXT,
+  description TEXT,
+  logo_url TEXT,
+  followers INTEGER,
+  run_id INTEGER REFERENCES runs(id)
+);
+
+CREATE TABLE IF NOT EXISTS articles (
+  post_id TEXT PRIMARY KEY,
+  url TEXT NOT NULL,
+  title TEXT,
+  subtitle TEXT,
+  author_id INTEGER REFERENCES authors(id),
+  publication_id INTEGER REFERENCES publications(id),
+  published_at TEXT,
+  updated_at TEXT,
+  read_time INTEGER,
+  claps INTEGER,
+  responses INTEGER,
+  is_premium INTEGER,
+  word_count INTEGER,
+  text_content TEXT,
+  source_type TEXT,
+  source_url TEXT,
+  scraped_at TEXT,
+  run_id INTEGER REFERENCES runs(id)
+);
+
+CREATE TABLE IF NOT EXISTS article_tags (
+  post_id TEXT NOT NULL REFERENCES articles(post_id) ON DELETE CASCADE,
+  position INTEGER NOT NULL,
+  tag TEXT NOT NULL,
+  PRIMARY KEY (post_id, position)
+);
+
+CREATE TABLE IF NOT EXISTS paragraphs (
+  post_id TEXT NOT NULL REFERENCES articles(post_id) ON DELETE CASCADE,
+  position INTEGER NOT NULL,
+  name TEXT,
+  type TEXT NOT NULL,
+  text TEXT,
+  markups_json TEXT,
+  PRIMARY KEY (post_id, position)
+);
+
+CREATE TABLE IF NOT EXISTS images (
+  post_id TEXT NOT NULL REFERENCES articles(post_id) ON DELETE CASCADE,
+  position INTEGER NOT NULL,
+  url TEXT NOT NULL,
+  alt TEXT,
+  caption TEXT,
+  width INTEGER,
+  height INTEGER,
+  PRIMARY KEY (post_id, position)
+);
+
+CREATE TABLE IF NOT EXISTS links (
+  post_id TEXT NOT NULL REFERENCES articles(post_id) ON DELETE CASCADE,
+  position INTEGER NOT NULL,
+  text TEXT,
+  url TEXT NOT NULL,
+  PRIMARY KEY (post_id, position)
+);
+
+CREATE TABLE IF NOT EXISTS comments (
+  post_id TEXT NOT NULL REFERENCES articles(post_id) ON DELETE CASCADE,
+  position INTEGER NOT NULL,
+  response_id TEXT,
+  parent_id TEXT,
+  depth INTEGER,
+  author TEXT,
+  author_url TEXT,
+  date TEXT,
+  claps INTEGER,
+  content TEXT,
+  PRIMARY KEY (post_id, position)
+);
+
+CREATE INDEX IF NOT EXISTS idx_articles_author ON articles(author_id);
+CREATE INDEX IF NOT EXISTS idx_articles_publication ON articles(publication_id);
+CREATE INDEX IF NOT EXISTS idx_articles_published_at ON articles(published_at);
+CREATE INDEX IF NOT EXISTS idx_article_tags_tag ON article_tags(tag);
+CREATE INDEX IF NOT EXISTS idx_authors_username ON authors(username);
+CREATE INDEX IF NOT EXISTS idx_images_url ON images(url);
+CREATE INDEX IF NOT EXISTS idx_links_url ON links(url);
+`;
+
+// Columns added after a table was first released; databases created before
+// them get them on their next export
+const ADDED_COLUMNS = {
+  authors: [['about', 'TEXT'], ['badges_json', 'TEXT'], ['newsletter_url', 'TEXT'], ['pinned_post_url', 'TEXT']],
+  comments: [['response_id', 'TEXT'], ['parent_id', 'TEXT'], ['depth', 'INTEGER']]
+};
+
+// Child tables are replaced wholesale whenever their article is upserted
+const ARTICLE_CHILD_TABLES = ['article_tags', 'paragraphs', 'images', 'links', 'comments'];
+
+/**
+ * Write (or update) a SQLite database with the run's authors, publications and
+ * articles. Articles are upserted by Medium post id, so exporting into the same
+ * file again updates rows instead of duplicating them.
+ * @param {Object} data - Results of a scraping run
+ * @param {string} filepath - Database file
+ * @returns {Object} - Export summary ({ runId, articles, authors, publications })
+ */
+export async function exportToSqlite(data, filepath) {
+  const SQL = await initSqlJs();
+  const existing = await fs.pathExists(filepath) ? await fs.readFile(filepath) : null;
+  const db = existing ? new SQL.Database(existing) : new SQL.Database();
+  let inTransaction = false;
+
+  try {
+    db.run('PRAGMA foreign_keys = ON');
+    db.exec(SCHEMA);
+    addMissingColumns(db);
+
+    db.run('BEGIN');
+    inTransaction = true;
+    const runId = insertRun(db, data);
+
+    const authors = data.authors?.length > 0 ? data.authors : (data.author ? [data.author] : []);
+    authors.forEach(author => upsertAuthor(db, author, runId));
+    (data.publications || []).forEach(publication => upsertPublication(db, publication, runId));
+
+    let articleCount = 0;
+    (data.articles || []).forEach(article => {
+      if (upsertArticle(db, article, runId)) articleCount++;
+    });
+    db.run('COMMIT');
+    inTransaction = false;
+
+    await fs.ensureDir(path.dirname(filepath));
+    await fs.writeFile(filepath, Buffer.from(db.export()));
+
+    logger.info(`SQLite export wrote ${articleCount} articles (run ${runId}) to ${filepath}`);
+
+    return {
+      runId,
+      articles: articleCount,
+      authors: authors.length,
+      publications: (data.publications || []).length
+    };
+
+  } catch (error) {
+    if (inTransaction) db.run('ROLLBACK');
+    logger.error('Failed to export data to SQLite', error);
+    throw error;
+  } finally {
+    db.close();
+  }
+}
+
+function addMissingColumns(db) {
+  Object.entries(ADDED_COLUMNS).forEach(([table, columns]) => {
+    const existing = new Set((db.exec(`PRAGMA table_info(${table})`)[0]?.values || []).map(row => row[1]));
+    columns
+      .filter(([name]) => !existing.has(name))
+      .forEach(([name, type]) => db.run(`ALTER TABLE ${table} ADD COLUMN ${name} ${type}`));
+  });
+}
+
+function insertRun(db, data) {
+  const stats = data.stats || {};
+
+  db.run(
+    `INSERT INTO runs (scraped_at, total_articles, successful_extractions, paywall_hits, errors,
+      success_rate, paywall_rate, session_duration_ms, stats_json)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      data.scrapedAt || new Date().toISOString(),
+      toInteger(stats.totalArticles),
+      toInteger(stats.successfulExtractions),
+      toInteger(stats.paywallHits),
+      toInteger(stats.errors),
+      toReal(stats.successRate),
+      toReal(stats.paywallRate),
+      toInteger(stats.sessionDuration),
+      JSON.stringify(stats)
+    ]
+  );
+
+  return selectValue(db, 'SELECT last_insert_rowid()');
+}
+
+/**
+ * Insert or update an author by profile URL. Article bylines only carry a name
+ * and URL, so they never overwrite profile fields scraped from the author page.
+ * @returns {number|null} - Author row id
+ */
+function upsertAuthor(db, author, runId) {
+  const url = author.url || author.source?.url || author.authorUrl;
+  if (!url) return null;
+
+  db.run(
+    `INSERT INTO authors (url, user_id, username, name, bio, followers, following, avatar_url, medium_member_at,
+      about, badges_json, newsletter_url, pinned_post_url, run_id)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+     ON CONFLICT(url) DO UPDATE SET
+       user_id = COALESCE(excluded.user_id, authors.user_id),
+       username = COALESCE(excluded.username, authors.username),
+       name = COALESCE(excluded.name, authors.name),
+       bio = COALESCE(excluded.bio, authors.bio),
+       followers = COALESCE(excluded.followers, authors.followers),
+       following = COALESCE(excluded.following, authors.following),
+       avatar_url = COALESCE(excluded.avatar_url, authors.avatar_url),
+       medium_member_at = COALESCE(excluded.medium_member_at, authors.medium_member_at),
+       about = COALESCE(excluded.about, authors.about),
+       badges_json = COALESCE(excluded.badges_json, authors.badges_json),
+       newsletter_url = COALESCE(excluded.newsletter_url, authors.newsletter_url),
+       pinned_post_url = COALESCE(excluded.pinned_post_url, authors.pinned_post_url),
+       run_id = excluded.run_id`,
+    [
+      url,
+      toText(author.userId),
+      toText(author.username),
+      toText(author.name),
+      toText(author.bio),
+      toInteger(author.followers),
+      toInteger(author.following),
+      toText(author.avatar),
+      toText(author.mediumMemberAt),
+      toText(author.about),
+      author.badges?.length > 0 ? JSON.stringify(author.badges) : null,
+      toText(author.newsletter?.url),
+      toText(author.pinnedPost?.url),
+      runId
+    ]
+  );
+
+  return selectValue(db, 'SELECT id FROM authors WHERE url = ?', [url]);
+}
+
+/**
+ * Insert or update a publication by URL
+ * @returns {number|null} - Publication row id
+ */
+function upsertPublication(db, publication, runId) {
+  const url = publication.url || publication.source?.url;
+  if (!url) return null;
+
+  db.run(
+    `INSERT INTO publications (url, publication_id, name, description, logo_url, followers, run_id)
+     VALUES (?, ?, ?, ?, ?, ?, ?)
+     ON CONFLICT(url) DO UPDATE SET
+       publication_id = COALESCE(excluded.publication_id, publications.publication_id),
+       name = COALESCE(excluded.name, publications.name),
+       description = COALESCE(excluded.description, publications.description),
+       logo_url = COALESCE(excluded.logo_url, publications.logo_url),
+       followers = COALESCE(excluded.followers, publications.followers),
+       run_id = excluded.run_id`,
+    [
+      url,
+      toText(publication.publicationId),
+      toText(publication.name),
+      toText(publication.description),
+      toText(publication.logo),
+      toInteger(publication.followers),
+      runId
+    ]
+  );
+
+  return selectValue(db, 'SELECT id FROM publications WHERE url = ?', [url]);
+}
+
+/**
+ * Upsert an article and replace its tags, paragraphs, images, links and comments
+ * @returns {boolean} - Whether the article was written
+ */
+function upsertArticle(db, article, runId) {
+  // Articles without a recognizable post id are keyed by URL
+  const postId = article.postId || extractPostIdFromUrl(article.url) || article.url;
+  if (!postId || !article.url) return false;
+
+  const authorId = article.authorUrl
+    ? upsertAuthor(db, { url: article.authorUrl, name: article.author }, runId)
+    : null;
+  const publicationId = article.publication?.url
+    ? upsertPublication(db, { url: article.publication.url, name: article.publication.name }, runId)
+    : null;
+
+  db.run(
+    `INSERT INTO articles (post_id, url, title, subtitle, author_id, publication_id, published_at, updated_at,
+      read_time, claps, responses, is_premium, word_count, text_content, source_type, source_url, scraped_at, run_id)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+     ON CONFLICT(post_id) DO UPDATE SET
+       url = excluded.url,
+       title = excluded.title,
+       subtitle = excluded.subtitle,
+       author_id = COALESCE(excluded.author_id, articles.author_id),
+       publication_id = COALESCE(excluded.publication_id, articles.publication_id),
+       published_at = excluded.published_at,
+       updated_at = excluded.updated_at,
+       read_time = excluded.read_time,
+       claps = excluded.claps,
+       responses = excluded.responses,
+       is_premium = excluded.is_premium,
+       word_count = COALESCE(excluded.word_count, articles.word_count),
+       text_content = COALESCE(excluded.text_content, articles.text_content),
+       source_type = excluded.source_type,
+       source_url = excluded.source_url,
+       scraped_at = excluded.scraped_at,
+       run_id = excluded.run_id`,
+    [
+      postId,
+      article.url,
+      toText(article.title),
+      toText(article.subtitle),
+      authorId,
+      publicationId,
+      toText(article.date),
+      toText(article.latestPublishedAt),
+      toInteger(article.readTime),
+      toInteger(article.claps),
+      toInteger(article.responses),
+      article.isPremium ? 1 : 0,
+      toInteger(article.content?.wordCount),
+      toText(article.content?.textContent),
+      toText(article.source?.type),
+      toText(article.source?.url),
+      toText(article.scrapedAt),
+      runId
+    ]
+  );
+
+  // Keep previously stored content when this run scraped the article without it
+  const children = ARTICLE_CHILD_TABLES.filter(table => table === 'article_tags' ||
+    (table === 'comments' ? Array.isArray(article.comments) : Boolean(article.content)));
+  children.forEach(table => db.run(`DELETE FROM ${table} WHERE post_id = ?`, [postId]));
+
+  const insertRows = (table, columns, rows) => {
+    const statement = db.prepare(
+      `INSERT INTO ${table} (post_id, position, ${columns.join(', ')}) VALUES (?, ?, ${columns.map(() => '?').join(', ')})`
+    );
+    rows.forEach((row, index) => statement.run([postId, index, ...row]));
+    statement.free();
+  };
+
+  insertRows('article_tags', ['tag'], (article.tags || []).filter(Boolean).map(tag => [String(tag)]));
+
+  if (article.content) {
+    const blocks = article.content.blocks || [];
+    insertRows('paragraphs', ['name', 'type', 'text', 'markups_json'],
+      blocks.map(block => [toText(block.name), block.type, toText(block.text), JSON.stringify(block.markups || [])]));
+
+    const images = blocks.length > 0
+      ? blocks.filter(block => block.type === 'IMG' && block.image?.url)
+        .map(block => [block.image.url, toText(block.image.alt), toText(block.text), toInteger(block.image.width), toInteger(block.image.height)])
+      : (article.content.images || []).filter(image => image.src)
+        .map(image => [image.src, toText(image.alt), toText(image.caption), null, null]);
+    insertRows('images', ['url', 'alt', 'caption', 'width', 'height'], images);
+
+    insertRows('links', ['text', 'url'],
+      (article.content.links || []).filter(link => link.url).map(link => [toText(link.text), link.url]));
+  }
+
+  if (Array.isArray(article.comments)) {
+    insertRows('comments', ['response_id', 'parent_id', 'depth', 'author', 'author_url', 'date', 'claps', 'content'],
+      article.comments.map(comment => [
+        toText(comment.postId),
+        toText(comment.parentId),
+        toInteger(comment.depth),
+        toText(comment.author),
+        toText(comment.authorUrl),
+        toText(comment.date),
+        toInteger(comment.claps),
+        toText(comment.text)
+      ]));
+  }
+
+  return true;
+}
+
+function selectValue(db, sql, params = []) {
+  const statement = db.prepare(sql);
+  try {
+    statement.bind(params);
+    return statement.step() ? statement.get()[0] : null;
+  } finally {
+    statement.free();
+  }
+}
+
+function toText(value) {
+  return value === undefined || value === null || value === '' ? null : String(value);
+}
+
+function toInteger(value) {
+  const number = Number(value);
+  return value === undefined || value === null || value === '' || !Number.isFinite(number) ? null : Math.round(number);
+}
+
+function toReal(value) {
+  const number = Number(value);
+  return value === undefined || value === null || value === '' || !Number.isFinite(number) ? null : number;
+}
+
+export default {
+  exportToSqlite
+};
@@ -0,0 +1,160 @@
+import fs from 'fs-extra';
+import { Actor } from 'apify';
+import { parse } from 'csv-parse/sync';
+import { createLogger } from './logger.js';
+
+const logger = createLogger({ util: 'UrlListLoader' });
+
+// Header names of the URL column of a CSV file, compared in lower case
+const URL_COLUMNS = ['url', 'urls', 'link', 'href', 'authorurl', 'articleurl', 'profileurl'];
+
+/**
+ * Load a list of URLs from inline input, a local file and/or a key-value store record
+ * @param {Object} options - Sources to read from
+ * @param {string[]} options.urls - URLs given inline
+ * @param {string} options.file - Path to a local .txt, .csv or .json file
+ * @param {string} options.record - Key-value store record, as "KEY" or "store-name/KEY"
+ * @returns {Promise<string[]>} - De-duplicated list of URLs in input order
+ */
+export async function loadUrlList({ urls = [], file = null, record = null } = {}) {
+  const collected = [...(Array.isArray(urls) ? urls : [])];
+
+  if (file) {
+    const content = await fs.readFile(file, 'utf8');
+    const fromFile = parseUrlList(content, { csv: /\.csv$/i.test(file) });
+    logger.info(`Loaded ${fromFile.length} URLs from file ${file}`);
+    collected.push(...fromFile);
+  }
+
+  if (record) {
+    const { storeName, key } = parseRecordReference(record);
+    const store = await Actor.openKeyValueStore(storeName);
+    const value = await store.getValue(key);
+
+    if (value === null || value === undefined) {
+      throw new Error(`Key-value store record not found: ${record}`);
+    }
+
+    const fromRecord = parseUrlList(value);
+    logger.info(`Loaded ${fromRecord.length} URLs from key-value store record ${record}`);
+    collected.push(...fromRecord);
+  }
+
+  const seen = new Set();
+  return collected
+    .filter(url => typeof url === 'string')
+    .map(url => url.trim())
+    .filter(url => {
+      if (!url || seen.has(url)) return false;
+      seen.add(url);
+      return true;
+    });
+}
+
+/**
+ * Parse a URL list from text (one per line or comma separated), CSV, a JSON array
+ * or an object with a "urls" array. Array items may be strings or objects with a "url" field.
+ * Text whose first line is a header naming a URL column is read as CSV too.
+ * @param {string|Array|Object} content - Raw list content
+ * @param {Object} options
+ * @param {boolean} options.csv - Read text as CSV (a .csv file)
+ * @returns {string[]} - Parsed URLs
+ */
+export function parseUrlList(content, options = {}) {
+  if (!content) {
+    return [];
+  }
+
+  if (Buffer.isBuffer(content)) {
+    content = content.toString('utf8');
+  }
+
+  if (typeof content === 'string') {
+    const trimmed = content.trim();
+
+    if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+      try {
+        return parseUrlList(JSON.parse(trimmed));
+      } catch {
+        // Not JSON, treat as plain text below
+      }
+    }
+
+    if (options.csv || hasUrlHeader(trimmed)) {
+      return parseCsvUrls(trimmed);
+    }
+
+    return trimmed
+      .split(/[\r\n,]+/)
+      .map(line => line.trim())
+      .filter(line => line && !line.startsWith('#'));
+  }
+
+  if (Array.isArray(content)) {
+    return content
+      .map(item => (typeof item === 'string' ? item : item?.url))
+      .filter(Boolean);
+  }
+
+  if (typeof content === 'object' && Array.isArray(content.urls)) {
+    return parseUrlList(content.urls);
+  }
+
+  return [];
+}
+
+/**
+ * URLs of a CSV file: the URL column named by its header row (url, link,
+ * articleUrl...), or without such a header every cell holding an http(s) URL,
+ * so other columns (notes, titles) are left out
+ * @param {string} text - CSV content
+ * @returns {string[]} - Parsed URLs
+ */
+export function parseCsvUrls(text) {
+  const rows = parse(text, {
+    bom: true,
+    trim: true,
+    skip_empty_lines: true,
+    relax_column_count: true,
+    comment: '#',
+    comment_no_infix: true
+  });
+  const column = findUrlColumn(rows[0]);
+
+  if (column !== -1) {
+    return rows.slice(1).map(row => row[column]).filter(Boolean);
+  }
+
+  return rows.flatMap(row => row.filter(cell => /^https?:\/\//i.test(cell)));
+}
+
+function findUrlColumn(header = []) {
+  return header.findIndex(cell => URL_COLUMNS.includes(String(cell).trim().toLowerCase()));
+}
+
+function hasUrlHeader(text) {
+  try {
+    const [header] = parse(text.split(/\r?\n/, 1)[0], { bom: true, trim: true });
+    return findUrlColumn(header) !== -1;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Split a "store-name/KEY" reference into its parts
+ * @param {string} reference - Record reference
+ * @returns {Object} - Store name (null for the default store) and record key
+ */
+export function parseRecordReference(reference) {
+  const separatorIndex = reference.lastIndexOf('/');
+
+  if (separatorIndex === -1) {
+    return { storeName: null, key: reference };
+  }
+
+  return {
+    storeName: reference.substring(0, separatorIndex) || null,
+    key: reference.substring(separatorIndex + 1)
+  };
+}
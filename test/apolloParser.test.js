@@ -0,0 +1,127 @@
+import './helpers/setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import { parseApolloState, extractApolloState } from '../src/utils/apolloParser.js';
+
+const readFixture = name => fs.readFile(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+
+const JANE = {
+  id: 'a1b2c3d4e5f6',
+  name: 'Jane Doe',
+  username: 'janedoe',
+  bio: 'Backend engineer. Writes about distributed systems and coffee.',
+  avatarUrl: 'https://miro.medium.com/v2/1*janeAvatar.jpeg',
+  followerCount: 1520,
+  followingCount: 87,
+  mediumMemberAt: '2021-01-01T00:00:00.000Z',
+  url: 'https://medium.com/@janedoe'
+};
+
+test('the state is read from the page HTML, and pages without one have no graph', async () => {
+  const html = await readFixture('author.html');
+
+  assert.ok(extractApolloState(html).ROOT_QUERY);
+  assert.equal(parseApolloState(await readFixture('captcha.html')), null);
+  assert.equal(parseApolloState({}), null);
+});
+
+test('getRootUser and getUser resolve the profile user by root field, id or username', async () => {
+  const graph = parseApolloState(await readFixture('author.html'));
+
+  assert.deepEqual(graph.getRootUser(), JANE);
+  assert.deepEqual(graph.getUser('a1b2c3d4e5f6'), JANE);
+  assert.equal(graph.getUser('@JaneDoe').id, JANE.id);
+  assert.equal(graph.getUser('nobody'), null);
+
+  // A cache without a userResult root field has no root user
+  const { ROOT_QUERY, ...withoutRoot } = extractApolloState(await readFixture('author.html'));
+  assert.equal(parseApolloState(withoutRoot).getRootUser(), null);
+  assert.equal(parseApolloState(withoutRoot).getUser('janedoe').id, JANE.id);
+});
+
+test('getUserProfile reads badges, newsletter, publications and Lists', async () => {
+  const graph = parseApolloState(await readFixture('author-about.html'));
+
+  assert.deepEqual(graph.getUserProfile(graph.getRootUser()), {
+    about: '',
+    badges: [
+      { type: 'member', label: 'Medium member' },
+      { type: 'top_writer', label: 'Top writer in Distributed Systems', topic: 'Distributed Systems' }
+    ],
+    newsletter: {
+      id: 'nl00aa11bb22',
+      name: "Jane Doe's newsletter",
+      description: 'A story a week on backend reliability.',
+      url: 'https://medium.com/@janedoe/subscribe',
+      subscribers: 340
+    },
+    pinnedPost: null,
+    publications: [{ name: 'Better Systems', url: 'https://medium.com/better-systems', role: 'owner' }],
+    lists: [{
+      id: '9a8b7c6d5e4f',
+      name: 'Distributed reading',
+      description: 'Papers and posts worth rereading.',
+      url: 'https://medium.com/@janedoe/list/distributed-reading-9a8b7c6d5e4f',
+      itemCount: 12
+    }]
+  });
+  assert.equal(graph.getUserProfile(null), null);
+});
+
+test('posts resolve their creator, collection, tags and image references', async () => {
+  const graph = parseApolloState(await readFixture('author.html'));
+  const user = graph.getRootUser();
+
+  assert.deepEqual(graph.getPost('1111aaaa2222'), {
+    id: '1111aaaa2222',
+    title: 'Designing Idempotent APIs',
+    subtitle: 'Retries are inevitable, duplicate side effects are not.',
+    url: 'https://medium.com/@janedoe/designing-idempotent-apis-1111aaaa2222',
+    slug: 'designing-idempotent-apis-1111aaaa2222',
+    creatorId: 'a1b2c3d4e5f6',
+    collectionId: 'c0ffee123456',
+    firstPublishedAt: '2024-03-03T09:00:00.000Z',
+    latestPublishedAt: '2024-03-04T09:00:00.000Z',
+    readingTime: 5.4,
+    clapCount: 230,
+    responseCount: 4,
+    tags: [{ slug: 'api-design', name: 'API Design' }],
+    isLocked: false,
+    previewImage: { id: '1*idempotent.png', url: 'https://miro.medium.com/v2/1*idempotent.png', width: 1400, height: 800, alt: '' },
+    sequence: null,
+    inResponseToPostId: null
+  });
+  assert.equal(graph.getPost('000000000000'), null);
+
+  assert.deepEqual(graph.getUserPosts(user).map(post => post.id), ['1111aaaa2222', '3333bbbb4444', '5555cccc6666']);
+  assert.equal(graph.getUserPosts(user)[1].isLocked, true);
+  assert.equal(graph.hasMoreUserPosts(user), false);
+});
+
+test('getRootPost finds the story of an article page and its paragraphs', async () => {
+  const state = extractApolloState(await readFixture('article-free.html'));
+  const graph = parseApolloState(state);
+  const post = graph.getRootPost();
+
+  assert.equal(post.id, '1111aaaa2222');
+  assert.deepEqual(post.tags.map(tag => tag.slug), ['api-design', 'software-engineering']);
+  assert.equal(graph.getParagraphs(post).length, 5);
+  assert.deepEqual(graph.getParagraphs(post)[0], {
+    id: 'p1',
+    name: 'a1b1',
+    type: 'H3',
+    text: 'Why retries break things',
+    markups: [],
+    layout: null,
+    href: null,
+    image: null,
+    codeBlockMetadata: null,
+    iframe: null,
+    mixtape: null
+  });
+
+  // Without a root field, the post carrying a body is the page's post
+  const { ROOT_QUERY, ...withoutRoot } = state;
+  assert.equal(parseApolloState(withoutRoot).getRootPost().id, '1111aaaa2222');
+});
@@ -0,0 +1,179 @@
+import './helpers/setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadFixturePage } from './helpers/fixturePage.js';
+import { ArticleScraper } from '../src/scrapers/ArticleScraper.js';
+import { createBlock } from '../src/utils/contentBlocks.js';
+
+const FREE_URL = 'https://medium.com/@janedoe/designing-idempotent-apis-1111aaaa2222';
+const MEMBER_URL = 'https://medium.com/@janedoe/the-outbox-pattern-in-practice-3333bbbb4444';
+const RICH_URL = 'https://medium.com/@janedoe/profiling-python-services-7777dddd8888';
+
+const blocks = list => list.map((fields, index) => createBlock(fields, index));
+
+async function openArticle(fixture, url) {
+  return new ArticleScraper(await loadFixturePage(fixture, url), { includeContent: true });
+}
+
+test('extractArticleInfo reads a free story from the Apollo post', async () => {
+  const scraper = await openArticle('article-free.html', FREE_URL);
+
+  assert.deepEqual(await scraper.extractArticleInfo(), {
+    postId: '1111aaaa2222',
+    title: 'Designing Idempotent APIs',
+    subtitle: 'Retries are inevitable, duplicate side effects are not.',
+    author: 'Jane Doe',
+    authorUrl: 'https://medium.com/@janedoe',
+    date: '2024-03-03T09:00:00.000Z',
+    latestPublishedAt: '2024-03-04T09:00:00.000Z',
+    readTime: 6,
+    claps: 230,
+    responses: 4,
+    tags: ['API Design', 'Software Engineering'],
+    publication: { name: 'Better Systems', url: 'https://medium.com/better-systems' },
+    mainImage: 'https://miro.medium.com/v2/1*idempotent.png',
+    isPremium: false,
+    url: FREE_URL,
+    series: null
+  });
+});
+
+test('extractArticleContent keeps paragraph order and inline markups', async () => {
+  const scraper = await openArticle('article-free.html', FREE_URL);
+  await scraper.extractArticleInfo();
+
+  assert.deepEqual(await scraper.extractArticleContent(), {
+    textContent: 'Why retries break things Every client will retry. See the draft RFC. Idempotency keys ' +
+      'Make the second request boring. Store the key with the response and replay it.',
+    blocks: blocks([
+      { name: 'a1b1', type: 'H3', text: 'Why retries break things' },
+      {
+        name: 'a1b2',
+        type: 'P',
+        text: 'Every client will retry. See the draft RFC.',
+        markups: [
+          { type: 'STRONG', start: 13, end: 17 },
+          { type: 'A', start: 29, end: 42, href: 'https://example.com/rfc', anchorType: 'LINK' }
+        ]
+      },
+      { name: 'a1b3', type: 'H4', text: 'Idempotency keys' },
+      { name: 'a1b4', type: 'BQ', text: 'Make the second request boring.' },
+      { name: 'a1b5', type: 'P', text: 'Store the key with the response and replay it.', markups: [{ type: 'CODE', start: 23, end: 31 }] }
+    ]),
+    headings: [
+      { level: 3, text: 'Why retries break things' },
+      { level: 4, text: 'Idempotency keys' }
+    ],
+    paragraphs: [
+      'Every client will retry. See the draft RFC.',
+      'Store the key with the response and replay it.'
+    ],
+    lists: [],
+    quotes: [{ text: 'Make the second request boring.', author: '' }],
+    codeBlocks: [],
+    images: [],
+    links: [{ text: 'the draft RFC', url: 'https://example.com/rfc', title: '' }],
+    wordCount: 28
+  });
+});
+
+test('extractArticleInfo flags a member-only story and content stops at the preview', async () => {
+  const scraper = await openArticle('article-member.html', MEMBER_URL);
+  const info = await scraper.extractArticleInfo();
+
+  assert.deepEqual(info, {
+    postId: '3333bbbb4444',
+    title: 'The Outbox Pattern in Practice',
+    subtitle: 'Publishing events without distributed transactions.',
+    author: 'Jane Doe',
+    authorUrl: 'https://medium.com/@janedoe',
+    date: '2024-02-11T18:30:00.000Z',
+    latestPublishedAt: '2024-02-11T18:30:00.000Z',
+    readTime: 9,
+    claps: 1045,
+    responses: 12,
+    tags: ['Microservices'],
+    publication: { name: '', url: '' },
+    mainImage: '',
+    isPremium: true,
+    url: MEMBER_URL,
+    series: null
+  });
+
+  const content = await scraper.extractArticleContent();
+  assert.deepEqual(content.blocks, blocks([
+    { name: 'b2c1', type: 'P', text: 'Dual writes are the root of most event bugs.' },
+    { name: 'b2c2', type: 'P', text: 'The outbox table turns them into one local transaction.' }
+  ]));
+  assert.equal(content.wordCount, 18);
+});
+
+test('extractArticleContent walks the DOM for code, images, lists and embeds', async () => {
+  const scraper = await openArticle('article-rich.html', RICH_URL);
+  const info = await scraper.extractArticleInfo();
+
+  assert.equal(info.readTime, 12);
+  assert.deepEqual(info.tags, ['Python', 'Performance']);
+  assert.deepEqual(info.series, {
+    name: 'Python in Production',
+    url: 'https://medium.com/sequence/python-in-production',
+    part: ''
+  });
+
+  // The Apollo post carries no body here, so blocks come from the rendered article
+  const content = await scraper.extractArticleContent();
+  const code = 'import cProfile\n\ncProfile.run("main()", sort="cumtime")';
+  const image = {
+    id: '1*flame.png',
+    url: 'https://miro.medium.com/v2/resize:fit:1400/1*flame.png',
+    width: 1400,
+    height: 700,
+    alt: 'Flame graph of a request'
+  };
+
+  assert.deepEqual(content.blocks, blocks([
+    { name: 'c3d1', type: 'H4', text: 'Start with a flame graph' },
+    {
+      name: 'c3d2',
+      type: 'P',
+      text: 'Run py-spy record against the live process, not a benchmark.',
+      markups: [
+        { type: 'CODE', start: 4, end: 17 },
+        { type: 'EM', start: 30, end: 34 },
+        { type: 'STRONG', start: 50, end: 59 }
+      ]
+    },
+    { name: 'c3d3', type: 'PRE', text: code, language: 'python' },
+    { type: 'IMG', text: 'A flame graph of one slow request', image },
+    { name: 'c3d5', type: 'OLI', text: 'Reproduce the slowdown' },
+    { name: 'c3d6', type: 'OLI', text: 'Profile under real load', markups: [{ type: 'STRONG', start: 14, end: 18 }] },
+    { name: 'c3d7', type: 'ULI', text: 'cProfile' },
+    { name: 'c3d8', type: 'ULI', text: 'py-spy' },
+    { name: 'c3d9', type: 'BQ', text: 'Measure, don’t guess.' },
+    {
+      type: 'IFRAME',
+      text: 'Conference talk on profiling',
+      iframe: {
+        src: 'https://cdn.embedly.com/widgets/media.html?src=https%3A%2F%2Fwww.youtube.com%2Fembed%2Fabc123',
+        title: 'Profiling talk',
+        width: 854,
+        height: 480
+      }
+    },
+    {
+      type: 'MIXTAPE_EMBED',
+      text: 'Notes on Backpressure',
+      mixtape: {
+        href: 'https://medium.com/@janedoe/notes-on-backpressure-5555cccc6666',
+        thumbnailUrl: 'https://miro.medium.com/v2/resize:fill:160:160/1*backpressure.png'
+      }
+    }
+  ]));
+  assert.deepEqual(content.lists, [
+    { type: 'ol', items: ['Reproduce the slowdown', 'Profile under real load'] },
+    { type: 'ul', items: ['cProfile', 'py-spy'] }
+  ]);
+  assert.deepEqual(content.codeBlocks, [{ language: 'python', code }]);
+  assert.deepEqual(content.images, [{ src: image.url, alt: image.alt, caption: 'A flame graph of one slow request' }]);
+  assert.equal(content.wordCount, 45);
+});
@@ -0,0 +1,162 @@
+import './helpers/setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadFixturePage } from './helpers/fixturePage.js';
+import { AuthorScraper, getAboutUrl } from '../src/scrapers/AuthorScraper.js';
+import { ParseFailureError, shouldRetry } from '../src/utils/scrapeErrors.js';
+
+const AUTHOR_URL = 'https://medium.com/@janedoe';
+
+// scrapedAt is the time of extraction
+const withoutScrapedAt = articles => articles.map(({ scrapedAt, ...article }) => article);
+
+const listing = (fields) => ({
+  claps: 0,
+  responses: 0,
+  tags: [],
+  publication: { name: '', url: '' },
+  image: '',
+  isPremium: false,
+  ...fields
+});
+
+test('extractAuthorInfo merges the Apollo user over the profile header', async () => {
+  const scraper = new AuthorScraper(await loadFixturePage('author.html', AUTHOR_URL));
+
+  assert.deepEqual(await scraper.extractAuthorInfo(), {
+    name: 'Jane Doe',
+    bio: 'Backend engineer. Writes about distributed systems and coffee.',
+    followers: 1520,
+    following: 87,
+    avatar: 'https://miro.medium.com/v2/1*janeAvatar.jpeg',
+    username: 'janedoe',
+    socialLinks: [{ platform: 'Twitter', url: 'https://twitter.com/janedoe' }],
+    publications: [{ name: 'Better Systems', url: 'https://medium.com/better-systems', role: 'writer' }],
+    url: AUTHOR_URL,
+    userId: 'a1b2c3d4e5f6',
+    mediumMemberAt: '2021-01-01T00:00:00.000Z'
+  });
+});
+
+test('extractArticlesFromCurrentView reads the rendered story cards', async () => {
+  const scraper = new AuthorScraper(await loadFixturePage('author.html', AUTHOR_URL));
+  const articles = await scraper.extractArticlesFromCurrentView();
+
+  assert.ok(articles.every(article => !Number.isNaN(Date.parse(article.scrapedAt))));
+  assert.deepEqual(withoutScrapedAt(articles), [
+    listing({
+      title: 'Designing Idempotent APIs',
+      subtitle: 'Retries are inevitable, duplicate side effects are not.',
+      url: 'https://medium.com/@janedoe/designing-idempotent-apis-1111aaaa2222?source=user_profile',
+      date: 'Mar 3, 2024',
+      readTime: '6 min read',
+      index: 0
+    }),
+    listing({
+      title: 'The Outbox Pattern in Practice',
+      subtitle: 'Publishing events without distributed transactions.',
+      url: 'https://medium.com/@janedoe/the-outbox-pattern-in-practice-3333bbbb4444?source=user_profile',
+      date: 'Feb 11, 2024',
+      readTime: '9 min read',
+      index: 1
+    }),
+    listing({
+      title: 'Notes on Backpressure',
+      subtitle: '',
+      url: 'https://medium.com/@janedoe/notes-on-backpressure-5555cccc6666?source=user_profile',
+      date: 'Dec 20, 2023',
+      readTime: '4 min read',
+      index: 2
+    })
+  ]);
+});
+
+test('a page without an author name fails with a ParseFailureError', async () => {
+  const scraper = new AuthorScraper(await loadFixturePage('captcha.html', AUTHOR_URL));
+
+  assert.equal(await scraper.extractAuthorInfo(), null);
+
+  const error = await scraper.scrapeAuthor().catch(caught => caught);
+  assert.ok(error instanceof ParseFailureError);
+  assert.equal(error.url, AUTHOR_URL);
+  assert.equal(shouldRetry(error, 1), true);
+});
+
+test('extractArticlesFromApollo builds the listing from the user posts connection', async () => {
+  const scraper = new AuthorScraper(await loadFixturePage('author.html', AUTHOR_URL));
+  await scraper.extractAuthorInfo();
+  const articles = withoutScrapedAt(await scraper.extractArticlesFromApollo());
+
+  assert.deepEqual(articles.map(article => [article.postId, article.readTime, article.claps, article.responses, article.isPremium]), [
+    ['1111aaaa2222', 6, 230, 4, false],
+    ['3333bbbb4444', 9, 1045, 12, true],
+    ['5555cccc6666', 4, 58, 0, false]
+  ]);
+  assert.deepEqual(articles[0], {
+    postId: '1111aaaa2222',
+    title: 'Designing Idempotent APIs',
+    subtitle: 'Retries are inevitable, duplicate side effects are not.',
+    url: 'https://medium.com/@janedoe/designing-idempotent-apis-1111aaaa2222',
+    date: '2024-03-03T09:00:00.000Z',
+    latestPublishedAt: '2024-03-04T09:00:00.000Z',
+    readTime: 6,
+    claps: 230,
+    responses: 4,
+    tags: ['API Design'],
+    publication: { name: 'Better Systems', url: 'https://medium.com/better-systems' },
+    image: 'https://miro.medium.com/v2/1*idempotent.png',
+    isPremium: false,
+    index: 0
+  });
+});
+
+test('extractAuthorProfile reads badges and publication roles from the profile page', async () => {
+  const scraper = new AuthorScraper(await loadFixturePage('author.html', AUTHOR_URL), { includeAuthorAbout: false });
+  const profile = await scraper.extractAuthorProfile(await scraper.extractAuthorInfo());
+
+  assert.deepEqual(profile, {
+    about: '',
+    badges: [{ type: 'member', label: 'Medium member' }],
+    newsletter: null,
+    pinnedPost: null,
+    publications: [{ name: 'Better Systems', url: 'https://medium.com/better-systems', role: 'writer' }],
+    lists: []
+  });
+  assert.equal(scraper.fieldSources.at(-1).scope, 'profile');
+});
+
+test('extractAboutPage merges the About section into the Apollo profile', async () => {
+  const scraper = new AuthorScraper(await loadFixturePage('author-about.html', `${AUTHOR_URL}/about`));
+  const { profile, sources } = await scraper.extractAboutPage();
+
+  assert.equal(profile.about, 'I build payment backends and write about what broke along the way.\n\n' +
+    'Previously at two startups, now consulting on event-driven systems.');
+  assert.deepEqual(profile.badges, [
+    { type: 'member', label: 'Medium member' },
+    { type: 'top_writer', label: 'Top writer in Distributed Systems', topic: 'Distributed Systems' }
+  ]);
+  assert.deepEqual(profile.newsletter, {
+    id: 'nl00aa11bb22',
+    name: 'Jane Doe\'s newsletter',
+    description: 'A story a week on backend reliability.',
+    url: 'https://medium.com/@janedoe/subscribe',
+    subscribers: 340
+  });
+  assert.deepEqual(profile.publications, [{ name: 'Better Systems', url: 'https://medium.com/better-systems', role: 'owner' }]);
+  // The private list is left out
+  assert.deepEqual(profile.lists, [{
+    id: '9a8b7c6d5e4f',
+    name: 'Distributed reading',
+    description: 'Papers and posts worth rereading.',
+    url: 'https://medium.com/@janedoe/list/distributed-reading-9a8b7c6d5e4f',
+    itemCount: 12
+  }]);
+  assert.match(profile.mediumMemberAt, /^2021-0[23]-/);
+  assert.equal(sources.about, 'dom:div[data-testid="aboutContent"]');
+  assert.equal(sources.lists, 'apollo:User');
+});
+
+test('getAboutUrl points at the About page of profiles and custom domains', () => {
+  assert.equal(getAboutUrl('https://medium.com/@janedoe?source=post_page'), 'https://medium.com/@janedoe/about');
+  assert.equal(getAboutUrl('https://janedoe.medium.com/'), 'https://janedoe.medium.com/about');
+});
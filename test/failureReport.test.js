@@ -0,0 +1,118 @@
+import './helpers/setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { FailureReport } from '../src/utils/failureReport.js';
+import { exportData } from '../src/utils/dataExporter.js';
+import { BlockedError, NavigationTimeoutError, PaywallSkippedError, RobotsDisallowedError } from '../src/utils/scrapeErrors.js';
+import { RobotsPolicy } from '../src/utils/robotsPolicy.js';
+import { MediumScraper } from '../src/scrapers/MediumScraper.js';
+
+const ARTICLE_URL = 'https://medium.com/@janedoe/designing-idempotent-apis-1111aaaa2222';
+const SOURCE = { type: 'author', url: 'https://medium.com/@janedoe' };
+
+function createReport() {
+  const clock = { now: Date.parse('2024-03-19T12:00:00.000Z') };
+  return { report: new FailureReport({ now: () => clock.now }), clock };
+}
+
+test('failed pages are reported with their class, attempts and timing', () => {
+  const { report, clock } = createReport();
+
+  report.start(ARTICLE_URL);
+  clock.now += 90000;
+  report.start(ARTICLE_URL);
+  clock.now += 30000;
+  const entry = report.fail(ARTICLE_URL, new NavigationTimeoutError(ARTICLE_URL), { type: 'article', source: SOURCE });
+
+  assert.deepEqual(entry, {
+    url: ARTICLE_URL,
+    outcome: 'failed',
+    errorClass: 'NavigationTimeoutError',
+    statusCode: null,
+    message: `Request timeout: ${ARTICLE_URL}`,
+    retryable: true,
+    attempts: 2,
+    startedAt: '2024-03-19T12:00:00.000Z',
+    failedAt: '2024-03-19T12:02:00.000Z',
+    durationMs: 120000,
+    lastAttemptMs: 30000,
+    type: 'article',
+    source: SOURCE
+  });
+});
+
+test('skipped pages are counted apart, and pages that succeed are not reported', () => {
+  const { report } = createReport();
+  const robotsUrl = 'https://medium.com/@janedoe/private-notes-7777dddd8888';
+
+  report.start(ARTICLE_URL);
+  report.skip(ARTICLE_URL, new PaywallSkippedError(ARTICLE_URL, 'member_only'), { type: 'article' });
+  report.skip(robotsUrl, new RobotsDisallowedError(robotsUrl, 'disallowed'), { type: 'article' });
+
+  const retried = 'https://medium.com/@janedoe/notes-on-backpressure-5555cccc6666';
+  report.start(retried);
+  report.start(retried);
+  report.succeed(retried);
+
+  const { failed, skipped, byClass, entries } = report.getReport();
+  assert.equal(failed, 0);
+  assert.equal(skipped, 2);
+  assert.deepEqual(byClass, { PaywallSkippedError: 1, RobotsDisallowedError: 1 });
+  assert.deepEqual(entries.map(entry => [entry.url, entry.attempts, entry.retryable]), [
+    [ARTICLE_URL, 1, false],
+    [robotsUrl, 0, false]
+  ]);
+  assert.equal(entries[1].durationMs, null);
+});
+
+test('pages opened by the scrapers are reported: the failed page and robots.txt skips', async () => {
+  const scraper = new MediumScraper({ tagFeeds: ['javascript'] });
+  const tagUrl = 'https://medium.com/tag/javascript';
+  const viewUrl = `${tagUrl}/latest`;
+  const archiveUrl = 'https://medium.com/better-systems/archive';
+
+  await scraper.handleFailedRequest(
+    { url: tagUrl, retryCount: 8, userData: { isTagFeed: true } },
+    new BlockedError(viewUrl, { statusCode: 429, throttled: true })
+  );
+
+  scraper.robotsPolicy = new RobotsPolicy();
+  scraper.robotsPolicy.skipped.push(
+    { url: tagUrl, reason: 'disallowed', rule: 'Disallow: /tag/' },
+    { url: archiveUrl, reason: 'disallowed', rule: 'Disallow: /*/archive' }
+  );
+  scraper.skipDisallowedPages();
+
+  const { entries } = scraper.failures.getReport();
+  assert.deepEqual(entries.map(({ url, outcome, errorClass, type, page }) => ({ url, outcome, errorClass, type, page })), [
+    { url: tagUrl, outcome: 'failed', errorClass: 'BlockedError', type: 'tag', page: viewUrl },
+    { url: archiveUrl, outcome: 'skipped', errorClass: 'RobotsDisallowedError', type: 'page', page: undefined }
+  ]);
+  assert.equal(entries[1].rule, 'Disallow: /*/archive');
+});
+
+test('exportData writes the failures report next to the export', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'failure-report-'));
+  const { report } = createReport();
+  report.start(ARTICLE_URL);
+  report.fail(ARTICLE_URL, new NavigationTimeoutError(ARTICLE_URL), { type: 'article', source: SOURCE });
+
+  try {
+    const data = { author: { name: 'Jane Doe' }, authors: [], articles: [], failures: report.getReport() };
+
+    const json = await exportData(data, 'json', dir);
+    assert.equal(json.failuresFile, json.filepath.replace(/\.json$/, '.failures.json'));
+    const written = await fs.readJson(json.failuresFile);
+    assert.equal(written.failed, 1);
+    assert.equal(written.entries[0].errorClass, 'NavigationTimeoutError');
+
+    const markdown = await exportData(data, 'markdown', dir);
+    assert.equal(markdown.failuresFile, path.join(markdown.filepath, 'failures.json'));
+    assert.ok(await fs.pathExists(markdown.failuresFile));
+  } finally {
+    await fs.remove(dir);
+  }
+});
@@ -0,0 +1,59 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { JSDOM, VirtualConsole } from 'jsdom';
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures');
+
+/**
+ * Load a saved HTML snapshot into a Playwright-like page backed by jsdom, so the
+ * extractors run their page.evaluate() callbacks against it with no browser and
+ * no network. Inline scripts are not executed, which leaves the Apollo state to
+ * be parsed from page.content() as it is for a page whose client never booted.
+ *
+ * This is a stand-in, not Chromium: only the page methods the extractors call
+ * exist, there is no layout (no innerText, sizes or visibility) and selectors
+ * run on jsdom's engine. Extractor code that behaves differently in a real
+ * browser can pass here; the live test (npm run test:live) is what covers it.
+ * @param {string} name - Fixture file name under test/fixtures
+ * @param {string} url - URL the page pretends to be served from
+ * @returns {Promise<Object>} - Page with the subset of the Playwright API the scrapers use
+ */
+export async function loadFixturePage(name, url) {
+  const html = await fs.readFile(path.join(FIXTURES_DIR, name), 'utf8');
+  const dom = new JSDOM(html, {
+    url,
+    runScripts: 'outside-only',
+    pretendToBeVisual: true,
+    // jsdom reports unimplemented APIs (scrollTo) on the virtual console
+    virtualConsole: new VirtualConsole()
+  });
+  const { window } = dom;
+  let closed = false;
+
+  // Arguments and results cross the page boundary as JSON, as with Playwright
+  const serialize = value => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+  return {
+    url: () => window.location.href,
+    content: async () => dom.serialize(),
+    isClosed: () => closed,
+    evaluate: async (fn, arg) => serialize(await window.eval(`(${fn.toString()})`)(serialize(arg))),
+    waitForSelector: async (selector) => {
+      const element = window.document.querySelector(selector);
+      if (!element) {
+        throw new Error(`Timeout waiting for selector ${selector}`);
+      }
+      return element;
+    },
+    waitForTimeout: async () => {},
+    waitForLoadState: async () => {},
+    mouse: { move: async () => {} },
+    close: async () => {
+      closed = true;
+      window.close();
+    }
+  };
+}
+
+export default loadFixturePage;
@@ -0,0 +1,9 @@
+import os from 'os';
+import path from 'path';
+
+// Imported before any module under src/: the logger reads LOG_LEVEL when it is
+// first loaded, and records and run logs written by tests must not land in the
+// project's storage
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+process.env.CRAWLEE_STORAGE_DIR = process.env.CRAWLEE_STORAGE_DIR ||
+  path.join(os.tmpdir(), `medium-scraper-test-${process.pid}`);
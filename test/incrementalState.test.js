@@ -0,0 +1,92 @@
+import './helpers/setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import { loadFixturePage } from './helpers/fixturePage.js';
+import { AuthorScraper } from '../src/scrapers/AuthorScraper.js';
+import { PublicationScraper } from '../src/scrapers/PublicationScraper.js';
+import { HttpScraper } from '../src/scrapers/HttpScraper.js';
+import { IncrementalState } from '../src/utils/incrementalState.js';
+
+const AUTHOR_URL = 'https://medium.com/@janedoe';
+const PUBLICATION_URL = 'https://medium.com/better-systems';
+
+// State of an earlier run that scraped 1111aaaa2222 and 3333bbbb4444, the latter before an edit
+function createState() {
+  const state = new IncrementalState({ file: 'unused.json' });
+  state.posts = {
+    '1111aaaa2222': {
+      postId: '1111aaaa2222',
+      url: 'https://medium.com/@janedoe/designing-idempotent-apis-1111aaaa2222',
+      latestPublishedAt: '2024-03-04T09:00:00.000Z',
+      contentHash: 'hash',
+      lastScrapedAt: '2024-04-01T00:00:00.000Z'
+    },
+    '3333bbbb4444': {
+      postId: '3333bbbb4444',
+      url: 'https://medium.com/@janedoe/the-outbox-pattern-in-practice-3333bbbb4444',
+      latestPublishedAt: '2024-01-01T00:00:00.000Z',
+      contentHash: 'hash',
+      lastScrapedAt: '2024-04-01T00:00:00.000Z'
+    }
+  };
+  return state;
+}
+
+const postIds = articles => articles.map(article => article.postId || article.url.match(/-([0-9a-f]{12})(?:\?|$)/)[1]);
+
+test('Apollo listings skip known posts whose edit date did not change', async () => {
+  const scraper = new AuthorScraper(await loadFixturePage('author.html', AUTHOR_URL));
+  const source = { type: 'author', url: AUTHOR_URL };
+
+  for (const articles of [await scraper.extractArticlesFromApollo(), await scraper.extractStoryLinks()]) {
+    const state = createState();
+    assert.deepEqual(postIds(state.filterListing(articles, source)), ['3333bbbb4444', '5555cccc6666']);
+    assert.deepEqual(state.skipped.map(article => article.postId), ['1111aaaa2222']);
+  }
+});
+
+test('listings without an edit date skip known posts on their post id', async () => {
+  const scraper = new PublicationScraper(await loadFixturePage('publication.html', PUBLICATION_URL));
+  const source = { type: 'publication', url: PUBLICATION_URL };
+
+  for (const articles of [await scraper.extractArticlesFromCurrentView(), await scraper.extractStoryLinks()]) {
+    assert.ok(articles.every(article => !article.latestPublishedAt));
+
+    const state = createState();
+    assert.deepEqual(postIds(state.filterListing(articles, source)), ['9999eeee0000']);
+    assert.deepEqual(state.skipped.map(article => article.postId), ['1111aaaa2222']);
+    assert.equal(state.getSummary().counts['unchanged-skipped'], 1);
+  }
+});
+
+test('known posts of a listing without dates are checked for edits over HTTP', async () => {
+  const scraper = new PublicationScraper(await loadFixturePage('publication.html', PUBLICATION_URL));
+  const articles = await scraper.extractArticlesFromCurrentView();
+  const source = { type: 'publication', url: PUBLICATION_URL };
+
+  // The story page's state has the stored edit date
+  const html = await fs.readFile(new URL('./fixtures/article-free.html', import.meta.url), 'utf8');
+  const httpScraper = new HttpScraper();
+  const requested = [];
+  httpScraper.request = async (url) => {
+    requested.push(url);
+    return { status: 200, headers: {}, data: html, finalUrl: url };
+  };
+
+  let state = createState();
+  const completed = await state.completeListingDates(articles, url => httpScraper.fetchLatestPublishedAt(url));
+  assert.deepEqual(requested, [articles[0].url]);
+  assert.equal(completed[0].latestPublishedAt, '2024-03-04T09:00:00.000Z');
+  assert.deepEqual(postIds(state.filterListing(completed, source)), ['9999eeee0000']);
+
+  // An edited post is scraped again
+  state = createState();
+  const edited = await state.completeListingDates(articles, async () => '2024-05-01T08:00:00.000Z');
+  assert.deepEqual(postIds(state.filterListing(edited, source)), ['1111aaaa2222', '9999eeee0000']);
+
+  // A date that cannot be read leaves the post id check
+  state = createState();
+  const unread = await state.completeListingDates(articles, async () => null);
+  assert.deepEqual(postIds(state.filterListing(unread, source)), ['9999eeee0000']);
+});
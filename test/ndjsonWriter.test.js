@@ -0,0 +1,73 @@
+import './helpers/setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import fs from 'fs-extra';
+import { NdjsonWriter } from '../src/utils/ndjsonWriter.js';
+
+const article = index => ({ url: `https://medium.com/@janedoe/story-${index}`, title: `Story ${index}` });
+
+async function readPart(dir, filename) {
+  const content = await fs.readFile(path.join(dir, filename));
+  // gunzipSync without options throws on a part that lacks its trailer
+  const text = filename.endsWith('.gz') ? zlib.gunzipSync(content).toString('utf8') : content.toString('utf8');
+  return text.trim().split('\n').filter(Boolean).map(line => JSON.parse(line).title);
+}
+
+test('a resumed gzip run keeps the records of its checkpoint and drops the later ones', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ndjson-writer-'));
+
+  try {
+    const writer = new NdjsonWriter({ outputDir: dir, baseName: 'articles', gzip: true });
+    for (let index = 1; index <= 3; index++) {
+      await writer.write(article(index));
+    }
+    await writer.flush();
+    // What the checkpoint saves; the run then writes on and crashes without closing the part
+    const checkpoint = { baseName: writer.baseName, parts: writer.getSummary().parts, records: 3 };
+    await writer.write(article(4));
+    await writer.flush();
+
+    const resumed = new NdjsonWriter({ outputDir: dir, baseName: checkpoint.baseName, gzip: true, parts: checkpoint.parts });
+    assert.deepEqual(await resumed.recover(checkpoint.records), { records: 3, dropped: 1, missing: 0 });
+
+    // Story 4 is scraped again and lands once, in a new part
+    await resumed.write(article(4));
+    const summary = await resumed.close();
+
+    assert.equal(summary.totalRecords, 4);
+    assert.deepEqual(summary.parts.map(part => [part.filename, part.records]), [
+      ['articles.part-0001.ndjson.gz', 3],
+      ['articles.part-0002.ndjson.gz', 1]
+    ]);
+    assert.deepEqual(await readPart(dir, 'articles.part-0001.ndjson.gz'), ['Story 1', 'Story 2', 'Story 3']);
+    assert.deepEqual(await readPart(dir, 'articles.part-0002.ndjson.gz'), ['Story 4']);
+  } finally {
+    await fs.remove(dir);
+  }
+});
+
+test('recovery drops a cut-off line and the parts opened after the checkpoint', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ndjson-writer-'));
+
+  try {
+    const first = `${JSON.stringify(article(1))}\n${JSON.stringify(article(2))}\n{"url":"https://medium.com/@jane`;
+    await fs.writeFile(path.join(dir, 'articles.part-0001.ndjson'), first);
+    await fs.writeFile(path.join(dir, 'articles.part-0002.ndjson'), `${JSON.stringify(article(3))}\n`);
+
+    const writer = new NdjsonWriter({
+      outputDir: dir,
+      baseName: 'articles',
+      parts: [{ filename: 'articles.part-0001.ndjson', records: 2, bytes: 0 }]
+    });
+
+    assert.deepEqual(await writer.recover(2), { records: 2, dropped: 0, missing: 0 });
+    assert.deepEqual(await readPart(dir, 'articles.part-0001.ndjson'), ['Story 1', 'Story 2']);
+    assert.equal(await fs.pathExists(path.join(dir, 'articles.part-0002.ndjson')), false);
+    assert.equal(writer.getSummary().totalRecords, 2);
+  } finally {
+    await fs.remove(dir);
+  }
+});
@@ -0,0 +1,138 @@
+import './helpers/setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { EventEmitter } from 'events';
+import { createRequire } from 'module';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { PageArchive } from '../src/utils/pageArchive.js';
+import { HttpScraper } from '../src/scrapers/HttpScraper.js';
+
+const FIXTURE = path.join(path.dirname(new URL(import.meta.url).pathname), 'fixtures', 'article-free.html');
+
+test('an article fetched over HTTP is recorded and replayed without the server', async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'page-archive-'));
+  t.after(() => fs.remove(dir));
+
+  const html = await fs.readFile(FIXTURE, 'utf8');
+  const server = http.createServer((req, res) => {
+    // The short link redirects to the story, as medium.com/p/<id> links do
+    if (req.url === '/p/1111aaaa2222') {
+      res.writeHead(301, { location: '/@janedoe/designing-idempotent-apis-1111aaaa2222' });
+      res.end();
+      return;
+    }
+    res.writeHead(200, { 'content-type': 'text/html; charset=utf-8' });
+    res.end(html);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}/p/1111aaaa2222`;
+  const input = { includeContent: true, includePublication: true };
+
+  const recorder = new PageArchive(dir, 'record');
+  await recorder.open();
+  const recorded = await new HttpScraper(input, { archive: recorder }).scrapeArticle(url);
+  await new Promise(resolve => server.close(resolve));
+
+  const index = await fs.readJson(path.join(dir, 'index.json'));
+  assert.deepEqual(Object.keys(index.pages), [url]);
+  assert.equal(index.pages[url].responses, 2);
+  assert.equal(await fs.readFile(path.join(dir, index.pages[url].html), 'utf8'), html);
+
+  const replayer = new PageArchive(dir, 'replay');
+  await replayer.open();
+  const replayed = await new HttpScraper(input, { archive: replayer }).scrapeArticle(url);
+
+  const { scrapedAt: recordedAt, ...recordedFields } = recorded;
+  const { scrapedAt: replayedAt, ...replayedFields } = replayed;
+  assert.deepEqual(replayedFields, recordedFields);
+  assert.equal(replayed.url, url.replace('/p/1111aaaa2222', '/@janedoe/designing-idempotent-apis-1111aaaa2222'));
+  assert.deepEqual(replayer.getSummary(), { mode: 'replay', dir, pages: 1, recorded: 0, replayed: 1, missing: 0 });
+
+  await assert.rejects(
+    new HttpScraper(input, { archive: replayer }).scrapeArticle(`${url}-missing`),
+    /Not in the page archive/
+  );
+});
+
+// Playwright's own HAR matcher, the one page.routeFromHAR() replays with; not a public export
+async function loadHarBackend() {
+  const require = createRequire(import.meta.url);
+  const harBackend = path.join(path.dirname(require.resolve('playwright-core/package.json')), 'lib', 'server', 'harBackend.js');
+  return (await fs.pathExists(harBackend)) ? require(harBackend).HarBackend : null;
+}
+
+// Response event of a Playwright page, as startRecording() receives it
+function createResponse({ method = 'GET', url, postData = null, status = 200, headers = {}, body = '' }) {
+  const request = {
+    method: () => method,
+    url: () => url,
+    postData: () => postData,
+    headers: () => (postData ? { 'content-type': 'application/json' } : {}),
+    allHeaders: async () => (postData ? { 'content-type': 'application/json' } : {})
+  };
+  return {
+    request: () => request,
+    body: async () => Buffer.from(body),
+    status: () => status,
+    statusText: () => '',
+    allHeaders: async () => headers
+  };
+}
+
+test('a browser page is recorded to a HAR its replay routes requests from', async (t) => {
+  const HarBackend = await loadHarBackend();
+  if (!HarBackend) {
+    t.skip('playwright-core has no HAR backend at the expected path');
+    return;
+  }
+
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'page-archive-'));
+  t.after(() => fs.remove(dir));
+
+  const html = await fs.readFile(FIXTURE, 'utf8');
+  const shortUrl = 'https://medium.com/p/1111aaaa2222';
+  const storyUrl = 'https://medium.com/@janedoe/designing-idempotent-apis-1111aaaa2222';
+  const graphqlUrl = 'https://medium.com/_/graphql';
+  const query = JSON.stringify({ operationName: 'PostViewerEdgeContent', variables: { postId: '1111aaaa2222' } });
+
+  const recorder = new PageArchive(dir, 'record');
+  await recorder.open();
+  const page = Object.assign(new EventEmitter(), {
+    content: async () => html,
+    screenshot: async () => {},
+    url: () => storyUrl
+  });
+  recorder.startRecording(page);
+  page.emit('response', createResponse({ url: shortUrl, status: 301, headers: { location: storyUrl } }));
+  page.emit('response', createResponse({ url: storyUrl, headers: { 'content-type': 'text/html', 'content-encoding': 'gzip' }, body: html }));
+  page.emit('response', createResponse({ method: 'POST', url: graphqlUrl, postData: query, headers: { 'content-type': 'application/json' }, body: '{"data":{}}' }));
+  await recorder.savePage(shortUrl, page);
+
+  // Replays hand the page's HAR to Playwright and abort what it does not hold
+  const replayer = new PageArchive(dir, 'replay');
+  await replayer.open();
+  const routed = [];
+  await replayer.routePage({ routeFromHAR: async (...args) => { routed.push(args); } }, shortUrl);
+  const harFile = path.join(dir, replayer.getEntry(shortUrl).har);
+  assert.deepEqual(routed, [[harFile, { notFound: 'abort' }]]);
+  await assert.rejects(replayer.routePage({ routeFromHAR: async () => {} }, `${shortUrl}-missing`), { name: 'NotFoundError' });
+
+  const backend = new HarBackend(await fs.readJson(harFile), dir);
+  const lookup = (url, method = 'GET', postData) => backend.lookup(url, method, [], postData ? Buffer.from(postData) : undefined, method === 'GET');
+
+  // The short link navigation is restarted on the story, which is served from the archive
+  assert.deepEqual(await lookup(shortUrl), { action: 'redirect', redirectURL: storyUrl });
+  const story = await lookup(storyUrl);
+  assert.equal(story.action, 'fulfill');
+  assert.equal(story.status, 200);
+  assert.equal(story.body.toString(), html);
+  assert.equal(story.headers.some(header => header.name === 'content-encoding'), false);
+
+  // API calls match on their body too
+  assert.equal((await lookup(graphqlUrl, 'POST', query)).body.toString(), '{"data":{}}');
+  assert.deepEqual(await lookup(graphqlUrl, 'POST', '{"operationName":"Other"}'), { action: 'noentry' });
+  assert.deepEqual(await lookup('https://cdn-client.medium.com/app.js'), { action: 'noentry' });
+});
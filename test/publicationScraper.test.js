@@ -0,0 +1,44 @@
+import './helpers/setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadFixturePage } from './helpers/fixturePage.js';
+import { PublicationScraper } from '../src/scrapers/PublicationScraper.js';
+
+const PUBLICATION_URL = 'https://medium.com/better-systems';
+
+test('extractMasthead reads the root collection', async () => {
+  const scraper = new PublicationScraper(await loadFixturePage('publication.html', PUBLICATION_URL));
+
+  assert.deepEqual(await scraper.extractMasthead(), {
+    publicationId: 'c0ffee123456',
+    name: 'Better Systems',
+    description: 'Notes on building software that stays up.',
+    logo: 'https://miro.medium.com/v2/1*betterLogo.png',
+    followers: 48210,
+    url: PUBLICATION_URL
+  });
+});
+
+test('extractArticlesFromCurrentView reads publication story cards', async () => {
+  const scraper = new PublicationScraper(await loadFixturePage('publication.html', PUBLICATION_URL));
+  const articles = await scraper.extractArticlesFromCurrentView();
+
+  assert.deepEqual(articles.map(({ title, subtitle, url, date, readTime, index }) => ({ title, subtitle, url, date, readTime, index })), [
+    {
+      title: 'Designing Idempotent APIs',
+      subtitle: 'Retries are inevitable, duplicate side effects are not.',
+      url: 'https://medium.com/better-systems/designing-idempotent-apis-1111aaaa2222?source=collection_home',
+      date: 'Mar 3, 2024',
+      readTime: '6 min read',
+      index: 0
+    },
+    {
+      title: 'Sagas Without Tears',
+      subtitle: 'Compensating actions you can reason about.',
+      url: 'https://medium.com/better-systems/sagas-without-tears-9999eeee0000?source=collection_home',
+      date: 'Jan 15, 2024',
+      readTime: '7 min read',
+      index: 1
+    }
+  ]);
+});
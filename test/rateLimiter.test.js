@@ -0,0 +1,145 @@
+import './helpers/setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import { RateLimiter, parseRetryAfter } from '../src/utils/rateLimiter.js';
+import { MEDIUM_CONSTANTS } from '../src/config/constants.js';
+import { BlockedError, shouldRetry } from '../src/utils/scrapeErrors.js';
+import { TagScraper } from '../src/scrapers/TagScraper.js';
+import { HttpScraper } from '../src/scrapers/HttpScraper.js';
+import { loadFixturePage } from './helpers/fixturePage.js';
+
+// Clock that only moves when the limiter sleeps
+function createLimiter(options = {}) {
+  const clock = { now: 1_700_000_000_000 };
+  const limiter = new RateLimiter({
+    now: () => clock.now,
+    sleep: async (ms) => { clock.now += ms; },
+    ...options
+  });
+  return { limiter, clock };
+}
+
+test('tokens are handed out at requestsPerSecond', async () => {
+  const { limiter } = createLimiter({ requestsPerSecond: 2 });
+
+  const waits = [];
+  for (let i = 0; i < 4; i++) {
+    waits.push(await limiter.acquire('navigation'));
+  }
+
+  assert.deepEqual(waits, [0, 500, 500, 500]);
+  assert.deepEqual(limiter.getStats().requests, { navigation: 4 });
+  assert.equal(limiter.getStats().waitMs, 1500);
+});
+
+test('a 429 halves the rate and pauses for Retry-After', async () => {
+  const { limiter, clock } = createLimiter({ requestsPerSecond: 2 });
+  await limiter.acquire('http');
+
+  assert.equal(limiter.record({ status: 429, headers: { 'retry-after': '12' }, url: 'https://medium.com/@janedoe', kind: 'http' }), true);
+  const waited = await limiter.acquire('http');
+
+  // The pause, then a full token at the lowered rate of 1/s
+  assert.equal(waited, 13000);
+  assert.deepEqual(limiter.getStats().throttleEvents, [{
+    at: new Date(clock.now - 13000).toISOString(),
+    kind: 'http',
+    url: 'https://medium.com/@janedoe',
+    status: 429,
+    retryAfterMs: 12000,
+    pauseMs: 12000,
+    rate: 1
+  }]);
+  assert.equal(limiter.getStats().currentRate, 1);
+});
+
+test('repeated throttling without Retry-After doubles the pause down to the minimum rate', () => {
+  const { limiter } = createLimiter({ requestsPerSecond: 1, minRate: 0.2 });
+
+  [503, 503, 503, 503].forEach(status => limiter.record({ status }));
+
+  assert.deepEqual(limiter.getStats().throttleEvents.map(event => [event.pauseMs, event.rate]), [
+    [MEDIUM_CONSTANTS.RATE_LIMIT_DEFAULT_PAUSE, 0.5],
+    [MEDIUM_CONSTANTS.RATE_LIMIT_DEFAULT_PAUSE * 2, 0.25],
+    [MEDIUM_CONSTANTS.RATE_LIMIT_DEFAULT_PAUSE * 4, 0.2],
+    [MEDIUM_CONSTANTS.RATE_LIMIT_DEFAULT_PAUSE * 8, 0.2]
+  ]);
+});
+
+test('sustained success raises the rate back to requestsPerSecond', () => {
+  const { limiter } = createLimiter({ requestsPerSecond: 2 });
+  limiter.record({ status: 429 });
+  assert.equal(limiter.getStats().currentRate, 1);
+
+  const streak = MEDIUM_CONSTANTS.RATE_LIMIT_RECOVERY_SUCCESSES;
+  for (let i = 0; i < streak - 1; i++) limiter.record({ status: 200 });
+  assert.equal(limiter.getStats().currentRate, 1);
+
+  limiter.record({ status: 200 });
+  assert.equal(limiter.getStats().currentRate, 1.2);
+
+  for (let i = 0; i < streak * 10; i++) limiter.record({ status: 200 });
+  assert.equal(limiter.getStats().currentRate, 2);
+  assert.equal(limiter.getStats().recoveries, 5);
+});
+
+test('a disabled limiter counts requests without waiting', async () => {
+  const { limiter, clock } = createLimiter({ requestsPerSecond: 1, enabled: false });
+  const start = clock.now;
+
+  await limiter.acquire();
+  await limiter.acquire();
+  limiter.record({ status: 429 });
+
+  assert.equal(clock.now, start);
+  assert.equal(limiter.getStats().throttles, 0);
+  assert.deepEqual(limiter.getStats().requests, { navigation: 2 });
+});
+
+test('a 429 on a tag feed view is raised to the crawler instead of ending the view', async () => {
+  const { limiter } = createLimiter({ requestsPerSecond: 2 });
+  const page = await loadFixturePage('author.html', 'https://medium.com/tag/javascript');
+  const visited = [];
+  page.goto = async (url) => {
+    visited.push(url);
+    return { status: () => 429, headers: () => ({ 'retry-after': '30' }) };
+  };
+
+  const scraper = new TagScraper(page, {}, 'javascript', { rateLimiter: limiter });
+  const error = await scraper.scrapeView('latest', []).catch(caught => caught);
+
+  assert.deepEqual(visited, ['https://medium.com/tag/javascript/latest']);
+  assert.ok(error instanceof BlockedError);
+  assert.equal(error.statusCode, 429);
+  // The crawler's errorHandler keeps retrying it
+  assert.equal(shouldRetry(error, 3), true);
+});
+
+test('a 429 on an author About page fetched over HTTP is raised to the crawler', async () => {
+  const html = await fs.readFile(new URL('./fixtures/author.html', import.meta.url), 'utf8');
+  const scraper = new HttpScraper({ maxPosts: 3, includeAuthorAbout: true });
+  const requested = [];
+  scraper.request = async (url) => {
+    requested.push(url);
+    return url.endsWith('/about')
+      ? { status: 429, headers: { 'retry-after': '30' }, data: '', finalUrl: url }
+      : { status: 200, headers: {}, data: html, finalUrl: url };
+  };
+
+  const error = await scraper.scrapeAuthor('https://medium.com/@janedoe').catch(caught => caught);
+
+  assert.deepEqual(requested, ['https://medium.com/@janedoe', 'https://medium.com/@janedoe/about']);
+  assert.ok(error instanceof BlockedError);
+  assert.equal(error.statusCode, 429);
+  assert.equal(shouldRetry(error, 3), true);
+});
+
+test('parseRetryAfter reads seconds and HTTP dates', () => {
+  const now = Date.parse('2024-03-05T10:00:00Z');
+
+  assert.equal(parseRetryAfter('120', now), 120000);
+  assert.equal(parseRetryAfter('Tue, 05 Mar 2024 10:01:30 GMT', now), 90000);
+  assert.equal(parseRetryAfter('soon', now), null);
+  assert.equal(parseRetryAfter(undefined, now), null);
+});
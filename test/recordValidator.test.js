@@ -0,0 +1,68 @@
+import './helpers/setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import { loadFixturePage } from './helpers/fixturePage.js';
+import { validateRecord, RECORD_SCHEMA } from '../src/utils/recordValidator.js';
+import { ArticleScraper } from '../src/scrapers/ArticleScraper.js';
+
+const FREE_URL = 'https://medium.com/@janedoe/designing-idempotent-apis-1111aaaa2222';
+
+test('an article read from the Apollo post matches the schema as is', async () => {
+  const scraper = new ArticleScraper(await loadFixturePage('article-free.html', FREE_URL));
+  const info = await scraper.extractArticleInfo();
+  const { record, issues, coerced } = validateRecord('article', { ...info, scrapedAt: '2024-05-01T10:00:00.000Z' });
+
+  assert.deepEqual(issues, []);
+  assert.deepEqual(coerced, []);
+  assert.equal(record.readTime, 6);
+  assert.equal(record.date, '2024-03-03T09:00:00.000Z');
+  assert.equal(record.content, null);
+  assert.equal(record.comments, null);
+});
+
+test('DOM-shaped values are coerced and what cannot be is reported', () => {
+  const { record, issues, coerced } = validateRecord('article', {
+    title: 'Designing Idempotent APIs',
+    url: FREE_URL,
+    date: 'Mar 3, 2024',
+    readTime: '6 min read',
+    claps: '1.2K',
+    responses: null,
+    tags: ['API Design'],
+    isPremium: 'false',
+    publication: { name: 'Better Systems' },
+    comments: [{ author: 'Sam', text: 'Great read', date: 'yesterday-ish', claps: '3' }],
+    scrapedAt: '2024-05-01T10:00:00.000Z'
+  });
+
+  assert.equal(record.date, new Date('Mar 3, 2024').toISOString());
+  assert.equal(record.readTime, 6);
+  assert.equal(record.claps, 1200);
+  assert.equal(record.responses, 0);
+  assert.equal(record.isPremium, false);
+  assert.equal(record.subtitle, '');
+  assert.deepEqual(record.comments, [
+    { postId: null, parentId: null, depth: 1, author: 'Sam', authorUrl: '', text: 'Great read', date: null, claps: 3 }
+  ]);
+  assert.deepEqual(coerced, ['date', 'readTime', 'claps', 'isPremium', 'comments[0].claps']);
+  assert.deepEqual(issues, [
+    { path: 'publication.url', expected: 'string (required)', value: null },
+    { path: 'comments[0].date', expected: 'date-time string or null', value: 'yesterday-ish' }
+  ]);
+});
+
+test('dates printed without a year fall in the last twelve months', () => {
+  const { record } = validateRecord('comment', { text: 'Nice', date: 'Jan 1' });
+  const date = Date.parse(record.date);
+
+  assert.ok(date <= Date.now());
+  assert.ok(date > Date.now() - 366 * 24 * 60 * 60 * 1000);
+});
+
+test('the dataset schema publishes the record schema definitions', async () => {
+  const datasetSchema = await fs.readJson(new URL('../.actor/dataset_schema.json', import.meta.url));
+
+  assert.deepEqual(datasetSchema.fields.definitions, RECORD_SCHEMA.definitions,
+    '.actor/dataset_schema.json is out of date, run npm run schema:sync');
+});
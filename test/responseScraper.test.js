@@ -0,0 +1,148 @@
+import './helpers/setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadFixturePage } from './helpers/fixturePage.js';
+import { ResponseScraper, getResponsesUrl } from '../src/scrapers/ResponseScraper.js';
+import { RateLimiter } from '../src/utils/rateLimiter.js';
+import { BlockedError } from '../src/utils/scrapeErrors.js';
+
+const STORY_URL = 'https://medium.com/@janedoe/designing-idempotent-apis-1111aaaa2222';
+const STORY = { postId: '1111aaaa2222', url: STORY_URL };
+
+async function openResponses(fixture, input = {}) {
+  return new ResponseScraper(await loadFixturePage(fixture, STORY_URL), input, STORY);
+}
+
+test('extractResponses threads the Apollo responses breadth first', async () => {
+  const scraper = await openResponses('responses.html', { maxResponseDepth: 3 });
+
+  assert.deepEqual(await scraper.extractResponses(), [
+    {
+      postId: 'aa11bb22cc33',
+      parentId: '1111aaaa2222',
+      depth: 1,
+      author: 'Sam Lee',
+      authorUrl: 'https://medium.com/@samlee',
+      text: 'Great point about retries.\nHow long do you keep the keys?',
+      claps: 12,
+      date: '2024-03-05T08:00:00.000Z'
+    },
+    {
+      postId: '9e8d7c6b5a40',
+      parentId: '1111aaaa2222',
+      depth: 1,
+      author: 'Lee Park',
+      authorUrl: 'https://medium.com/@leepark',
+      text: 'We used the outbox pattern for this.',
+      claps: 3,
+      date: '2024-03-06T08:00:00.000Z'
+    },
+    {
+      postId: 'dd44ee55ff66',
+      parentId: 'aa11bb22cc33',
+      depth: 2,
+      author: 'Jane Doe',
+      authorUrl: 'https://medium.com/@janedoe',
+      text: 'Twenty-four hours, then they expire.',
+      claps: 5,
+      date: '2024-03-05T12:00:00.000Z'
+    },
+    {
+      postId: '0a1b2c3d4e5f',
+      parentId: 'dd44ee55ff66',
+      depth: 3,
+      author: 'Sam Lee',
+      authorUrl: 'https://medium.com/@samlee',
+      text: 'Makes sense, thanks.',
+      claps: 0,
+      date: '2024-03-05T14:46:40.000Z'
+    }
+  ]);
+  assert.equal(scraper.fieldSources[0].sources.text, 'apollo:Post');
+});
+
+test('replies below maxResponseDepth are left out', async () => {
+  const scraper = await openResponses('responses.html');
+  const responses = await scraper.extractResponses();
+
+  assert.deepEqual(responses.map(response => [response.postId, response.depth]), [
+    ['aa11bb22cc33', 1],
+    ['9e8d7c6b5a40', 1],
+    ['dd44ee55ff66', 2]
+  ]);
+});
+
+test('extractResponsesFromDom reads nested response cards', async () => {
+  const scraper = await openResponses('responses-dom.html', { maxResponseDepth: 3 });
+
+  assert.deepEqual(await scraper.extractResponsesFromDom(), [
+    {
+      postId: 'aa11bb22cc33',
+      parentId: '1111aaaa2222',
+      depth: 1,
+      author: 'Sam Lee',
+      authorUrl: 'https://medium.com/@samlee',
+      text: 'Great point about retries.',
+      claps: 1200,
+      date: 'Mar 5, 2024'
+    },
+    {
+      postId: 'dd44ee55ff66',
+      parentId: 'aa11bb22cc33',
+      depth: 2,
+      author: 'Jane Doe',
+      authorUrl: 'https://medium.com/@janedoe',
+      text: 'Twenty-four hours, then they expire.',
+      claps: 5,
+      date: 'Mar 5, 2024'
+    },
+    {
+      postId: '0a1b2c3d4e5f',
+      parentId: 'dd44ee55ff66',
+      depth: 3,
+      author: 'Sam Lee',
+      authorUrl: 'https://medium.com/@samlee',
+      text: 'Makes sense, thanks.',
+      claps: 0,
+      date: 'Mar 5, 2024'
+    },
+    {
+      postId: '9e8d7c6b5a40',
+      parentId: '1111aaaa2222',
+      depth: 1,
+      author: 'Lee Park',
+      authorUrl: 'https://medium.com/@leepark',
+      text: 'We used the outbox pattern for this.',
+      claps: 3,
+      date: 'Mar 6, 2024'
+    }
+  ]);
+  assert.equal(scraper.fieldSources[0].sources.claps, 'dom:div[data-testid="clapCount"]');
+});
+
+test('scrapeResponses stops at maxResponses and numbers the responses', async () => {
+  const scraper = await openResponses('responses-dom.html', { maxResponses: 2 });
+  const responses = await scraper.scrapeResponses();
+
+  assert.deepEqual(responses.map(response => [response.postId, response.index]), [
+    ['aa11bb22cc33', 0],
+    ['dd44ee55ff66', 1]
+  ]);
+});
+
+test('unreadable responses are null, and a throttled /responses page fails the article', async () => {
+  // The story has no responses panel button, so the scraper opens /responses
+  const page = await loadFixturePage('article-free.html', STORY_URL);
+  page.goto = async () => { throw new Error('net::ERR_CONNECTION_RESET'); };
+  assert.equal(await new ResponseScraper(page, {}, STORY).scrapeResponses(), null);
+
+  page.goto = async () => ({ status: () => 429, headers: () => ({}) });
+  const rateLimiter = new RateLimiter({ sleep: async () => {} });
+  const scraper = new ResponseScraper(page, {}, STORY, { rateLimiter });
+  await assert.rejects(scraper.scrapeResponses(), error => error instanceof BlockedError && error.statusCode === 429);
+});
+
+test('getResponsesUrl prefers the post id', () => {
+  assert.equal(getResponsesUrl(STORY_URL, '1111aaaa2222'), 'https://medium.com/p/1111aaaa2222/responses/show');
+  assert.equal(getResponsesUrl(`${STORY_URL}/`), `${STORY_URL}/responses`);
+});
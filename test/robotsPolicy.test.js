@@ -0,0 +1,143 @@
+import './helpers/setup.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import fs from 'fs-extra';
+import { RobotsPolicy, parseRobotsTxt, selectGroup, matchRule } from '../src/utils/robotsPolicy.js';
+import { RobotsDisallowedError } from '../src/utils/scrapeErrors.js';
+import { RateLimiter } from '../src/utils/rateLimiter.js';
+import { MEDIUM_CONSTANTS } from '../src/config/constants.js';
+
+const ROBOTS_TXT = fs.readFileSync(new URL('./fixtures/robots.txt', import.meta.url), 'utf8');
+
+// Serves the fixture as /robots.txt, or fails with robotsStatus
+let server;
+let origin;
+let robotsStatus = 200;
+const hits = [];
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    hits.push(req.url);
+    if (req.url === '/robots.txt' && robotsStatus === 200) {
+      res.writeHead(200, { 'Content-Type': 'text/plain' });
+      res.end(ROBOTS_TXT);
+      return;
+    }
+    res.writeHead(req.url === '/robots.txt' ? robotsStatus : 404);
+    res.end();
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  origin = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+test('the scraper token selects its own group, other agents the * group', () => {
+  const groups = parseRobotsTxt(ROBOTS_TXT);
+
+  assert.deepEqual(groups.map(group => group.agents), [['*'], ['medium-scraper', 'otherbot']]);
+  assert.equal(selectGroup(groups).crawlDelay, 4);
+  assert.equal(selectGroup(groups, 'somebot').crawlDelay, 2);
+  assert.equal(selectGroup(groups, 'somebot').rules.length, 7);
+});
+
+test('the longest matching rule wins, Allow on ties', () => {
+  const { rules } = selectGroup(parseRobotsTxt(ROBOTS_TXT), 'somebot');
+  const decide = path => matchRule(rules, path)?.allow ?? true;
+
+  assert.equal(decide('/@janedoe/designing-idempotent-apis-1111aaaa2222'), true);
+  assert.equal(decide('/p/1111aaaa2222/responses/show'), false);
+  assert.equal(decide('/@janedoe/draft/edit'), false);
+  assert.equal(decide('/@janedoe/draft/edit/more'), true);
+  assert.equal(decide('/_/api/users/42/meta'), true);
+  assert.equal(decide('/_/graphql'), false);
+  assert.deepEqual(matchRule([{ allow: false, path: '/a' }, { allow: true, path: '/a' }], '/a/b'), { allow: true, path: '/a' });
+});
+
+test('robots.txt is fetched once per host and its Crawl-delay caps the rate limiter', async () => {
+  hits.length = 0;
+  const rateLimiter = new RateLimiter({ requestsPerSecond: 2 });
+  const policy = new RobotsPolicy({ rateLimiter });
+
+  assert.equal(await policy.isAllowed(`${origin}/@janedoe`), true);
+  assert.equal(await policy.isAllowed(`${origin}/tag/private-notes`, { source: { type: 'tag', url: null } }), false);
+  assert.equal(await policy.isAllowed(`${origin}/tag/private-but-public`), true);
+  assert.equal(await policy.isAllowed(`${origin}/@janedoe/story-1111aaaa2222?source=rss`), false);
+  await assert.rejects(policy.assertAllowed(`${origin}/tag/private-notes`), RobotsDisallowedError);
+
+  assert.deepEqual(hits, ['/robots.txt']);
+  assert.equal(rateLimiter.getStats().maxRate, 0.25);
+  assert.deepEqual(rateLimiter.getStats().requests, { robots: 1 });
+  assert.deepEqual(policy.skipped, [
+    { url: `${origin}/tag/private-notes`, reason: 'disallowed', rule: 'Disallow: /tag/private-', source: { type: 'tag', url: null } },
+    { url: `${origin}/@janedoe/story-1111aaaa2222?source=rss`, reason: 'disallowed', rule: 'Disallow: /*?*source=' }
+  ]);
+});
+
+test('a missing robots.txt allows everything, an unreachable one nothing', async () => {
+  const requests = [{ url: `${origin}/p/1111aaaa2222/responses`, userData: { source: { type: 'input', url: null } } }];
+
+  try {
+    robotsStatus = 404;
+    assert.deepEqual(await new RobotsPolicy().filterRequests(requests), requests);
+
+    robotsStatus = 503;
+    hits.length = 0;
+    const policy = new RobotsPolicy({ sleep: async () => {} });
+    assert.deepEqual(await policy.filterRequests(requests), []);
+    // Fetched again twice before the host is given up on
+    assert.deepEqual(hits, ['/robots.txt', '/robots.txt', '/robots.txt']);
+    assert.deepEqual(policy.skipped, [
+      { url: requests[0].url, reason: 'robots_unreachable', rule: null, source: { type: 'input', url: null } }
+    ]);
+    assert.deepEqual((await policy.getSummary()).hosts, [
+      { origin, robotsUrl: `${origin}/robots.txt`, status: 503, crawlDelay: null, disallowAll: true }
+    ]);
+  } finally {
+    robotsStatus = 200;
+  }
+});
+
+test('a failed robots.txt fetch is retried, and an unreachable host checked again later', async () => {
+  const clock = { now: 1_700_000_000_000 };
+  const delays = [];
+  const policy = new RobotsPolicy({ now: () => clock.now, sleep: async (ms) => { delays.push(ms); clock.now += ms; } });
+  const responses = [];
+  policy.fetchRobotsTxt = async () => {
+    const next = responses.shift();
+    if (next instanceof Error) throw next;
+    return next;
+  };
+  const networkError = () => Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+
+  // One network error, then the file
+  responses.push(networkError(), { status: 200, data: ROBOTS_TXT });
+  assert.equal(await policy.isAllowed('https://medium.com/@janedoe'), true);
+  assert.equal(await policy.isAllowed('https://medium.com/tag/private-notes'), false);
+  assert.deepEqual(delays, [2000]);
+
+  // Unreachable after every retry: nothing on the host until it is checked again
+  delays.length = 0;
+  responses.push(networkError(), { status: 503 }, networkError());
+  assert.equal(await policy.isAllowed('https://janedoe.medium.com/about'), false);
+  assert.deepEqual(delays, [2000, 4000]);
+  assert.equal(await policy.isAllowed('https://janedoe.medium.com/designing-idempotent-apis-1111aaaa2222'), false);
+  assert.equal(responses.length, 0);
+
+  clock.now += MEDIUM_CONSTANTS.ROBOTS_RECHECK_INTERVAL;
+  responses.push({ status: 404 });
+  assert.equal(await policy.isAllowed('https://janedoe.medium.com/designing-idempotent-apis-1111aaaa2222'), true);
+  assert.deepEqual((await policy.getSummary()).hosts.map(host => [host.origin, host.status, host.disallowAll]), [
+    ['https://medium.com', 200, false],
+    ['https://janedoe.medium.com', 404, false]
+  ]);
+});
+
+test('a disabled policy allows everything without fetching', async () => {
+  hits.length = 0;
+  const policy = new RobotsPolicy({ enabled: false });
+
+  assert.equal(await policy.isAllowed(`${origin}/m/signin`), true);
+  assert.deepEqual(hits, []);
+});
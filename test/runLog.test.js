@@ -0,0 +1,127 @@
+import './helpers/setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { Actor } from 'apify';
+import { RunLog, JsonlFileLogSink, KeyValueStoreLogSink } from '../src/utils/runLog.js';
+import loggerModule, { createLogger, configureRunLog, closeRunLog } from '../src/utils/logger.js';
+
+function createSink() {
+  const batches = [];
+  return { batches, write: async (entries) => { batches.push(entries.map(entry => entry.message)); } };
+}
+
+test('entries below the level are dropped and the rest are written in batches', async () => {
+  const sink = createSink();
+  const runLog = new RunLog({ level: 'warn', sinks: [sink], runId: 'run-1', flushEntries: 2 });
+
+  runLog.write({ level: 'debug', message: 'selector tried' });
+  runLog.write({ level: 'error', message: 'navigation failed' });
+  runLog.write({ level: 'info', message: 'article scraped' });
+  runLog.write({ level: 'warn', message: 'paywall detected' });
+  runLog.write({ level: 'warn', message: 'retry attempt' });
+  await runLog.close();
+
+  assert.deepEqual(sink.batches, [['navigation failed', 'paywall detected'], ['retry attempt']]);
+
+  // A failing sink is reported and does not keep the others from their entries
+  const errors = [];
+  const broken = { write: async () => { throw new Error('store unavailable'); } };
+  const other = createSink();
+  const shared = new RunLog({ sinks: [broken, other], onError: error => errors.push(error.message) });
+  shared.write({ level: 'info', message: 'author scraped' });
+  await shared.close();
+
+  assert.deepEqual(errors, ['store unavailable']);
+  assert.deepEqual(other.batches, [['author scraped']]);
+});
+
+test('the JSONL file is rotated at its size cap and key-value records are split', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'run-log-'));
+  const filepath = path.join(dir, 'run.jsonl');
+  const entry = index => ({ level: 'info', message: `entry ${index}`, padding: 'x'.repeat(400) });
+
+  try {
+    // Three files of two ~450 byte lines each, under a 1 KB cap
+    const sink = new JsonlFileLogSink(filepath, { maxMb: 1 / 1024, maxFiles: 3 });
+    await sink.write([entry(1), entry(2), entry(3)]);
+    await sink.write([entry(4), entry(5), entry(6), entry(7)]);
+
+    const read = async file => (await fs.readFile(file, 'utf8')).trim().split('\n').map(line => JSON.parse(line).message);
+    assert.deepEqual(await read(filepath), ['entry 7']);
+    assert.deepEqual(await read(`${filepath}.1`), ['entry 5', 'entry 6']);
+    assert.deepEqual(await read(`${filepath}.2`), ['entry 3', 'entry 4']);
+    assert.equal(await fs.pathExists(`${filepath}.3`), false);
+  } finally {
+    await fs.remove(dir);
+  }
+
+  const kvSink = new KeyValueStoreLogSink('run-log-test', 'run-2', { maxEntries: 2 });
+  await kvSink.write([entry(1), entry(2), entry(3)]);
+  await kvSink.write([entry(4)]);
+
+  const store = await Actor.openKeyValueStore('run-log-test');
+  assert.deepEqual((await store.getValue('LOG-run-2-0001')).map(item => item.message), ['entry 1', 'entry 2']);
+  assert.deepEqual((await store.getValue('LOG-run-2-0002')).map(item => item.message), ['entry 3', 'entry 4']);
+
+  // A resumed run carries on after the records already written
+  const resumed = new KeyValueStoreLogSink('run-log-test', 'run-2', { maxEntries: 2 });
+  await resumed.write([entry(5)]);
+  assert.deepEqual((await store.getValue('LOG-run-2-0003')).map(item => item.message), ['entry 5']);
+  await store.drop();
+});
+
+test('logger entries reach the configured run log', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'run-log-'));
+  const filepath = path.join(dir, 'logs', 'run.jsonl');
+
+  try {
+    await configureRunLog({ level: 'info', file: filepath, runId: 'run-3' });
+    const logger = createLogger({ scraper: 'MediumScraper' });
+    logger.debug('Selector tried');
+    logger.logPaywallDetected('https://medium.com/@janedoe/members-only-3333bbbb4444');
+    await closeRunLog();
+
+    const lines = (await fs.readFile(filepath, 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+    assert.equal(lines.length, 1);
+    assert.equal(lines[0].runId, 'run-3');
+    assert.equal(lines[0].level, 'warn');
+    assert.equal(lines[0].event, 'paywall_detected');
+    assert.equal(lines[0].scraper, 'MediumScraper');
+    assert.equal(lines[0].stats.paywallHits, 1);
+  } finally {
+    await fs.remove(dir);
+  }
+});
+
+test('an Error passed as meta keeps its message and stack in the entry', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'run-log-'));
+  const filepath = path.join(dir, 'run.jsonl');
+
+  try {
+    await configureRunLog({ level: 'warn', file: filepath, runId: 'run-4' });
+    const logger = createLogger({ scraper: 'MediumScraper' });
+    logger.warn('Failed to save run checkpoint', new Error('disk full'));
+    await closeRunLog();
+
+    const [line] = (await fs.readFile(filepath, 'utf8')).trim().split('\n').map(text => JSON.parse(text));
+    assert.equal(line.message, 'Failed to save run checkpoint');
+    assert.equal(line.error.name, 'Error');
+    assert.equal(line.error.message, 'disk full');
+    assert.match(line.error.stack, /disk full/);
+  } finally {
+    await fs.remove(dir);
+  }
+});
+
+test('the input level applies to the console logger until the run log is closed', async () => {
+  const { logger } = loggerModule;
+  const level = logger.level;
+
+  await configureRunLog({ level: 'debug' });
+  assert.equal(logger.level, 'debug');
+  await closeRunLog();
+  assert.equal(logger.level, level);
+});
@@ -0,0 +1,94 @@
+import './helpers/setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadFixturePage } from './helpers/fixturePage.js';
+import {
+  BlockedError,
+  NavigationTimeoutError,
+  NotFoundError,
+  ParseFailureError,
+  PaywallSkippedError,
+  RobotsDisallowedError,
+  ValidationFailedError,
+  classifyError,
+  detectErrorPage,
+  errorForStatus,
+  rethrowUnlessSkippable,
+  shouldRetry
+} from '../src/utils/scrapeErrors.js';
+
+const ARTICLE_URL = 'https://medium.com/@janedoe/designing-idempotent-apis-1111aaaa2222';
+
+test('HTTP statuses map to their error class', () => {
+  const notFound = errorForStatus(404, ARTICLE_URL);
+  const deleted = errorForStatus(410, ARTICLE_URL);
+  const throttled = errorForStatus(429, ARTICLE_URL);
+  const forbidden = errorForStatus(403, ARTICLE_URL);
+
+  assert.ok(notFound instanceof NotFoundError);
+  assert.equal(notFound.reason, 'not_found');
+  assert.equal(deleted.reason, 'deleted');
+  assert.ok(throttled instanceof BlockedError);
+  assert.equal(throttled.throttled, true);
+  assert.equal(forbidden.throttled, false);
+  assert.equal(forbidden.statusCode, 403);
+
+  // Statuses without a class keep a plain error, retried as any other
+  const serverError = errorForStatus(500, ARTICLE_URL);
+  assert.equal(serverError.name, 'Error');
+  assert.equal(serverError.statusCode, 500);
+});
+
+test('classifyError types timeouts and status errors and keeps the rest', () => {
+  const playwrightTimeout = Object.assign(new Error('page.goto: Timeout 90000ms exceeded.'), { name: 'TimeoutError' });
+  const axiosTimeout = Object.assign(new Error('timeout of 45000ms exceeded'), { code: 'ECONNABORTED' });
+  const withStatus = Object.assign(new Error('Request failed'), { statusCode: 503 });
+  const other = new TypeError('Cannot read properties of null');
+
+  assert.ok(classifyError(playwrightTimeout, ARTICLE_URL) instanceof NavigationTimeoutError);
+  assert.equal(classifyError(playwrightTimeout, ARTICLE_URL).cause, playwrightTimeout);
+  assert.ok(classifyError(axiosTimeout, ARTICLE_URL) instanceof NavigationTimeoutError);
+  assert.ok(classifyError(withStatus, ARTICLE_URL) instanceof BlockedError);
+  assert.equal(classifyError(new Error('Request blocked - received 403 status code.'), ARTICLE_URL).statusCode, 403);
+  assert.equal(classifyError(other, ARTICLE_URL), other);
+
+  const typed = new ParseFailureError(ARTICLE_URL);
+  assert.equal(classifyError(typed, ARTICLE_URL), typed);
+});
+
+test('the retry policy of each class limits the retries', () => {
+  assert.equal(shouldRetry(new NotFoundError(ARTICLE_URL), 0), false);
+  assert.equal(shouldRetry(new PaywallSkippedError(ARTICLE_URL), 0), false);
+
+  assert.equal(shouldRetry(new ParseFailureError(ARTICLE_URL), 1), true);
+  assert.equal(shouldRetry(new ParseFailureError(ARTICLE_URL), 2), false);
+  assert.equal(shouldRetry(new ValidationFailedError(ARTICLE_URL, 'article', []), 1), false);
+  assert.equal(shouldRetry(new NavigationTimeoutError(ARTICLE_URL), 2), true);
+  assert.equal(shouldRetry(new NavigationTimeoutError(ARTICLE_URL), 3), false);
+
+  // Blocked pages and unknown errors are left to the crawler's maxRequestRetries
+  assert.equal(shouldRetry(new BlockedError(ARTICLE_URL, { statusCode: 429, throttled: true }), 7), true);
+  assert.equal(shouldRetry(new Error('boom'), 7), true);
+});
+
+test('best-effort sub-pages only swallow robots.txt skips and untyped errors', () => {
+  const throttled = new BlockedError(`${ARTICLE_URL}/responses`, { statusCode: 429, throttled: true });
+
+  assert.throws(() => rethrowUnlessSkippable(throttled), error => error === throttled);
+  assert.throws(() => rethrowUnlessSkippable(new NavigationTimeoutError(ARTICLE_URL)), NavigationTimeoutError);
+  assert.doesNotThrow(() => rethrowUnlessSkippable(new RobotsDisallowedError(ARTICLE_URL, 'Disallow: /')));
+  assert.doesNotThrow(() => rethrowUnlessSkippable(new TypeError('Cannot read properties of null')));
+});
+
+test('detectErrorPage recognises challenge and removed story pages', async () => {
+  const challenge = await detectErrorPage(await loadFixturePage('captcha.html', 'https://medium.com/@janedoe'), 'https://medium.com/@janedoe');
+  assert.ok(challenge instanceof BlockedError);
+  assert.equal(challenge.captcha, true);
+
+  const removed = await detectErrorPage(await loadFixturePage('story-removed.html', ARTICLE_URL), ARTICLE_URL);
+  assert.ok(removed instanceof NotFoundError);
+  assert.equal(removed.reason, 'deleted');
+
+  assert.equal(await detectErrorPage(await loadFixturePage('article-free.html', ARTICLE_URL), ARTICLE_URL), null);
+  assert.equal(await detectErrorPage(await loadFixturePage('author.html', 'https://medium.com/@janedoe'), 'https://medium.com/@janedoe'), null);
+});
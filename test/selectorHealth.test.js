@@ -0,0 +1,75 @@
+import './helpers/setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { loadFixturePage } from './helpers/fixturePage.js';
+import { SelectorHealth } from '../src/utils/selectorHealth.js';
+import { AuthorScraper } from '../src/scrapers/AuthorScraper.js';
+import { ArticleScraper } from '../src/scrapers/ArticleScraper.js';
+
+test('author fields are attributed to the Apollo user or the selector that matched', async () => {
+  const scraper = new AuthorScraper(await loadFixturePage('author.html', 'https://medium.com/@janedoe'));
+  await scraper.extractAuthorInfo();
+
+  assert.deepEqual(scraper.fieldSources, [{
+    scope: 'author',
+    sources: {
+      name: 'apollo:User',
+      bio: 'apollo:User',
+      followers: 'apollo:User',
+      following: 'apollo:User',
+      avatar: 'apollo:User',
+      username: 'apollo:User',
+      socialLinks: 'dom:a[data-testid="socialLink"]',
+      publications: 'dom:div[data-testid="publication"] a[data-testid="publicationLink"]'
+    }
+  }]);
+});
+
+test('content read from the DOM is attributed to the matched container', async () => {
+  const scraper = new ArticleScraper(await loadFixturePage('article-rich.html', 'https://medium.com/@janedoe/rich-story-7777dddd8888'));
+  await scraper.extractArticleInfo();
+  await scraper.extractArticleContent();
+
+  assert.deepEqual(scraper.fieldSources.find(({ scope }) => scope === 'content'), {
+    scope: 'content',
+    sources: { blocks: 'dom:div[data-testid="articleBody"]' }
+  });
+});
+
+test('fill rates that drop against the baseline are reported as drift', async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'selector-health-'));
+  t.after(() => fs.remove(dir));
+  const file = path.join(dir, 'baseline.json');
+
+  const first = new SelectorHealth({ file });
+  await first.loadBaseline();
+  for (let i = 0; i < 4; i++) {
+    first.observe('article', { title: 'apollo:Post', claps: 'dom:button[data-testid="clapButton"]', subtitle: null });
+  }
+  await first.saveBaseline();
+
+  const second = new SelectorHealth({ file });
+  await second.loadBaseline();
+  second.observeAll([
+    { scope: 'article', sources: { title: 'apollo:Post', claps: 'dom:button[data-testid="clapButton"]', subtitle: null } },
+    { scope: 'article', sources: { title: 'apollo:Post', claps: null, subtitle: null } },
+    { scope: 'article', sources: { title: 'apollo:Post', claps: null, subtitle: null } }
+  ]);
+  const report = second.getReport();
+
+  assert.deepEqual(report.fields['article.claps'], {
+    attempts: 3,
+    filled: 1,
+    sources: { 'dom:button[data-testid="clapButton"]': 1 },
+    fillRate: 0.333
+  });
+  assert.deepEqual(report.emptyFields, ['article.subtitle']);
+  assert.deepEqual(report.drift, [{ field: 'article.claps', fillRate: 0.333, baselineFillRate: 1, drop: 0.667 }]);
+
+  // The drifted run does not become the new baseline
+  await second.saveBaseline();
+  assert.deepEqual((await fs.readJson(file)).fillRates, { 'article.claps': 1, 'article.subtitle': 0, 'article.title': 1 });
+});
@@ -0,0 +1,48 @@
+import './helpers/setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { parseUrlList, loadUrlList } from '../src/utils/urlListLoader.js';
+
+const JANE = 'https://medium.com/@janedoe';
+const JOHN = 'https://medium.com/@johnroe';
+
+test('CSV lists are read from their URL column, quoted cells included', () => {
+  const csv = [
+    'url,note',
+    `${JANE},"backend, distributed systems"`,
+    `"${JOHN}",frontend`
+  ].join('\r\n');
+
+  assert.deepEqual(parseUrlList(csv, { csv: true }), [JANE, JOHN]);
+  // A header naming the URL column is enough without the .csv extension
+  assert.deepEqual(parseUrlList(csv), [JANE, JOHN]);
+  assert.deepEqual(parseUrlList(`name,authorUrl\nJane,${JANE}\nJohn,${JOHN}`), [JANE, JOHN]);
+});
+
+test('headerless CSV lists keep only their URL cells', () => {
+  const csv = `${JANE},Jane Doe\n# skipped for now\n${JOHN},"Roe, John"\n`;
+
+  assert.deepEqual(parseUrlList(csv, { csv: true }), [JANE, JOHN]);
+});
+
+test('plain text, comma separated and JSON lists still parse', () => {
+  assert.deepEqual(parseUrlList(`${JANE}\n# comment\n\n${JOHN}\n`), [JANE, JOHN]);
+  assert.deepEqual(parseUrlList(`${JANE}, ${JOHN}`), [JANE, JOHN]);
+  assert.deepEqual(parseUrlList(JSON.stringify({ urls: [JANE, { url: JOHN }] })), [JANE, JOHN]);
+  assert.deepEqual(parseUrlList(''), []);
+});
+
+test('loadUrlList reads .csv files as CSV', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'url-list-'));
+  const file = path.join(dir, 'authors.csv');
+
+  try {
+    await fs.writeFile(file, `﻿URL,Note\n${JANE},"likes queues, retries"\n${JOHN},\n`);
+    assert.deepEqual(await loadUrlList({ file }), [JANE, JOHN]);
+  } finally {
+    await fs.remove(dir);
+  }
+});